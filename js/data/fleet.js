@@ -0,0 +1,81 @@
+/**
+ * fleet.js
+ * Targets placed on the sea for the Over The Horizon demonstration
+ *
+ * Ships, structures and land are all handled as vessels of a fleet; the
+ * type selects the silhouette they are drawn with (see silhouettes.js).
+ *
+ * Every vessel has the same shape:
+ *   { id, type, name, elevation, height, distance, bearing, position }
+ * where elevation is the height of the top in meters above the ship datum
+ * (mean sea level for structures fixed to the seabed or land), height the
+ * same above the current water level, distance the range
+ * from the observer in kilometers and bearing the direction in degrees
+ * relative to the line of sight (positive to the right). In geographic mode
+ * position {latitude, longitude} sets the distance and bearing; otherwise it
+ * is null.
+ */
+
+import { SILHOUETTES } from './silhouettes.js';
+
+// Ids handed out to new vessels
+let nextVesselId = 1;
+
+/**
+ * Creates a vessel of a given type, as tall as its silhouette
+ * @param {string} type - Vessel type (one of the keys of SILHOUETTES)
+ * @param {Object} [params] - Values replacing the defaults of the type
+ * @param {number} [params.elevation] - Height of the top in meters above the vessel's datum
+ * @param {number} [params.distance=0] - Distance from the observer in kilometers
+ * @param {number} [params.bearing=0] - Bearing relative to the line of sight in degrees
+ * @param {Object} [params.position=null] - Geographic position {latitude, longitude} in degrees
+ * @returns {Object} - Vessel
+ */
+function createVessel(type, params = {}) {
+  let vesselType = SILHOUETTES[type];
+  if (!vesselType) {
+    console.error(`Unknown vessel type "${type}"`);
+    type = 'cargo-ship';
+    vesselType = SILHOUETTES[type];
+  }
+
+  const id = nextVesselId++;
+  const elevation = params.elevation ?? vesselType.height;
+
+  return {
+    id,
+    type,
+    name: `${vesselType.name} ${id}`,
+    elevation,
+    height: elevation,
+    distance: params.distance ?? 0,
+    bearing: params.bearing ?? 0,
+    position: params.position ?? null
+  };
+}
+
+/**
+ * Orders vessels from the farthest to the nearest, the order they are drawn in
+ * @param {Object[]} vessels - Vessels
+ * @returns {Object[]} - New array of the vessels, farthest first
+ */
+function sortByDepth(vessels) {
+  return [...vessels].sort((a, b) => b.distance - a.distance);
+}
+
+/**
+ * Describes a vessel in one line for the fleet list
+ * @param {Object} vessel - Vessel
+ * @returns {string} - Name, height, distance and bearing
+ */
+function describeVessel(vessel) {
+  const rounded = Math.round(vessel.bearing * 10) / 10;
+  const bearing = rounded === 0 ? '0°' : `${rounded > 0 ? '+' : ''}${rounded}°`;
+  return `${vessel.name} · ${vessel.elevation} m · ${vessel.distance.toFixed(1)} km · ${bearing}`;
+}
+
+export {
+  createVessel,
+  sortByDepth,
+  describeVessel
+};
@@ -0,0 +1,274 @@
+/**
+ * scenarios.js
+ * Named scenarios for the Over The Horizon demonstration
+ *
+ * A scenario bundles what a lesson sets up: the observer's height, the
+ * targets, the refraction model, the telescope, what is animated and the
+ * timeline that scripts it. Scenarios are exchanged as versioned JSON documents:
+ *
+ *   {
+ *     format: 'over-the-horizon-scenario', version: 2,
+ *     name, description,
+ *     observer: { height, datum },
+ *     targets: [{ type, elevation, distance, bearing, position }], tracked,
+ *     refraction: { model, ...params },
+ *     telescope: { enabled, instrument, magnification, fieldOfView, aperture },
+ *     animation: { ship, tide },
+ *     timeline
+ *   }
+ *
+ * Heights are in meters, distances in kilometers and bearings in degrees as
+ * for the fleet (see fleet.js); tracked is the index of the target the
+ * telescope follows. The refraction parameters are those of the model (see
+ * refraction.js) and the timeline is a keyframe timeline (see timeline.js) or
+ * null. Documents of an older version are migrated when they are read;
+ * documents from a newer version are refused.
+ */
+
+import { SILHOUETTES } from './silhouettes.js';
+import { HEIGHT_DATUMS } from '../math/tide.js';
+import { OPTICS_PRESETS } from '../math/optics.js';
+import { isValidPosition } from '../math/geodesy.js';
+import { validateTimeline } from './timeline.js';
+
+// Identifies scenario files
+const SCENARIO_FORMAT = 'over-the-horizon-scenario';
+
+// Version of the scenario documents written
+const SCENARIO_VERSION = 2;
+
+// Parameters each refraction model needs (see refraction.js)
+const REFRACTION_PARAMS = {
+  'none': [],
+  'constant': ['k'],
+  'standard-atmosphere': ['temperature', 'pressure', 'lapseRate'],
+  'ducting': ['temperature', 'pressure', 'inversionGradient', 'ductHeight'],
+  'surface-heating': ['temperature', 'pressure', 'surfaceExcess', 'layerDepth']
+};
+
+// Settings of an instrument that can replace those of its preset
+const TELESCOPE_PARAMS = ['magnification', 'fieldOfView', 'aperture'];
+
+// Upgrades of a document from the version they are keyed by to the next
+const MIGRATIONS = {
+  // Version 2 added timelines
+  1: data => ({ ...data, timeline: null })
+};
+
+// Longest name and description accepted, in characters
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 2000;
+
+// Scenarios that come with the demonstration
+const BUILT_IN_SCENARIOS = [
+  {
+    format: SCENARIO_FORMAT,
+    version: SCENARIO_VERSION,
+    name: 'Lighthouse keeper, 30 m',
+    description: 'From the lantern gallery the horizon is more than 22 km away: a yacht 20 km off is seen whole, and of a cargo ship at 35 km less than 10 m of the hull is hidden.',
+    observer: { height: 30, datum: 'mean-sea-level' },
+    targets: [
+      { type: 'cargo-ship', elevation: 50, distance: 35, bearing: 0, position: null },
+      { type: 'sailing-yacht', elevation: 18, distance: 20, bearing: 10, position: null }
+    ],
+    tracked: 0,
+    refraction: { model: 'constant', k: 1.33 },
+    telescope: { enabled: true, instrument: 'binoculars-7x50' },
+    animation: { ship: false, tide: false },
+    timeline: null
+  },
+  {
+    format: SCENARIO_FORMAT,
+    version: SCENARIO_VERSION,
+    name: 'Yacht skipper, 2 m',
+    description: 'With the eye 2 m above the water the horizon is only about 6 km away, so even a lighthouse on the coast shows just its upper part.',
+    observer: { height: 2, datum: 'water-level' },
+    targets: [
+      { type: 'lighthouse', elevation: 30, distance: 20, bearing: 0, position: null },
+      { type: 'tanker', elevation: 45, distance: 12, bearing: -12, position: null },
+      { type: 'sailing-yacht', elevation: 18, distance: 8, bearing: 15, position: null }
+    ],
+    tracked: 0,
+    refraction: { model: 'constant', k: 1.33 },
+    telescope: { enabled: true, instrument: 'binoculars-7x50' },
+    animation: { ship: false, tide: false },
+    timeline: null
+  },
+  {
+    format: SCENARIO_FORMAT,
+    version: SCENARIO_VERSION,
+    name: 'Oil rig at 40 km',
+    description: 'From the bridge of a supply ship the legs of a rig 40 km away are below the horizon, while its deck, modules and derrick still stand above it.',
+    observer: { height: 15, datum: 'water-level' },
+    targets: [
+      { type: 'oil-rig', elevation: 90, distance: 40, bearing: 0, position: null }
+    ],
+    tracked: 0,
+    refraction: { model: 'constant', k: 1.33 },
+    telescope: { enabled: true, instrument: 'spotting-scope-20x' },
+    animation: { ship: false, tide: false },
+    timeline: null
+  }
+];
+
+/**
+ * Upgrades a scenario document to the current version
+ * @param {Object} data - Scenario document of any version
+ * @returns {Object|null} - Document of the current version, or null when it cannot be read
+ */
+function migrateScenario(data) {
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    console.error('Invalid scenario: the version is missing');
+    return null;
+  }
+  if (data.version > SCENARIO_VERSION) {
+    console.error(`Scenario "${data.name}" was saved by a newer version (${data.version}) of the demonstration`);
+    return null;
+  }
+
+  let migrated = data;
+  while (migrated.version < SCENARIO_VERSION) {
+    migrated = { ...MIGRATIONS[migrated.version](migrated), version: migrated.version + 1 };
+  }
+  return migrated;
+}
+
+/**
+ * Checks a scenario document against the schema, migrating older versions
+ * Optional fields are filled in with their defaults.
+ * @param {Object} data - Scenario document
+ * @returns {Object|null} - Scenario of the current version, or null when it is not valid
+ */
+function validateScenario(data) {
+  const invalid = message => {
+    console.error(`Invalid scenario: ${message}`);
+    return null;
+  };
+  const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+  if (!data || typeof data !== 'object' || data.format !== SCENARIO_FORMAT) {
+    return invalid(`not a "${SCENARIO_FORMAT}" document`);
+  }
+
+  const scenario = migrateScenario(data);
+  if (!scenario) return null;
+
+  const { name, description = '', observer, targets, tracked = 0, refraction, telescope, animation = {}, timeline = null } = scenario;
+
+  if (typeof name !== 'string' || !name.trim() || name.length > MAX_NAME_LENGTH) {
+    return invalid(`the name must be text of 1 to ${MAX_NAME_LENGTH} characters`);
+  }
+  if (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH) {
+    return invalid(`the description must be text of at most ${MAX_DESCRIPTION_LENGTH} characters`);
+  }
+
+  const datum = observer?.datum ?? 'mean-sea-level';
+  if (!isNumber(observer?.height) || observer.height <= 0) {
+    return invalid('the observer needs a height above 0 m');
+  }
+  if (!Object.hasOwn(HEIGHT_DATUMS, datum)) {
+    return invalid(`unknown height datum "${datum}"`);
+  }
+
+  if (!Array.isArray(targets) || targets.length === 0) {
+    return invalid('there must be at least one target');
+  }
+  for (const [i, target] of targets.entries()) {
+    if (!Object.hasOwn(SILHOUETTES, target?.type)) {
+      return invalid(`target ${i + 1} has an unknown type "${target?.type}"`);
+    }
+    if (!isNumber(target.elevation) || target.elevation <= 0 || !isNumber(target.distance) || target.distance < 0 || !isNumber(target.bearing)) {
+      return invalid(`target ${i + 1} needs an elevation above 0 m, a distance of at least 0 km and a bearing`);
+    }
+    if (target.position != null && !isValidPosition(target.position)) {
+      return invalid(`target ${i + 1} has an invalid position`);
+    }
+  }
+  if (!Number.isInteger(tracked) || tracked < 0 || tracked >= targets.length) {
+    return invalid(`the tracked target must be one of the ${targets.length} targets`);
+  }
+
+  const refractionParams = REFRACTION_PARAMS[refraction?.model];
+  if (!refractionParams) {
+    return invalid(`unknown refraction model "${refraction?.model}"`);
+  }
+  const missing = refractionParams.find(param => !isNumber(refraction[param]));
+  if (missing) {
+    return invalid(`the ${refraction.model} refraction model needs a number for ${missing}`);
+  }
+
+  if (typeof telescope?.enabled !== 'boolean') {
+    return invalid('the telescope must be turned on or off');
+  }
+  if (telescope.instrument !== 'custom' && !Object.hasOwn(OPTICS_PRESETS, telescope.instrument)) {
+    return invalid(`unknown instrument "${telescope.instrument}"`);
+  }
+  const instrument = OPTICS_PRESETS[telescope.instrument] || {};
+  const opticsParams = TELESCOPE_PARAMS.map(param => [param, telescope[param] ?? instrument[param]]);
+  if (!opticsParams.every(([, value]) => isNumber(value) && value > 0)) {
+    return invalid(`a custom instrument needs a positive ${TELESCOPE_PARAMS.join(', ')}`);
+  }
+
+  if (![animation.ship, animation.tide].every(value => value === undefined || typeof value === 'boolean')) {
+    return invalid('the animations must be turned on or off');
+  }
+
+  const script = timeline === null ? null : validateTimeline(timeline);
+  if (timeline !== null && !script) {
+    return invalid('the timeline is not valid');
+  }
+
+  return {
+    format: SCENARIO_FORMAT,
+    version: SCENARIO_VERSION,
+    name: name.trim(),
+    description,
+    observer: { height: observer.height, datum },
+    targets: targets.map(({ type, elevation, distance, bearing, position }) => ({
+      type,
+      elevation,
+      distance,
+      bearing,
+      position: position ? { latitude: position.latitude, longitude: position.longitude } : null
+    })),
+    tracked,
+    refraction: Object.fromEntries([['model', refraction.model], ...refractionParams.map(param => [param, refraction[param]])]),
+    telescope: { enabled: telescope.enabled, instrument: telescope.instrument, ...Object.fromEntries(opticsParams) },
+    animation: { ship: animation.ship ?? false, tide: animation.tide ?? false },
+    timeline: script
+  };
+}
+
+/**
+ * Reads a scenario file
+ * @param {string} text - JSON document
+ * @returns {Object|null} - Scenario, or null when the file is not a valid scenario
+ */
+function parseScenario(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    console.error(`Scenario is not valid JSON: ${error.message}`);
+    return null;
+  }
+  return validateScenario(data);
+}
+
+/**
+ * Writes a scenario as the text of a scenario file
+ * @param {Object} scenario - Scenario of the current version
+ * @returns {string} - JSON document
+ */
+function serializeScenario(scenario) {
+  return JSON.stringify(scenario, null, 2);
+}
+
+export {
+  SCENARIO_FORMAT,
+  SCENARIO_VERSION,
+  BUILT_IN_SCENARIOS,
+  validateScenario,
+  parseScenario,
+  serializeScenario
+};
@@ -0,0 +1,427 @@
+/**
+ * silhouettes.js
+ * Shape definitions of the ships and structures that can be placed on the sea
+ *
+ * Every silhouette is drawn in local units with the waterline (or sea level)
+ * at y = 0 and the highest point at y = -SILHOUETTE_HEIGHT, so that the
+ * drawing is scaled to the real-world height of the target. A definition has:
+ *   { name, height, fixed, bounds, detail, smoke, parts }
+ * where height is the real height in meters, fixed whether the target stands
+ * on the seabed or land instead of floating, bounds the extent of the drawing
+ * {minX, maxX, minY, maxY}, detail the finest feature an observer would look
+ * for {name, size (meters)}, smoke the tops of the funnels {x, y} and parts
+ * the shapes drawn from back to front:
+ *   { type: 'polygon', points: [[x, y], ...], fill }
+ *   { type: 'rect', x, y, width, height, fill }
+ *   { type: 'ellipse', x, y, radiusX, radiusY, fill }
+ *   { type: 'line', points: [[x, y], ...], stroke, width }
+ *   { type: 'circle', x, y, radius, stroke }
+ *   { type: 'path', d, matrix, fill, fillRule, stroke, width }
+ * where a path holds SVG path data and the transform [a, b, c, d, e, f]
+ * from its drawing units to local units (see svgSilhouette.js).
+ */
+
+import { DEFAULT_SHIP_HEIGHT } from '../math/constants.js';
+import { MAST_WIDTH } from '../math/optics.js';
+
+// Height of every silhouette in local units
+const SILHOUETTE_HEIGHT = 70;
+
+// Colours shared by the ship silhouettes
+const SHIP_COLORS = {
+  HULL: '#2C3E50',          // Darker blue-gray for hull
+  HULL_SHADOW: '#1A2530',   // Darker shadow
+  HULL_HIGHLIGHT: '#3D5A73', // Lighter highlight for hull
+  WATERLINE: '#000000',     // Black waterline
+  DECK: '#95A5A6',          // Lighter gray for deck
+  FUNNEL_BASE: '#34495E',   // Darker blue-gray for funnel base
+  FUNNEL_BAND: '#E74C3C',   // Brighter red for funnel band
+  FUNNEL_TOP: '#222222',    // Black funnel top
+  MAST: '#000000',          // Black mast
+  SUPERSTRUCTURE: '#ECF0F1', // Light color for superstructure
+  SUPERSTRUCTURE_WINDOWS: '#3498DB', // Blue for windows
+  BRIDGE: '#BDC3C7',        // Light gray for bridge
+  SMOKE: 'rgba(200, 200, 200, 0.5)' // Semi-transparent gray for smoke
+};
+
+// Colours of the boxes in a container stack
+const CONTAINER_COLORS = ['#C0392B', '#2980B9', '#27AE60', '#F39C12', '#8E44AD', '#16A085'];
+
+/**
+ * Builds a funnel with a coloured band and a dark top
+ * @param {number} x - X position of the funnel centre
+ * @param {number} y - Y position of the funnel base
+ * @param {number} width - Width of the funnel at its base
+ * @param {number} height - Height of the funnel
+ * @returns {Object[]} - Parts of the funnel
+ */
+function funnel(x, y, width, height) {
+  const halfWidth = width / 2;
+  const bandHeight = height * 0.15;
+  const bandY = y - height + bandHeight * 2;
+
+  return [
+    {
+      type: 'polygon',
+      points: [[x - halfWidth, y], [x + halfWidth, y], [x + halfWidth * 0.8, y - height], [x - halfWidth * 0.8, y - height]],
+      fill: SHIP_COLORS.FUNNEL_BASE
+    },
+    {
+      type: 'polygon',
+      points: [
+        [x - halfWidth * 0.85, bandY + bandHeight],
+        [x + halfWidth * 0.85, bandY + bandHeight],
+        [x + halfWidth * 0.8, bandY],
+        [x - halfWidth * 0.8, bandY]
+      ],
+      fill: SHIP_COLORS.FUNNEL_BAND
+    },
+    { type: 'ellipse', x, y: y - height, radiusX: halfWidth * 0.8, radiusY: halfWidth * 0.3, fill: SHIP_COLORS.FUNNEL_TOP }
+  ];
+}
+
+/**
+ * Builds a row of windows
+ * @param {number} fromX - X position of the first window
+ * @param {number} toX - X position past which no window starts
+ * @param {number} spacing - Distance between the windows
+ * @param {number} y - Y position of the top of the windows
+ * @param {number} width - Width of a window
+ * @param {number} height - Height of a window
+ * @returns {Object[]} - Parts of the windows
+ */
+function windows(fromX, toX, spacing, y, width, height) {
+  const parts = [];
+  for (let x = fromX; x < toX; x += spacing) {
+    parts.push({ type: 'rect', x, y, width, height, fill: SHIP_COLORS.SUPERSTRUCTURE_WINDOWS });
+  }
+  return parts;
+}
+
+/**
+ * Builds the container stacks on a container ship's deck
+ * @param {number} fromX - X position of the first bay
+ * @param {number} bays - Number of bays
+ * @param {number} deckY - Y position of the deck
+ * @param {number} tiers - Number of containers in each stack
+ * @returns {Object[]} - Parts of the stacks
+ */
+function containerStacks(fromX, bays, deckY, tiers) {
+  const parts = [];
+  for (let bay = 0; bay < bays; bay++) {
+    for (let tier = 0; tier < tiers; tier++) {
+      parts.push({
+        type: 'rect',
+        x: fromX + bay * 14,
+        y: deckY - (tier + 1) * 5,
+        width: 13,
+        height: 4.6,
+        fill: CONTAINER_COLORS[(bay * 2 + tier * 3) % CONTAINER_COLORS.length]
+      });
+    }
+  }
+  return parts;
+}
+
+/**
+ * Builds a wind turbine blade pointing away from the hub
+ * @param {number} hubX - X position of the hub
+ * @param {number} hubY - Y position of the hub
+ * @param {number} length - Length of the blade
+ * @param {number} angle - Direction of the blade in degrees (0 = straight up, clockwise)
+ * @returns {Object} - Blade polygon
+ */
+function blade(hubX, hubY, length, angle) {
+  const radians = angle * Math.PI / 180;
+  const alongX = Math.sin(radians);
+  const alongY = -Math.cos(radians);
+
+  // The blade is widest at the root and narrows to the tip
+  const point = (distance, halfWidth) => [
+    hubX + alongX * distance - alongY * halfWidth,
+    hubY + alongY * distance + alongX * halfWidth
+  ];
+
+  return {
+    type: 'polygon',
+    points: [point(0, 0.9), point(length, 0.15), point(length, -0.15), point(0, -0.9)],
+    fill: '#E5E7E9'
+  };
+}
+
+/**
+ * Builds a small workboat (tug or pilot boat)
+ * @param {string} hullColor - Colour of the hull
+ * @returns {Object[]} - Parts of the boat
+ */
+function workboat(hullColor) {
+  return [
+    { type: 'polygon', points: [[-25, 0], [22, 0], [30, -14], [-26, -14]], fill: hullColor },
+    { type: 'rect', x: -25, y: 0, width: 47, height: 2, fill: SHIP_COLORS.WATERLINE },
+    { type: 'rect', x: -26, y: -15, width: 56, height: 1.5, fill: SHIP_COLORS.DECK },
+    { type: 'rect', x: -12, y: -30, width: 22, height: 15, fill: SHIP_COLORS.SUPERSTRUCTURE },
+    ...windows(-9, 8, 5, -26, 3, 3),
+    { type: 'rect', x: -6, y: -44, width: 14, height: 14, fill: SHIP_COLORS.BRIDGE },
+    ...windows(-4, 8, 4, -40, 3, 4),
+    { type: 'line', points: [[1, -44], [1, -70]], stroke: SHIP_COLORS.MAST, width: 1.5 },
+    { type: 'line', points: [[-5, -62], [7, -62]], stroke: SHIP_COLORS.MAST, width: 1.5 }
+  ];
+}
+
+// Parts of the cargo/passenger ship that the demonstration started with
+const CARGO_SHIP_PARTS = [
+  // Main hull
+  {
+    type: 'polygon',
+    points: [[-50, 0], [50, 0], [65, -5], [65, -10], [-40, -10], [-55, -5]],
+    fill: SHIP_COLORS.HULL
+  },
+  // Hull shadow/detail
+  { type: 'rect', x: -50, y: -3, width: 100, height: 3, fill: SHIP_COLORS.HULL_SHADOW },
+  // Hull highlight (adds dimension)
+  { type: 'rect', x: -40, y: -10, width: 105, height: 2, fill: SHIP_COLORS.HULL_HIGHLIGHT },
+  // Waterline (black)
+  { type: 'rect', x: -50, y: 0, width: 100, height: 2, fill: SHIP_COLORS.WATERLINE },
+  // Deck
+  { type: 'rect', x: -40, y: -11, width: 105, height: 1, fill: SHIP_COLORS.DECK },
+  // Main superstructure block and the bridge on its forward part
+  { type: 'rect', x: -20, y: -25, width: 50, height: 14, fill: SHIP_COLORS.SUPERSTRUCTURE },
+  { type: 'rect', x: 15, y: -32, width: 15, height: 7, fill: SHIP_COLORS.BRIDGE },
+  ...windows(-15, 25, 6, -22, 4, 3),
+  { type: 'rect', x: 26, y: -30, width: 3, height: 3, fill: SHIP_COLORS.SUPERSTRUCTURE_WINDOWS },
+  // Bridge wing visible from side view (just a small protrusion)
+  { type: 'rect', x: 28, y: -30, width: 3, height: 3, fill: SHIP_COLORS.BRIDGE },
+  // Two funnels
+  ...funnel(0, -25, 8, 15),
+  ...funnel(20, -25, 8, 15),
+  // Forward mast with antenna and radar
+  { type: 'line', points: [[25, -32], [25, -60], [35, -70]], stroke: SHIP_COLORS.MAST, width: 1 },
+  { type: 'circle', x: 25, y: -55, radius: 3, stroke: SHIP_COLORS.MAST },
+  // Aft mast with cross piece and small antenna
+  { type: 'line', points: [[-5, -32], [-5, -50], [0, -55]], stroke: SHIP_COLORS.MAST, width: 1 },
+  { type: 'line', points: [[-10, -45], [0, -45]], stroke: SHIP_COLORS.MAST, width: 1 }
+];
+
+// Bounds of the cargo ship drawing, smoke included
+const CARGO_SHIP_BOUNDS = { minX: -60, maxX: 75, minY: -80, maxY: 3 };
+
+// Silhouettes by id
+const SILHOUETTES = {
+  'cargo-ship': {
+    name: 'Cargo ship',
+    height: DEFAULT_SHIP_HEIGHT,
+    fixed: false,
+    bounds: CARGO_SHIP_BOUNDS,
+    detail: { name: 'masts', size: MAST_WIDTH },
+    smoke: [{ x: 0, y: -40 }, { x: 20, y: -40 }],
+    parts: CARGO_SHIP_PARTS
+  },
+  'ferry': {
+    name: 'Ferry',
+    height: 35,
+    fixed: false,
+    bounds: CARGO_SHIP_BOUNDS,
+    detail: { name: 'masts', size: 0.6 },
+    smoke: [{ x: 0, y: -40 }, { x: 20, y: -40 }],
+    parts: CARGO_SHIP_PARTS
+  },
+  'container-ship': {
+    name: 'Container ship',
+    height: 60,
+    fixed: false,
+    bounds: { minX: -96, maxX: 100, minY: -100, maxY: 3 },
+    detail: { name: 'container stacks', size: 2.4 },
+    smoke: [{ x: -65, y: -58 }],
+    parts: [
+      { type: 'polygon', points: [[-88, 0], [85, 0], [96, -14], [-90, -14], [-93, -6]], fill: '#7B241C' },
+      { type: 'rect', x: -88, y: 0, width: 173, height: 2, fill: SHIP_COLORS.WATERLINE },
+      { type: 'rect', x: -90, y: -15, width: 186, height: 1.5, fill: SHIP_COLORS.DECK },
+      ...containerStacks(-60, 11, -15, 4),
+      { type: 'rect', x: -84, y: -48, width: 18, height: 33, fill: SHIP_COLORS.SUPERSTRUCTURE },
+      ...windows(-82, -67, 4, -44, 2.5, 2),
+      ...windows(-82, -67, 4, -36, 2.5, 2),
+      ...windows(-82, -67, 4, -28, 2.5, 2),
+      { type: 'rect', x: -87, y: -51, width: 24, height: 3, fill: SHIP_COLORS.BRIDGE },
+      ...funnel(-65, -45, 7, 13),
+      { type: 'line', points: [[-76, -51], [-76, -70]], stroke: SHIP_COLORS.MAST, width: 1 },
+      { type: 'line', points: [[-80, -64], [-72, -64]], stroke: SHIP_COLORS.MAST, width: 1 },
+      { type: 'line', points: [[90, -14], [90, -30]], stroke: SHIP_COLORS.MAST, width: 1 }
+    ]
+  },
+  'tanker': {
+    name: 'Tanker',
+    height: 45,
+    fixed: false,
+    bounds: { minX: -104, maxX: 110, minY: -100, maxY: 3 },
+    detail: { name: 'masts', size: 0.8 },
+    smoke: [{ x: -90, y: -52 }],
+    parts: [
+      { type: 'polygon', points: [[-100, 0], [96, 0], [106, -12], [-101, -12], [-103, -5]], fill: '#5D2E1F' },
+      { type: 'rect', x: -100, y: 0, width: 196, height: 2, fill: SHIP_COLORS.WATERLINE },
+      { type: 'rect', x: -101, y: -13, width: 207, height: 1.5, fill: '#A04000' },
+      // Pipework and manifold along the deck
+      { type: 'line', points: [[-70, -16], [95, -16]], stroke: '#7F8C8D', width: 1 },
+      { type: 'rect', x: 0, y: -20, width: 10, height: 6, fill: '#7F8C8D' },
+      { type: 'line', points: [[5, -20], [5, -30], [18, -24]], stroke: '#7F8C8D', width: 1 },
+      { type: 'rect', x: -98, y: -40, width: 22, height: 27, fill: SHIP_COLORS.SUPERSTRUCTURE },
+      ...windows(-96, -78, 4, -36, 2.5, 2),
+      ...windows(-96, -78, 4, -28, 2.5, 2),
+      { type: 'rect', x: -100, y: -43, width: 27, height: 3, fill: SHIP_COLORS.BRIDGE },
+      ...funnel(-90, -43, 7, 9),
+      { type: 'line', points: [[-82, -43], [-82, -70]], stroke: SHIP_COLORS.MAST, width: 1 },
+      { type: 'line', points: [[-86, -62], [-78, -62]], stroke: SHIP_COLORS.MAST, width: 1 },
+      { type: 'line', points: [[98, -12], [98, -34]], stroke: SHIP_COLORS.MAST, width: 1 }
+    ]
+  },
+  'sailing-yacht': {
+    name: 'Sailing yacht',
+    height: 18,
+    fixed: false,
+    bounds: { minX: -20, maxX: 22, minY: -72, maxY: 3 },
+    detail: { name: 'mast', size: 0.2 },
+    smoke: [],
+    parts: [
+      { type: 'polygon', points: [[-14, 0], [12, 0], [18, -5], [-16, -5]], fill: '#F4F6F7' },
+      { type: 'rect', x: -14, y: -1.5, width: 26, height: 1.5, fill: '#1F3A93' },
+      { type: 'rect', x: -14, y: 0, width: 26, height: 2, fill: SHIP_COLORS.WATERLINE },
+      { type: 'polygon', points: [[-8, -5], [4, -5], [2, -8], [-6, -8]], fill: '#D5D8DC' },
+      // Mainsail aft of the mast and jib forward of it
+      { type: 'polygon', points: [[-1, -10], [-1, -66], [-15, -10]], fill: '#FDFEFE' },
+      { type: 'polygon', points: [[1, -8], [1, -62], [16, -6]], fill: '#EAECEE' },
+      { type: 'line', points: [[0, -5], [0, -70]], stroke: '#566573', width: 0.8 },
+      { type: 'line', points: [[-15, -10], [0, -10]], stroke: '#566573', width: 0.8 }
+    ]
+  },
+  'tug': {
+    name: 'Harbour tug',
+    height: 15,
+    fixed: false,
+    bounds: { minX: -28, maxX: 32, minY: -72, maxY: 3 },
+    detail: { name: 'mast', size: 0.3 },
+    smoke: [],
+    parts: workboat('#922B21')
+  },
+  'pilot-boat': {
+    name: 'Pilot boat',
+    height: 8,
+    fixed: false,
+    bounds: { minX: -28, maxX: 32, minY: -72, maxY: 3 },
+    detail: { name: 'mast', size: 0.15 },
+    smoke: [],
+    parts: workboat('#1C2833')
+  },
+  'lighthouse': {
+    name: 'Lighthouse',
+    height: 30,
+    fixed: true,
+    bounds: { minX: -32, maxX: 32, minY: -72, maxY: 3 },
+    detail: { name: 'lantern', size: 3 },
+    smoke: [],
+    parts: [
+      { type: 'polygon', points: [[-30, 2], [30, 2], [22, -8], [4, -12], [-24, -10]], fill: '#5D6D7E' },
+      { type: 'polygon', points: [[-9, -8], [9, -8], [6, -56], [-6, -56]], fill: '#FDFEFE' },
+      { type: 'polygon', points: [[-8.25, -20], [8.25, -20], [7.75, -28], [-7.75, -28]], fill: '#C0392B' },
+      { type: 'polygon', points: [[-7, -40], [7, -40], [6.5, -48], [-6.5, -48]], fill: '#C0392B' },
+      { type: 'rect', x: -9, y: -58, width: 18, height: 2, fill: '#2C3E50' },
+      { type: 'rect', x: -4.5, y: -65, width: 9, height: 7, fill: '#F9E79F' },
+      { type: 'line', points: [[0, -65], [0, -58]], stroke: '#2C3E50', width: 0.6 },
+      { type: 'polygon', points: [[-5.5, -65], [5.5, -65], [0, -70]], fill: '#2C3E50' }
+    ]
+  },
+  'wind-turbine': {
+    name: 'Wind turbine',
+    height: 150,
+    fixed: true,
+    bounds: { minX: -28, maxX: 28, minY: -72, maxY: 3 },
+    detail: { name: 'blades', size: 3 },
+    smoke: [],
+    parts: [
+      { type: 'rect', x: -3.5, y: -4, width: 7, height: 6, fill: '#F1C40F' },
+      { type: 'polygon', points: [[-2.2, -4], [2.2, -4], [1.2, -42], [-1.2, -42]], fill: '#D0D3D4' },
+      { type: 'rect', x: -3, y: -44, width: 7, height: 3, fill: '#BFC9CA' },
+      blade(0, -42.5, 27.5, 0),
+      blade(0, -42.5, 27.5, 120),
+      blade(0, -42.5, 27.5, 240),
+      { type: 'ellipse', x: 0, y: -42.5, radiusX: 1.3, radiusY: 1.3, fill: '#BFC9CA' }
+    ]
+  },
+  'oil-rig': {
+    name: 'Oil rig',
+    height: 90,
+    fixed: true,
+    bounds: { minX: -40, maxX: 50, minY: -72, maxY: 3 },
+    detail: { name: 'derrick', size: 2 },
+    smoke: [],
+    parts: [
+      // Legs and bracing
+      ...[-30, -12, 12, 30].map(x => ({ type: 'rect', x: x - 1.5, y: -26, width: 3, height: 28, fill: '#B7950B' })),
+      { type: 'line', points: [[-30, -2], [-12, -24], [12, -2], [30, -24]], stroke: '#9A7D0A', width: 1 },
+      { type: 'line', points: [[-30, -24], [-12, -2], [12, -24], [30, -2]], stroke: '#9A7D0A', width: 1 },
+      // Deck and modules
+      { type: 'rect', x: -36, y: -33, width: 72, height: 7, fill: '#7F8C8D' },
+      { type: 'rect', x: -34, y: -42, width: 22, height: 9, fill: '#ECF0F1' },
+      { type: 'rect', x: 12, y: -40, width: 22, height: 7, fill: '#E67E22' },
+      { type: 'rect', x: -35, y: -44, width: 16, height: 2, fill: '#27AE60' },
+      // Derrick
+      { type: 'line', points: [[-6, -33], [-1.5, -70], [1.5, -70], [6, -33]], stroke: '#424949', width: 1 },
+      { type: 'line', points: [[-5, -40], [4.4, -46], [-3.8, -52], [3.2, -58], [-2.6, -64]], stroke: '#424949', width: 0.6 },
+      // Flare boom and crane
+      { type: 'line', points: [[34, -36], [48, -52]], stroke: '#424949', width: 1 },
+      { type: 'line', points: [[20, -40], [20, -50], [-4, -38]], stroke: '#424949', width: 0.8 }
+    ]
+  },
+  'island': {
+    name: 'Distant island / mountain',
+    height: 400,
+    fixed: true,
+    bounds: { minX: -155, maxX: 160, minY: -72, maxY: 3 },
+    detail: { name: 'ridge line', size: 20 },
+    smoke: [],
+    parts: [
+      {
+        type: 'polygon',
+        points: [
+          [-150, 2], [-120, -12], [-90, -28], [-60, -40], [-35, -62], [-20, -70], [-5, -64],
+          [15, -55], [40, -48], [70, -30], [100, -18], [130, -6], [158, 2]
+        ],
+        fill: '#5D6D7E'
+      },
+      {
+        type: 'polygon',
+        points: [[-110, 2], [-80, -10], [-50, -16], [-20, -22], [10, -18], [50, -12], [90, -4], [110, 2]],
+        fill: '#4D5B69'
+      }
+    ]
+  }
+};
+
+/**
+ * Finds a silhouette by id
+ * @param {string} id - Silhouette id (one of the keys of SILHOUETTES)
+ * @returns {Object} - Silhouette, the cargo ship when the id is unknown
+ */
+function getSilhouette(id) {
+  const silhouette = SILHOUETTES[id];
+  if (!silhouette) {
+    console.error(`Unknown silhouette "${id}"`);
+    return SILHOUETTES['cargo-ship'];
+  }
+  return silhouette;
+}
+
+/**
+ * Adds a silhouette, such as one imported from an SVG file, under a new id
+ * @param {string} id - Id the silhouette is found by
+ * @param {Object} silhouette - Silhouette (see parseSvgSilhouette)
+ */
+function registerSilhouette(id, silhouette) {
+  SILHOUETTES[id] = silhouette;
+}
+
+export {
+  SILHOUETTE_HEIGHT,
+  SHIP_COLORS,
+  SILHOUETTES,
+  getSilhouette,
+  registerSilhouette
+};
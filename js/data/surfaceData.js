@@ -11,13 +11,15 @@ import { EARTH_RADIUS } from '../math/constants.js';
  * @param {Object} options - Configuration options
  * @param {number[]} options.heightRange - Range of observer heights [min, max, step]
  * @param {number[]} options.refractionRange - Range of refraction factors [min, max, step]
+ * @param {number} options.earthRadius - Radius of the body in kilometers
  * @returns {Object} - Data for the surface plot
  */
 function generateHorizonSurfaceData(options = {}) {
   // Default options
   const {
     heightRange = [1, 100, 5],    // Observer height from 1m to 100m in steps of 5m
-    refractionRange = [1.0, 1.5, 0.05]  // Refraction from 1.0 to 1.5 in steps of 0.05
+    refractionRange = [1.0, 1.5, 0.05],  // Refraction from 1.0 to 1.5 in steps of 0.05
+    earthRadius = EARTH_RADIUS    // Mathematica notebook radius unless another body is chosen
   } = options;
   
   // Generate arrays for x (height) and y (refraction) axes
@@ -42,7 +44,7 @@ function generateHorizonSurfaceData(options = {}) {
     // For each height value (x-axis)
     for (let j = 0; j < heights.length; j++) {
       const height = heights[j];
-      const distance = calculateHorizonDistance(height, EARTH_RADIUS, refraction);
+      const distance = calculateHorizonDistance(height, earthRadius, refraction);
       row.push(parseFloat(distance.toFixed(2))); // Round to 2 decimal places
     }
     
@@ -62,6 +64,7 @@ function generateHorizonSurfaceData(options = {}) {
  * @param {number[]} options.observerHeightRange - Range of observer heights [min, max, step]
  * @param {number[]} options.objectHeightRange - Range of object heights [min, max, step]
  * @param {number} options.refractionFactor - Refraction factor to use
+ * @param {number} options.earthRadius - Radius of the body in kilometers
  * @returns {Object} - Data for the surface plot
  */
 function generateMaxVisibleDistanceSurfaceData(options = {}) {
@@ -69,7 +72,8 @@ function generateMaxVisibleDistanceSurfaceData(options = {}) {
   const {
     observerHeightRange = [1, 100, 5],  // Observer height from 1m to 100m in steps of 5m
     objectHeightRange = [5, 100, 5],    // Object height from 5m to 100m in steps of 5m
-    refractionFactor = 1.33             // Standard refraction
+    refractionFactor = 1.33,            // Standard refraction
+    earthRadius = EARTH_RADIUS          // Mathematica notebook radius unless another body is chosen
   } = options;
   
   // Generate arrays for x (observer height) and y (object height) axes
@@ -97,7 +101,7 @@ function generateMaxVisibleDistanceSurfaceData(options = {}) {
       const distance = calculateMaxVisibleDistance(
         observerHeight, 
         objectHeight, 
-        EARTH_RADIUS, 
+        earthRadius, 
         refractionFactor
       );
       row.push(parseFloat(distance.toFixed(2))); // Round to 2 decimal places
@@ -117,10 +121,11 @@ function generateMaxVisibleDistanceSurfaceData(options = {}) {
  * Gets the current position data for marking on the surface plot
  * @param {number} observerHeight - Current observer height
  * @param {number} refractionFactor - Current refraction factor
+ * @param {number} [earthRadius=EARTH_RADIUS] - Radius of the body in kilometers
  * @returns {Object} - Current position data
  */
-function getCurrentPositionData(observerHeight, refractionFactor) {
-  const distance = calculateHorizonDistance(observerHeight, EARTH_RADIUS, refractionFactor);
+function getCurrentPositionData(observerHeight, refractionFactor, earthRadius = EARTH_RADIUS) {
+  const distance = calculateHorizonDistance(observerHeight, earthRadius, refractionFactor);
   
   return {
     x: observerHeight,
@@ -0,0 +1,298 @@
+/**
+ * svgSilhouette.js
+ * Builds target silhouettes from SVG drawings for the Over The Horizon demonstration
+ *
+ * The paths, rectangles, circles, ellipses, lines and polygons of the drawing
+ * become 'path' parts of a silhouette (see silhouettes.js). The drawing is
+ * scaled so that the distance from the top of its viewBox down to the declared
+ * waterline is the real-world height of the target; anything below the
+ * waterline is under water and never drawn.
+ */
+
+import { SILHOUETTE_HEIGHT } from './silhouettes.js';
+
+// Elements that are drawn; everything else (defs, markers, text...) is skipped
+const SHAPE_ELEMENTS = ['path', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon'];
+
+// Elements whose children are drawn
+const CONTAINER_ELEMENTS = ['svg', 'g', 'a'];
+
+// Colour used for fills that refer to gradients or patterns
+const PAINT_SERVER_FALLBACK = '#7F8C8D';
+
+// Identity transform [a, b, c, d, e, f] (see multiplyTransforms)
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+/**
+ * Builds a silhouette from the text of an SVG file
+ * @param {string} text - SVG document
+ * @param {Object} params - Declared properties of the target
+ * @param {string} params.name - Name of the target
+ * @param {number} params.height - Real-world height from the waterline to the top in meters
+ * @param {number} [params.waterline=1] - Position of the waterline as a fraction of the
+ *   viewBox height, from the top (1 = bottom edge)
+ * @param {boolean} [params.fixed=false] - Whether the target stands on the seabed or land
+ * @returns {Object|null} - Silhouette, or null when the file holds nothing to draw
+ */
+function parseSvgSilhouette(text, { name, height, waterline = 1, fixed = false }) {
+  const documentElement = new DOMParser().parseFromString(text, 'image/svg+xml').documentElement;
+  if (!documentElement || documentElement.localName !== 'svg') {
+    console.error(`"${name}" is not an SVG document`);
+    return null;
+  }
+
+  const viewBox = readViewBox(documentElement);
+  if (!viewBox) {
+    console.error(`"${name}" has neither a viewBox nor a width and height`);
+    return null;
+  }
+  if (!(height > 0) || !(waterline > 0)) {
+    console.error(`"${name}" needs a positive height and a waterline below the top of the drawing`);
+    return null;
+  }
+
+  // Drawing units to local silhouette units, centred on the viewBox with the waterline at y = 0
+  const waterlineY = viewBox.y + waterline * viewBox.height;
+  const scale = SILHOUETTE_HEIGHT / (waterline * viewBox.height);
+  const toLocal = [scale, 0, 0, scale, -(viewBox.x + viewBox.width / 2) * scale, -waterlineY * scale];
+
+  const parts = [];
+  collectParts(documentElement, { fill: '#000000', stroke: null, width: 1, fillRule: 'nonzero' }, toLocal, parts);
+  if (parts.length === 0) {
+    console.error(`"${name}" contains no shapes`);
+    return null;
+  }
+
+  const halfWidth = viewBox.width / 2 * scale;
+  return {
+    name,
+    height,
+    fixed,
+    bounds: { minX: -halfWidth, maxX: halfWidth, minY: -SILHOUETTE_HEIGHT, maxY: 0 },
+    detail: { name: 'outline', size: height / 100 },
+    smoke: [],
+    parts
+  };
+}
+
+/**
+ * Reads the drawing area of an SVG element
+ * @param {Element} svg - Root svg element
+ * @returns {Object|null} - Drawing area {x, y, width, height} in drawing units
+ */
+function readViewBox(svg) {
+  const values = (svg.getAttribute('viewBox') || '').trim().split(/[\s,]+/).map(Number);
+  if (values.length === 4 && values.every(isFinite) && values[2] > 0 && values[3] > 0) {
+    return { x: values[0], y: values[1], width: values[2], height: values[3] };
+  }
+
+  const width = parseFloat(svg.getAttribute('width'));
+  const height = parseFloat(svg.getAttribute('height'));
+  if (width > 0 && height > 0) {
+    return { x: 0, y: 0, width, height };
+  }
+  return null;
+}
+
+/**
+ * Turns the shapes below an element into silhouette parts
+ * @param {Element} element - Element to visit
+ * @param {Object} inherited - Presentation inherited from the parents {fill, stroke, width, fillRule}
+ * @param {number[]} transform - Transform from the element's parent to local silhouette units
+ * @param {Object[]} parts - Parts found so far, added to in document order
+ */
+function collectParts(element, inherited, transform, parts) {
+  const tag = element.localName;
+  if (!SHAPE_ELEMENTS.includes(tag) && !CONTAINER_ELEMENTS.includes(tag)) {
+    return;
+  }
+
+  const style = readPresentation(element, inherited);
+  if (style.hidden) {
+    return;
+  }
+  const matrix = multiplyTransforms(transform, parseTransform(element.getAttribute('transform')));
+
+  if (CONTAINER_ELEMENTS.includes(tag)) {
+    Array.from(element.children).forEach(child => collectParts(child, style, matrix, parts));
+    return;
+  }
+
+  const d = shapeToPathData(element);
+  if (!d || (!style.fill && !style.stroke)) {
+    return;
+  }
+  parts.push({
+    type: 'path',
+    d,
+    matrix,
+    fill: style.fill,
+    fillRule: style.fillRule,
+    stroke: style.stroke,
+    width: style.width
+  });
+}
+
+/**
+ * Reads the fill and stroke of an element from its attributes and style
+ * @param {Element} element - Element
+ * @param {Object} inherited - Presentation of the parent
+ * @returns {Object} - Presentation {fill, stroke, width, fillRule, hidden}; null paints mean none
+ */
+function readPresentation(element, inherited) {
+  const declarations = {};
+  (element.getAttribute('style') || '').split(';').forEach(declaration => {
+    const [property, value] = declaration.split(':').map(part => part && part.trim());
+    if (property && value) {
+      declarations[property] = value;
+    }
+  });
+  const read = property => declarations[property] ?? element.getAttribute(property);
+
+  const width = parseFloat(read('stroke-width'));
+  return {
+    fill: readPaint(read('fill'), inherited.fill),
+    stroke: readPaint(read('stroke'), inherited.stroke),
+    width: isFinite(width) ? width : inherited.width,
+    fillRule: read('fill-rule') || inherited.fillRule,
+    hidden: read('display') === 'none' || read('visibility') === 'hidden'
+  };
+}
+
+/**
+ * Resolves a fill or stroke value into a canvas colour
+ * @param {string|null} value - Value of the fill or stroke property
+ * @param {string|null} inherited - Paint of the parent
+ * @returns {string|null} - Colour, or null for none
+ */
+function readPaint(value, inherited) {
+  if (value === null || value === undefined || value === 'inherit') {
+    return inherited;
+  }
+  if (value === 'none' || value === 'transparent') {
+    return null;
+  }
+  if (value.startsWith('url(')) {
+    return PAINT_SERVER_FALLBACK;
+  }
+  return value === 'currentColor' ? '#000000' : value;
+}
+
+/**
+ * Converts a basic shape element into SVG path data
+ * @param {Element} element - path, rect, circle, ellipse, line, polyline or polygon element
+ * @returns {string|null} - Path data, or null when the shape is empty
+ */
+function shapeToPathData(element) {
+  const number = name => parseFloat(element.getAttribute(name)) || 0;
+
+  switch (element.localName) {
+    case 'path':
+      return element.getAttribute('d');
+    case 'rect': {
+      const x = number('x');
+      const y = number('y');
+      const width = number('width');
+      const height = number('height');
+      return width > 0 && height > 0 ? `M ${x} ${y} H ${x + width} V ${y + height} H ${x} Z` : null;
+    }
+    case 'circle':
+    case 'ellipse': {
+      const cx = number('cx');
+      const cy = number('cy');
+      const rx = element.localName === 'circle' ? number('r') : number('rx');
+      const ry = element.localName === 'circle' ? number('r') : number('ry');
+      if (rx <= 0 || ry <= 0) {
+        return null;
+      }
+      return `M ${cx - rx} ${cy} A ${rx} ${ry} 0 1 0 ${cx + rx} ${cy} A ${rx} ${ry} 0 1 0 ${cx - rx} ${cy} Z`;
+    }
+    case 'line':
+      return `M ${number('x1')} ${number('y1')} L ${number('x2')} ${number('y2')}`;
+    case 'polyline':
+    case 'polygon': {
+      const points = (element.getAttribute('points') || '').trim();
+      if (!points) {
+        return null;
+      }
+      return `M ${points}${element.localName === 'polygon' ? ' Z' : ''}`;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Parses an SVG transform attribute
+ * @param {string|null} text - Transform list, e.g. "translate(10 20) scale(2)"
+ * @returns {number[]} - Combined transform [a, b, c, d, e, f]
+ */
+function parseTransform(text) {
+  let matrix = IDENTITY;
+  if (!text) {
+    return matrix;
+  }
+
+  const pattern = /(\w+)\s*\(([^)]*)\)/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const [name, argumentText] = [match[1], match[2]];
+    const args = argumentText.trim().split(/[\s,]+/).map(Number);
+    let step;
+
+    switch (name) {
+      case 'matrix':
+        step = args.slice(0, 6);
+        break;
+      case 'translate':
+        step = [1, 0, 0, 1, args[0], args[1] || 0];
+        break;
+      case 'scale':
+        step = [args[0], 0, 0, args[1] ?? args[0], 0, 0];
+        break;
+      case 'rotate': {
+        const angle = args[0] * Math.PI / 180;
+        const [cx, cy] = [args[1] || 0, args[2] || 0];
+        const rotation = [Math.cos(angle), Math.sin(angle), -Math.sin(angle), Math.cos(angle), 0, 0];
+        step = multiplyTransforms([1, 0, 0, 1, cx, cy], multiplyTransforms(rotation, [1, 0, 0, 1, -cx, -cy]));
+        break;
+      }
+      case 'skewX':
+        step = [1, 0, Math.tan(args[0] * Math.PI / 180), 1, 0, 0];
+        break;
+      case 'skewY':
+        step = [1, Math.tan(args[0] * Math.PI / 180), 0, 1, 0, 0];
+        break;
+      default:
+        console.error(`Ignoring unknown SVG transform "${name}"`);
+        continue;
+    }
+    matrix = multiplyTransforms(matrix, step);
+  }
+
+  return matrix;
+}
+
+/**
+ * Multiplies two 2D affine transforms given as [a, b, c, d, e, f]
+ * (the matrix [[a, c, e], [b, d, f], [0, 0, 1]], as in CanvasRenderingContext2D.transform)
+ * @param {number[]} first - Transform applied last
+ * @param {number[]} second - Transform applied first
+ * @returns {number[]} - Combined transform
+ */
+function multiplyTransforms(first, second) {
+  const [a1, b1, c1, d1, e1, f1] = first;
+  const [a2, b2, c2, d2, e2, f2] = second;
+  return [
+    a1 * a2 + c1 * b2,
+    b1 * a2 + d1 * b2,
+    a1 * c2 + c1 * d2,
+    b1 * c2 + d1 * d2,
+    a1 * e2 + c1 * f2 + e1,
+    b1 * e2 + d1 * f2 + f1
+  ];
+}
+
+export {
+  parseSvgSilhouette
+};
@@ -0,0 +1,264 @@
+/**
+ * timeline.js
+ * Keyframe timelines for the Over The Horizon demonstration
+ *
+ * A timeline scripts a demonstration: each track moves one field of the
+ * state through its keyframes, and captions narrate what happens.
+ *
+ *   {
+ *     name, mode: 'once' | 'loop' | 'ping-pong',
+ *     tracks: [{ field, keyframes: [{ time, value, easing }] }],
+ *     captions: [{ time, text }]
+ *   }
+ *
+ * Times are in seconds from the start. Between two keyframes the value moves
+ * with the easing of the later one; before the first and after the last it
+ * holds. A caption is shown from its time until the next one.
+ */
+
+// Fields of the state that timelines can move: name, unit and the range of the
+// slider that shows them. The refraction factor has no slider; its range runs
+// from half the Earth's curvature to the largest k of the refraction models.
+const TIMELINE_FIELDS = {
+  'observerElevation': { name: 'Observer height', unit: 'm', min: 1, max: 100 },
+  'shipElevation': { name: 'Ship height', unit: 'm', min: 5, max: 400 },
+  'shipDistance': { name: 'Ship distance', unit: 'km', min: 0, max: 50 },
+  'shipBearing': { name: 'Ship bearing', unit: '°', min: -30, max: 30 },
+  'refractionFactor': { name: 'Refraction factor k', unit: '', min: 0.5, max: 20 },
+  'meteorologicalVisibility': { name: 'Visibility', unit: 'km', min: 5, max: 50 },
+  'significantWaveHeight': { name: 'Wave height', unit: 'm', min: 0, max: 16 },
+  'tideTime': { name: 'Tide time', unit: 'h', min: 0, max: 24 },
+  'optics.magnification': { name: 'Telescope magnification', unit: 'x', min: 1, max: 60 },
+  'optics.fieldOfView': { name: 'Telescope field of view', unit: '°', min: 0.5, max: 10 },
+  'camera.fieldOfView': { name: 'Camera field of view', unit: '°', min: 0.5, max: 90 },
+  'camera.pitch': { name: 'Camera tilt', unit: '°', min: -5, max: 5 },
+  'camera.heading': { name: 'Camera pan', unit: '°', min: -45, max: 45 }
+};
+
+// Easing functions: fraction of the way between two keyframes for the fraction of the time
+const EASINGS = {
+  'linear': p => p,
+  'ease-in': p => p * p,
+  'ease-out': p => p * (2 - p),
+  'ease-in-out': p => p * p * (3 - 2 * p),
+  // Holds the earlier value and jumps at the later keyframe
+  'step': p => (p < 1 ? 0 : 1)
+};
+
+// What happens at the end of a timeline
+const PLAYBACK_MODES = {
+  'once': 'Play once',
+  'loop': 'Loop',
+  'ping-pong': 'Back and forth'
+};
+
+// Longest caption accepted, in characters
+const MAX_CAPTION_LENGTH = 300;
+
+// Timelines that come with the demonstration
+const TIMELINE_PRESETS = {
+  'lighthouse-climb': {
+    name: 'Climb the lighthouse and watch the ship reappear',
+    mode: 'once',
+    tracks: [
+      { field: 'shipDistance', keyframes: [{ time: 0, value: 25 }] },
+      { field: 'observerElevation', keyframes: [{ time: 2, value: 2 }, { time: 20, value: 30, easing: 'ease-in-out' }] }
+    ],
+    captions: [
+      { time: 0, text: 'On the beach, 2 m above the sea, the hull of a ship 25 km away is below the horizon.' },
+      { time: 6, text: 'Climbing the lighthouse pushes the horizon farther out...' },
+      { time: 14, text: '...and the ship rises back into view from the waterline up.' },
+      { time: 20, text: 'From the gallery at 30 m the whole ship can be seen.' }
+    ]
+  },
+  'sail-away': {
+    name: 'Ship sails over the horizon',
+    mode: 'ping-pong',
+    tracks: [
+      { field: 'shipDistance', keyframes: [{ time: 0, value: 0 }, { time: 20, value: 40 }] }
+    ],
+    captions: [
+      { time: 0, text: 'The ship leaves harbour.' },
+      { time: 8, text: 'Past the horizon the hull disappears first.' },
+      { time: 15, text: 'Only the masts and funnel are left above the horizon.' }
+    ]
+  },
+  'refraction-drift': {
+    name: 'Refraction drifting during the day',
+    mode: 'ping-pong',
+    tracks: [
+      { field: 'shipDistance', keyframes: [{ time: 0, value: 20 }] },
+      { field: 'refractionFactor', keyframes: [{ time: 0, value: 1 }, { time: 15, value: 1.5, easing: 'ease-in-out' }] }
+    ],
+    captions: [
+      { time: 0, text: 'Without refraction light travels in straight lines.' },
+      { time: 7, text: 'As the air over the sea cools, rays bend with the Earth and lift the ship into view.' }
+    ]
+  },
+  'telescope-zoom': {
+    name: 'Zoom in on the horizon',
+    mode: 'once',
+    tracks: [
+      { field: 'shipDistance', keyframes: [{ time: 0, value: 30 }] },
+      { field: 'optics.magnification', keyframes: [{ time: 0, value: 7 }, { time: 10, value: 60, easing: 'ease-in' }] }
+    ],
+    captions: [
+      { time: 0, text: 'Magnifying the ship makes it bigger, but brings nothing back from below the horizon.' }
+    ]
+  }
+};
+
+/**
+ * Checks a timeline against the schema
+ * Keyframes and captions are put in order of time and easings default to linear.
+ * Keyframe values are limited to the range of their field, as the sliders limit them.
+ * @param {Object} data - Timeline
+ * @returns {Object|null} - Timeline, or null when it is not valid
+ */
+function validateTimeline(data) {
+  const invalid = message => {
+    console.error(`Invalid timeline: ${message}`);
+    return null;
+  };
+  const isTime = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+  if (!data || typeof data !== 'object') {
+    return invalid('not an object');
+  }
+
+  const { name = 'Custom timeline', mode = 'once', tracks, captions = [] } = data;
+  if (typeof name !== 'string') {
+    return invalid('the name must be text');
+  }
+  if (!Object.hasOwn(PLAYBACK_MODES, mode)) {
+    return invalid(`unknown playback mode "${mode}"`);
+  }
+  if (!Array.isArray(tracks) || tracks.length === 0) {
+    return invalid('there must be at least one track');
+  }
+
+  for (const track of tracks) {
+    if (!Object.hasOwn(TIMELINE_FIELDS, track?.field)) {
+      return invalid(`"${track?.field}" is not a field that can be animated`);
+    }
+    if (!Array.isArray(track.keyframes) || track.keyframes.length === 0) {
+      return invalid(`the ${track.field} track needs at least one keyframe`);
+    }
+    for (const keyframe of track.keyframes) {
+      if (!isTime(keyframe?.time) || typeof keyframe.value !== 'number' || !Number.isFinite(keyframe.value)) {
+        return invalid(`the ${track.field} track has a keyframe without a time of at least 0 s and a value`);
+      }
+      if (keyframe.easing !== undefined && !Object.hasOwn(EASINGS, keyframe.easing)) {
+        return invalid(`unknown easing "${keyframe.easing}"`);
+      }
+    }
+  }
+
+  if (!Array.isArray(captions) || !captions.every(caption => isTime(caption?.time) && typeof caption.text === 'string' && caption.text.length <= MAX_CAPTION_LENGTH)) {
+    return invalid(`captions need a time of at least 0 s and a text of at most ${MAX_CAPTION_LENGTH} characters`);
+  }
+
+  const byTime = (a, b) => a.time - b.time;
+  return {
+    name,
+    mode,
+    tracks: tracks.map(({ field, keyframes }) => ({
+      field,
+      keyframes: keyframes.map(({ time, value, easing = 'linear' }) => ({
+        time,
+        value: Math.min(Math.max(value, TIMELINE_FIELDS[field].min), TIMELINE_FIELDS[field].max),
+        easing
+      })).sort(byTime)
+    })),
+    captions: captions.map(({ time, text }) => ({ time, text })).sort(byTime)
+  };
+}
+
+/**
+ * Finds how long a timeline runs
+ * @param {Object} timeline - Valid timeline
+ * @returns {number} - Time of the last keyframe or caption in seconds
+ */
+function getTimelineDuration(timeline) {
+  const times = [
+    ...timeline.tracks.flatMap(track => track.keyframes.map(keyframe => keyframe.time)),
+    ...timeline.captions.map(caption => caption.time)
+  ];
+  return Math.max(0, ...times);
+}
+
+/**
+ * Calculates the value of every track at a moment
+ * @param {Object} timeline - Valid timeline
+ * @param {number} time - Time from the start in seconds
+ * @returns {Object} - Values by field
+ */
+function sampleTimeline(timeline, time) {
+  const values = {};
+  timeline.tracks.forEach(({ field, keyframes }) => {
+    const next = keyframes.findIndex(keyframe => keyframe.time > time);
+    if (next === -1) {
+      values[field] = keyframes[keyframes.length - 1].value;
+    } else if (next === 0) {
+      values[field] = keyframes[0].value;
+    } else {
+      const from = keyframes[next - 1];
+      const to = keyframes[next];
+      const progress = EASINGS[to.easing]((time - from.time) / (to.time - from.time));
+      values[field] = from.value + (to.value - from.value) * progress;
+    }
+  });
+  return values;
+}
+
+/**
+ * Finds the caption shown at a moment
+ * @param {Object} timeline - Valid timeline
+ * @param {number} time - Time from the start in seconds
+ * @returns {string} - Text of the last caption that has started, or '' before the first
+ */
+function getTimelineCaption(timeline, time) {
+  const started = timeline.captions.filter(caption => caption.time <= time);
+  return started.length > 0 ? started[started.length - 1].text : '';
+}
+
+/**
+ * Moves a playhead along a timeline, handling its end as the playback mode says
+ * @param {Object} playhead - Position {time, direction} with direction 1 (forwards) or -1
+ * @param {number} duration - Length of the timeline in seconds
+ * @param {string} mode - Playback mode (one of the keys of PLAYBACK_MODES)
+ * @param {number} deltaTime - Time to move by in seconds
+ * @returns {Object} - New position {time, direction, finished}, finished when a timeline played once has ended
+ */
+function advancePlayhead({ time, direction }, duration, mode, deltaTime) {
+  if (duration <= 0) {
+    return { time: 0, direction, finished: mode === 'once' };
+  }
+
+  let next = time + deltaTime * direction;
+  if (mode === 'loop') {
+    next = ((next % duration) + duration) % duration;
+    return { time: next, direction, finished: false };
+  }
+  if (mode === 'ping-pong') {
+    // Reflect off either end, as many times as the step spans
+    while (next > duration || next < 0) {
+      next = next > duration ? 2 * duration - next : -next;
+      direction = -direction;
+    }
+    return { time: next, direction, finished: false };
+  }
+  return { time: Math.min(Math.max(next, 0), duration), direction, finished: next >= duration };
+}
+
+export {
+  TIMELINE_FIELDS,
+  EASINGS,
+  PLAYBACK_MODES,
+  TIMELINE_PRESETS,
+  validateTimeline,
+  getTimelineDuration,
+  sampleTimeline,
+  getTimelineCaption,
+  advancePlayhead
+};
@@ -8,36 +8,122 @@ import './ui/canvas-patch.js';
 
 import { setupCanvas } from './rendering/canvas.js';
 import { renderNormalView } from './rendering/normalView.js';
-import { drawTelescopeView, renderShipInTelescopeView, TELESCOPE_CONSTANTS } from './rendering/telescopeView.js';
-import { setupControls } from './ui/controls.js';
-import { AnimationController } from './ui/animation.js';
-import { updateSmoke } from './rendering/ship.js';
+import { drawTelescopeView } from './rendering/telescopeView.js';
+import { analyseTerrain } from './rendering/terrainView.js';
+import { drawMapView } from './rendering/mapView.js';
+import { drawChartView } from './rendering/chartView.js';
+import { drawCrossSectionView } from './rendering/crossSectionView.js';
+import {
+  setupControls,
+  readRefractionControls,
+  readBodyControls,
+  syncTideHeights,
+  syncTrackedVessel,
+  placeTrackedVessel,
+  syncGeographicPositions,
+  updateFleetList
+} from './ui/controls.js';
+import { AnimationController, WaveAnimationController } from './ui/animation.js';
+import { getDefaultValue, restoreUrlState, updateUrlState } from './ui/urlState.js';
+import { setupScenarioControls } from './ui/scenarioControls.js';
+import { setupTimelineControls, updateTimelineDisplay } from './ui/timelineControls.js';
+import { setupKinematicsControls, updateKinematicsDisplay } from './ui/kinematicsControls.js';
+import { setupExportControls } from './ui/exportControls.js';
+import { updateSmoke, calculateMirageScanlines } from './rendering/ship.js';
 import { 
   DEFAULT_OBSERVER_HEIGHT, 
   DEFAULT_SHIP_HEIGHT,
   DEFAULT_REFRACTION_FACTOR,
   EARTH_RADIUS
 } from './math/constants.js';
-import { calculateMaxVisibleDistance, calculateHorizonDistance, calculateTelescopeVisibilityThreshold } from './math/horizon.js';
+import {
+  calculateMaxVisibleDistance,
+  calculateHorizonDistance,
+  calculateElevationAngle,
+  calculateAngularMeasurements
+} from './math/horizon.js';
+import { calculateContrastTransmittance } from './math/haze.js';
+import { createRefractionModel } from './math/refraction.js';
+import { createBodyModel, getEffectiveRefraction } from './math/bodies.js';
+import { CAMERA_DEFAULTS } from './math/camera.js';
+import { createOpticsModel } from './math/optics.js';
+import { createTideModel } from './math/tide.js';
+import { createVessel } from './data/fleet.js';
+import { getSilhouette } from './data/silhouettes.js';
 import { createHorizonSurfacePlot } from './ui/surfacePlot.js';
+import { generateHorizonSurfaceData } from './data/surfaceData.js';
+
+// The vessel the sliders control when the page loads
+const initialVessel = createVessel('cargo-ship', { elevation: DEFAULT_SHIP_HEIGHT });
 
 // Application state
 const state = {
-  observerHeight: DEFAULT_OBSERVER_HEIGHT,
-  shipHeight: DEFAULT_SHIP_HEIGHT,
+  observerHeight: DEFAULT_OBSERVER_HEIGHT, // Height above the current water level in meters
+  shipHeight: DEFAULT_SHIP_HEIGHT, // Height above the current water level in meters
+  observerElevation: DEFAULT_OBSERVER_HEIGHT, // Height in meters above datums.observer
+  shipElevation: DEFAULT_SHIP_HEIGHT, // Height in meters above datums.ship
+  datums: { observer: 'mean-sea-level', ship: 'water-level' },
+  tide: createTideModel('none'),
+  tideTime: 0, // Hours since the start of the tide curve
+  waterLevel: 0, // Height of the water above chart datum in meters at tideTime
+  tideAnimationEnabled: false,
   shipDistance: 0,
+  shipBearing: 0, // Degrees right of the line of sight
+  shipSpeed: 15, // Speed of the animated ship in knots
+  shipHeading: 0, // Course of the animated ship in degrees right of the line of sight (0 = straight away)
+  clock: { rate: 600, elapsed: 0 }, // Simulated seconds per second of animation, and simulated seconds passed
+  observerMotion: { // How the observer climbs or sails; see kinematicsControls.js
+    mode: 'fixed',
+    direction: 1,
+    speed: 12, // Knots of the observer's ship
+    heading: 0, // Course of the observer's ship in degrees right of the line of sight
+    fromDock: { distance: 0, bearing: 0 }
+  },
+  fleet: [initialVessel], // All vessels; the ship values above are those of the tracked one
+  trackedVesselId: initialVessel.id, // Vessel followed by the sliders, readouts and telescope
+  terrain: null, // Elevation profile {name, bearing, points} of distant land, loaded from a file
+  geographic: { // Observer and targets placed by latitude and longitude; heading is the compass direction of the line of sight
+    enabled: false,
+    observer: { latitude: 51.1279, longitude: 1.3134 },
+    heading: 145
+  },
   maxDistance: calculateMaxVisibleDistance(DEFAULT_OBSERVER_HEIGHT, DEFAULT_SHIP_HEIGHT, undefined, DEFAULT_REFRACTION_FACTOR), // Calculated dynamically
   telescopeEnabled: true, // Enable telescope view by default
+  optics: createOpticsModel('spotting-scope-20x'), // Instrument used for the telescope view
+  mirageEnabled: false, // Ray-trace the ship image instead of the closed-form sinking
+  comparisonEnabled: false, // Show the globe and a flat plane side by side
+  chartEnabled: true, // Show the plan chart of the visibility ranges
+  crossSectionEnabled: false, // Show the cross-section of the Earth along the line of sight
+  crossSectionExaggeration: 100, // Factor heights are stretched by in the cross-section
+  cameraEnabled: false, // Project the normal view through a physical camera
+  anglesEnabled: false, // Overlay dip and ship angles
+  meteorologicalVisibility: Infinity, // Distance in km at which haze hides a dark object (Infinity = clear air)
+  significantWaveHeight: 0, // Significant wave height of the sea in meters
+  crestHeight: 0, // Height of the wave crests above mean sea level in meters
+  waveTime: 0, // Time in seconds that the waves have been moving
+  camera: {
+    fieldOfView: CAMERA_DEFAULTS.FIELD_OF_VIEW,
+    pitch: CAMERA_DEFAULTS.PITCH,
+    heading: CAMERA_DEFAULTS.HEADING
+  },
   animationEnabled: false,
-  refractionFactor: DEFAULT_REFRACTION_FACTOR
+  timeline: { script: null, time: 0, direction: 1, playing: false }, // Keyframe timeline being played, and its playhead in seconds
+  refractionFactor: DEFAULT_REFRACTION_FACTOR, // k value of refractionModel at the observer height
+  refractionModel: createRefractionModel('constant', { k: DEFAULT_REFRACTION_FACTOR }),
+  earthRadius: EARTH_RADIUS, // Radius of curvature of bodyModel along the line of sight
+  bodyModel: createBodyModel('earth-notebook')
 };
 
 // Canvas contexts
 let mainCtx;
 let telescopeCtx;
+let mapCtx;
+let chartCtx;
+let crossSectionCtx;
 
-// Animation controller
+// Animation controllers
 let animationController;
+let waveAnimationController;
 
 // Surface plot instance
 let surfacePlot = null;
@@ -47,6 +133,7 @@ const observerHeightSlider = document.getElementById('observer-height-slider');
 const shipHeightSlider = document.getElementById('ship-height-slider');
 const shipDistanceSlider = document.getElementById('ship-distance-slider');
 const refractionControl = document.getElementById('refraction-control');
+const bodyControl = document.getElementById('body-control');
 const telescopeToggle = document.getElementById('telescope-toggle');
 const animationToggle = document.getElementById('animation-toggle');
 const resetButton = document.getElementById('reset-button');
@@ -106,15 +193,23 @@ function updateSurfacePlot() {
   if (surfacePlot) {
     surfacePlot.updateCurrentPositionMarker(
       state.observerHeight,
-      state.refractionFactor
+      state.refractionFactor,
+      state.earthRadius
     );
   }
 }
 
+// Regenerate the surface for the radius of the selected body
+function updateSurfacePlotData() {
+  if (surfacePlot) {
+    surfacePlot.updatePlotData(generateHorizonSurfaceData({ earthRadius: state.earthRadius }));
+  }
+}
+
 // Update the display values
 function updateDisplayValues() {
-  observerHeightValue.textContent = `${state.observerHeight} m`;
-  shipHeightValue.textContent = `${state.shipHeight} m`;
+  observerHeightValue.textContent = `${state.observerElevation} m`;
+  shipHeightValue.textContent = `${state.shipElevation} m`;
   shipDistanceValue.textContent = `${state.shipDistance.toFixed(1)} km`;
 }
 
@@ -126,13 +221,15 @@ function updateViews() {
 
 // Event listeners
 observerHeightSlider.addEventListener('input', () => {
-  state.observerHeight = parseFloat(observerHeightSlider.value);
+  state.observerElevation = parseFloat(observerHeightSlider.value);
+  syncTideHeights(state);
   updateDisplayValues();
   updateViews();
 });
 
 shipHeightSlider.addEventListener('input', () => {
-  state.shipHeight = parseFloat(shipHeightSlider.value);
+  state.shipElevation = parseFloat(shipHeightSlider.value);
+  syncTideHeights(state);
   updateDisplayValues();
   updateViews();
 });
@@ -144,10 +241,25 @@ shipDistanceSlider.addEventListener('input', () => {
 });
 
 refractionControl.addEventListener('change', () => {
-  state.refractionFactor = parseFloat(refractionControl.value);
+  readRefractionControls(state);
+  updateViews();
+});
+
+bodyControl.addEventListener('change', () => {
+  readBodyControls(state);
+  updateSurfacePlotData();
   updateViews();
 });
 
+// Latitude and bearing change the ellipsoid's radius of curvature
+['latitude-slider', 'bearing-slider'].forEach(id => {
+  document.getElementById(id).addEventListener('input', () => {
+    readBodyControls(state);
+    updateSurfacePlotData();
+    updateViews();
+  });
+});
+
 telescopeToggle.addEventListener('change', () => {
   state.telescopeEnabled = telescopeToggle.checked;
   telescopeViewContainer.style.display = state.telescopeEnabled ? 'block' : 'none';
@@ -167,11 +279,10 @@ resetButton.addEventListener('click', () => {
   // Save the current telescope state before resetting
   const currentTelescopeEnabled = telescopeToggle.checked;
   
-  // Reset all controls to their default values except telescope toggle
-  observerHeightSlider.value = 2;
-  shipHeightSlider.value = 50;
-  shipDistanceSlider.value = 0;
-  refractionControl.value = 1.33;
+  // Reset all controls to their default values in the page except telescope toggle
+  [observerHeightSlider, shipHeightSlider, shipDistanceSlider, refractionControl].forEach(control => {
+    control.value = getDefaultValue(control);
+  });
   // Preserve telescope toggle state
   telescopeToggle.checked = currentTelescopeEnabled;
   animationToggle.checked = false;
@@ -182,16 +293,21 @@ resetButton.addEventListener('click', () => {
   }
   
   // Update state with preserved telescope setting
-  state.observerHeight = 2;
-  state.shipHeight = 50;
-  state.shipDistance = 0;
-  state.refractionFactor = 1.33;
+  state.observerElevation = parseFloat(observerHeightSlider.value);
+  state.shipElevation = parseFloat(shipHeightSlider.value);
+  state.shipDistance = parseFloat(shipDistanceSlider.value);
+  readRefractionControls(state);
+  syncTideHeights(state);
   state.telescopeEnabled = currentTelescopeEnabled;
   state.animationEnabled = false;
+  state.timeline.playing = false;
+  state.clock.elapsed = 0;
+  state.observerMotion.fromDock = { distance: 0, bearing: 0 };
   
   // Update UI
   telescopeViewContainer.style.display = currentTelescopeEnabled ? 'block' : 'none';
   updateDisplayValues();
+  updateTimelineDisplay(state);
   updateViews();
   
   // Notify state change to trigger rendering
@@ -220,11 +336,45 @@ function init() {
     return;
   }
   
+  // Set up plan chart canvas
+  const chartCanvas = setupCanvas('chart-view', 300, 300);
+  if (chartCanvas) {
+    chartCtx = chartCanvas.ctx;
+  }
+  
+  // Set up map canvas for the geographic mode
+  const mapCanvas = setupCanvas('map-view', 300, 300);
+  if (mapCanvas) {
+    mapCtx = mapCanvas.ctx;
+  }
+  
+  // Set up cross-section canvas
+  const crossSectionCanvas = setupCanvas('cross-section-view', 800, 260);
+  if (crossSectionCanvas) {
+    crossSectionCtx = crossSectionCanvas.ctx;
+  }
+  
   // Set up UI controls
   setupControls(state, handleStateChange);
   
   // Create animation controller
   animationController = new AnimationController(state, handleStateChange);
+  waveAnimationController = new WaveAnimationController(state, render);
+  
+  // Set up the speed and course of the animated ship and the simulated clock
+  setupKinematicsControls(state, handleStateChange);
+  
+  // Set up the keyframe timelines
+  setupTimelineControls(state, handleStateChange);
+  
+  // Set up the scenario presets, saving and files
+  setupScenarioControls(state, handleStateChange);
+  
+  // Set up the export of clips, which steps the animation frame by frame
+  setupExportControls(state, [animationController, waveAnimationController], handleStateChange);
+  
+  // Set up the demonstration as a shared link describes it
+  restoreUrlState(state);
   
   // Initial render
   render();
@@ -250,10 +400,28 @@ function init() {
  * @param {Object} newState - Updated state
  */
 function handleStateChange(newState) {
+  // Geographic positions decide the distances and bearings of the targets placed by them,
+  // after the tracked vessel has moved to any distance or bearing the sliders or the timeline set
+  placeTrackedVessel(newState);
+  syncGeographicPositions(newState);
+  
+  // Keep the tracked vessel of the fleet in step with the ship sliders
+  syncTrackedVessel(newState);
+  updateFleetList(newState);
+  
   // Update animation controller
   if (animationController) {
     animationController.updateState(newState);
   }
+  if (waveAnimationController) {
+    waveAnimationController.updateState(newState);
+  }
+  
+  // The clock and the predicted passage follow every move of the ship and the observer
+  updateKinematicsDisplay(newState);
+  
+  // Keep the link to the page in step with the settings
+  updateUrlState(newState);
   
   // Render with new state
   render();
@@ -281,81 +449,89 @@ function render() {
   // Update smoke animation
   updateSmoke();
   
+  // What can be seen of the terrain, worked out once for every view; the flat
+  // plane is only shown beside the globe
+  const terrain = {
+    globe: analyseTerrain(state, false),
+    flat: state.comparisonEnabled ? analyseTerrain(state, true) : null
+  };
+  
   // Render normal view
-  renderNormalView(mainCtx, state);
+  renderNormalView(mainCtx, state, terrain);
+  
+  // Render the plan chart
+  if (state.chartEnabled && chartCtx) {
+    drawChartView(chartCtx, state);
+  }
+  
+  // Render the map of the geographic mode
+  if (state.geographic.enabled && mapCtx) {
+    drawMapView(mapCtx, state);
+  }
+  
+  // Render the cross-section diagram
+  if (state.crossSectionEnabled && crossSectionCtx) {
+    drawCrossSectionView(crossSectionCtx, state, state.crossSectionExaggeration);
+  }
   
   // Render telescope view if enabled
   if (state.telescopeEnabled) {
-    // Calculate ship parameters for telescope view
-    const horizonDistance = calculateHorizonDistance(state.observerHeight, undefined, state.refractionFactor);
-    const maxVisibleDistance = calculateMaxVisibleDistance(state.observerHeight, state.shipHeight, undefined, state.refractionFactor);
-    
-    // Base scale calculation
-    const baseScale = Math.sqrt(state.shipHeight / 50);
-    
-    // Calculate ship position, scale, and sinking amount
-    let shipScale, sinkAmount;
-    
-    // Calculate telescope visibility factor (0-1)
-    // Instead of a fixed percentage, use the new function that takes ship height into account
-    const visibilityStartDistance = calculateTelescopeVisibilityThreshold(
+    // Angles of the ship, which place and size it in the eyepiece; like the mirage
+    // fan, it is kept a little way off so that it never lies straight down
+    const telescopeDistance = Math.max(state.shipDistance, 0.05);
+    const measurements = calculateAngularMeasurements(
+      telescopeDistance,
       state.observerHeight,
       state.shipHeight,
-      TELESCOPE_CONSTANTS.FIELD_OF_VIEW,
-      TELESCOPE_CONSTANTS.MAGNIFICATION,
-      undefined,
-      state.refractionFactor
+      state.earthRadius,
+      state.refractionFactor,
+      state.crestHeight
     );
     
-    // Debug logging
-    console.log('Debug values:', {
-      observerHeight: state.observerHeight,
-      shipHeight: state.shipHeight,
-      shipDistance: state.shipDistance,
-      refractionFactor: state.refractionFactor,
-      horizonDistance,
-      maxVisibleDistance,
-      visibilityStartDistance,
-      fieldOfView: TELESCOPE_CONSTANTS.FIELD_OF_VIEW,
-      magnification: TELESCOPE_CONSTANTS.MAGNIFICATION
-    });
-    
-    let telescopeVisibilityFactor = 0;
-    
-    if (state.shipDistance < visibilityStartDistance) {
-      // Too close to shore, not visible in telescope
-      telescopeVisibilityFactor = 0;
-    } else if (state.shipDistance <= horizonDistance) {
-      // Approaching horizon, gradually becoming visible
-      // Map distance from visibilityStartDistance to horizonDistance to a 0-1 range
-      telescopeVisibilityFactor = (state.shipDistance - visibilityStartDistance) / (horizonDistance - visibilityStartDistance);
-    } else {
-      // At or beyond horizon, fully visible in telescope
-      telescopeVisibilityFactor = 1;
-    }
-    
-    // Additional debug logging
-    console.log('Visibility factor:', telescopeVisibilityFactor);
-    
-    if (state.shipDistance <= horizonDistance) {
-      // Before horizon: ship is fully visible
-      shipScale = (1 - 0.75 * (state.shipDistance / horizonDistance)) * baseScale;
-      sinkAmount = 0;
-    } else {
-      // Beyond horizon: ship starts to sink
-      shipScale = 0.25 * baseScale;
-      
-      // Calculate sinking amount (0-1)
-      const distanceBeyondHorizon = state.shipDistance - horizonDistance;
-      const totalPossibleDistanceBeyondHorizon = maxVisibleDistance - horizonDistance;
-      sinkAmount = Math.min(1, distanceBeyondHorizon / totalPossibleDistanceBeyondHorizon);
-    }
+    // Distort the magnified ship the same way as in the normal view
+    const scanlines = state.mirageEnabled ?
+      calculateMirageScanlines(
+        state.shipDistance,
+        state.observerHeight,
+        state.shipHeight,
+        getEffectiveRefraction(state.bodyModel, state.refractionModel),
+        state.earthRadius
+      ) :
+      null;
     
-    // Get horizon Y position in the telescope view
-    const telescopeHorizonY = telescopeCtx.canvas.height / 2;
+    // Magnification does not help against haze: contrast depends on distance only
+    const contrast = {
+      ship: calculateContrastTransmittance(state.shipDistance, state.meteorologicalVisibility),
+      horizon: calculateContrastTransmittance(
+        calculateHorizonDistance(state.observerHeight, state.earthRadius, state.refractionFactor),
+        state.meteorologicalVisibility
+      )
+    };
     
     // Render telescope view with proper ship rendering
-    drawTelescopeView(telescopeCtx, mainCtx, shipScale, sinkAmount, telescopeHorizonY, telescopeVisibilityFactor);
+    const trackedVessel = state.fleet.find(vessel => vessel.id === state.trackedVesselId);
+    
+    // Terrain is placed by its bearing relative to the tracked ship in the centre of the eyepiece
+    const terrainInView = terrain.globe && {
+      visibility: terrain.globe,
+      meteorologicalVisibility: state.meteorologicalVisibility,
+      direction: (distance, height, offset) => ({
+        azimuth: (state.terrain.bearing - state.shipBearing) * Math.PI / 180 + offset / distance,
+        elevation: calculateElevationAngle(distance, state.observerHeight, height, state.earthRadius, state.refractionFactor)
+      })
+    };
+    drawTelescopeView(
+      telescopeCtx,
+      state.optics,
+      measurements,
+      telescopeDistance,
+      scanlines,
+      state.anglesEnabled,
+      contrast,
+      state.waveTime,
+      getSilhouette(trackedVessel ? trackedVessel.type : 'cargo-ship'),
+      terrainInView
+    );
   }
 }
 
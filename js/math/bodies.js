@@ -0,0 +1,114 @@
+/**
+ * bodies.js
+ * Planetary body models for the Over The Horizon demonstration
+ *
+ * Every model exposes the same interface:
+ *   { id, name, params, radius, refractiveAtmosphere }
+ * where radius is the radius of curvature along the line of sight in
+ * kilometers, and refractiveAtmosphere tells whether refraction applies.
+ */
+
+import { EARTH_RADIUS, MEAN_EARTH_RADIUS, WGS84 } from './constants.js';
+
+// Spherical bodies: radius in kilometers
+const BODY_PRESETS = {
+  'earth-notebook': {
+    name: 'Earth (7320 km, Mathematica notebook)',
+    radius: EARTH_RADIUS,
+    refractiveAtmosphere: true
+  },
+  'earth-mean': {
+    name: 'Earth (mean radius 6371 km)',
+    radius: MEAN_EARTH_RADIUS,
+    refractiveAtmosphere: true
+  },
+  'moon': {
+    name: 'Moon (1737.4 km, no atmosphere)',
+    radius: 1737.4,
+    refractiveAtmosphere: false
+  },
+  'mars': {
+    name: 'Mars (3389.5 km, negligible refraction)',
+    radius: 3389.5,
+    refractiveAtmosphere: false
+  }
+};
+
+/**
+ * Calculates the WGS84 radius of curvature for a line of sight
+ * Combines the meridional and prime-vertical radii with Euler's theorem.
+ * @param {number} latitude - Geodetic latitude of the observer in degrees
+ * @param {number} bearing - Direction of the line of sight in degrees clockwise from north
+ * @returns {number} - Radius of curvature in kilometers
+ */
+function calculateWgs84Radius(latitude, bearing) {
+  const eccentricitySquared = WGS84.FLATTENING * (2 - WGS84.FLATTENING);
+  const sinLatitude = Math.sin(latitude * Math.PI / 180);
+  const denominator = 1 - eccentricitySquared * sinLatitude * sinLatitude;
+
+  // Meridional (north-south) and prime-vertical (east-west) radii of curvature
+  const meridionalRadius = WGS84.SEMI_MAJOR_AXIS * (1 - eccentricitySquared) / Math.pow(denominator, 1.5);
+  const primeVerticalRadius = WGS84.SEMI_MAJOR_AXIS / Math.sqrt(denominator);
+
+  // 1/R(α) = cos²α / M + sin²α / N
+  const bearingRadians = bearing * Math.PI / 180;
+  const cosBearing = Math.cos(bearingRadians);
+  const sinBearing = Math.sin(bearingRadians);
+
+  return 1 / (cosBearing * cosBearing / meridionalRadius + sinBearing * sinBearing / primeVerticalRadius);
+}
+
+/**
+ * Creates the WGS84 ellipsoid model for a given position and viewing direction
+ * @param {Object} [params] - Model parameters
+ * @param {number} [params.latitude=45] - Geodetic latitude of the observer in degrees
+ * @param {number} [params.bearing=0] - Direction of the line of sight in degrees clockwise from north
+ * @returns {Object} - Body model
+ */
+function createWgs84Model({ latitude = 45, bearing = 0 } = {}) {
+  return {
+    id: 'wgs84',
+    name: 'Earth (WGS84 ellipsoid)',
+    params: { latitude, bearing },
+    radius: calculateWgs84Radius(latitude, bearing),
+    refractiveAtmosphere: true
+  };
+}
+
+/**
+ * Creates a body model by id
+ * @param {string} [id='earth-notebook'] - Model id: 'wgs84' or one of the keys of BODY_PRESETS
+ * @param {Object} [params] - Model parameters (used by 'wgs84')
+ * @returns {Object} - Body model
+ */
+function createBodyModel(id = 'earth-notebook', params = {}) {
+  if (id === 'wgs84') {
+    return createWgs84Model(params);
+  }
+
+  const preset = BODY_PRESETS[id];
+  if (!preset) {
+    console.error(`Unknown body model "${id}"`);
+    return createBodyModel();
+  }
+
+  return { id, params: {}, ...preset };
+}
+
+/**
+ * Returns the refraction that applies on a body
+ * @param {Object} bodyModel - Body model
+ * @param {number|Object} refraction - Refraction factor (k value) or refraction model selected by the user
+ * @returns {number|Object} - The given refraction, or 1.0 on a body without a refractive atmosphere
+ */
+function getEffectiveRefraction(bodyModel, refraction) {
+  return bodyModel && !bodyModel.refractiveAtmosphere ? 1.0 : refraction;
+}
+
+export {
+  BODY_PRESETS,
+  calculateWgs84Radius,
+  createWgs84Model,
+  createBodyModel,
+  getEffectiveRefraction
+};
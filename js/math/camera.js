@@ -0,0 +1,154 @@
+/**
+ * camera.js
+ * Pinhole camera model projecting the curved Earth onto the screen
+ *
+ * World coordinates are in meters with the origin at sea level directly below
+ * the observer: x points to the right of the ship's course, y up and z along
+ * the course. Refraction is included by curving the surface with the
+ * effective radius k·R, so lines of sight stay straight.
+ */
+
+import { EARTH_RADIUS } from './constants.js';
+import { resolveRefractionFactor } from './refraction.js';
+import { calculateHorizonDip } from './horizon.js';
+
+// Default camera settings
+const CAMERA_DEFAULTS = {
+  FIELD_OF_VIEW: 10, // Horizontal field of view in degrees
+  PITCH: 0, // Viewing direction above (+) or below (-) eye level in degrees
+  HEADING: 0 // Viewing direction right (+) or left (-) of the ship's course in degrees
+};
+
+/**
+ * Creates a camera looking out over the sea
+ * @param {Object} params - Camera parameters
+ * @param {number} params.eyeHeight - Height of the camera above the sea in meters
+ * @param {number} params.width - Width of the image in pixels
+ * @param {number} params.height - Height of the image in pixels
+ * @param {number} [params.fieldOfView=CAMERA_DEFAULTS.FIELD_OF_VIEW] - Horizontal field of view in degrees
+ * @param {number} [params.pitch=CAMERA_DEFAULTS.PITCH] - Viewing direction above eye level in degrees
+ * @param {number} [params.heading=CAMERA_DEFAULTS.HEADING] - Viewing direction right of the ship's course in degrees
+ * @param {number} [params.earthRadius=EARTH_RADIUS] - Radius of the Earth in kilometers (Infinity for a flat plane)
+ * @param {number|Object} [params.refractionFactor=1.0] - Atmospheric refraction factor (k value) or refraction model
+ * @returns {Object} - Camera
+ */
+function createCamera({
+  eyeHeight,
+  width,
+  height,
+  fieldOfView = CAMERA_DEFAULTS.FIELD_OF_VIEW,
+  pitch = CAMERA_DEFAULTS.PITCH,
+  heading = CAMERA_DEFAULTS.HEADING,
+  earthRadius = EARTH_RADIUS,
+  refractionFactor = 1.0
+}) {
+  const isFlat = !isFinite(earthRadius);
+  const pitchRadians = pitch * Math.PI / 180;
+  const headingRadians = heading * Math.PI / 180;
+
+  return {
+    eyeHeight,
+    width,
+    height,
+    fieldOfView,
+    pitch,
+    heading,
+    // Effective radius of the surface in meters
+    radius: isFlat ? Infinity : earthRadius * resolveRefractionFactor(refractionFactor, eyeHeight) * 1000,
+    // On a flat plane the horizon is the vanishing line at eye level
+    dip: isFlat ? 0 : calculateHorizonDip(eyeHeight, earthRadius, refractionFactor),
+    // Distance to the image plane in pixels
+    focalLength: (width / 2) / Math.tan(fieldOfView * Math.PI / 360),
+    sinPitch: Math.sin(pitchRadians),
+    cosPitch: Math.cos(pitchRadians),
+    sinHeading: Math.sin(headingRadians),
+    cosHeading: Math.cos(headingRadians)
+  };
+}
+
+/**
+ * Calculates the world position of a point above the surface
+ * @param {Object} camera - Camera (see createCamera)
+ * @param {number} distance - Distance along the surface in kilometers
+ * @param {number} azimuth - Direction right of the ship's course in radians
+ * @param {number} [height=0] - Height above the surface in meters
+ * @returns {Object} - Point {x, y, z} in meters
+ */
+function surfacePoint(camera, distance, azimuth, height = 0) {
+  const distanceMeters = distance * 1000;
+
+  if (!isFinite(camera.radius)) {
+    return {
+      x: distanceMeters * Math.sin(azimuth),
+      y: height,
+      z: distanceMeters * Math.cos(azimuth)
+    };
+  }
+
+  // Walk the arc angle θ around the centre of the Earth, which lies at y = -R
+  const angle = distanceMeters / camera.radius;
+  const radius = camera.radius + height;
+
+  return {
+    x: radius * Math.sin(angle) * Math.sin(azimuth),
+    y: radius * Math.cos(angle) - camera.radius,
+    z: radius * Math.sin(angle) * Math.cos(azimuth)
+  };
+}
+
+/**
+ * Projects a viewing direction onto the screen
+ * @param {Object} camera - Camera (see createCamera)
+ * @param {number} dx - Right component of the direction
+ * @param {number} dy - Up component of the direction
+ * @param {number} dz - Forward component of the direction
+ * @returns {Object|null} - Screen position {x, y}, or null if the direction points behind the camera
+ */
+function projectDirection(camera, dx, dy, dz) {
+  // Turn to the camera's heading
+  const right = dx * camera.cosHeading - dz * camera.sinHeading;
+  const level = dx * camera.sinHeading + dz * camera.cosHeading;
+
+  // Tilt to the camera's pitch
+  const up = dy * camera.cosPitch - level * camera.sinPitch;
+  const forward = dy * camera.sinPitch + level * camera.cosPitch;
+
+  if (forward <= 0) {
+    return null;
+  }
+
+  return {
+    x: camera.width / 2 + camera.focalLength * right / forward,
+    y: camera.height / 2 - camera.focalLength * up / forward
+  };
+}
+
+/**
+ * Projects a world point onto the screen
+ * @param {Object} camera - Camera (see createCamera)
+ * @param {Object} point - Point {x, y, z} in meters
+ * @returns {Object|null} - Screen position {x, y}, or null if the point is behind the camera
+ */
+function projectPoint(camera, point) {
+  return projectDirection(camera, point.x, point.y - camera.eyeHeight, point.z);
+}
+
+/**
+ * Projects the point of the horizon in a given direction onto the screen
+ * @param {Object} camera - Camera (see createCamera)
+ * @param {number} azimuth - Direction right of the ship's course in radians
+ * @returns {Object|null} - Screen position {x, y}, or null if it is behind the camera
+ */
+function projectHorizon(camera, azimuth) {
+  const cosDip = Math.cos(camera.dip);
+  return projectDirection(camera, cosDip * Math.sin(azimuth), -Math.sin(camera.dip), cosDip * Math.cos(azimuth));
+}
+
+export {
+  CAMERA_DEFAULTS,
+  createCamera,
+  surfacePoint,
+  projectDirection,
+  projectPoint,
+  projectHorizon
+};
@@ -6,6 +6,15 @@
 // Earth radius in kilometers (matching the Mathematica notebook value)
 const EARTH_RADIUS = 7320;
 
+// Mean radius of the Earth in kilometers (IUGG)
+const MEAN_EARTH_RADIUS = 6371;
+
+// WGS84 reference ellipsoid
+const WGS84 = {
+  SEMI_MAJOR_AXIS: 6378.137,          // Equatorial radius in kilometers
+  FLATTENING: 1 / 298.257223563
+};
+
 // Default observer height in meters
 const DEFAULT_OBSERVER_HEIGHT = 2;
 
@@ -17,6 +26,19 @@ const DEFAULT_SHIP_HEIGHT = 50;
 // k = 1.33: Standard atmospheric refraction (33% increase in effective Earth radius)
 const DEFAULT_REFRACTION_FACTOR = 1.33;
 
+// Standard atmosphere at sea level, used by the condition-based refraction models
+const STANDARD_ATMOSPHERE = {
+  TEMPERATURE: 15,        // Air temperature in °C
+  PRESSURE: 1013.25,      // Air pressure in hPa
+  LAPSE_RATE: 0.0065      // Temperature drop with height in K per meter
+};
+
+// Angular units in radians
+const ANGLE_UNITS = {
+  ARC_MINUTE: Math.PI / (180 * 60),
+  MIL: (2 * Math.PI) / 6400           // NATO mil (6400 to the circle)
+};
+
 // Ship dimensions in pixels (for rendering)
 const SHIP_DIMENSIONS = {
   WIDTH: 100,
@@ -29,8 +51,12 @@ const SHIP_DIMENSIONS = {
 // Export constants
 export {
   EARTH_RADIUS,
+  MEAN_EARTH_RADIUS,
+  WGS84,
   DEFAULT_OBSERVER_HEIGHT,
   DEFAULT_SHIP_HEIGHT,
   DEFAULT_REFRACTION_FACTOR,
+  STANDARD_ATMOSPHERE,
+  ANGLE_UNITS,
   SHIP_DIMENSIONS
 };
@@ -0,0 +1,191 @@
+/**
+ * geodesy.js
+ * Distances and bearings between geographic positions for the Over The Horizon demonstration
+ *
+ * Positions are { latitude, longitude } in degrees. On the spherical bodies
+ * the shortest path is a great circle of the body's radius; on the WGS84
+ * ellipsoid it is the geodesic found with Vincenty's inverse formula.
+ */
+
+import { WGS84 } from './constants.js';
+import { calculateWgs84Radius } from './bodies.js';
+
+// Vincenty's iteration stops once the longitude on the auxiliary sphere changes less than this (radians)
+const VINCENTY_TOLERANCE = 1e-12;
+const VINCENTY_MAX_ITERATIONS = 200;
+
+const toRadians = degrees => degrees * Math.PI / 180;
+const toDegrees = radians => radians * 180 / Math.PI;
+
+/**
+ * Normalizes a bearing to the range [0, 360)
+ * @param {number} bearing - Bearing in degrees
+ * @returns {number} - Bearing in degrees clockwise from north
+ */
+function normalizeBearing(bearing) {
+  return ((bearing % 360) + 360) % 360;
+}
+
+/**
+ * Normalizes an angle between two directions to the range [-180, 180)
+ * @param {number} angle - Angle in degrees
+ * @returns {number} - Angle in degrees, positive to the right
+ */
+function normalizeRelativeBearing(angle) {
+  return normalizeBearing(angle + 180) - 180;
+}
+
+/**
+ * Calculates the great-circle distance and initial bearing between two positions on a sphere
+ * @param {Object} from - Position {latitude, longitude} in degrees
+ * @param {Object} to - Position {latitude, longitude} in degrees
+ * @param {number} radius - Radius of the sphere in kilometers
+ * @returns {Object} - { distance (km), bearing (degrees clockwise from north at from) }
+ */
+function calculateGreatCircle(from, to, radius) {
+  const latitude1 = toRadians(from.latitude);
+  const latitude2 = toRadians(to.latitude);
+  const deltaLatitude = latitude2 - latitude1;
+  const deltaLongitude = toRadians(to.longitude - from.longitude);
+
+  // Haversine formula, well conditioned for the short distances to the horizon
+  const a = Math.sin(deltaLatitude / 2) ** 2 +
+    Math.cos(latitude1) * Math.cos(latitude2) * Math.sin(deltaLongitude / 2) ** 2;
+  const centralAngle = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+
+  const bearing = Math.atan2(
+    Math.sin(deltaLongitude) * Math.cos(latitude2),
+    Math.cos(latitude1) * Math.sin(latitude2) - Math.sin(latitude1) * Math.cos(latitude2) * Math.cos(deltaLongitude)
+  );
+
+  return { distance: radius * centralAngle, bearing: normalizeBearing(toDegrees(bearing)) };
+}
+
+/**
+ * Calculates the geodesic distance and initial bearing between two positions on the WGS84 ellipsoid
+ * Uses Vincenty's inverse formula; for nearly antipodal positions, where it does not
+ * converge, the great circle of the mean radius is used instead.
+ * @param {Object} from - Position {latitude, longitude} in degrees
+ * @param {Object} to - Position {latitude, longitude} in degrees
+ * @returns {Object} - { distance (km), bearing (degrees clockwise from north at from) }
+ */
+function calculateWgs84Geodesic(from, to) {
+  const a = WGS84.SEMI_MAJOR_AXIS;
+  const f = WGS84.FLATTENING;
+  const b = a * (1 - f);
+
+  // Reduced latitudes on the auxiliary sphere
+  const u1 = Math.atan((1 - f) * Math.tan(toRadians(from.latitude)));
+  const u2 = Math.atan((1 - f) * Math.tan(toRadians(to.latitude)));
+  const sinU1 = Math.sin(u1);
+  const cosU1 = Math.cos(u1);
+  const sinU2 = Math.sin(u2);
+  const cosU2 = Math.cos(u2);
+  const L = toRadians(to.longitude - from.longitude);
+
+  let lambda = L;
+  let sinSigma, cosSigma, sigma, cosSquaredAlpha, cos2SigmaM;
+
+  for (let i = 0; i < VINCENTY_MAX_ITERATIONS; i++) {
+    const sinLambda = Math.sin(lambda);
+    const cosLambda = Math.cos(lambda);
+    sinSigma = Math.sqrt((cosU2 * sinLambda) ** 2 + (cosU1 * sinU2 - sinU1 * cosU2 * cosLambda) ** 2);
+    if (sinSigma === 0) {
+      return { distance: 0, bearing: 0 };
+    }
+    cosSigma = sinU1 * sinU2 + cosU1 * cosU2 * cosLambda;
+    sigma = Math.atan2(sinSigma, cosSigma);
+
+    const sinAlpha = cosU1 * cosU2 * sinLambda / sinSigma;
+    cosSquaredAlpha = 1 - sinAlpha * sinAlpha;
+    // On the equator cos²α is zero and the term drops out
+    cos2SigmaM = cosSquaredAlpha === 0 ? 0 : cosSigma - 2 * sinU1 * sinU2 / cosSquaredAlpha;
+
+    const C = f / 16 * cosSquaredAlpha * (4 + f * (4 - 3 * cosSquaredAlpha));
+    const previousLambda = lambda;
+    lambda = L + (1 - C) * f * sinAlpha *
+      (sigma + C * sinSigma * (cos2SigmaM + C * cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM)));
+
+    if (Math.abs(lambda - previousLambda) < VINCENTY_TOLERANCE) {
+      const uSquared = cosSquaredAlpha * (a * a - b * b) / (b * b);
+      const A = 1 + uSquared / 16384 * (4096 + uSquared * (-768 + uSquared * (320 - 175 * uSquared)));
+      const B = uSquared / 1024 * (256 + uSquared * (-128 + uSquared * (74 - 47 * uSquared)));
+      const deltaSigma = B * sinSigma * (cos2SigmaM + B / 4 * (
+        cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM) -
+        B / 6 * cos2SigmaM * (-3 + 4 * sinSigma * sinSigma) * (-3 + 4 * cos2SigmaM * cos2SigmaM)
+      ));
+
+      const bearing = Math.atan2(cosU2 * Math.sin(lambda), cosU1 * sinU2 - sinU1 * cosU2 * Math.cos(lambda));
+      return { distance: b * A * (sigma - deltaSigma), bearing: normalizeBearing(toDegrees(bearing)) };
+    }
+  }
+
+  console.error('Vincenty formula did not converge; using the great circle of the mean radius');
+  return calculateGreatCircle(from, to, (2 * a + b) / 3);
+}
+
+/**
+ * Calculates the distance and initial bearing between two positions on a body model
+ * @param {Object} from - Position {latitude, longitude} in degrees
+ * @param {Object} to - Position {latitude, longitude} in degrees
+ * @param {Object} bodyModel - Body model (see bodies.js)
+ * @returns {Object} - { distance (km), bearing (degrees clockwise from north at from) }
+ */
+function calculateGeodesic(from, to, bodyModel) {
+  return bodyModel.id === 'wgs84' ?
+    calculateWgs84Geodesic(from, to) :
+    calculateGreatCircle(from, to, bodyModel.radius);
+}
+
+/**
+ * Calculates the position reached by travelling a distance along a bearing
+ * Follows a great circle; on the WGS84 ellipsoid its radius is the radius of
+ * curvature at the start in the direction of travel, which over the distances
+ * to the horizon lands within a few meters of the geodesic.
+ * @param {Object} from - Position {latitude, longitude} in degrees
+ * @param {number} bearing - Initial bearing in degrees clockwise from north
+ * @param {number} distance - Distance in kilometers
+ * @param {Object} bodyModel - Body model (see bodies.js)
+ * @returns {Object} - Position {latitude, longitude} in degrees
+ */
+function calculateDestination(from, bearing, distance, bodyModel) {
+  const radius = bodyModel.id === 'wgs84' ? calculateWgs84Radius(from.latitude, bearing) : bodyModel.radius;
+  const centralAngle = distance / radius;
+  const latitude1 = toRadians(from.latitude);
+  const bearingRadians = toRadians(bearing);
+
+  const latitude2 = Math.asin(
+    Math.sin(latitude1) * Math.cos(centralAngle) +
+    Math.cos(latitude1) * Math.sin(centralAngle) * Math.cos(bearingRadians)
+  );
+  const deltaLongitude = Math.atan2(
+    Math.sin(bearingRadians) * Math.sin(centralAngle) * Math.cos(latitude1),
+    Math.cos(centralAngle) - Math.sin(latitude1) * Math.sin(latitude2)
+  );
+
+  return {
+    latitude: toDegrees(latitude2),
+    longitude: normalizeRelativeBearing(from.longitude + toDegrees(deltaLongitude))
+  };
+}
+
+/**
+ * Checks that a position has a latitude in [-90, 90] and a finite longitude
+ * @param {Object} position - Position {latitude, longitude} in degrees
+ * @returns {boolean} - Whether the position can be used
+ */
+function isValidPosition(position) {
+  return Boolean(position) &&
+    Number.isFinite(position.latitude) && Math.abs(position.latitude) <= 90 &&
+    Number.isFinite(position.longitude);
+}
+
+export {
+  normalizeBearing,
+  normalizeRelativeBearing,
+  calculateGreatCircle,
+  calculateWgs84Geodesic,
+  calculateGeodesic,
+  calculateDestination,
+  isValidPosition
+};
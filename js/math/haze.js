@@ -0,0 +1,60 @@
+/**
+ * haze.js
+ * Contrast loss in hazy air (Koschmieder's law) for the Over The Horizon demonstration
+ *
+ * The meteorological visibility V is the distance at which a black object
+ * against the horizon sky keeps 2% of its contrast. Contrast falls off as
+ * C = C0 · exp(-3.912 · d / V), the object fading into the sky behind it.
+ */
+
+import { EARTH_RADIUS } from './constants.js';
+import { calculateMaxVisibleDistance } from './horizon.js';
+
+// Smallest contrast the eye can detect, which defines the meteorological visibility
+const CONTRAST_THRESHOLD = 0.02;
+
+// -ln(CONTRAST_THRESHOLD)
+const KOSCHMIEDER_CONSTANT = 3.912;
+
+/**
+ * Calculates the fraction of an object's contrast that survives the haze
+ * @param {number} distance - Distance to the object in kilometers
+ * @param {number} visibility - Meteorological visibility in kilometers (Infinity for clear air)
+ * @returns {number} - Remaining contrast (0-1)
+ */
+function calculateContrastTransmittance(distance, visibility) {
+  if (!isFinite(distance)) {
+    return isFinite(visibility) ? 0 : 1;
+  }
+  return Math.exp(-KOSCHMIEDER_CONSTANT * distance / visibility);
+}
+
+/**
+ * Determines whether the Earth's curvature or the haze limits how far an object can be seen
+ * @param {number} observerHeight - Height of the observer in meters
+ * @param {number} objectHeight - Height of the object in meters
+ * @param {number} visibility - Meteorological visibility in kilometers (Infinity for clear air)
+ * @param {number} [earthRadius=EARTH_RADIUS] - Radius of the Earth in kilometers (Infinity for a flat plane)
+ * @param {number|Object} [refractionFactor=1.0] - Atmospheric refraction factor (k value) or refraction model
+ * @param {number} [crestHeight=0] - Height of the wave crests above mean sea level in meters
+ * @returns {Object} - {limit: 'geometry' | 'haze' | 'none', distance} with the distance in kilometers
+ */
+function determineVisibilityLimit(observerHeight, objectHeight, visibility, earthRadius = EARTH_RADIUS, refractionFactor = 1.0, crestHeight = 0) {
+  const geometricLimit = isFinite(earthRadius) ?
+    calculateMaxVisibleDistance(observerHeight, objectHeight, earthRadius, refractionFactor, crestHeight) :
+    Infinity;
+
+  if (!isFinite(geometricLimit) && !isFinite(visibility)) {
+    return { limit: 'none', distance: Infinity };
+  }
+
+  return visibility < geometricLimit ?
+    { limit: 'haze', distance: visibility } :
+    { limit: 'geometry', distance: geometricLimit };
+}
+
+export {
+  CONTRAST_THRESHOLD,
+  calculateContrastTransmittance,
+  determineVisibilityLimit
+};
@@ -4,12 +4,13 @@
  */
 
 import { EARTH_RADIUS } from './constants.js';
+import { resolveRefractionFactor } from './refraction.js';
 
 /**
  * Calculates the distance to the horizon based on observer height
  * @param {number} observerHeight - Height of the observer in meters
  * @param {number} [earthRadius=EARTH_RADIUS] - Radius of the Earth in kilometers
- * @param {number} [refractionFactor=1.0] - Atmospheric refraction factor (k value)
+ * @param {number|Object} [refractionFactor=1.0] - Atmospheric refraction factor (k value) or refraction model
  * @returns {number} - Distance to the horizon in kilometers
  */
 function calculateHorizonDistance(observerHeight, earthRadius = EARTH_RADIUS, refractionFactor = 1.0) {
@@ -17,7 +18,7 @@ function calculateHorizonDistance(observerHeight, earthRadius = EARTH_RADIUS, re
   const observerHeightKm = observerHeight / 1000;
   
   // Apply refraction factor to Earth radius
-  const effectiveEarthRadius = earthRadius * refractionFactor;
+  const effectiveEarthRadius = earthRadius * resolveRefractionFactor(refractionFactor, observerHeight);
   
   // Calculate horizon distance: d = √(2Rh)
   // Where:
@@ -27,56 +28,136 @@ function calculateHorizonDistance(observerHeight, earthRadius = EARTH_RADIUS, re
   return Math.sqrt(2 * effectiveEarthRadius * observerHeightKm);
 }
 
+/**
+ * Calculates the dip of the horizon: the angle below eye level at which the horizon is seen
+ * @param {number} observerHeight - Height of the observer in meters
+ * @param {number} [earthRadius=EARTH_RADIUS] - Radius of the Earth in kilometers
+ * @param {number|Object} [refractionFactor=1.0] - Atmospheric refraction factor (k value) or refraction model
+ * @returns {number} - Dip of the horizon in radians
+ */
+function calculateHorizonDip(observerHeight, earthRadius = EARTH_RADIUS, refractionFactor = 1.0) {
+  const effectiveEarthRadius = earthRadius * resolveRefractionFactor(refractionFactor, observerHeight);
+  
+  // The line of sight to the horizon is tangent to the surface: cos(dip) = R / (R + h)
+  return Math.acos(effectiveEarthRadius / (effectiveEarthRadius + observerHeight / 1000));
+}
+
 /**
  * Calculates the maximum visible distance of an object of a given height
  * @param {number} observerHeight - Height of the observer in meters
  * @param {number} objectHeight - Height of the object in meters
  * @param {number} [earthRadius=EARTH_RADIUS] - Radius of the Earth in kilometers
- * @param {number} [refractionFactor=1.0] - Atmospheric refraction factor (k value)
+ * @param {number|Object} [refractionFactor=1.0] - Atmospheric refraction factor (k value) or refraction model
+ * @param {number} [crestHeight=0] - Height of the wave crests above mean sea level in meters
  * @returns {number} - Maximum visible distance in kilometers
  */
-function calculateMaxVisibleDistance(observerHeight, objectHeight, earthRadius = EARTH_RADIUS, refractionFactor = 1.0) {
-  // Calculate horizon distance for observer
-  const observerHorizonDistance = calculateHorizonDistance(observerHeight, earthRadius, refractionFactor);
+function calculateMaxVisibleDistance(observerHeight, objectHeight, earthRadius = EARTH_RADIUS, refractionFactor = 1.0, crestHeight = 0) {
+  // Both legs of the line of sight use the conditions at the observer
+  refractionFactor = resolveRefractionFactor(refractionFactor, observerHeight);
   
-  // Calculate horizon distance for object
-  const objectHorizonDistance = calculateHorizonDistance(objectHeight, earthRadius, refractionFactor);
+  // The line of sight grazes the wave crests rather than the mean sea surface
+  const observerHorizonDistance = calculateHorizonDistance(Math.max(0, observerHeight - crestHeight), earthRadius, refractionFactor);
+  const objectHorizonDistance = calculateHorizonDistance(Math.max(0, objectHeight - crestHeight), earthRadius, refractionFactor);
   
   // Maximum visible distance is the sum of the two horizon distances
   return observerHorizonDistance + objectHorizonDistance;
 }
 
 /**
- * Calculates the visible portion of an object at a given distance
+ * Calculates the height of an object's base hidden below the horizon at a given distance
+ * Uses the exact spherical geometry: beyond the observer's horizon the line of sight
+ * runs along the tangent, which lies R(sec(θ) - 1) above the surface at arc angle θ
+ * past the tangent point. Wave crests raise the grazing surface: the tangent then
+ * runs over the crests, and the crests directly in front of the object hide some
+ * of it as well (see calculateCrestHiddenHeight).
  * @param {number} distance - Distance to the object in kilometers
  * @param {number} observerHeight - Height of the observer in meters
- * @param {number} objectHeight - Height of the object in meters
  * @param {number} [earthRadius=EARTH_RADIUS] - Radius of the Earth in kilometers
- * @param {number} [refractionFactor=1.0] - Atmospheric refraction factor (k value)
- * @returns {number} - Visible portion of the object (0-1, where 1 is fully visible)
+ * @param {number|Object} [refractionFactor=1.0] - Atmospheric refraction factor (k value) or refraction model
+ * @param {number} [crestHeight=0] - Height of the wave crests above mean sea level in meters
+ * @returns {number} - Hidden height in meters (0 when the object is before the horizon in a calm sea)
  */
-function calculateVisiblePortion(distance, observerHeight, objectHeight, earthRadius = EARTH_RADIUS, refractionFactor = 1.0) {
+function calculateHiddenHeight(distance, observerHeight, earthRadius = EARTH_RADIUS, refractionFactor = 1.0, crestHeight = 0) {
+  refractionFactor = resolveRefractionFactor(refractionFactor, observerHeight);
+  
+  if (crestHeight > 0) {
+    const eyeAboveCrests = Math.max(0, observerHeight - crestHeight);
+    return calculateCrestHiddenHeight(distance, observerHeight, earthRadius, refractionFactor, crestHeight) +
+      calculateHiddenHeight(distance, eyeAboveCrests, earthRadius, refractionFactor);
+  }
+  
+  // A flat plane hides nothing
+  if (!isFinite(earthRadius)) {
+    return 0;
+  }
+  
   // Calculate horizon distance for observer
   const horizonDistance = calculateHorizonDistance(observerHeight, earthRadius, refractionFactor);
   
-  // If object is closer than horizon, it's fully visible
+  // Nothing is hidden before the horizon
   if (distance <= horizonDistance) {
-    return 1;
+    return 0;
+  }
+  
+  // Angle subtended at the Earth's centre between the horizon and the object
+  const effectiveEarthRadius = earthRadius * refractionFactor;
+  const angleBeyondHorizon = (distance - horizonDistance) / effectiveEarthRadius;
+  
+  // The tangent line cannot reach a quarter of the way around the globe
+  if (angleBeyondHorizon >= Math.PI / 2) {
+    return Infinity;
   }
   
-  // Calculate maximum visible distance
-  const maxVisibleDistance = calculateMaxVisibleDistance(observerHeight, objectHeight, earthRadius, refractionFactor);
+  // Height of the tangent line above the surface: R(sec θ - 1), converted to meters
+  const hiddenHeightKm = effectiveEarthRadius * (1 / Math.cos(angleBeyondHorizon) - 1);
+  return hiddenHeightKm * 1000;
+}
+
+/**
+ * Calculates the height of an object's base hidden by the wave crests directly in front of it
+ * From the crest horizon on, where the line of sight grazes the crests, they hide
+ * their full height. Nearer, the line of sight drops ever more steeply over them,
+ * so they hide less, down to nothing at the observer. A flat plane has no crest
+ * horizon: there the crests always hide their full height.
+ * @param {number} distance - Distance to the object in kilometers
+ * @param {number} observerHeight - Height of the observer in meters
+ * @param {number} [earthRadius=EARTH_RADIUS] - Radius of the Earth in kilometers
+ * @param {number|Object} [refractionFactor=1.0] - Atmospheric refraction factor (k value) or refraction model
+ * @param {number} [crestHeight=0] - Height of the wave crests above mean sea level in meters
+ * @returns {number} - Hidden height in meters, at most crestHeight
+ */
+function calculateCrestHiddenHeight(distance, observerHeight, earthRadius = EARTH_RADIUS, refractionFactor = 1.0, crestHeight = 0) {
+  if (crestHeight <= 0) {
+    return 0;
+  }
+  if (!isFinite(earthRadius)) {
+    return crestHeight;
+  }
   
-  // If object is beyond maximum visible distance, it's not visible at all
-  if (distance >= maxVisibleDistance) {
+  refractionFactor = resolveRefractionFactor(refractionFactor, observerHeight);
+  const crestHorizonDistance = calculateHorizonDistance(Math.max(0, observerHeight - crestHeight), earthRadius, refractionFactor);
+  return distance >= crestHorizonDistance ? crestHeight : crestHeight * distance / crestHorizonDistance;
+}
+
+/**
+ * Calculates the visible portion of an object at a given distance
+ * @param {number} distance - Distance to the object in kilometers
+ * @param {number} observerHeight - Height of the observer in meters
+ * @param {number} objectHeight - Height of the object in meters
+ * @param {number} [earthRadius=EARTH_RADIUS] - Radius of the Earth in kilometers
+ * @param {number|Object} [refractionFactor=1.0] - Atmospheric refraction factor (k value) or refraction model
+ * @param {number} [crestHeight=0] - Height of the wave crests above mean sea level in meters
+ * @returns {number} - Visible portion of the object (0-1, where 1 is fully visible)
+ */
+function calculateVisiblePortion(distance, observerHeight, objectHeight, earthRadius = EARTH_RADIUS, refractionFactor = 1.0, crestHeight = 0) {
+  if (objectHeight <= 0) {
     return 0;
   }
   
-  // Calculate visible portion based on distance beyond horizon
-  const distanceBeyondHorizon = distance - horizonDistance;
-  const totalPossibleDistanceBeyondHorizon = maxVisibleDistance - horizonDistance;
+  // The visible portion is whatever sticks up above the hidden height
+  const hiddenHeight = calculateHiddenHeight(distance, observerHeight, earthRadius, refractionFactor, crestHeight);
   
-  return 1 - (distanceBeyondHorizon / totalPossibleDistanceBeyondHorizon);
+  return Math.max(0, Math.min(1, 1 - hiddenHeight / objectHeight));
 }
 
 /**
@@ -84,78 +165,99 @@ function calculateVisiblePortion(distance, observerHeight, objectHeight, earthRa
  * @param {number} distance - Distance to the object in kilometers
  * @param {number} observerHeight - Height of the observer in meters
  * @param {number} [earthRadius=EARTH_RADIUS] - Radius of the Earth in kilometers
- * @param {number} [refractionFactor=1.0] - Atmospheric refraction factor (k value)
+ * @param {number|Object} [refractionFactor=1.0] - Atmospheric refraction factor (k value) or refraction model
+ * @param {number} [crestHeight=0] - Height of the wave crests above mean sea level in meters
  * @returns {number} - Minimum height in meters for visibility
  */
-function calculateMinimumVisibleHeight(distance, observerHeight, earthRadius = EARTH_RADIUS, refractionFactor = 1.0) {
-  // Calculate horizon distance for observer
-  const horizonDistance = calculateHorizonDistance(observerHeight, earthRadius, refractionFactor);
+function calculateMinimumVisibleHeight(distance, observerHeight, earthRadius = EARTH_RADIUS, refractionFactor = 1.0, crestHeight = 0) {
+  // Anything below the hidden height is behind the curve of the Earth or the waves
+  return calculateHiddenHeight(distance, observerHeight, earthRadius, refractionFactor, crestHeight);
+}
+
+/**
+ * Calculates the elevation angle of a point above the surface as seen by the observer
+ * @param {number} distance - Distance to the point along the surface in kilometers
+ * @param {number} observerHeight - Height of the observer in meters
+ * @param {number} targetHeight - Height of the point above the surface in meters
+ * @param {number} [earthRadius=EARTH_RADIUS] - Radius of the Earth in kilometers (Infinity for a flat plane)
+ * @param {number|Object} [refractionFactor=1.0] - Atmospheric refraction factor (k value) or refraction model
+ * @returns {number} - Angle above eye level in radians (negative below)
+ */
+function calculateElevationAngle(distance, observerHeight, targetHeight, earthRadius = EARTH_RADIUS, refractionFactor = 1.0) {
+  const distanceMeters = distance * 1000;
   
-  // If distance is less than horizon distance, any height is visible
-  if (distance <= horizonDistance) {
-    return 0;
+  if (!isFinite(earthRadius)) {
+    return Math.atan2(targetHeight - observerHeight, distanceMeters);
   }
   
-  // Calculate the remaining distance beyond the horizon
-  const distanceBeyondHorizon = distance - horizonDistance;
+  const effectiveEarthRadius = earthRadius * resolveRefractionFactor(refractionFactor, observerHeight) * 1000;
+  const angle = distanceMeters / effectiveEarthRadius;
   
-  // Apply the inverse of the horizon distance formula to find the minimum height
-  // d = √(2Rh) => h = d²/(2R)
-  // Where d is the distance beyond horizon
-  const effectiveEarthRadius = earthRadius * refractionFactor;
-  const minHeightKm = (distanceBeyondHorizon * distanceBeyondHorizon) / (2 * effectiveEarthRadius);
+  // Offsets of the point from the observer along and perpendicular to the local horizontal;
+  // the drop of the surface R(1 - cos θ) is written as 2R·sin²(θ/2) to keep precision
+  const horizontal = (effectiveEarthRadius + targetHeight) * Math.sin(angle);
+  const vertical = targetHeight - observerHeight -
+    2 * (effectiveEarthRadius + targetHeight) * Math.sin(angle / 2) ** 2;
   
-  // Convert from kilometers to meters
-  return minHeightKm * 1000;
+  return Math.atan2(vertical, horizontal);
 }
 
 /**
- * Calculates the distance at which a ship should start becoming visible in the telescope view
+ * Calculates the angles a navigator would measure for an object at sea
+ * @param {number} distance - Distance to the object in kilometers
  * @param {number} observerHeight - Height of the observer in meters
- * @param {number} shipHeight - Height of the ship in meters
- * @param {number} [telescopeFieldOfView=5] - Field of view of the telescope in degrees
- * @param {number} [telescopeMagnification=10] - Magnification factor of the telescope
- * @param {number} [earthRadius=EARTH_RADIUS] - Radius of the Earth in kilometers
- * @param {number} [refractionFactor=1.0] - Atmospheric refraction factor (k value)
- * @returns {number} - Distance at which the ship should start appearing in telescope view in kilometers
+ * @param {number} objectHeight - Height of the object in meters
+ * @param {number} [earthRadius=EARTH_RADIUS] - Radius of the Earth in kilometers (Infinity for a flat plane)
+ * @param {number|Object} [refractionFactor=1.0] - Atmospheric refraction factor (k value) or refraction model
+ * @param {number} [crestHeight=0] - Height of the wave crests above mean sea level in meters
+ * @returns {Object} - Angles in radians: dip (with refraction), geometricDip (without),
+ *   topElevation, baseElevation, lowestVisibleElevation, heightAboveHorizon (of the top),
+ *   visibleAngularSize and crestAngle (height of the wave band on the horizon);
+ *   plus the visiblePortion (0-1) they were derived from
  */
-function calculateTelescopeVisibilityThreshold(
-  observerHeight, 
-  shipHeight, 
-  telescopeFieldOfView = 5, // Default field of view in degrees
-  telescopeMagnification = 10, // Default magnification
-  earthRadius = EARTH_RADIUS,
-  refractionFactor = 1.0
-) {
-  // Calculate the maximum visible distance
-  const maxVisibleDistance = calculateMaxVisibleDistance(observerHeight, shipHeight, earthRadius, refractionFactor);
-  
-  // Calculate the horizon distance for the observer
-  const horizonDistance = calculateHorizonDistance(observerHeight, earthRadius, refractionFactor);
+function calculateAngularMeasurements(distance, observerHeight, objectHeight, earthRadius = EARTH_RADIUS, refractionFactor = 1.0, crestHeight = 0) {
+  refractionFactor = resolveRefractionFactor(refractionFactor, observerHeight);
+  
+  // On a flat plane the horizon lies at eye level and only waves hide anything
+  const isFlat = !isFinite(earthRadius);
+  const dip = isFlat ? 0 : calculateHorizonDip(observerHeight, earthRadius, refractionFactor);
+  const geometricDip = isFlat ? 0 : calculateHorizonDip(observerHeight, earthRadius, 1.0);
+  const visiblePortion = calculateVisiblePortion(distance, observerHeight, objectHeight, earthRadius, refractionFactor, crestHeight);
   
-  // Calculate the apparent size of the ship at the maximum visible distance
-  // This is a simplified calculation and could be refined
-  const shipApparentSize = (shipHeight / 1000) / maxVisibleDistance; // in radians
+  const topElevation = calculateElevationAngle(distance, observerHeight, objectHeight, earthRadius, refractionFactor);
+  const baseElevation = calculateElevationAngle(distance, observerHeight, 0, earthRadius, refractionFactor);
   
-  // Convert telescope field of view to radians
-  const telescopeFieldOfViewRadians = (telescopeFieldOfView * Math.PI) / 180;
+  // Once the base is hidden, the lowest visible point is the top of the hidden part
+  const hiddenHeight = calculateHiddenHeight(distance, observerHeight, earthRadius, refractionFactor, crestHeight);
+  const lowestVisibleElevation = visiblePortion < 1 ?
+    calculateElevationAngle(distance, observerHeight, Math.min(hiddenHeight, objectHeight), earthRadius, refractionFactor) :
+    baseElevation;
   
-  // Calculate the distance at which the ship would fill a significant portion of the telescope view
-  // This is a heuristic and can be adjusted
-  const significantPortionOfView = 0.2; // Ship takes up 20% of the view
-  const telescopeVisibilityDistance = (shipHeight / 1000) / (significantPortionOfView * telescopeFieldOfViewRadians);
+  // The crests form a horizon of their own, raised by the lower dip seen from just above them
+  const crestAngle = isFlat ? 0 : dip - calculateHorizonDip(Math.max(0, observerHeight - crestHeight), earthRadius, refractionFactor);
   
-  // The ship should start appearing in the telescope view at the minimum of:
-  // 1. The maximum visible distance (can't see beyond this)
-  // 2. The distance at which it becomes significant in the telescope view
-  return Math.min(maxVisibleDistance, telescopeVisibilityDistance);
+  return {
+    dip,
+    geometricDip,
+    topElevation,
+    baseElevation,
+    lowestVisibleElevation,
+    heightAboveHorizon: topElevation + dip,
+    visibleAngularSize: visiblePortion > 0 ? Math.max(0, topElevation - lowestVisibleElevation) : 0,
+    visiblePortion,
+    crestAngle
+  };
 }
 
 // Export functions
 export {
   calculateHorizonDistance,
+  calculateHorizonDip,
   calculateMaxVisibleDistance,
+  calculateHiddenHeight,
+  calculateCrestHiddenHeight,
   calculateVisiblePortion,
   calculateMinimumVisibleHeight,
-  calculateTelescopeVisibilityThreshold
+  calculateElevationAngle,
+  calculateAngularMeasurements
 };
@@ -0,0 +1,191 @@
+/**
+ * kinematics.js
+ * Vessel and observer motion for the Over The Horizon demonstration
+ *
+ * A vessel steams at a speed in knots on a course given, like its bearing,
+ * in degrees relative to the line of sight (positive to the right): on a
+ * course of 0° a vessel dead ahead sails straight away from the observer.
+ * Over the distances to the horizon the sea is taken as flat for the track;
+ * whether the vessel can still be seen comes from the curved geometry of
+ * horizon.js.
+ *
+ * The observer can climb (see OBSERVER_MOTIONS) or sail aboard a ship of
+ * their own, on a course in the same frame; the targets then move relative
+ * to the observer as if the observer stood still.
+ */
+
+import { calculateMaxVisibleDistance } from './horizon.js';
+
+// Kilometers in a nautical mile, so knots times this is kilometers per hour
+const KM_PER_NAUTICAL_MILE = 1.852;
+
+// Simulated seconds that pass per second of animation
+const CLOCK_RATES = [1, 60, 600];
+
+// Ways the observer can move. Climbing viewpoints go up and down at
+// climbRate meters per second between minHeight and maxHeight; aboard a ship
+// the observer sails and keeps their height above the deck.
+const OBSERVER_MOTIONS = {
+  'fixed': { name: 'Fixed viewpoint' },
+  'lift': { name: 'Lift', climbRate: 1.5, minHeight: 2, maxHeight: 60 },
+  'lighthouse-stairs': { name: 'Lighthouse stairs', climbRate: 0.25, minHeight: 2, maxHeight: 30 },
+  'drone': { name: 'Drone', climbRate: 5, minHeight: 2, maxHeight: 120 },
+  'aircraft': { name: 'Aircraft', climbRate: 10, minHeight: 2, maxHeight: 3000 },
+  'vessel': { name: 'Aboard a moving ship', sails: true }
+};
+
+const toRadians = degrees => degrees * Math.PI / 180;
+const toDegrees = radians => radians * 180 / Math.PI;
+
+/**
+ * Converts a speed in knots to kilometers per hour
+ * @param {number} speed - Speed in knots
+ * @returns {number} - Speed in kilometers per hour
+ */
+function knotsToKmh(speed) {
+  return speed * KM_PER_NAUTICAL_MILE;
+}
+
+/**
+ * Moves a vessel along its course
+ * @param {Object} track - Vessel {distance, bearing, speed, heading}: km, degrees, knots, degrees
+ * @param {number} hours - Time travelled in hours
+ * @returns {Object} - New {distance, bearing} of the vessel
+ */
+function advanceVessel({ distance, bearing, speed, heading }, hours) {
+  const step = knotsToKmh(speed) * hours;
+
+  // Across and along the line of sight from the observer
+  const x = distance * Math.sin(toRadians(bearing)) + step * Math.sin(toRadians(heading));
+  const y = distance * Math.cos(toRadians(bearing)) + step * Math.cos(toRadians(heading));
+
+  const newDistance = Math.hypot(x, y);
+  // A vessel at the observer has no direction; it keeps the one it had
+  return { distance: newDistance, bearing: newDistance > 0 ? toDegrees(Math.atan2(x, y)) : bearing };
+}
+
+/**
+ * Finds how a vessel moves as seen from a moving observer
+ * @param {Object} vessel - Motion {speed, heading} of the vessel: knots and degrees
+ * @param {Object} observer - Motion {speed, heading} of the observer: knots and degrees
+ * @returns {Object} - Motion {speed, heading} of the vessel relative to the observer
+ */
+function calculateRelativeMotion(vessel, observer) {
+  const x = vessel.speed * Math.sin(toRadians(vessel.heading)) - observer.speed * Math.sin(toRadians(observer.heading));
+  const y = vessel.speed * Math.cos(toRadians(vessel.heading)) - observer.speed * Math.cos(toRadians(observer.heading));
+  return { speed: Math.hypot(x, y), heading: toDegrees(Math.atan2(x, y)) };
+}
+
+/**
+ * Climbs a viewpoint up to its top and back down again
+ * @param {number} height - Height of the observer in meters
+ * @param {number} direction - 1 while climbing, -1 while descending
+ * @param {Object} motion - Climbing viewpoint (one of OBSERVER_MOTIONS)
+ * @param {number} seconds - Time climbed in seconds
+ * @returns {Object} - New {height, direction}, turned round at either end
+ */
+function climbObserver(height, direction, motion, seconds) {
+  const { climbRate, minHeight, maxHeight } = motion;
+  let next = Math.min(Math.max(height, minHeight), maxHeight) + climbRate * seconds * direction;
+
+  // Reflect off either end, as many times as the climb spans
+  while (next > maxHeight || next < minHeight) {
+    next = next > maxHeight ? 2 * maxHeight - next : 2 * minHeight - next;
+    direction = -direction;
+  }
+  return { height: next, direction };
+}
+
+/**
+ * Checks whether a vessel should turn back to stay in the demonstration
+ * It turns when it is past the farthest distance and still opening the range,
+ * or has passed the observer's beam and is still heading further behind.
+ * @param {Object} track - Vessel {distance, bearing, heading}: km and degrees
+ * @param {number} maxDistance - Farthest distance to sail to in kilometers
+ * @returns {boolean} - Whether to reverse the course
+ */
+function shouldTurnBack({ distance, bearing, heading }, maxDistance) {
+  const opening = Math.cos(toRadians(heading - bearing)) > 0;
+  const astern = Math.cos(toRadians(bearing)) < 0 && Math.cos(toRadians(heading)) < 0;
+  return (distance >= maxDistance && opening) || astern;
+}
+
+/**
+ * Calculates how long a vessel takes to reach a range from the observer on its course
+ * @param {Object} track - Vessel {distance, bearing, speed, heading}: km, degrees, knots, degrees
+ * @param {number} range - Range in kilometers
+ * @returns {number} - Time in hours (0 when the vessel is already that far, Infinity when stopped)
+ */
+function calculateTimeToRange({ distance, bearing, speed, heading }, range) {
+  if (distance >= range) {
+    return 0;
+  }
+  const speedKmh = knotsToKmh(speed);
+  if (speedKmh <= 0) {
+    return Infinity;
+  }
+
+  // Solve |p + vt| = range for the track p + vt, where p·v̂ is the distance run towards the range
+  const along = distance * Math.cos(toRadians(heading - bearing));
+  return (-along + Math.sqrt(along * along - distance * distance + range * range)) / speedKmh;
+}
+
+/**
+ * Calculates how long a vessel beyond a range takes to come back within it on its course
+ * @param {Object} track - Vessel {distance, bearing, speed, heading}: km, degrees, knots, degrees
+ * @param {number} range - Range in kilometers
+ * @returns {number} - Time in hours (0 when the vessel is already within, Infinity when its course never comes within)
+ */
+function calculateTimeToReturn({ distance, bearing, speed, heading }, range) {
+  if (distance < range) {
+    return 0;
+  }
+  const speedKmh = knotsToKmh(speed);
+  const along = distance * Math.cos(toRadians(heading - bearing));
+  const discriminant = along * along - distance * distance + range * range;
+  if (speedKmh <= 0 || along >= 0 || discriminant < 0) {
+    return Infinity;
+  }
+
+  // The nearer crossing of |p + vt| = range, where the closing track enters the range
+  return (-along - Math.sqrt(discriminant)) / speedKmh;
+}
+
+/**
+ * Predicts when a vessel on its course goes hull down and disappears below the horizon,
+ * or, when it is already beyond, when its top rises and its hull comes up again
+ * The ranges are where the waterline and the top go below the horizon.
+ * @param {Object} track - Vessel {distance, bearing, speed, heading}: km, degrees, knots, degrees
+ * @param {number} observerHeight - Height of the observer in meters
+ * @param {number} shipHeight - Height of the vessel in meters
+ * @param {number} earthRadius - Radius of the Earth in kilometers
+ * @param {number|Object} refractionFactor - Atmospheric refraction factor (k value) or refraction model
+ * @param {number} [crestHeight=0] - Height of the wave crests above mean sea level in meters
+ * @returns {Object} - Times in hours: hullDown and hidden (see calculateTimeToRange), and
+ *   hullUp and risen (see calculateTimeToReturn)
+ */
+function calculateHorizonTimes(track, observerHeight, shipHeight, earthRadius, refractionFactor, crestHeight = 0) {
+  const args = [earthRadius, refractionFactor, crestHeight];
+  const hullDownRange = calculateMaxVisibleDistance(observerHeight, 0, ...args);
+  const hiddenRange = calculateMaxVisibleDistance(observerHeight, shipHeight, ...args);
+  return {
+    hullDown: calculateTimeToRange(track, hullDownRange),
+    hidden: calculateTimeToRange(track, hiddenRange),
+    hullUp: calculateTimeToReturn(track, hullDownRange),
+    risen: calculateTimeToReturn(track, hiddenRange)
+  };
+}
+
+export {
+  KM_PER_NAUTICAL_MILE,
+  CLOCK_RATES,
+  OBSERVER_MOTIONS,
+  knotsToKmh,
+  advanceVessel,
+  calculateRelativeMotion,
+  climbObserver,
+  shouldTurnBack,
+  calculateTimeToRange,
+  calculateTimeToReturn,
+  calculateHorizonTimes
+};
@@ -0,0 +1,105 @@
+/**
+ * optics.js
+ * Telescope and binocular optics for the Over The Horizon demonstration
+ *
+ * Every instrument exposes the same interface:
+ *   { id, name, params: { magnification, fieldOfView, aperture }, resolution }
+ * where fieldOfView is the true field in degrees, aperture the objective
+ * diameter in millimeters and resolution the smallest angle (in radians)
+ * the observer can make out through the instrument.
+ */
+
+import { ANGLE_UNITS } from './constants.js';
+
+// Wavelength of the light the eye is most sensitive to, in meters
+const WAVELENGTH = 550e-9;
+
+// Smallest angle the unaided eye can resolve
+const EYE_RESOLUTION = ANGLE_UNITS.ARC_MINUTE;
+
+// Width of a ship's mast in meters, the detail checked for in the eyepiece
+const MAST_WIDTH = 0.8;
+
+// Instruments to choose from
+const OPTICS_PRESETS = {
+  'binoculars-7x50': {
+    name: '7x50 marine binoculars',
+    magnification: 7,
+    fieldOfView: 7.3,
+    aperture: 50
+  },
+  'spotting-scope-20x': {
+    name: '20x spotting scope',
+    magnification: 20,
+    fieldOfView: 2.1,
+    aperture: 80
+  },
+  'camera-zoom': {
+    name: 'Camera, 600 mm zoom lens',
+    magnification: 12,
+    fieldOfView: 3.4,
+    aperture: 95
+  }
+};
+
+/**
+ * Calculates the diffraction limit of an objective (Rayleigh criterion)
+ * @param {number} aperture - Diameter of the objective in millimeters
+ * @returns {number} - Smallest resolvable angle in radians
+ */
+function calculateDiffractionLimit(aperture) {
+  // θ = 1.22 λ / D
+  return 1.22 * WAVELENGTH / (aperture / 1000);
+}
+
+/**
+ * Creates an optical instrument from a preset, optionally adjusted
+ * @param {string} id - Preset id (one of the keys of OPTICS_PRESETS, or 'custom')
+ * @param {Object} [params] - Values replacing those of the preset
+ * @param {number} [params.magnification] - Magnification
+ * @param {number} [params.fieldOfView] - True field of view in degrees
+ * @param {number} [params.aperture] - Objective diameter in millimeters
+ * @returns {Object} - Optical instrument
+ */
+function createOpticsModel(id, params = {}) {
+  let preset = OPTICS_PRESETS[id];
+  if (!preset && id !== 'custom') {
+    console.error(`Unknown optics preset "${id}"`);
+  }
+  preset = preset || OPTICS_PRESETS['binoculars-7x50'];
+
+  const magnification = params.magnification ?? preset.magnification;
+  const fieldOfView = params.fieldOfView ?? preset.fieldOfView;
+  const aperture = params.aperture ?? preset.aperture;
+
+  // The view is limited by the objective or by the eye behind the eyepiece, whichever is worse
+  const diffractionLimit = calculateDiffractionLimit(aperture);
+  const resolution = Math.max(diffractionLimit, EYE_RESOLUTION / magnification);
+
+  return {
+    id: OPTICS_PRESETS[id] ? id : 'custom',
+    name: OPTICS_PRESETS[id] ? preset.name : `${magnification}x${aperture} (custom)`,
+    params: { magnification, fieldOfView, aperture },
+    diffractionLimit,
+    resolution
+  };
+}
+
+/**
+ * Checks whether a detail of a given size can be made out at a given distance
+ * @param {Object} optics - Optical instrument (see createOpticsModel)
+ * @param {number} size - Size of the detail in meters
+ * @param {number} distance - Distance to the detail in kilometers
+ * @returns {boolean} - Whether the detail is resolved
+ */
+function isResolvable(optics, size, distance) {
+  return size / (distance * 1000) >= optics.resolution;
+}
+
+export {
+  MAST_WIDTH,
+  OPTICS_PRESETS,
+  calculateDiffractionLimit,
+  createOpticsModel,
+  isResolvable
+};
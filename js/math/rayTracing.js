@@ -0,0 +1,391 @@
+/**
+ * rayTracing.js
+ * Numerical line-of-sight solver through a layered atmosphere over a spherical Earth
+ *
+ * Rays are integrated in polar coordinates using the central angle θ as the
+ * independent variable. With α the elevation of the ray above the local
+ * horizontal, r the distance from the Earth's centre and n(h) the refractive
+ * index, the ray equations are:
+ *   dr/dθ = r · tan(α)
+ *   dα/dθ = 1 + r · n'(h) / n(h)
+ * Without refraction (n' = 0) this reduces to a straight line.
+ */
+
+import { EARTH_RADIUS, STANDARD_ATMOSPHERE } from './constants.js';
+
+// Refractivity of air: n - 1 = 79e-6 · P / T (P in hPa, T in K)
+const REFRACTIVITY_CONSTANT = 79e-6;
+
+// g · M / R for dry air in K per meter, used for hydrostatic pressure
+const HYDROSTATIC_CONSTANT = 0.0341632;
+
+// Default ray-tracing settings
+const RAY_TRACING_DEFAULTS = {
+  STEP: 25,             // Integration step along the surface in meters
+  RAY_COUNT: 401,       // Number of rays in a fan
+  LOOK_DOWN_MARGIN: 0.003, // Extra angle below the dip for rays bent up by a hot surface layer in radians
+  MAX_TABLE_HEIGHT: 3000, // Height up to which the atmosphere is tabulated in meters
+  TABLE_RESOLUTION: 1   // Spacing of the atmosphere table in meters
+};
+
+/**
+ * Creates a layered atmosphere profile from a surface temperature and pressure
+ * Each layer has a constant lapse rate up to its top; the last layer extends upwards.
+ * @param {Object} [options] - Profile options
+ * @param {number} [options.temperature=STANDARD_ATMOSPHERE.TEMPERATURE] - Air temperature at the surface in °C
+ * @param {number} [options.pressure=STANDARD_ATMOSPHERE.PRESSURE] - Air pressure at the surface in hPa
+ * @param {Object[]} [options.layers] - Layers as { top, lapseRate } with top in meters and lapse rate in K per meter
+ * @returns {Object} - Profile with refractiveIndex(h) and gradient(h), heights in meters
+ */
+function createAtmosphereProfile({
+  temperature = STANDARD_ATMOSPHERE.TEMPERATURE,
+  pressure = STANDARD_ATMOSPHERE.PRESSURE,
+  layers = [{ top: Infinity, lapseRate: STANDARD_ATMOSPHERE.LAPSE_RATE }]
+} = {}) {
+  const resolution = RAY_TRACING_DEFAULTS.TABLE_RESOLUTION;
+  const sampleCount = Math.floor(RAY_TRACING_DEFAULTS.MAX_TABLE_HEIGHT / resolution) + 1;
+  const indexTable = new Float64Array(sampleCount);
+
+  // Walk up through the layers, integrating the hydrostatic equation for pressure
+  let temperatureKelvin = temperature + 273.15;
+  let currentPressure = pressure;
+  let layerIndex = 0;
+
+  for (let i = 0; i < sampleCount; i++) {
+    const height = i * resolution;
+    indexTable[i] = 1 + REFRACTIVITY_CONSTANT * currentPressure / temperatureKelvin;
+
+    while (layerIndex < layers.length - 1 && height >= layers[layerIndex].top) {
+      layerIndex++;
+    }
+
+    currentPressure -= currentPressure * HYDROSTATIC_CONSTANT / temperatureKelvin * resolution;
+    temperatureKelvin -= layers[layerIndex].lapseRate * resolution;
+  }
+
+  return createTabulatedProfile(indexTable, resolution, { temperature, pressure, layers });
+}
+
+/**
+ * Creates a profile whose refractive index changes uniformly with height
+ * The gradient is chosen so that rays curve as in the constant-k model.
+ * @param {number} refractionFactor - Refraction factor (k value) to reproduce
+ * @param {number} [earthRadius=EARTH_RADIUS] - Radius of the Earth in kilometers
+ * @returns {Object} - Profile with refractiveIndex(h) and gradient(h), heights in meters
+ */
+function createUniformProfile(refractionFactor, earthRadius = EARTH_RADIUS) {
+  // Ray curvature κ/R = -dn/dh, and k = 1 / (1 - κ)
+  const indexGradient = -(1 - 1 / refractionFactor) / (earthRadius * 1000);
+  const surfaceIndex = 1 + REFRACTIVITY_CONSTANT * STANDARD_ATMOSPHERE.PRESSURE /
+    (STANDARD_ATMOSPHERE.TEMPERATURE + 273.15);
+
+  return {
+    refractionFactor,
+    refractiveIndex(height) {
+      return surfaceIndex + indexGradient * Math.max(0, height);
+    },
+    gradient() {
+      return indexGradient;
+    }
+  };
+}
+
+/**
+ * Wraps a table of refractive indices in the profile interface
+ * @param {Float64Array} indexTable - Refractive index at equally spaced heights from 0
+ * @param {number} resolution - Spacing of the table in meters
+ * @param {Object} description - Parameters the table was built from
+ * @returns {Object} - Profile with refractiveIndex(h) and gradient(h), heights in meters
+ */
+function createTabulatedProfile(indexTable, resolution, description) {
+  const lastIndex = indexTable.length - 1;
+
+  // Central differences give a gradient that varies smoothly between samples,
+  // which keeps the ray integration free of step-to-step jitter
+  const gradientTable = new Float64Array(indexTable.length);
+  for (let i = 0; i <= lastIndex; i++) {
+    const below = indexTable[Math.max(0, i - 1)];
+    const above = indexTable[Math.min(lastIndex, i + 1)];
+    const span = (Math.min(lastIndex, i + 1) - Math.max(0, i - 1)) * resolution;
+    gradientTable[i] = (above - below) / span;
+  }
+
+  // Linear interpolation in a table sampled every `resolution` meters from 0
+  const interpolate = (table, height) => {
+    const position = Math.max(0, Math.min(lastIndex, height / resolution));
+    const i = Math.min(lastIndex - 1, Math.floor(position));
+    const fraction = position - i;
+    return table[i] + (table[i + 1] - table[i]) * fraction;
+  };
+
+  return {
+    ...description,
+    refractiveIndex(height) {
+      return interpolate(indexTable, height);
+    },
+    gradient(height) {
+      return interpolate(gradientTable, height);
+    }
+  };
+}
+
+/**
+ * Builds an atmosphere profile equivalent to a refraction model from refraction.js
+ * @param {number|Object} refraction - A k value or a refraction model
+ * @param {number} [earthRadius=EARTH_RADIUS] - Radius of the Earth in kilometers
+ * @returns {Object} - Atmosphere profile
+ */
+function createProfileFromRefractionModel(refraction, earthRadius = EARTH_RADIUS) {
+  if (typeof refraction === 'number') {
+    return createUniformProfile(refraction, earthRadius);
+  }
+
+  const params = refraction.params || {};
+
+  switch (refraction.id) {
+    case 'standard-atmosphere':
+      return createAtmosphereProfile({
+        temperature: params.temperature,
+        pressure: params.pressure,
+        layers: [{ top: Infinity, lapseRate: params.lapseRate }]
+      });
+    case 'ducting':
+      // A warm inversion layer over the sea, with standard air above it
+      return createAtmosphereProfile({
+        temperature: params.temperature,
+        pressure: params.pressure,
+        layers: [
+          { top: params.ductHeight, lapseRate: -params.inversionGradient },
+          { top: Infinity, lapseRate: STANDARD_ATMOSPHERE.LAPSE_RATE }
+        ]
+      });
+    case 'surface-heating':
+      // Air heated by the sea cools rapidly through a thin layer, then normally above it
+      return createAtmosphereProfile({
+        temperature: params.temperature + params.surfaceExcess,
+        pressure: params.pressure,
+        layers: [
+          { top: params.layerDepth, lapseRate: params.surfaceExcess / params.layerDepth },
+          { top: Infinity, lapseRate: STANDARD_ATMOSPHERE.LAPSE_RATE }
+        ]
+      });
+    default:
+      return createUniformProfile(refraction.getRefractionFactor(0), earthRadius);
+  }
+}
+
+/**
+ * Integrates a single ray from the observer to a given distance
+ * @param {number} launchAngle - Elevation of the ray at the observer in radians
+ * @param {number} observerHeight - Height of the observer in meters
+ * @param {number} distance - Distance along the surface at which to stop in kilometers
+ * @param {Object} profile - Atmosphere profile
+ * @param {number} earthRadius - Radius of the Earth in kilometers
+ * @param {number} step - Integration step along the surface in meters
+ * @returns {number|null} - Height of the ray at the distance in meters (negative below the sea),
+ *   or null if the sea blocks the ray before it gets there
+ */
+function traceRay(launchAngle, observerHeight, distance, profile, earthRadius, step) {
+  const radius = earthRadius * 1000;
+  const targetAngle = (distance * 1000) / radius;
+
+  // Derivatives of (r, α) with respect to the central angle θ
+  const derivatives = (r, alpha) => {
+    const height = r - radius;
+    return [
+      r * Math.tan(alpha),
+      1 + r * profile.gradient(height) / profile.refractiveIndex(height)
+    ];
+  };
+
+  let r = radius + observerHeight;
+  let alpha = launchAngle;
+  let theta = 0;
+  let submerged = false;
+
+  while (theta < targetAngle) {
+    const dTheta = Math.min(step / radius, targetAngle - theta);
+
+    // Classic fourth-order Runge-Kutta step
+    const [k1r, k1a] = derivatives(r, alpha);
+    const [k2r, k2a] = derivatives(r + k1r * dTheta / 2, alpha + k1a * dTheta / 2);
+    const [k3r, k3a] = derivatives(r + k2r * dTheta / 2, alpha + k2a * dTheta / 2);
+    const [k4r, k4a] = derivatives(r + k3r * dTheta, alpha + k3a * dTheta);
+
+    r += (k1r + 2 * k2r + 2 * k3r + k4r) * dTheta / 6;
+    alpha += (k1a + 2 * k2a + 2 * k3a + k4a) * dTheta / 6;
+    theta += dTheta;
+
+    // The ray is continued below the sea so that points under the waterline
+    // still get a (negative) height, but it may not come back out
+    if (r < radius) {
+      submerged = true;
+    } else if (submerged) {
+      return null;
+    }
+  }
+
+  return r - radius;
+}
+
+/**
+ * Traces a fan of rays from the observer and records where each one is at the target distance
+ * @param {number} observerHeight - Height of the observer in meters
+ * @param {number} distance - Distance to the target in kilometers
+ * @param {Object} [options] - Solver options
+ * @param {Object} [options.profile] - Atmosphere profile (defaults to the standard atmosphere)
+ * @param {number} [options.earthRadius=EARTH_RADIUS] - Radius of the Earth in kilometers
+ * @param {number} [options.maxTargetHeight=100] - Tallest target height the fan must cover in meters
+ * @param {number} [options.rayCount=RAY_TRACING_DEFAULTS.RAY_COUNT] - Number of rays
+ * @param {number} [options.step=RAY_TRACING_DEFAULTS.STEP] - Integration step in meters
+ * @param {Object} [options.angleRange] - Override of the launch angles as { minAngle, maxAngle } in radians
+ * @returns {Object} - Fan with launch angles (radians), heights at the target (meters or null) and the apparent horizon elevation
+ */
+function traceRayFan(observerHeight, distance, {
+  profile = createAtmosphereProfile(),
+  earthRadius = EARTH_RADIUS,
+  maxTargetHeight = 100,
+  rayCount = RAY_TRACING_DEFAULTS.RAY_COUNT,
+  step = RAY_TRACING_DEFAULTS.STEP,
+  angleRange = {}
+} = {}) {
+  const radiusMeters = earthRadius * 1000;
+  const distanceMeters = Math.max(distance * 1000, 1);
+
+  // Angular window: from well below the geometric dip up to a straight ray
+  // that would clear the tallest target, with a margin for rays bending either way
+  const geometricDip = Math.sqrt(2 * observerHeight / radiusMeters);
+  const straightRayAngle = (maxTargetHeight - observerHeight) / distanceMeters +
+    distanceMeters / (2 * radiusMeters);
+  const {
+    minAngle = -1.5 * geometricDip - RAY_TRACING_DEFAULTS.LOOK_DOWN_MARGIN,
+    maxAngle = Math.max(straightRayAngle, 0) * 1.5 + 0.0005
+  } = angleRange;
+
+  const angles = [];
+  const heights = [];
+  let horizonElevation = null;
+
+  for (let i = 0; i < rayCount; i++) {
+    const angle = minAngle + (maxAngle - minAngle) * i / (rayCount - 1);
+    const height = traceRay(angle, observerHeight, distance, profile, earthRadius, step);
+
+    angles.push(angle);
+    heights.push(height);
+
+    // The lowest ray that passes above the sea at the target distance marks where the sea ends there
+    if (height !== null && height >= 0 && horizonElevation === null) {
+      horizonElevation = angle;
+    }
+  }
+
+  return { observerHeight, distance, angles, heights, horizonElevation };
+}
+
+/**
+ * Finds every apparent elevation at which a point on the target is seen
+ * More than one image means a mirage; inverted images are flagged.
+ * @param {Object} fan - Ray fan from traceRayFan
+ * @param {number} targetHeight - Height of the point on the target in meters
+ * @returns {Object[]} - Images as { elevation, inverted }, lowest first, elevation in radians
+ */
+function findImages(fan, targetHeight) {
+  const { angles, heights } = fan;
+  const images = [];
+
+  for (let i = 0; i < angles.length - 1; i++) {
+    const h0 = heights[i];
+    const h1 = heights[i + 1];
+
+    if (h0 === null || h1 === null) {
+      continue;
+    }
+
+    // A ray crossing the target height between two neighbouring launch angles
+    if ((h0 < targetHeight) !== (h1 < targetHeight)) {
+      const fraction = (targetHeight - h0) / (h1 - h0);
+      images.push({
+        elevation: angles[i] + (angles[i + 1] - angles[i]) * fraction,
+        // Higher rays landing lower on the target turn the image upside down
+        inverted: h1 < h0
+      });
+    }
+  }
+
+  return images;
+}
+
+/**
+ * Solves the line of sight from the observer to a single target point
+ * @param {number} observerHeight - Height of the observer in meters
+ * @param {number} distance - Distance to the target in kilometers
+ * @param {number} targetHeight - Height of the target point in meters
+ * @param {Object} [options] - Solver options, as for traceRayFan
+ * @returns {Object} - { apparentElevation (radians or null), obscured, images }
+ */
+function solveLineOfSight(observerHeight, distance, targetHeight, options = {}) {
+  const fan = traceRayFan(observerHeight, distance, {
+    maxTargetHeight: Math.max(targetHeight, 1),
+    ...options
+  });
+  const images = findImages(fan, targetHeight);
+
+  return {
+    apparentElevation: getPrimaryElevation(images),
+    obscured: images.length === 0,
+    images
+  };
+}
+
+/**
+ * Maps several heights on a target to where they appear, sharing one ray fan
+ * This is what the renderer uses to place each part of the hull.
+ * @param {number} observerHeight - Height of the observer in meters
+ * @param {number} distance - Distance to the target in kilometers
+ * @param {number[]} targetHeights - Heights on the target in meters
+ * @param {Object} [options] - Solver options, as for traceRayFan
+ * @returns {Object} - { horizonElevation, points: [{ height, apparentElevation, obscured, images }] }
+ */
+function mapApparentHeights(observerHeight, distance, targetHeights, options = {}) {
+  const fan = traceRayFan(observerHeight, distance, {
+    maxTargetHeight: Math.max(1, ...targetHeights),
+    ...options
+  });
+
+  const points = targetHeights.map(height => {
+    const images = findImages(fan, height);
+    return {
+      height,
+      apparentElevation: getPrimaryElevation(images),
+      obscured: images.length === 0,
+      images
+    };
+  });
+
+  return { horizonElevation: fan.horizonElevation, points };
+}
+
+/**
+ * Picks the direct image: the lowest upright one, or the lowest of any kind
+ * @param {Object[]} images - Images from findImages, lowest first
+ * @returns {number|null} - Elevation in radians, or null if there is no image
+ */
+function getPrimaryElevation(images) {
+  if (images.length === 0) {
+    return null;
+  }
+  const upright = images.find(image => !image.inverted);
+  return (upright || images[0]).elevation;
+}
+
+export {
+  RAY_TRACING_DEFAULTS,
+  createAtmosphereProfile,
+  createUniformProfile,
+  createProfileFromRefractionModel,
+  traceRay,
+  traceRayFan,
+  findImages,
+  solveLineOfSight,
+  mapApparentHeights
+};
@@ -0,0 +1,229 @@
+/**
+ * refraction.js
+ * Atmospheric refraction models for the Over The Horizon demonstration
+ *
+ * Every model exposes the same interface:
+ *   { id, name, params, getRefractionFactor(height) }
+ * where getRefractionFactor returns the k value (the factor by which the
+ * Earth's radius is scaled) for an observer at the given height in meters.
+ * The horizon functions accept either a model or a plain k value.
+ */
+
+import { DEFAULT_REFRACTION_FACTOR, STANDARD_ATMOSPHERE } from './constants.js';
+
+// Largest k value a model may return; a ray that curves as much as the Earth
+// (ducting) would otherwise give an infinite effective radius
+const MAX_REFRACTION_FACTOR = 20;
+
+// Temperature gradient (K/m) at which a horizontal ray follows the
+// temperature-independent part of the refractive index gradient
+const AUTOCONVECTIVE_GRADIENT = 0.0343;
+
+// Coefficient of the optical refraction formula (in K²/hPa)
+const REFRACTION_CONSTANT = 503;
+
+/**
+ * Calculates the refraction coefficient (ray curvature / Earth curvature)
+ * @param {number} temperature - Air temperature in °C
+ * @param {number} pressure - Air pressure in hPa
+ * @param {number} temperatureGradient - Change of temperature with height in K per meter
+ * @returns {number} - Refraction coefficient (0 = straight rays, 1 = rays follow the Earth)
+ */
+function calculateRefractionCoefficient(temperature, pressure, temperatureGradient) {
+  const temperatureKelvin = temperature + 273.15;
+
+  // κ = 503 · P / T² · (0.0343 + dT/dh)
+  return REFRACTION_CONSTANT * (pressure / (temperatureKelvin * temperatureKelvin)) *
+    (AUTOCONVECTIVE_GRADIENT + temperatureGradient);
+}
+
+/**
+ * Converts a refraction coefficient into a k value (effective radius factor)
+ * @param {number} coefficient - Refraction coefficient
+ * @returns {number} - Refraction factor k, limited to MAX_REFRACTION_FACTOR
+ */
+function coefficientToRefractionFactor(coefficient) {
+  // Rays bending as much as (or more than) the Earth are trapped in a duct
+  if (coefficient >= 1 - 1 / MAX_REFRACTION_FACTOR) {
+    return MAX_REFRACTION_FACTOR;
+  }
+
+  // k = 1 / (1 - κ)
+  return 1 / (1 - coefficient);
+}
+
+/**
+ * Creates a model with a fixed k value
+ * @param {Object} [params] - Model parameters
+ * @param {number} [params.k=DEFAULT_REFRACTION_FACTOR] - Refraction factor
+ * @returns {Object} - Refraction model
+ */
+function createConstantRefractionModel({ k = DEFAULT_REFRACTION_FACTOR } = {}) {
+  return {
+    id: 'constant',
+    name: `Constant (k=${k})`,
+    params: { k },
+    getRefractionFactor() {
+      return k;
+    }
+  };
+}
+
+/**
+ * Creates a model in which light travels in straight lines (k = 1)
+ * @returns {Object} - Refraction model
+ */
+function createNoRefractionModel() {
+  return {
+    id: 'none',
+    name: 'No refraction',
+    params: {},
+    getRefractionFactor() {
+      return 1.0;
+    }
+  };
+}
+
+/**
+ * Creates a model deriving k from the temperature, pressure and lapse rate near the surface
+ * @param {Object} [params] - Model parameters
+ * @param {number} [params.temperature=STANDARD_ATMOSPHERE.TEMPERATURE] - Air temperature in °C
+ * @param {number} [params.pressure=STANDARD_ATMOSPHERE.PRESSURE] - Air pressure in hPa
+ * @param {number} [params.lapseRate=STANDARD_ATMOSPHERE.LAPSE_RATE] - Temperature drop with height in K per meter
+ * @returns {Object} - Refraction model
+ */
+function createStandardAtmosphereModel({
+  temperature = STANDARD_ATMOSPHERE.TEMPERATURE,
+  pressure = STANDARD_ATMOSPHERE.PRESSURE,
+  lapseRate = STANDARD_ATMOSPHERE.LAPSE_RATE
+} = {}) {
+  // A positive lapse rate means the air cools with height
+  const coefficient = calculateRefractionCoefficient(temperature, pressure, -lapseRate);
+  const k = coefficientToRefractionFactor(coefficient);
+
+  return {
+    id: 'standard-atmosphere',
+    name: 'Standard atmosphere',
+    params: { temperature, pressure, lapseRate },
+    getRefractionFactor() {
+      return k;
+    }
+  };
+}
+
+/**
+ * Creates a model of a surface duct: a temperature inversion over cold water
+ * that bends rays strongly downwards and produces superior mirages
+ * @param {Object} [params] - Model parameters
+ * @param {number} [params.temperature=STANDARD_ATMOSPHERE.TEMPERATURE] - Air temperature in °C
+ * @param {number} [params.pressure=STANDARD_ATMOSPHERE.PRESSURE] - Air pressure in hPa
+ * @param {number} [params.inversionGradient=0.15] - Temperature rise with height inside the duct in K per meter
+ * @param {number} [params.ductHeight=50] - Height of the top of the inversion layer in meters
+ * @returns {Object} - Refraction model
+ */
+function createDuctingModel({
+  temperature = STANDARD_ATMOSPHERE.TEMPERATURE,
+  pressure = STANDARD_ATMOSPHERE.PRESSURE,
+  inversionGradient = 0.15,
+  ductHeight = 50
+} = {}) {
+  // Inside the duct the inversion dominates; above it the air is standard
+  const ductFactor = coefficientToRefractionFactor(
+    calculateRefractionCoefficient(temperature, pressure, inversionGradient)
+  );
+  const aboveDuctFactor = coefficientToRefractionFactor(
+    calculateRefractionCoefficient(temperature, pressure, -STANDARD_ATMOSPHERE.LAPSE_RATE)
+  );
+
+  return {
+    id: 'ducting',
+    name: 'Ducting / superior mirage',
+    params: { temperature, pressure, inversionGradient, ductHeight },
+    getRefractionFactor(height = 0) {
+      return height <= ductHeight ? ductFactor : aboveDuctFactor;
+    }
+  };
+}
+
+/**
+ * Creates a model of a superheated layer over a warm sea, where the air cools
+ * quickly with height and produces inferior (inverted) mirages
+ * @param {Object} [params] - Model parameters
+ * @param {number} [params.temperature=STANDARD_ATMOSPHERE.TEMPERATURE] - Air temperature above the layer in °C
+ * @param {number} [params.pressure=STANDARD_ATMOSPHERE.PRESSURE] - Air pressure in hPa
+ * @param {number} [params.surfaceExcess=5] - How much warmer the air at the surface is in °C
+ * @param {number} [params.layerDepth=4] - Depth of the heated layer in meters
+ * @returns {Object} - Refraction model
+ */
+function createSurfaceHeatingModel({
+  temperature = STANDARD_ATMOSPHERE.TEMPERATURE,
+  pressure = STANDARD_ATMOSPHERE.PRESSURE,
+  surfaceExcess = 5,
+  layerDepth = 4
+} = {}) {
+  const layerFactor = coefficientToRefractionFactor(
+    calculateRefractionCoefficient(temperature + surfaceExcess, pressure, -surfaceExcess / layerDepth)
+  );
+  const aboveLayerFactor = coefficientToRefractionFactor(
+    calculateRefractionCoefficient(temperature, pressure, -STANDARD_ATMOSPHERE.LAPSE_RATE)
+  );
+
+  return {
+    id: 'surface-heating',
+    name: 'Hot surface / inferior mirage',
+    params: { temperature, pressure, surfaceExcess, layerDepth },
+    getRefractionFactor(height = 0) {
+      return height <= layerDepth ? layerFactor : aboveLayerFactor;
+    }
+  };
+}
+
+// Model factories by id
+const REFRACTION_MODELS = {
+  'none': createNoRefractionModel,
+  'constant': createConstantRefractionModel,
+  'standard-atmosphere': createStandardAtmosphereModel,
+  'ducting': createDuctingModel,
+  'surface-heating': createSurfaceHeatingModel
+};
+
+/**
+ * Creates a refraction model by id
+ * @param {string} id - Model id (one of the keys of REFRACTION_MODELS)
+ * @param {Object} [params] - Model parameters
+ * @returns {Object} - Refraction model
+ */
+function createRefractionModel(id, params = {}) {
+  const factory = REFRACTION_MODELS[id];
+  if (!factory) {
+    console.error(`Unknown refraction model "${id}"`);
+    return createConstantRefractionModel(params);
+  }
+  return factory(params);
+}
+
+/**
+ * Resolves a refraction argument to a k value
+ * @param {number|Object} refraction - A k value or a refraction model
+ * @param {number} [height=0] - Height of the observer in meters
+ * @returns {number} - Refraction factor k
+ */
+function resolveRefractionFactor(refraction, height = 0) {
+  if (refraction && typeof refraction.getRefractionFactor === 'function') {
+    return refraction.getRefractionFactor(height);
+  }
+  return refraction;
+}
+
+export {
+  MAX_REFRACTION_FACTOR,
+  REFRACTION_MODELS,
+  calculateRefractionCoefficient,
+  createConstantRefractionModel,
+  createNoRefractionModel,
+  createStandardAtmosphereModel,
+  createDuctingModel,
+  createSurfaceHeatingModel,
+  createRefractionModel,
+  resolveRefractionFactor
+};
@@ -0,0 +1,73 @@
+/**
+ * seaState.js
+ * Sea state (Douglas scale) and wave crest heights for the Over The Horizon demonstration
+ *
+ * Wave crests raise the surface that blocks the line of sight: to a low
+ * observer the horizon is formed by the crests, and crests in front of a
+ * distant ship hide the bottom of its hull.
+ */
+
+// Douglas sea scale: upper limit of the significant wave height (in meters) of each degree
+const DOUGLAS_SCALE = [
+  { degree: 0, name: 'Calm (glassy)', maxWaveHeight: 0 },
+  { degree: 1, name: 'Calm (rippled)', maxWaveHeight: 0.1 },
+  { degree: 2, name: 'Smooth', maxWaveHeight: 0.5 },
+  { degree: 3, name: 'Slight', maxWaveHeight: 1.25 },
+  { degree: 4, name: 'Moderate', maxWaveHeight: 2.5 },
+  { degree: 5, name: 'Rough', maxWaveHeight: 4 },
+  { degree: 6, name: 'Very rough', maxWaveHeight: 6 },
+  { degree: 7, name: 'High', maxWaveHeight: 9 },
+  { degree: 8, name: 'Very high', maxWaveHeight: 14 },
+  { degree: 9, name: 'Phenomenal', maxWaveHeight: Infinity }
+];
+
+// Significant wave height used for the open-ended top degree, in meters
+const PHENOMENAL_WAVE_HEIGHT = 16;
+
+// Height of the crests that block the view above mean sea level, as a fraction
+// of the significant wave height (crests stand about half a wave above the mean)
+const CREST_FACTOR = 0.5;
+
+/**
+ * Finds the Douglas degree of a significant wave height
+ * @param {number} significantWaveHeight - Significant wave height in meters
+ * @returns {Object} - Entry of DOUGLAS_SCALE
+ */
+function getDouglasDegree(significantWaveHeight) {
+  return DOUGLAS_SCALE.find(entry => significantWaveHeight <= entry.maxWaveHeight);
+}
+
+/**
+ * Gives a typical significant wave height for a Douglas degree (the middle of its range)
+ * @param {number} degree - Douglas degree (0-9)
+ * @returns {number} - Significant wave height in meters
+ */
+function getRepresentativeWaveHeight(degree) {
+  const entry = DOUGLAS_SCALE[degree];
+  if (!entry) {
+    console.error(`Unknown Douglas degree "${degree}"`);
+    return 0;
+  }
+  if (!isFinite(entry.maxWaveHeight)) {
+    return PHENOMENAL_WAVE_HEIGHT;
+  }
+
+  const lower = degree > 0 ? DOUGLAS_SCALE[degree - 1].maxWaveHeight : 0;
+  return (lower + entry.maxWaveHeight) / 2;
+}
+
+/**
+ * Calculates the height of the wave crests that block the line of sight
+ * @param {number} significantWaveHeight - Significant wave height in meters
+ * @returns {number} - Crest height above mean sea level in meters
+ */
+function calculateCrestHeight(significantWaveHeight) {
+  return CREST_FACTOR * significantWaveHeight;
+}
+
+export {
+  DOUGLAS_SCALE,
+  getDouglasDegree,
+  getRepresentativeWaveHeight,
+  calculateCrestHeight
+};
@@ -0,0 +1,199 @@
+/**
+ * terrain.js
+ * Elevation profiles of distant land and which of their peaks can be seen
+ *
+ * A profile is a cross-section of the terrain along one bearing from the
+ * observer, given as points { distance (km), elevation (m above mean sea
+ * level) }. A point is seen when the line of sight to it clears both the
+ * curved, refracted sea surface and every point of the profile in front of it.
+ */
+
+import { EARTH_RADIUS } from './constants.js';
+import { resolveRefractionFactor } from './refraction.js';
+import { calculateHiddenHeight, calculateElevationAngle } from './horizon.js';
+
+// Smallest rise of a peak above the saddles on either side, in meters; smaller bumps
+// belong to the ridge around them
+const MIN_PEAK_PROMINENCE = 20;
+
+/**
+ * Parses an elevation profile from CSV or JSON text
+ * CSV has one "distance, elevation" pair per line (a header line and lines starting
+ * with # are skipped). JSON is an array of [distance, elevation] pairs or of
+ * {distance, elevation} objects, optionally under a "points" key.
+ * @param {string} text - Profile with distances in kilometers and elevations in meters
+ * @returns {Object[]} - Points {distance, elevation}, ordered by distance
+ */
+function parseElevationProfile(text) {
+  const trimmed = text.trim();
+  let points = [];
+
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    let data;
+    try {
+      data = JSON.parse(trimmed);
+    } catch (error) {
+      console.error(`Elevation profile is not valid JSON: ${error.message}`);
+      return [];
+    }
+
+    const entries = Array.isArray(data) ? data : data.points;
+    if (!Array.isArray(entries)) {
+      console.error('Elevation profile JSON needs an array of points');
+      return [];
+    }
+    points = entries.map(entry => Array.isArray(entry) ?
+      { distance: Number(entry[0]), elevation: Number(entry[1]) } :
+      { distance: Number(entry.distance), elevation: Number(entry.elevation) });
+  } else {
+    trimmed.split('\n').forEach((line, i) => {
+      const content = line.trim();
+      if (content === '' || content.startsWith('#')) {
+        return;
+      }
+
+      const [distance, elevation] = content.split(/[\s,;]+/).map(Number);
+      if (!isFinite(distance) || !isFinite(elevation)) {
+        // A header before the first point names the columns
+        if (points.length > 0 || /^[-+\d.]/.test(content)) {
+          console.error(`Ignoring elevation profile line ${i + 1}: "${content}"`);
+        }
+        return;
+      }
+      points.push({ distance, elevation });
+    });
+  }
+
+  return points
+    .filter(point => {
+      const valid = isFinite(point.distance) && isFinite(point.elevation) && point.distance > 0;
+      if (!valid) {
+        console.error(`Ignoring elevation profile point ${JSON.stringify(point)}`);
+      }
+      return valid;
+    })
+    .sort((a, b) => a.distance - b.distance);
+}
+
+/**
+ * Calculates the height a line of sight reaches above the surface at a distance
+ * @param {number} distance - Distance along the surface in kilometers
+ * @param {number} observerHeight - Height of the observer in meters
+ * @param {number} angle - Elevation of the line of sight above the horizontal in radians
+ * @param {number} [earthRadius=EARTH_RADIUS] - Radius of the Earth in kilometers (Infinity for a flat plane)
+ * @param {number|Object} [refractionFactor=1.0] - Atmospheric refraction factor (k value) or refraction model
+ * @returns {number} - Height of the line of sight in meters (Infinity once it has left the Earth behind)
+ */
+function calculateSightLineHeight(distance, observerHeight, angle, earthRadius = EARTH_RADIUS, refractionFactor = 1.0) {
+  const distanceMeters = distance * 1000;
+
+  if (!isFinite(earthRadius)) {
+    return observerHeight + distanceMeters * Math.tan(angle);
+  }
+
+  // A straight line at perpendicular distance r0·cos(α) from the centre, in polar form
+  const effectiveEarthRadius = earthRadius * resolveRefractionFactor(refractionFactor, observerHeight) * 1000;
+  const centralAngle = distanceMeters / effectiveEarthRadius;
+  const cosine = Math.cos(angle + centralAngle);
+  if (cosine <= 0) {
+    return Infinity;
+  }
+  return (effectiveEarthRadius + observerHeight) * Math.cos(angle) / cosine - effectiveEarthRadius;
+}
+
+/**
+ * Splits a profile into ridges, each around one prominent peak
+ * Ridges meet at the lowest point between neighbouring peaks.
+ * @param {Object[]} points - Points {distance, height}, ordered by distance
+ * @returns {Object[]} - Ridges {summit, from, to} as indices into the points
+ */
+function findRidges(points) {
+  // Local maxima, keeping the higher of any two that are not separated by a deep enough saddle
+  const summits = [];
+  points.forEach((point, i) => {
+    const previous = points[i - 1];
+    const next = points[i + 1];
+    if ((previous && previous.height >= point.height) || (next && next.height > point.height)) {
+      return;
+    }
+
+    const last = summits[summits.length - 1];
+    if (last !== undefined) {
+      const saddle = Math.min(...points.slice(last, i + 1).map(candidate => candidate.height));
+      const lower = Math.min(points[last].height, point.height);
+      if (lower - saddle < MIN_PEAK_PROMINENCE) {
+        if (point.height > points[last].height) {
+          summits[summits.length - 1] = i;
+        }
+        return;
+      }
+    }
+    summits.push(i);
+  });
+
+  const lowestBetween = (from, to) => {
+    let lowest = from;
+    for (let i = from; i <= to; i++) {
+      if (points[i].height < points[lowest].height) {
+        lowest = i;
+      }
+    }
+    return lowest;
+  };
+
+  return summits.map((summit, i) => ({
+    summit,
+    from: i > 0 ? lowestBetween(summits[i - 1], summit) : 0,
+    to: i < summits.length - 1 ? lowestBetween(summit, summits[i + 1]) : points.length - 1
+  }));
+}
+
+/**
+ * Works out which parts of a terrain profile the observer can see
+ * Heights are above the current water level (see calculateHeightAboveWater).
+ * @param {Object[]} points - Points {distance (km), height (m)}, ordered by distance
+ * @param {number} observerHeight - Height of the observer in meters
+ * @param {number} [earthRadius=EARTH_RADIUS] - Radius of the Earth in kilometers (Infinity for a flat plane)
+ * @param {number|Object} [refractionFactor=1.0] - Atmospheric refraction factor (k value) or refraction model
+ * @param {number} [crestHeight=0] - Height of the wave crests above mean sea level in meters
+ * @returns {Object} - { points, ridges, visiblePeaks } where every point gains seaHiddenHeight (hidden by
+ *   the sea surface), hiddenHeight (hidden by the sea or the terrain in front) and visible; every ridge is
+ *   { distance, summit, points } with the summit point and the points from saddle to saddle
+ */
+function calculateTerrainVisibility(points, observerHeight, earthRadius = EARTH_RADIUS, refractionFactor = 1.0, crestHeight = 0) {
+  // Steepest line of sight over the terrain passed so far
+  let highestAngle = -Infinity;
+
+  const analysed = points.map(point => {
+    const seaHiddenHeight = calculateHiddenHeight(point.distance, observerHeight, earthRadius, refractionFactor, crestHeight);
+    const terrainHiddenHeight = highestAngle === -Infinity ?
+      0 :
+      calculateSightLineHeight(point.distance, observerHeight, highestAngle, earthRadius, refractionFactor);
+    const hiddenHeight = Math.max(seaHiddenHeight, terrainHiddenHeight);
+
+    highestAngle = Math.max(
+      highestAngle,
+      calculateElevationAngle(point.distance, observerHeight, point.height, earthRadius, refractionFactor)
+    );
+
+    return { ...point, seaHiddenHeight, hiddenHeight, visible: point.height > hiddenHeight };
+  });
+
+  const ridges = findRidges(analysed).map(({ summit, from, to }) => ({
+    distance: analysed[summit].distance,
+    summit: analysed[summit],
+    points: analysed.slice(from, to + 1)
+  }));
+
+  return {
+    points: analysed,
+    ridges,
+    visiblePeaks: ridges.filter(ridge => ridge.summit.visible).length
+  };
+}
+
+export {
+  parseElevationProfile,
+  calculateSightLineHeight,
+  calculateTerrainVisibility
+};
@@ -0,0 +1,199 @@
+/**
+ * tide.js
+ * Tide models and height datums for the Over The Horizon demonstration
+ *
+ * Every model exposes the same interface:
+ *   { id, name, params, meanLevel, getWaterLevel(time) }
+ * where getWaterLevel returns the height of the water above chart datum in
+ * meters at a time in hours, and meanLevel is the height of mean sea level
+ * above chart datum.
+ *
+ * Heights can be given relative to chart datum, mean sea level or the
+ * current water level. Things fixed to the land (a shore station, a
+ * lighthouse) keep their height above a fixed datum, so the rising tide
+ * brings them closer to the water; a ship floats and keeps its height
+ * above the water.
+ */
+
+// Period of the principal lunar semidiurnal tide (M2), in hours
+const SEMIDIURNAL_PERIOD = 12.42;
+
+// Datums that heights can be given relative to
+const HEIGHT_DATUMS = {
+  'chart-datum': 'Chart datum',
+  'mean-sea-level': 'Mean sea level',
+  'water-level': 'Current water level'
+};
+
+/**
+ * Creates a model without tide, in which the water stays at mean sea level
+ * Chart datum then coincides with mean sea level.
+ * @returns {Object} - Tide model
+ */
+function createNoTideModel() {
+  return {
+    id: 'none',
+    name: 'No tide',
+    params: {},
+    meanLevel: 0,
+    getWaterLevel() {
+      return 0;
+    }
+  };
+}
+
+/**
+ * Creates a sinusoidal tide
+ * Chart datum is taken at low water, so the water level runs from 0 to the tidal range.
+ * @param {Object} [params] - Model parameters
+ * @param {number} [params.range=4] - Difference between high and low water in meters
+ * @param {number} [params.period=SEMIDIURNAL_PERIOD] - Time from one high water to the next in hours
+ * @param {number} [params.highWaterTime=0] - Time of a high water in hours
+ * @returns {Object} - Tide model
+ */
+function createSinusoidalTideModel({ range = 4, period = SEMIDIURNAL_PERIOD, highWaterTime = 0 } = {}) {
+  const amplitude = range / 2;
+
+  return {
+    id: 'sinusoidal',
+    name: `Sinusoidal (${range} m range)`,
+    params: { range, period, highWaterTime },
+    meanLevel: amplitude,
+    getWaterLevel(time) {
+      return amplitude + amplitude * Math.cos(2 * Math.PI * (time - highWaterTime) / period);
+    }
+  };
+}
+
+/**
+ * Creates a tide from a table of water levels, interpolated linearly
+ * Before the first and after the last entry the water stays at the nearest level.
+ * @param {Object} [params] - Model parameters
+ * @param {Object[]} [params.points] - Water levels {time (hours), level (meters above chart datum)}
+ * @returns {Object} - Tide model
+ */
+function createManualTideModel({ points = [] } = {}) {
+  const sorted = [...points].sort((a, b) => a.time - b.time);
+  if (sorted.length === 0) {
+    console.error('A manual tide curve needs at least one point');
+    return createNoTideModel();
+  }
+
+  // Mean sea level is the average height of the curve over its span
+  let meanLevel = sorted[0].level;
+  const span = sorted[sorted.length - 1].time - sorted[0].time;
+  if (span > 0) {
+    let area = 0;
+    for (let i = 1; i < sorted.length; i++) {
+      area += (sorted[i].level + sorted[i - 1].level) / 2 * (sorted[i].time - sorted[i - 1].time);
+    }
+    meanLevel = area / span;
+  }
+
+  return {
+    id: 'manual',
+    name: `Tide curve (${sorted.length} points)`,
+    params: { points: sorted },
+    meanLevel,
+    getWaterLevel(time) {
+      if (time <= sorted[0].time) {
+        return sorted[0].level;
+      }
+      for (let i = 1; i < sorted.length; i++) {
+        if (time <= sorted[i].time) {
+          const from = sorted[i - 1];
+          const to = sorted[i];
+          return from.level + (to.level - from.level) * (time - from.time) / (to.time - from.time);
+        }
+      }
+      return sorted[sorted.length - 1].level;
+    }
+  };
+}
+
+// Model factories by id
+const TIDE_MODELS = {
+  'none': createNoTideModel,
+  'sinusoidal': createSinusoidalTideModel,
+  'manual': createManualTideModel
+};
+
+/**
+ * Creates a tide model by id
+ * @param {string} id - Model id (one of the keys of TIDE_MODELS)
+ * @param {Object} [params] - Model parameters
+ * @returns {Object} - Tide model
+ */
+function createTideModel(id, params = {}) {
+  const factory = TIDE_MODELS[id];
+  if (!factory) {
+    console.error(`Unknown tide model "${id}"`);
+    return createNoTideModel();
+  }
+  return factory(params);
+}
+
+/**
+ * Parses a tide table entered as text, one "time, level" pair per line
+ * Lines that are empty or start with # are skipped.
+ * @param {string} text - Tide table with times in hours and levels in meters above chart datum
+ * @returns {Object[]} - Water levels {time, level}
+ */
+function parseTideCurve(text) {
+  const points = [];
+
+  text.split('\n').forEach((line, i) => {
+    const trimmed = line.trim();
+    if (trimmed === '' || trimmed.startsWith('#')) {
+      return;
+    }
+
+    const [time, level] = trimmed.split(/[\s,;]+/).map(Number);
+    if (!isFinite(time) || !isFinite(level)) {
+      console.error(`Ignoring tide curve line ${i + 1}: "${trimmed}"`);
+      return;
+    }
+    points.push({ time, level });
+  });
+
+  return points;
+}
+
+/**
+ * Converts a height given relative to a datum into a height above the water
+ * @param {number} height - Height in meters above the datum
+ * @param {string} datum - Datum the height is given relative to (one of the keys of HEIGHT_DATUMS)
+ * @param {Object} tide - Tide model
+ * @param {number} time - Time in hours
+ * @returns {number} - Height above the current water level in meters (0 when under water)
+ */
+function calculateHeightAboveWater(height, datum, tide, time) {
+  const waterLevel = tide.getWaterLevel(time);
+
+  let heightAboveChartDatum;
+  switch (datum) {
+    case 'chart-datum':
+      heightAboveChartDatum = height;
+      break;
+    case 'mean-sea-level':
+      heightAboveChartDatum = height + tide.meanLevel;
+      break;
+    case 'water-level':
+      heightAboveChartDatum = height + waterLevel;
+      break;
+    default:
+      console.error(`Unknown height datum "${datum}"`);
+      heightAboveChartDatum = height + waterLevel;
+  }
+
+  return Math.max(0, heightAboveChartDatum - waterLevel);
+}
+
+export {
+  SEMIDIURNAL_PERIOD,
+  HEIGHT_DATUMS,
+  TIDE_MODELS,
+  createTideModel,
+  parseTideCurve,
+  calculateHeightAboveWater
+};
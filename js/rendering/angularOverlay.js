@@ -0,0 +1,124 @@
+/**
+ * angularOverlay.js
+ * Draws angular readouts and graduated angle scales for the Over The Horizon demonstration
+ */
+
+import { ANGLE_UNITS } from '../math/constants.js';
+
+// Candidate spacings between graduation marks, in units of the scale
+const GRADUATION_STEPS = [0.1, 0.2, 0.5, 1, 2, 5, 10, 20, 50, 100, 200, 500, 1000];
+
+// Closest that two graduation marks may be drawn, in pixels
+const MIN_TICK_SPACING = 6;
+
+// Every n-th mark is drawn longer and labelled
+const MAJOR_TICK_INTERVAL = 5;
+
+// Scale units: size in radians and label suffix
+const SCALE_UNITS = {
+  'arc-minute': { size: ANGLE_UNITS.ARC_MINUTE, suffix: '′' },
+  'mil': { size: ANGLE_UNITS.MIL, suffix: '' }
+};
+
+/**
+ * Formats an angle in arc-minutes and mils
+ * @param {number} angle - Angle in radians
+ * @returns {string} - Formatted angle
+ */
+function formatAngle(angle) {
+  const arcMinutes = angle / ANGLE_UNITS.ARC_MINUTE;
+  const mils = angle / ANGLE_UNITS.MIL;
+  return `${arcMinutes.toFixed(1)}′ / ${mils.toFixed(2)} mil`;
+}
+
+/**
+ * Draws the dip and ship angles as lines of text
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} measurements - Angles from calculateAngularMeasurements
+ * @param {number} x - X position of the right edge of the text
+ * @param {number} y - Y position of the first line
+ */
+function drawAngularReadout(ctx, measurements, x, y) {
+  const { dip, geometricDip, heightAboveHorizon, visibleAngularSize } = measurements;
+
+  ctx.save();
+  ctx.font = '13px Arial';
+  ctx.fillStyle = '#FFFFFF';
+  ctx.textAlign = 'right';
+
+  ctx.fillText(`Dip: ${formatAngle(dip)}`, x, y);
+  ctx.fillText(`Dip without refraction: ${formatAngle(geometricDip)}`, x, y + 18);
+  ctx.fillText(
+    visibleAngularSize > 0 ? `Ship top above horizon: ${formatAngle(heightAboveHorizon)}` : 'Ship top above horizon: hidden',
+    x,
+    y + 36
+  );
+  ctx.fillText(`Visible portion: ${formatAngle(visibleAngularSize)}`, x, y + 54);
+
+  ctx.restore();
+}
+
+/**
+ * Draws a graduated angle scale along a line
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} scale - Scale layout
+ * @param {number} scale.x - X position of the zero mark
+ * @param {number} scale.y - Y position of the zero mark
+ * @param {number} scale.pixelsPerRadian - Drawing scale
+ * @param {number} scale.extent - Length of the scale on each side of zero, in pixels
+ * @param {string} [scale.unit='arc-minute'] - Unit of the graduation ('arc-minute' or 'mil')
+ * @param {boolean} [scale.vertical=true] - Whether the scale runs up and down (positive up) or across (positive right)
+ * @param {string} [scale.color='#FFFFFF'] - Colour of marks and labels
+ */
+function drawAngularScale(ctx, { x, y, pixelsPerRadian, extent, unit = 'arc-minute', vertical = true, color = '#FFFFFF' }) {
+  const { size, suffix } = SCALE_UNITS[unit];
+  const pixelsPerUnit = pixelsPerRadian * size;
+
+  // Use the finest graduation whose marks are still far enough apart
+  const step = GRADUATION_STEPS.find(candidate => candidate * pixelsPerUnit >= MIN_TICK_SPACING);
+  if (!step) {
+    return;
+  }
+  const tickCount = Math.floor(extent / (step * pixelsPerUnit));
+
+  ctx.save();
+  ctx.strokeStyle = color;
+  ctx.fillStyle = color;
+  ctx.lineWidth = 1;
+  ctx.font = '9px Arial';
+  ctx.textAlign = vertical ? 'left' : 'center';
+  ctx.textBaseline = vertical ? 'middle' : 'top';
+
+  for (let i = -tickCount; i <= tickCount; i++) {
+    const offset = i * step * pixelsPerUnit;
+    const isMajor = i % MAJOR_TICK_INTERVAL === 0;
+    const tickLength = isMajor ? 6 : 3;
+
+    ctx.beginPath();
+    if (vertical) {
+      ctx.moveTo(x - tickLength, y - offset);
+      ctx.lineTo(x + tickLength, y - offset);
+    } else {
+      ctx.moveTo(x + offset, y - tickLength);
+      ctx.lineTo(x + offset, y + tickLength);
+    }
+    ctx.stroke();
+
+    if (isMajor && i !== 0) {
+      const label = `${parseFloat((i * step).toPrecision(3))}${suffix}`;
+      if (vertical) {
+        ctx.fillText(label, x + tickLength + 2, y - offset);
+      } else {
+        ctx.fillText(label, x + offset, y + tickLength + 2);
+      }
+    }
+  }
+
+  ctx.restore();
+}
+
+export {
+  formatAngle,
+  drawAngularReadout,
+  drawAngularScale
+};
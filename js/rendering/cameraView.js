@@ -0,0 +1,309 @@
+/**
+ * cameraView.js
+ * Renders the normal view through a physically based camera for the Over The Horizon demonstration
+ */
+
+import { drawShip, calculateMirageScanlines, SHIP_BOUNDS } from './ship.js';
+import { calculateHorizonDistance, calculateHorizonDip, calculateHiddenHeight } from '../math/horizon.js';
+import { getEffectiveRefraction } from '../math/bodies.js';
+import { createCamera, surfacePoint, projectPoint, projectHorizon } from '../math/camera.js';
+import { drawAngularScale } from './angularOverlay.js';
+import { drawWaveCrests, mixColors } from './canvas.js';
+import { calculateContrastTransmittance } from '../math/haze.js';
+import { sortByDepth } from '../data/fleet.js';
+import { getSilhouette } from '../data/silhouettes.js';
+import { drawTerrain } from './terrainView.js';
+
+// Number of points used to trace the horizon and the range rings across the view
+const CURVE_SAMPLES = 48;
+
+// Distances (in kilometers) of the range rings drawn on the sea surface
+const RANGE_RINGS = [0.1, 0.2, 0.5, 1, 2, 5, 10, 20, 50, 100];
+
+/**
+ * Renders the sea, horizon and ship as seen by the camera
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} state - Current state of the simulation
+ * @param {Object} state.camera - Camera settings {fieldOfView, pitch, heading} in degrees
+ * @param {Object} panel - Panel layout
+ * @param {number} panel.width - Width of the panel in pixels
+ * @param {number} panel.height - Height of the panel in pixels
+ * @param {boolean} panel.isFlat - Whether to project a flat plane instead of the globe
+ * @param {Object|null} [panel.terrain=null] - Terrain visibility over this surface (see analyseTerrain)
+ */
+function renderCameraScene(ctx, state, panel) {
+  const { width, height, isFlat, terrain = null } = panel;
+
+  const camera = createCamera({
+    ...state.camera,
+    eyeHeight: state.observerHeight,
+    width,
+    height,
+    earthRadius: isFlat ? Infinity : state.earthRadius,
+    refractionFactor: state.refractionFactor
+  });
+
+  const horizon = traceHorizon(camera);
+
+  // Haze washes out the horizon (which lies at infinity on a flat plane)
+  const horizonDistance = isFlat ?
+    Infinity :
+    calculateHorizonDistance(state.observerHeight, state.earthRadius, state.refractionFactor);
+  const horizonContrast = calculateContrastTransmittance(horizonDistance, state.meteorologicalVisibility);
+
+  drawSkyAndSea(ctx, camera, horizon, horizonContrast);
+  drawRangeRings(ctx, camera, state);
+
+  // The crests form a horizon of their own, raised by the lower dip seen from just above them
+  if (state.crestHeight > 0 && !isFlat && horizon.length >= 2) {
+    const eyeAboveCrests = Math.max(0, state.observerHeight - state.crestHeight);
+    const crestAngle = camera.dip - calculateHorizonDip(eyeAboveCrests, camera.radius / 1000, 1.0);
+    const seaColor = mixColors('#0077BE', '#E0F6FF', 1 - horizonContrast);
+    drawWaveCrests(ctx, horizon, crestAngle * camera.focalLength, state.waveTime, seaColor);
+  }
+
+  // Distant land behind the vessels, projected point by point like everything else
+  if (terrain) {
+    const terrainAzimuth = state.terrain.bearing * Math.PI / 180;
+    const project = (distance, terrainHeight, offset) =>
+      projectPoint(camera, surfacePoint(camera, distance, terrainAzimuth + offset / distance, terrainHeight));
+    drawTerrain(ctx, terrain, project, state.meteorologicalVisibility);
+  }
+
+  // Farthest vessels first so nearer ones are drawn in front; each fades into
+  // the sky behind it as haze takes away its contrast
+  sortByDepth(state.fleet).forEach(vessel => {
+    ctx.save();
+    ctx.globalAlpha = calculateContrastTransmittance(vessel.distance, state.meteorologicalVisibility);
+    drawCameraShip(ctx, camera, state, vessel, isFlat);
+    ctx.restore();
+  });
+
+  // Arc-minute scale measured from the horizon in the ship's direction
+  const horizonPoint = projectHorizon(camera, 0);
+  if (state.anglesEnabled && horizonPoint) {
+    drawAngularScale(ctx, {
+      x: width - 40,
+      y: horizonPoint.y,
+      pixelsPerRadian: camera.focalLength,
+      extent: height / 4,
+      unit: 'arc-minute'
+    });
+  }
+}
+
+/**
+ * Traces the horizon across the field of view
+ * @param {Object} camera - Camera (see createCamera)
+ * @returns {Object[]} - Screen points of the horizon from left to right
+ */
+function traceHorizon(camera) {
+  // Sample a little beyond the edges so the curve spans the whole image
+  const halfSpan = camera.fieldOfView * Math.PI / 360 * 1.2;
+  const centre = camera.heading * Math.PI / 180;
+  const points = [];
+
+  for (let i = 0; i <= CURVE_SAMPLES; i++) {
+    const azimuth = centre - halfSpan + (2 * halfSpan * i) / CURVE_SAMPLES;
+    const point = projectHorizon(camera, azimuth);
+    if (point) {
+      points.push(point);
+    }
+  }
+
+  return points;
+}
+
+/**
+ * Adds the region above the horizon to the current path
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object[]} horizon - Screen points of the horizon
+ */
+function addSkyPath(ctx, horizon) {
+  const first = horizon[0];
+  const last = horizon[horizon.length - 1];
+  const top = Math.min(0, ...horizon.map(point => point.y)) - 1;
+
+  ctx.moveTo(first.x, top);
+  horizon.forEach(point => ctx.lineTo(point.x, point.y));
+  ctx.lineTo(last.x, top);
+  ctx.closePath();
+}
+
+/**
+ * Draws the sky, the projected sea surface and the horizon line
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} camera - Camera (see createCamera)
+ * @param {Object[]} horizon - Screen points of the horizon
+ * @param {number} [horizonContrast=1] - Contrast of the horizon left by haze (0-1)
+ */
+function drawSkyAndSea(ctx, camera, horizon, horizonContrast = 1) {
+  const { width, height } = camera;
+
+  // Looking straight up or down: only one of the two is in view
+  if (horizon.length < 2) {
+    ctx.fillStyle = camera.pitch > 0 ? '#87CEEB' : '#004080';
+    ctx.fillRect(0, 0, width, height);
+    return;
+  }
+
+  const horizonY = horizon[Math.floor(horizon.length / 2)].y;
+
+  // Sea (dark blue gradient) below the horizon
+  const seaGradient = ctx.createLinearGradient(0, horizonY, 0, Math.max(height, horizonY + 1));
+  seaGradient.addColorStop(0, mixColors('#0077BE', '#E0F6FF', 1 - horizonContrast)); // Medium blue at horizon, paled by haze
+  seaGradient.addColorStop(1, '#004080'); // Dark blue at bottom
+  ctx.fillStyle = seaGradient;
+  ctx.fillRect(0, 0, width, height);
+
+  // Sky (light blue gradient) above the horizon
+  const skyGradient = ctx.createLinearGradient(0, Math.min(0, horizonY - 1), 0, horizonY);
+  skyGradient.addColorStop(0, '#87CEEB'); // Sky blue at top
+  skyGradient.addColorStop(1, '#E0F6FF'); // Light blue at horizon
+  ctx.fillStyle = skyGradient;
+  ctx.beginPath();
+  addSkyPath(ctx, horizon);
+  ctx.fill();
+
+  // Horizon line
+  ctx.save();
+  ctx.globalAlpha = horizonContrast;
+  ctx.strokeStyle = '#FFFFFF';
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  horizon.forEach((point, i) => {
+    if (i === 0) {
+      ctx.moveTo(point.x, point.y);
+    } else {
+      ctx.lineTo(point.x, point.y);
+    }
+  });
+  ctx.stroke();
+  ctx.restore();
+}
+
+/**
+ * Draws faint rings of equal distance on the sea surface
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} camera - Camera (see createCamera)
+ * @param {Object} state - Current state of the simulation
+ */
+function drawRangeRings(ctx, camera, state) {
+  const horizonDistance = isFinite(camera.radius) ?
+    calculateHorizonDistance(state.observerHeight, state.earthRadius, state.refractionFactor) :
+    Infinity;
+  const halfSpan = camera.fieldOfView * Math.PI / 360 * 1.2;
+  const centre = camera.heading * Math.PI / 180;
+
+  ctx.save();
+  ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+  ctx.font = '10px Arial';
+  ctx.textAlign = 'left';
+  ctx.lineWidth = 1;
+
+  let lastLabelY = Infinity;
+
+  // Rings beyond the horizon lie on the far side of the curve and cannot be seen
+  RANGE_RINGS.filter(distance => distance < horizonDistance).forEach(distance => {
+    ctx.beginPath();
+    let started = false;
+    let labelPoint = null;
+
+    for (let i = 0; i <= CURVE_SAMPLES; i++) {
+      const azimuth = centre - halfSpan + (2 * halfSpan * i) / CURVE_SAMPLES;
+      const point = projectPoint(camera, surfacePoint(camera, distance, azimuth));
+      if (!point) {
+        started = false;
+        continue;
+      }
+      if (started) {
+        ctx.lineTo(point.x, point.y);
+      } else {
+        ctx.moveTo(point.x, point.y);
+        started = true;
+      }
+      if (!labelPoint && point.x >= 5) {
+        labelPoint = point;
+      }
+    }
+    ctx.stroke();
+
+    // Label rings that are far enough apart to read
+    if (labelPoint && labelPoint.y > 0 && labelPoint.y < camera.height && lastLabelY - labelPoint.y >= 12) {
+      ctx.fillText(`${distance} km`, 5, labelPoint.y - 2);
+      lastLabelY = labelPoint.y;
+    }
+  });
+
+  ctx.restore();
+}
+
+/**
+ * Draws a vessel at its projected position and size
+ * Only the tracked vessel is ray traced for mirages; the ray fan is too slow to redo for every vessel.
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} camera - Camera (see createCamera)
+ * @param {Object} state - Current state of the simulation
+ * @param {Object} vessel - Vessel to draw (see createVessel)
+ * @param {boolean} isFlat - Whether the camera looks over a flat plane
+ */
+function drawCameraShip(ctx, camera, state, vessel, isFlat) {
+  // The bearing is measured from the line of sight at azimuth 0
+  const azimuth = vessel.bearing * Math.PI / 180;
+  const waterline = projectPoint(camera, surfacePoint(camera, vessel.distance, azimuth));
+  const top = projectPoint(camera, surfacePoint(camera, vessel.distance, azimuth, vessel.height));
+  if (!waterline || !top) {
+    return;
+  }
+
+  // Scale the drawing so its waterline-to-masthead height matches the projection
+  const shipScale = (waterline.y - top.y) / SHIP_BOUNDS.HEIGHT;
+  const silhouette = getSilhouette(vessel.type);
+
+  // Ray-traced images are measured from where the sea ends at the ship's
+  // distance: its waterline this side of the horizon, the horizon beyond it
+  if (state.mirageEnabled && !isFlat && vessel.id === state.trackedVesselId) {
+    const scanlines = calculateMirageScanlines(
+      vessel.distance,
+      state.observerHeight,
+      vessel.height,
+      getEffectiveRefraction(state.bodyModel, state.refractionModel),
+      state.earthRadius
+    );
+    const horizonDistance = calculateHorizonDistance(state.observerHeight, state.earthRadius, state.refractionFactor);
+    const anchor = vessel.distance < horizonDistance ? waterline : projectHorizon(camera, azimuth);
+    if (anchor) {
+      drawShip(ctx, anchor.x, anchor.y, shipScale, 0, scanlines, silhouette);
+    }
+    return;
+  }
+
+  // Everything below the hidden height is behind the curve or the wave crests
+  const hiddenHeight = calculateHiddenHeight(
+    vessel.distance,
+    state.observerHeight,
+    isFlat ? Infinity : state.earthRadius,
+    state.refractionFactor,
+    state.crestHeight
+  );
+  if (hiddenHeight >= vessel.height) {
+    return;
+  }
+  const lowestVisible = hiddenHeight > 0 ?
+    projectPoint(camera, surfacePoint(camera, vessel.distance, azimuth, hiddenHeight)) :
+    null;
+
+  ctx.save();
+  if (lowestVisible) {
+    ctx.beginPath();
+    ctx.rect(0, 0, camera.width, lowestVisible.y);
+    ctx.clip();
+  }
+  drawShip(ctx, waterline.x, waterline.y, shipScale, 0, null, silhouette);
+  ctx.restore();
+}
+
+export {
+  renderCameraScene
+};
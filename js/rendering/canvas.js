@@ -3,6 +3,9 @@
  * Handles canvas setup and basic rendering functions for the Over The Horizon demonstration
  */
 
+// Wave crests drawn along the horizon repeat every 2π times this many pixels
+const WAVE_CREST_SPACING = 4;
+
 /**
  * Sets up a canvas element with the specified dimensions
  * @param {string} canvasId - ID of the canvas element
@@ -40,10 +43,11 @@ function clearCanvas(ctx) {
  * Draws the sea and horizon
  * @param {CanvasRenderingContext2D} ctx - Canvas context
  * @param {number} horizonY - Y-coordinate of the horizon line
+ * @param {number} [width=ctx.canvas.width] - Width of the area to fill
+ * @param {number} [height=ctx.canvas.height] - Height of the area to fill
+ * @param {number} [horizonContrast=1] - Contrast of the horizon left by haze (0-1)
  */
-function drawSeaAndHorizon(ctx, horizonY) {
-  const width = ctx.canvas.width;
-  const height = ctx.canvas.height;
+function drawSeaAndHorizon(ctx, horizonY, width = ctx.canvas.width, height = ctx.canvas.height, horizonContrast = 1) {
   
   // Draw sky (light blue gradient)
   const skyGradient = ctx.createLinearGradient(0, 0, 0, horizonY);
@@ -55,19 +59,95 @@ function drawSeaAndHorizon(ctx, horizonY) {
   
   // Draw sea (dark blue gradient)
   const seaGradient = ctx.createLinearGradient(0, horizonY, 0, height);
-  seaGradient.addColorStop(0, '#0077BE'); // Medium blue at horizon
+  seaGradient.addColorStop(0, mixColors('#0077BE', '#E0F6FF', 1 - horizonContrast)); // Medium blue at horizon, paled by haze
   seaGradient.addColorStop(1, '#004080'); // Dark blue at bottom
   
   ctx.fillStyle = seaGradient;
   ctx.fillRect(0, horizonY, width, height - horizonY);
   
   // Draw horizon line
+  ctx.save();
+  ctx.globalAlpha = horizonContrast;
   ctx.strokeStyle = '#FFFFFF';
   ctx.lineWidth = 1;
   ctx.beginPath();
   ctx.moveTo(0, horizonY);
   ctx.lineTo(width, horizonY);
   ctx.stroke();
+  ctx.restore();
+}
+
+/**
+ * Draws a band of wave crests standing up along the horizon
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object[]} horizon - Screen points {x, y} of the horizon from left to right
+ * @param {number} amplitude - Height of the highest crests in pixels
+ * @param {number} time - Time in seconds, which moves the crests along
+ * @param {string} color - Colour of the sea at the horizon
+ */
+function drawWaveCrests(ctx, horizon, amplitude, time, color) {
+  if (horizon.length < 2 || amplitude <= 0) {
+    return;
+  }
+  
+  // Two wave trains of different length and speed give an irregular, moving crest line
+  const crestAt = x => {
+    const swell = 0.5 + 0.5 * Math.sin(x / WAVE_CREST_SPACING - time * 1.3);
+    const chop = 0.5 + 0.5 * Math.sin(x / (WAVE_CREST_SPACING * 0.37) + time * 2.1);
+    return amplitude * (0.7 * swell ** 2 + 0.3 * chop ** 3);
+  };
+  
+  // Follow the horizon closely enough for the crests to look sharp
+  const crests = [];
+  for (let i = 1; i < horizon.length; i++) {
+    const from = horizon[i - 1];
+    const to = horizon[i];
+    const steps = Math.max(1, Math.ceil(Math.abs(to.x - from.x) / 2));
+    for (let step = i === 1 ? 0 : 1; step <= steps; step++) {
+      const x = from.x + (to.x - from.x) * step / steps;
+      const y = from.y + (to.y - from.y) * step / steps;
+      crests.push({ x, y: y - crestAt(x) });
+    }
+  }
+  
+  ctx.save();
+  
+  // Crest band, in the colour of the sea at the horizon
+  ctx.fillStyle = color;
+  ctx.beginPath();
+  ctx.moveTo(horizon[0].x, horizon[0].y + 1);
+  crests.forEach(point => ctx.lineTo(point.x, point.y));
+  ctx.lineTo(horizon[horizon.length - 1].x, horizon[horizon.length - 1].y + 1);
+  ctx.closePath();
+  ctx.fill();
+  
+  // Foam catching the light along the tops of the crests
+  ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  crests.forEach((point, i) => {
+    if (i === 0) {
+      ctx.moveTo(point.x, point.y);
+    } else {
+      ctx.lineTo(point.x, point.y);
+    }
+  });
+  ctx.stroke();
+  
+  ctx.restore();
+}
+
+/**
+ * Mixes two colors
+ * @param {string} from - First color as #RRGGBB
+ * @param {string} to - Second color as #RRGGBB
+ * @param {number} amount - Share of the second color (0-1)
+ * @returns {string} - Mixed color as rgb()
+ */
+function mixColors(from, to, amount) {
+  const channel = (color, i) => parseInt(color.slice(1 + i * 2, 3 + i * 2), 16);
+  const mixed = [0, 1, 2].map(i => Math.round(channel(from, i) + (channel(to, i) - channel(from, i)) * amount));
+  return `rgb(${mixed.join(', ')})`;
 }
 
 /**
@@ -113,5 +193,7 @@ export {
   setupCanvas,
   clearCanvas,
   drawSeaAndHorizon,
+  drawWaveCrests,
+  mixColors,
   drawDistanceMarkers
 };
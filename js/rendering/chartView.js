@@ -0,0 +1,234 @@
+/**
+ * chartView.js
+ * Draws the plan chart for the Over The Horizon demonstration
+ *
+ * A top-down view with the observer at the centre and the line of sight
+ * pointing up. For the tracked ship's height the sea is divided into the
+ * range where the ship is fully visible, where it is hull down and where it
+ * has gone below the horizon; every vessel sits at its range and bearing.
+ */
+
+import {
+  calculateHorizonDistance,
+  calculateHiddenHeight,
+  calculateVisiblePortion
+} from '../math/horizon.js';
+import { drawRangeRings, drawTargetLabel } from './mapView.js';
+
+const CHART_COLORS = {
+  SEA: '#1B4F72',
+  VISIBLE: 'rgba(46, 204, 113, 0.35)',
+  HULL_DOWN: 'rgba(243, 156, 18, 0.35)',
+  HIDDEN: 'rgba(231, 76, 60, 0.2)',
+  HORIZON: '#F4D03F',
+  VIEW_FIELD: 'rgba(255, 255, 255, 0.08)',
+  OBSERVER: '#FFFFFF',
+  TEXT: '#FFFFFF'
+};
+
+// Colours of the vessel markers by how much of the vessel can be seen
+const MARKER_COLORS = {
+  VISIBLE: '#2ECC71',
+  HULL_DOWN: '#F39C12',
+  HIDDEN: '#E74C3C'
+};
+
+// Half the bearing span of the schematic view, in degrees
+const VIEW_HALF_WIDTH = 30;
+
+// Halvings of the bracket when searching for the distance of a ring
+const RANGE_SEARCH_STEPS = 40;
+
+/**
+ * Calculates the ranges at which a ship starts and finishes disappearing
+ * The rings follow calculateHiddenHeight, as the markers do through
+ * calculateVisiblePortion, so that a marker changes colour as it crosses a ring.
+ * In waves the crests hide a little of the hull from the observer on, and no
+ * ship is seen whole.
+ * @param {Object} state - Current state of the simulation
+ * @param {number} shipHeight - Height of the ship above the water in meters
+ * @returns {Object} - Distances in kilometers: horizon (of the observer), hullDown (the
+ *   waterline goes out of sight) and hidden (the top goes out of sight)
+ */
+function calculateVisibilityRanges(state, shipHeight) {
+  return {
+    horizon: calculateHorizonDistance(state.observerHeight, state.earthRadius, state.refractionFactor),
+    hullDown: findHiddenDistance(state, 0),
+    hidden: findHiddenDistance(state, shipHeight)
+  };
+}
+
+/**
+ * Finds the farthest distance at which no more than a given height is hidden
+ * The hidden height grows with distance, so the distance is found by bisection.
+ * @param {Object} state - Current state of the simulation
+ * @param {number} height - Height above the water in meters
+ * @returns {number} - Distance in kilometers (Infinity when the height is never hidden)
+ */
+function findHiddenDistance(state, height) {
+  const isHidden = distance => calculateHiddenHeight(
+    distance,
+    state.observerHeight,
+    state.earthRadius,
+    state.refractionFactor,
+    state.crestHeight
+  ) > height;
+
+  // Widen the bracket until its far end hides the height
+  let near = 0;
+  let far = 1;
+  while (!isHidden(far)) {
+    near = far;
+    far *= 2;
+    if (!isFinite(far)) {
+      return Infinity;
+    }
+  }
+
+  for (let step = 0; step < RANGE_SEARCH_STEPS; step++) {
+    const middle = (near + far) / 2;
+    if (isHidden(middle)) {
+      far = middle;
+    } else {
+      near = middle;
+    }
+  }
+  return near;
+}
+
+/**
+ * Draws the plan chart
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} state - Current state of the simulation
+ * @param {number} state.shipHeight - Height of the tracked ship in meters, which sets the rings
+ * @param {Object[]} state.fleet - Vessels, placed by their distance and bearing
+ */
+function drawChartView(ctx, state) {
+  const width = ctx.canvas.width;
+  const height = ctx.canvas.height;
+  const centerX = width / 2;
+  const centerY = height / 2;
+
+  const ranges = calculateVisibilityRanges(state, state.shipHeight);
+
+  // Fit the ring where the ship disappears and every vessel, with a margin
+  const farthest = Math.max(ranges.hidden, ...state.fleet.map(vessel => vessel.distance));
+  const range = farthest * 1.15;
+  const pixelsPerKm = (Math.min(width, height) / 2 - 10) / range;
+
+  const toScreen = (distance, bearing) => {
+    const angle = bearing * Math.PI / 180;
+    return {
+      x: centerX + distance * Math.sin(angle) * pixelsPerKm,
+      y: centerY - distance * Math.cos(angle) * pixelsPerKm
+    };
+  };
+
+  // Beyond the last ring the ship is gone; inside the first it is seen whole
+  ctx.fillStyle = CHART_COLORS.SEA;
+  ctx.fillRect(0, 0, width, height);
+  ctx.fillStyle = CHART_COLORS.HIDDEN;
+  ctx.fillRect(0, 0, width, height);
+  [[ranges.hidden, CHART_COLORS.HULL_DOWN], [ranges.hullDown, CHART_COLORS.VISIBLE]].forEach(([radius, color]) => {
+    ctx.fillStyle = CHART_COLORS.SEA;
+    ctx.beginPath();
+    ctx.arc(centerX, centerY, radius * pixelsPerKm, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillStyle = color;
+    ctx.fill();
+  });
+
+  drawRangeRings(ctx, centerX, centerY, range, pixelsPerKm);
+
+  // The bearings the schematic view shows
+  ctx.fillStyle = CHART_COLORS.VIEW_FIELD;
+  ctx.beginPath();
+  ctx.moveTo(centerX, centerY);
+  ctx.arc(centerX, centerY, range * pixelsPerKm, (-VIEW_HALF_WIDTH - 90) * Math.PI / 180, (VIEW_HALF_WIDTH - 90) * Math.PI / 180);
+  ctx.closePath();
+  ctx.fill();
+
+  // Geometric horizon of the observer
+  ctx.strokeStyle = CHART_COLORS.HORIZON;
+  ctx.lineWidth = 1.5;
+  ctx.setLineDash([5, 4]);
+  ctx.beginPath();
+  ctx.arc(centerX, centerY, ranges.horizon * pixelsPerKm, 0, Math.PI * 2);
+  ctx.stroke();
+  ctx.setLineDash([]);
+
+  // Vessels, coloured by how much of each rises above the horizon
+  const placedLabels = [];
+  state.fleet.forEach(vessel => {
+    const point = toScreen(vessel.distance, vessel.bearing);
+    const visiblePortion = calculateVisiblePortion(
+      vessel.distance,
+      state.observerHeight,
+      vessel.height,
+      state.earthRadius,
+      state.refractionFactor,
+      state.crestHeight
+    );
+    const tracked = vessel.id === state.trackedVesselId;
+
+    ctx.fillStyle = visiblePortion >= 1 ? MARKER_COLORS.VISIBLE :
+      visiblePortion > 0 ? MARKER_COLORS.HULL_DOWN :
+        MARKER_COLORS.HIDDEN;
+    ctx.beginPath();
+    ctx.arc(point.x, point.y, tracked ? 5 : 3.5, 0, Math.PI * 2);
+    ctx.fill();
+    if (tracked) {
+      ctx.strokeStyle = CHART_COLORS.TEXT;
+      ctx.lineWidth = 1;
+      ctx.stroke();
+    }
+
+    drawTargetLabel(ctx, `${vessel.name} · ${Math.round(visiblePortion * 100)}%`, point, placedLabels);
+  });
+
+  // Observer, looking up the chart
+  ctx.strokeStyle = CHART_COLORS.OBSERVER;
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(centerX, centerY);
+  ctx.lineTo(centerX, centerY - range * pixelsPerKm);
+  ctx.stroke();
+
+  ctx.fillStyle = CHART_COLORS.OBSERVER;
+  ctx.beginPath();
+  ctx.arc(centerX, centerY, 4, 0, Math.PI * 2);
+  ctx.fill();
+
+  drawChartLegend(ctx, ranges, state.shipHeight);
+}
+
+/**
+ * Lists the ranges the rings stand for
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} ranges - Result of calculateVisibilityRanges
+ * @param {number} shipHeight - Height of the ship the rings are drawn for, in meters
+ */
+function drawChartLegend(ctx, ranges, shipHeight) {
+  const lines = [
+    [CHART_COLORS.HORIZON, `Horizon ${ranges.horizon.toFixed(1)} km`],
+    [MARKER_COLORS.VISIBLE, `Whole ${shipHeight.toFixed(0)} m ship to ${ranges.hullDown.toFixed(1)} km`],
+    [MARKER_COLORS.HULL_DOWN, `Hull down to ${ranges.hidden.toFixed(1)} km`],
+    [MARKER_COLORS.HIDDEN, 'Hidden beyond']
+  ];
+
+  ctx.save();
+  ctx.font = '10px Arial';
+  ctx.textAlign = 'left';
+  lines.forEach(([color, text], i) => {
+    const y = ctx.canvas.height - 8 - (lines.length - 1 - i) * 12;
+    ctx.fillStyle = color;
+    ctx.fillRect(6, y - 7, 8, 8);
+    ctx.fillStyle = CHART_COLORS.TEXT;
+    ctx.fillText(text, 18, y);
+  });
+  ctx.restore();
+}
+
+export {
+  drawChartView
+};
@@ -0,0 +1,249 @@
+/**
+ * crossSectionView.js
+ * Draws the cross-section of the Earth along the line of sight for the Over The Horizon demonstration
+ *
+ * The textbook side diagram: the curved surface between the observer and the
+ * ship, the straight tangent from the eye to the horizon, the refracted ray
+ * when the air bends light, and the region hidden below the line of sight.
+ * Points are placed at their true positions in the plane of the great circle
+ * and heights are then stretched by the vertical exaggeration. Stretching is
+ * an affine map, so straight lines stay straight and the tangent still only
+ * touches the surface.
+ */
+
+import { calculateHorizonDistance, calculateHorizonDip, calculateHiddenHeight } from '../math/horizon.js';
+import { calculateSightLineHeight } from '../math/terrain.js';
+
+const CROSS_SECTION_COLORS = {
+  SKY: '#EAF6FF',
+  EARTH: '#2E86C1',
+  EARTH_EDGE: '#1B4F72',
+  HIDDEN: 'rgba(231, 76, 60, 0.35)',
+  TANGENT: '#566573',
+  REFRACTED_RAY: '#D4AC0D',
+  OBSERVER: '#17202A',
+  SHIP_VISIBLE: '#17202A',
+  SHIP_HIDDEN: '#C0392B',
+  TEXT: '#17202A'
+};
+
+// Space around the diagram in pixels
+const MARGIN = { LEFT: 40, RIGHT: 20, TOP: 30, BOTTOM: 40 };
+
+// Points computed along the surface and the rays
+const SAMPLES = 200;
+
+/**
+ * Draws the cross-section diagram
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} state - Current state of the simulation
+ * @param {number} exaggeration - Factor heights are stretched by (1 = to scale)
+ */
+function drawCrossSectionView(ctx, state, exaggeration) {
+  const width = ctx.canvas.width;
+  const height = ctx.canvas.height;
+  const radius = state.earthRadius * 1000;
+  const { observerHeight, shipHeight, shipDistance, refractionFactor, crestHeight } = state;
+
+  ctx.fillStyle = CROSS_SECTION_COLORS.SKY;
+  ctx.fillRect(0, 0, width, height);
+
+  const geometricHorizon = calculateHorizonDistance(observerHeight, state.earthRadius, 1.0);
+  const horizon = calculateHorizonDistance(observerHeight, state.earthRadius, refractionFactor);
+  const refracted = refractionFactor !== 1 && isFinite(horizon);
+
+  // Hidden height along the line of sight, which refraction lowers
+  const hiddenHeight = distance => Math.min(
+    calculateHiddenHeight(distance, observerHeight, state.earthRadius, refractionFactor, crestHeight),
+    radius
+  );
+
+  // Show the observer's horizon, the ship and a little beyond
+  const range = Math.max(geometricHorizon, isFinite(horizon) ? horizon : 0, shipDistance) * 1.2;
+
+  // True position of a point (distance along the surface in km, height in m) in meters,
+  // with the observer's foot at the origin and y up
+  const toPlane = (distance, pointHeight) => {
+    const angle = distance * 1000 / radius;
+    return {
+      x: (radius + pointHeight) * Math.sin(angle),
+      y: (radius + pointHeight) * Math.cos(angle) - radius
+    };
+  };
+
+  // One scale for both axes, with heights stretched by the exaggeration, chosen to fit the panel
+  const lowest = toPlane(range, 0).y;
+  const highest = Math.max(observerHeight, toPlane(shipDistance, shipHeight).y, 1);
+  const pixelsPerMeter = Math.min(
+    (width - MARGIN.LEFT - MARGIN.RIGHT) / toPlane(range, 0).x,
+    (height - MARGIN.TOP - MARGIN.BOTTOM) / ((highest - lowest) * exaggeration)
+  );
+  const toScreen = (distance, pointHeight) => {
+    const point = toPlane(distance, pointHeight);
+    return {
+      x: MARGIN.LEFT + point.x * pixelsPerMeter,
+      y: MARGIN.TOP + (highest - point.y) * exaggeration * pixelsPerMeter
+    };
+  };
+  const sample = pointAt => Array.from({ length: SAMPLES + 1 }, (_, i) => pointAt(range * i / SAMPLES));
+
+  // The Earth below the surface, from edge to edge of the panel
+  const kilometersPerPixel = 1 / (pixelsPerMeter * 1000);
+  const edges = [-MARGIN.LEFT * kilometersPerPixel, (width - MARGIN.LEFT) * kilometersPerPixel];
+  ctx.fillStyle = CROSS_SECTION_COLORS.EARTH;
+  ctx.beginPath();
+  for (let i = 0; i <= SAMPLES; i++) {
+    const point = toScreen(edges[0] + (edges[1] - edges[0]) * i / SAMPLES, 0);
+    ctx.lineTo(point.x, point.y);
+  }
+  ctx.lineTo(width, height);
+  ctx.lineTo(0, height);
+  ctx.closePath();
+  ctx.fill();
+  ctx.strokeStyle = CROSS_SECTION_COLORS.EARTH_EDGE;
+  ctx.lineWidth = 1.5;
+  ctx.stroke();
+
+  // Everything below the line of sight is hidden
+  const surface = sample(distance => toScreen(distance, 0));
+  ctx.fillStyle = CROSS_SECTION_COLORS.HIDDEN;
+  ctx.beginPath();
+  surface.forEach((point, i) => (i === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y)));
+  sample(distance => toScreen(distance, hiddenHeight(distance))).reverse().forEach(point => ctx.lineTo(point.x, point.y));
+  ctx.closePath();
+  ctx.fill();
+
+  // Straight tangent from the eye, as without refraction
+  const geometricDip = calculateHorizonDip(observerHeight, state.earthRadius, 1.0);
+  drawRay(ctx, sample(distance => toScreen(
+    distance,
+    calculateSightLineHeight(distance, observerHeight, -geometricDip, state.earthRadius, 1.0)
+  )), CROSS_SECTION_COLORS.TANGENT, [6, 4]);
+  drawHorizonMark(ctx, toScreen(geometricHorizon, 0), `Geometric horizon ${geometricHorizon.toFixed(1)} km`, CROSS_SECTION_COLORS.TANGENT, 14);
+
+  // The refracted ray bends with the Earth and grazes it farther away
+  if (refracted) {
+    const dip = calculateHorizonDip(observerHeight, state.earthRadius, refractionFactor);
+    drawRay(ctx, sample(distance => toScreen(
+      distance,
+      calculateSightLineHeight(distance, observerHeight, -dip, state.earthRadius, refractionFactor)
+    )), CROSS_SECTION_COLORS.REFRACTED_RAY, []);
+    drawHorizonMark(ctx, toScreen(horizon, 0), `Refracted horizon ${horizon.toFixed(1)} km (k = ${refractionFactor.toFixed(2)})`, CROSS_SECTION_COLORS.REFRACTED_RAY, 28);
+  }
+
+  // Observer
+  const foot = toScreen(0, 0);
+  const eye = toScreen(0, observerHeight);
+  ctx.strokeStyle = CROSS_SECTION_COLORS.OBSERVER;
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.moveTo(foot.x, foot.y);
+  ctx.lineTo(eye.x, eye.y);
+  ctx.stroke();
+  ctx.fillStyle = CROSS_SECTION_COLORS.OBSERVER;
+  ctx.beginPath();
+  ctx.arc(eye.x, eye.y, 3, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.font = '11px Arial';
+  ctx.textAlign = 'left';
+  ctx.fillText(`Observer ${observerHeight.toFixed(1)} m`, eye.x + 6, eye.y - 4);
+
+  drawShipMast(ctx, toScreen, shipDistance, shipHeight, hiddenHeight(shipDistance));
+
+  // Scale
+  ctx.fillStyle = CROSS_SECTION_COLORS.TEXT;
+  ctx.font = '11px Arial';
+  ctx.textAlign = 'left';
+  ctx.fillText(
+    `${range.toFixed(1)} km shown · ${exaggeration === 1 ? 'to scale' : `heights exaggerated ×${exaggeration}`}`,
+    MARGIN.LEFT,
+    height - 12
+  );
+}
+
+/**
+ * Draws a ray as a polyline
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object[]} points - Screen points {x, y} along the ray
+ * @param {string} color - Line colour
+ * @param {number[]} dash - Line dash pattern
+ */
+function drawRay(ctx, points, color, dash) {
+  ctx.save();
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 1.5;
+  ctx.setLineDash(dash);
+  ctx.beginPath();
+  points.forEach((point, i) => (i === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y)));
+  ctx.stroke();
+  ctx.restore();
+}
+
+/**
+ * Marks where a ray touches the surface
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} point - Screen point of the horizon {x, y}
+ * @param {string} label - Text under the mark
+ * @param {string} color - Colour of the mark
+ * @param {number} labelOffset - Distance of the text below the surface in pixels
+ */
+function drawHorizonMark(ctx, point, label, color, labelOffset) {
+  ctx.save();
+  ctx.fillStyle = color;
+  ctx.beginPath();
+  ctx.arc(point.x, point.y, 3.5, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.fillStyle = '#FFFFFF';
+  ctx.font = '11px Arial';
+  ctx.textAlign = 'center';
+  // Keep the text on the panel when the horizon is near an edge
+  const halfWidth = ctx.measureText(label).width / 2;
+  const x = Math.min(Math.max(point.x, halfWidth + 4), ctx.canvas.width - halfWidth - 4);
+  // Outlined so it reads over the sea and the sky alike
+  ctx.strokeStyle = CROSS_SECTION_COLORS.EARTH_EDGE;
+  ctx.lineWidth = 3;
+  ctx.strokeText(label, x, point.y + labelOffset);
+  ctx.fillText(label, x, point.y + labelOffset);
+  ctx.restore();
+}
+
+/**
+ * Draws the ship as a mast standing on the surface, red where it is hidden
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Function} toScreen - Maps (distance km, height m) to a screen point {x, y}
+ * @param {number} distance - Distance of the ship in kilometers
+ * @param {number} shipHeight - Height of the ship in meters
+ * @param {number} hiddenHeight - Height hidden below the line of sight in meters
+ */
+function drawShipMast(ctx, toScreen, distance, shipHeight, hiddenHeight) {
+  const hidden = Math.min(shipHeight, hiddenHeight);
+  const base = toScreen(distance, 0);
+  const waterline = toScreen(distance, hidden);
+  const top = toScreen(distance, shipHeight);
+
+  ctx.save();
+  ctx.lineWidth = 4;
+  ctx.strokeStyle = CROSS_SECTION_COLORS.SHIP_HIDDEN;
+  ctx.beginPath();
+  ctx.moveTo(base.x, base.y);
+  ctx.lineTo(waterline.x, waterline.y);
+  ctx.stroke();
+  ctx.strokeStyle = CROSS_SECTION_COLORS.SHIP_VISIBLE;
+  ctx.beginPath();
+  ctx.moveTo(waterline.x, waterline.y);
+  ctx.lineTo(top.x, top.y);
+  ctx.stroke();
+
+  ctx.fillStyle = CROSS_SECTION_COLORS.TEXT;
+  ctx.font = '11px Arial';
+  ctx.textAlign = 'center';
+  const text = hidden >= shipHeight ?
+    `Ship ${shipHeight.toFixed(0)} m · hidden` :
+    `Ship ${shipHeight.toFixed(0)} m · ${hidden.toFixed(1)} m hidden`;
+  ctx.fillText(text, top.x, top.y - 6);
+  ctx.restore();
+}
+
+export {
+  drawCrossSectionView
+};
@@ -0,0 +1,263 @@
+/**
+ * gifEncoder.js
+ * Animated GIF encoding for the Over The Horizon demonstration
+ *
+ * Frames are added one at a time as RGBA pixels and written out straight
+ * away, so that a long clip never has to be held in memory. Every frame gets
+ * its own palette of up to 256 colors, found by median cut of its colors at
+ * 5 bits per channel, and is compressed with the LZW coding of GIF89a.
+ */
+
+// Most colors a GIF palette can hold
+const MAX_COLORS = 256;
+
+// Longest LZW code in bits, which limits the code table to 4096 entries
+const MAX_CODE_SIZE = 12;
+
+// Image data is written in sub-blocks of at most this many bytes
+const SUB_BLOCK_SIZE = 255;
+
+/**
+ * Creates an encoder for an animated GIF that loops forever
+ * @param {number} width - Width of the frames in pixels
+ * @param {number} height - Height of the frames in pixels
+ * @returns {Object} - Encoder with addFrame(pixels, delay) and finish()
+ */
+function createGifEncoder(width, height) {
+  const chunks = [];
+
+  // Header and logical screen without a global palette
+  chunks.push(new Uint8Array([
+    ...asciiBytes('GIF89a'),
+    ...wordBytes(width), ...wordBytes(height), 0, 0, 0
+  ]));
+
+  // Netscape extension: repeat the animation forever (0 repetitions)
+  chunks.push(new Uint8Array([
+    0x21, 0xFF, 11, ...asciiBytes('NETSCAPE2.0'), 3, 1, ...wordBytes(0), 0
+  ]));
+
+  return {
+    /**
+     * Adds a frame to the animation
+     * @param {Uint8ClampedArray} pixels - RGBA pixels of the frame, row by row
+     * @param {number} delay - Time the frame is shown in hundredths of a second
+     */
+    addFrame(pixels, delay) {
+      const { palette, indices } = quantizeFrame(pixels);
+      const tableBits = Math.max(1, Math.ceil(Math.log2(palette.length)));
+      const minCodeSize = Math.max(2, tableBits);
+
+      // Frames cover the whole image and are left in place for the next one
+      chunks.push(new Uint8Array([0x21, 0xF9, 4, 0x04, ...wordBytes(delay), 0, 0]));
+      chunks.push(new Uint8Array([
+        0x2C, ...wordBytes(0), ...wordBytes(0), ...wordBytes(width), ...wordBytes(height),
+        0x80 | (tableBits - 1)
+      ]));
+
+      const colorTable = new Uint8Array(3 << tableBits);
+      palette.forEach((color, i) => colorTable.set(color, i * 3));
+      chunks.push(colorTable);
+
+      chunks.push(new Uint8Array([minCodeSize]));
+      chunks.push(toSubBlocks(encodeLzw(indices, minCodeSize)));
+    },
+
+    /**
+     * Ends the animation
+     * @returns {Blob} - GIF file
+     */
+    finish() {
+      chunks.push(new Uint8Array([0x3B]));
+      return new Blob(chunks, { type: 'image/gif' });
+    }
+  };
+}
+
+/**
+ * Reduces the colors of a frame to a palette by median cut
+ * @param {Uint8ClampedArray} pixels - RGBA pixels of the frame
+ * @returns {Object} - palette: [r, g, b] colors; indices: Uint8Array of the palette entry of every pixel
+ */
+function quantizeFrame(pixels) {
+  const pixelCount = pixels.length / 4;
+  const keys = new Uint16Array(pixelCount);
+  const counts = new Uint32Array(1 << 15);
+  for (let i = 0; i < pixelCount; i++) {
+    const key = ((pixels[i * 4] >> 3) << 10) | ((pixels[i * 4 + 1] >> 3) << 5) | (pixels[i * 4 + 2] >> 3);
+    keys[i] = key;
+    counts[key]++;
+  }
+
+  const channel = (key, c) => (key >> (10 - 5 * c)) & 31;
+  const describe = colors => {
+    let pixelTotal = 0;
+    let widest = 0;
+    let range = 0;
+    for (let c = 0; c < 3; c++) {
+      let min = 31;
+      let max = 0;
+      colors.forEach(key => {
+        min = Math.min(min, channel(key, c));
+        max = Math.max(max, channel(key, c));
+      });
+      if (max - min > range) {
+        range = max - min;
+        widest = c;
+      }
+    }
+    colors.forEach(key => { pixelTotal += counts[key]; });
+    return { colors, pixelTotal, widest, range };
+  };
+
+  const used = [];
+  counts.forEach((count, key) => {
+    if (count > 0) used.push(key);
+  });
+  const boxes = [describe(used)];
+
+  // Split the box with the most pixels spread over the widest range, at its median pixel
+  while (boxes.length < MAX_COLORS) {
+    let best = -1;
+    boxes.forEach((box, i) => {
+      if (box.range > 0 && (best === -1 || box.pixelTotal * box.range > boxes[best].pixelTotal * boxes[best].range)) {
+        best = i;
+      }
+    });
+    if (best === -1) break;
+
+    const { colors, pixelTotal, widest } = boxes[best];
+    colors.sort((a, b) => channel(a, widest) - channel(b, widest));
+    let split = 1;
+    for (let seen = counts[colors[0]]; split < colors.length - 1 && seen + counts[colors[split]] <= pixelTotal / 2; split++) {
+      seen += counts[colors[split]];
+    }
+    boxes.splice(best, 1, describe(colors.slice(0, split)), describe(colors.slice(split)));
+  }
+
+  // Each entry is the average of its box, weighted by the pixels of each color
+  const lookup = new Uint8Array(1 << 15);
+  const palette = boxes.map(({ colors, pixelTotal }, i) => {
+    const sums = [0, 0, 0];
+    colors.forEach(key => {
+      lookup[key] = i;
+      for (let c = 0; c < 3; c++) {
+        const value = channel(key, c);
+        sums[c] += ((value << 3) | (value >> 2)) * counts[key];
+      }
+    });
+    return sums.map(sum => Math.round(sum / pixelTotal));
+  });
+
+  const indices = new Uint8Array(pixelCount);
+  for (let i = 0; i < pixelCount; i++) {
+    indices[i] = lookup[keys[i]];
+  }
+  return { palette, indices };
+}
+
+/**
+ * Compresses palette indices with the variable-length LZW coding of GIF
+ * @param {Uint8Array} indices - Palette entry of every pixel
+ * @param {number} minCodeSize - Bits of the palette entries (at least 2)
+ * @returns {Uint8Array} - Compressed codes, packed least significant bit first
+ */
+function encodeLzw(indices, minCodeSize) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+
+  // A code takes at most MAX_CODE_SIZE bits per pixel
+  const output = new Uint8Array(Math.ceil(indices.length * MAX_CODE_SIZE / 8) + 8);
+  let length = 0;
+  let bits = 0;
+  let bitCount = 0;
+  let codeSize = minCodeSize + 1;
+  const emit = code => {
+    bits |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      output[length++] = bits & 0xFF;
+      bits >>= 8;
+      bitCount -= 8;
+    }
+  };
+
+  // The code table maps a known string (its code) followed by one more index to the code of the longer string
+  const table = new Map();
+  let nextCode = endCode + 1;
+  emit(clearCode);
+
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const index = indices[i];
+    const key = (prefix << 8) | index;
+    const code = table.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+
+    emit(prefix);
+    if (nextCode === 1 << MAX_CODE_SIZE) {
+      // The table is full: start a new one
+      emit(clearCode);
+      table.clear();
+      nextCode = endCode + 1;
+      codeSize = minCodeSize + 1;
+    } else {
+      if (nextCode >= 1 << codeSize) {
+        codeSize++;
+      }
+      table.set(key, nextCode++);
+    }
+    prefix = index;
+  }
+  emit(prefix);
+  emit(endCode);
+
+  if (bitCount > 0) {
+    output[length++] = bits & 0xFF;
+  }
+  return output.subarray(0, length);
+}
+
+/**
+ * Splits image data into the length-prefixed sub-blocks of GIF, ending with an empty one
+ * @param {Uint8Array} data - Image data
+ * @returns {Uint8Array} - Sub-blocks
+ */
+function toSubBlocks(data) {
+  const blockCount = Math.ceil(data.length / SUB_BLOCK_SIZE);
+  const blocks = new Uint8Array(data.length + blockCount + 1);
+  let offset = 0;
+  for (let start = 0; start < data.length; start += SUB_BLOCK_SIZE) {
+    const block = data.subarray(start, start + SUB_BLOCK_SIZE);
+    blocks[offset++] = block.length;
+    blocks.set(block, offset);
+    offset += block.length;
+  }
+  blocks[offset] = 0;
+  return blocks;
+}
+
+/**
+ * Writes a number as the two bytes of a little-endian word
+ * @param {number} value - Number from 0 to 65535
+ * @returns {number[]} - Low and high byte
+ */
+function wordBytes(value) {
+  return [value & 0xFF, (value >> 8) & 0xFF];
+}
+
+/**
+ * Writes text as its character codes
+ * @param {string} text - ASCII text
+ * @returns {number[]} - Bytes
+ */
+function asciiBytes(text) {
+  return Array.from(text, character => character.charCodeAt(0));
+}
+
+export {
+  createGifEncoder
+};
@@ -0,0 +1,307 @@
+/**
+ * mapView.js
+ * Draws the map of the geographic mode for the Over The Horizon demonstration
+ *
+ * The map is an azimuthal equidistant projection centred on the observer,
+ * north up: every point lies at its true distance and bearing from the
+ * observer, so the horizon is a circle and the targets sit at the ranges the
+ * views use. It needs no map tiles; a graticule of latitude and longitude
+ * lines gives the geographic frame.
+ */
+
+import { calculateHorizonDistance, calculateVisiblePortion } from '../math/horizon.js';
+import { calculateGeodesic, isValidPosition } from '../math/geodesy.js';
+
+const MAP_COLORS = {
+  SEA: '#1B4F72',
+  GRATICULE: 'rgba(255, 255, 255, 0.15)',
+  RANGE_RING: 'rgba(255, 255, 255, 0.3)',
+  HORIZON: '#F4D03F',
+  VIEW_FIELD: 'rgba(255, 255, 255, 0.08)',
+  OBSERVER: '#FFFFFF',
+  VISIBLE: '#2ECC71',
+  HULL_DOWN: '#F39C12',
+  HIDDEN: '#E74C3C',
+  TEXT: '#FFFFFF'
+};
+
+// Range rings are spaced by one of these steps times a power of ten, in kilometers
+const RING_STEPS = [1, 2, 5];
+
+// Graticule spacings to choose from, in degrees
+const GRATICULE_SPACINGS = [0.01, 0.02, 0.05, 0.1, 0.2, 0.5, 1, 2, 5, 10];
+
+// Points computed along each graticule line
+const GRATICULE_SAMPLES = 16;
+
+// Vertical distance between stacked target labels in pixels
+const LABEL_SPACING = 12;
+
+// Half the bearing span of the schematic view, in degrees
+const VIEW_HALF_WIDTH = 30;
+
+/**
+ * Draws the map around the observer
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} state - Current state of the simulation
+ * @param {Object} state.geographic - Geographic mode {enabled, observer {latitude, longitude}, heading}
+ * @param {Object[]} state.fleet - Vessels, placed by their position when they have one
+ */
+function drawMapView(ctx, state) {
+  const width = ctx.canvas.width;
+  const height = ctx.canvas.height;
+  const centerX = width / 2;
+  const centerY = height / 2;
+  const { observer, heading } = state.geographic;
+
+  ctx.fillStyle = MAP_COLORS.SEA;
+  ctx.fillRect(0, 0, width, height);
+
+  if (!isValidPosition(observer)) {
+    ctx.fillStyle = MAP_COLORS.TEXT;
+    ctx.font = '12px Arial';
+    ctx.textAlign = 'center';
+    ctx.fillText('Enter the observer position', centerX, centerY);
+    return;
+  }
+
+  const horizonDistance = calculateHorizonDistance(state.observerHeight, state.earthRadius, state.refractionFactor);
+
+  // Fit the horizon and every target, with a margin
+  const farthest = Math.max(horizonDistance, ...state.fleet.map(vessel => vessel.distance));
+  const range = farthest * 1.15;
+  const pixelsPerKm = (Math.min(width, height) / 2 - 10) / range;
+
+  const toScreen = (distance, bearing) => {
+    const angle = bearing * Math.PI / 180;
+    return {
+      x: centerX + distance * Math.sin(angle) * pixelsPerKm,
+      y: centerY - distance * Math.cos(angle) * pixelsPerKm
+    };
+  };
+  const project = position => {
+    const { distance, bearing } = calculateGeodesic(observer, position, state.bodyModel);
+    return toScreen(distance, bearing);
+  };
+
+  drawGraticule(ctx, observer, range, project);
+  drawRangeRings(ctx, centerX, centerY, range, pixelsPerKm);
+
+  // The bearings the schematic view shows
+  ctx.fillStyle = MAP_COLORS.VIEW_FIELD;
+  ctx.beginPath();
+  ctx.moveTo(centerX, centerY);
+  ctx.arc(
+    centerX,
+    centerY,
+    range * pixelsPerKm,
+    (heading - VIEW_HALF_WIDTH - 90) * Math.PI / 180,
+    (heading + VIEW_HALF_WIDTH - 90) * Math.PI / 180
+  );
+  ctx.closePath();
+  ctx.fill();
+
+  // Horizon circle
+  ctx.strokeStyle = MAP_COLORS.HORIZON;
+  ctx.lineWidth = 1.5;
+  ctx.setLineDash([5, 4]);
+  ctx.beginPath();
+  ctx.arc(centerX, centerY, horizonDistance * pixelsPerKm, 0, Math.PI * 2);
+  ctx.stroke();
+  ctx.setLineDash([]);
+
+  ctx.fillStyle = MAP_COLORS.HORIZON;
+  ctx.font = '10px Arial';
+  ctx.textAlign = 'left';
+  ctx.fillText(`Horizon ${horizonDistance.toFixed(1)} km`, centerX + 4, centerY - horizonDistance * pixelsPerKm - 4);
+
+  // Targets, coloured by how much of them rises above the horizon
+  const placedLabels = [];
+  state.fleet.forEach(vessel => {
+    const point = isValidPosition(vessel.position) ?
+      project(vessel.position) :
+      toScreen(vessel.distance, heading + vessel.bearing);
+    const visiblePortion = calculateVisiblePortion(
+      vessel.distance,
+      state.observerHeight,
+      vessel.height,
+      state.earthRadius,
+      state.refractionFactor,
+      state.crestHeight
+    );
+    const color = visiblePortion >= 1 ? MAP_COLORS.VISIBLE :
+      visiblePortion > 0 ? MAP_COLORS.HULL_DOWN :
+        MAP_COLORS.HIDDEN;
+
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    ctx.arc(point.x, point.y, vessel.id === state.trackedVesselId ? 5 : 3.5, 0, Math.PI * 2);
+    ctx.fill();
+    if (vessel.id === state.trackedVesselId) {
+      ctx.strokeStyle = MAP_COLORS.TEXT;
+      ctx.lineWidth = 1;
+      ctx.stroke();
+    }
+
+    drawTargetLabel(ctx, `${vessel.name} · ${vessel.distance.toFixed(1)} km`, point, placedLabels);
+  });
+
+  // Observer, with the line of sight
+  const lineOfSight = toScreen(range, heading);
+  ctx.strokeStyle = MAP_COLORS.OBSERVER;
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(centerX, centerY);
+  ctx.lineTo(lineOfSight.x, lineOfSight.y);
+  ctx.stroke();
+
+  ctx.fillStyle = MAP_COLORS.OBSERVER;
+  ctx.beginPath();
+  ctx.arc(centerX, centerY, 4, 0, Math.PI * 2);
+  ctx.fill();
+
+  drawMapLegend(ctx, observer, heading);
+}
+
+/**
+ * Names a target next to its marker, on the side facing the middle of the map
+ * Labels that would overlap one already drawn are moved down.
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {string} text - Label
+ * @param {Object} point - Screen position of the target {x, y}
+ * @param {Object[]} placed - Boxes {left, right, y} of the labels drawn so far, added to
+ */
+function drawTargetLabel(ctx, text, point, placed) {
+  ctx.save();
+  ctx.fillStyle = MAP_COLORS.TEXT;
+  ctx.font = '10px Arial';
+
+  const labelWidth = ctx.measureText(text).width;
+  const onLeft = point.x > ctx.canvas.width / 2;
+  const left = onLeft ? point.x - 7 - labelWidth : point.x + 7;
+  let y = point.y + 3;
+  while (placed.some(box => box.left < left + labelWidth && box.right > left && Math.abs(box.y - y) < LABEL_SPACING)) {
+    y += LABEL_SPACING;
+  }
+  placed.push({ left, right: left + labelWidth, y });
+
+  ctx.textAlign = 'left';
+  ctx.fillText(text, left, y);
+  ctx.restore();
+}
+
+/**
+ * Draws lines of latitude and longitude over the area of the map
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} observer - Position of the observer {latitude, longitude}
+ * @param {number} range - Distance from the observer to the edge of the map in kilometers
+ * @param {Function} project - Maps a position {latitude, longitude} to a screen point {x, y}
+ */
+function drawGraticule(ctx, observer, range, project) {
+  // Degrees of latitude the map spans; longitude lines spread out by 1/cos(latitude)
+  const latitudeSpan = range / 111.2;
+  const longitudeSpan = Math.min(180, latitudeSpan / Math.max(0.05, Math.cos(observer.latitude * Math.PI / 180)));
+  const spacing = GRATICULE_SPACINGS.find(candidate => latitudeSpan / candidate <= 3) ||
+    GRATICULE_SPACINGS[GRATICULE_SPACINGS.length - 1];
+
+  const south = Math.max(-90, observer.latitude - latitudeSpan);
+  const north = Math.min(90, observer.latitude + latitudeSpan);
+  const west = observer.longitude - longitudeSpan;
+  const east = observer.longitude + longitudeSpan;
+
+  const drawLine = positionAt => {
+    ctx.beginPath();
+    for (let i = 0; i <= GRATICULE_SAMPLES; i++) {
+      const point = project(positionAt(i / GRATICULE_SAMPLES));
+      if (i === 0) {
+        ctx.moveTo(point.x, point.y);
+      } else {
+        ctx.lineTo(point.x, point.y);
+      }
+    }
+    ctx.stroke();
+  };
+
+  ctx.save();
+  ctx.strokeStyle = MAP_COLORS.GRATICULE;
+  ctx.lineWidth = 1;
+
+  for (let latitude = Math.ceil(south / spacing) * spacing; latitude <= north; latitude += spacing) {
+    drawLine(t => ({ latitude, longitude: west + (east - west) * t }));
+  }
+  const longitudeSpacing = spacing * Math.ceil(longitudeSpan / latitudeSpan);
+  for (let longitude = Math.ceil(west / longitudeSpacing) * longitudeSpacing; longitude <= east; longitude += longitudeSpacing) {
+    drawLine(t => ({ latitude: south + (north - south) * t, longitude }));
+  }
+
+  ctx.restore();
+}
+
+/**
+ * Draws circles at round distances from the observer
+ * Shared with the plan chart (see chartView.js).
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {number} centerX - X-coordinate of the observer
+ * @param {number} centerY - Y-coordinate of the observer
+ * @param {number} range - Distance from the observer to the edge of the map in kilometers
+ * @param {number} pixelsPerKm - Scale of the map
+ */
+function drawRangeRings(ctx, centerX, centerY, range, pixelsPerKm) {
+  // About three rings across the map
+  const magnitude = Math.pow(10, Math.floor(Math.log10(range / 3)));
+  const step = magnitude * (RING_STEPS.find(candidate => candidate * magnitude >= range / 4) || 10);
+
+  ctx.save();
+  ctx.strokeStyle = MAP_COLORS.RANGE_RING;
+  ctx.fillStyle = MAP_COLORS.RANGE_RING;
+  ctx.lineWidth = 1;
+  ctx.font = '9px Arial';
+  ctx.textAlign = 'center';
+
+  for (let i = 1; i * step <= range; i++) {
+    const ring = i * step;
+    ctx.beginPath();
+    ctx.arc(centerX, centerY, ring * pixelsPerKm, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.fillText(`${Number(ring.toPrecision(3))} km`, centerX, centerY + ring * pixelsPerKm + 10);
+  }
+
+  ctx.restore();
+}
+
+/**
+ * Writes the observer position and viewing direction, and marks north
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} observer - Position of the observer {latitude, longitude}
+ * @param {number} heading - Direction of the line of sight in degrees clockwise from north
+ */
+function drawMapLegend(ctx, observer, heading) {
+  const width = ctx.canvas.width;
+  const height = ctx.canvas.height;
+
+  ctx.save();
+  ctx.fillStyle = MAP_COLORS.TEXT;
+  ctx.font = 'bold 12px Arial';
+  ctx.textAlign = 'center';
+  ctx.fillText('N', width - 16, 18);
+  ctx.beginPath();
+  ctx.moveTo(width - 16, 22);
+  ctx.lineTo(width - 20, 34);
+  ctx.lineTo(width - 12, 34);
+  ctx.closePath();
+  ctx.fill();
+
+  const latitude = `${Math.abs(observer.latitude).toFixed(4)}°${observer.latitude >= 0 ? 'N' : 'S'}`;
+  const longitude = `${Math.abs(observer.longitude).toFixed(4)}°${observer.longitude >= 0 ? 'E' : 'W'}`;
+  ctx.font = '10px Arial';
+  ctx.textAlign = 'left';
+  ctx.fillText(`${latitude} ${longitude}`, 6, height - 20);
+  ctx.fillText(`Looking ${Math.round(heading)}°`, 6, height - 7);
+  ctx.restore();
+}
+
+export {
+  drawMapView,
+  drawRangeRings,
+  drawTargetLabel
+};
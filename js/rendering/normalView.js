@@ -3,10 +3,53 @@
  * Handles rendering of the normal (non-telescope) view for the Over The Horizon demonstration
  */
 
-import { drawSeaAndHorizon, drawDistanceMarkers } from './canvas.js';
-import { drawShip, calculateShipScale, calculateShipSinking, renderSmoke } from './ship.js';
-import { calculateHorizonDistance, calculateMaxVisibleDistance, calculateVisiblePortion } from '../math/horizon.js';
-import { EARTH_RADIUS } from '../math/constants.js';
+import { drawSeaAndHorizon, drawWaveCrests, mixColors, drawDistanceMarkers } from './canvas.js';
+import { drawShip, calculateShipScale, calculateShipSinking, calculateMirageScanlines, renderSmoke, SHIP_BOUNDS } from './ship.js';
+import {
+  calculateHorizonDistance,
+  calculateHorizonDip,
+  calculateCrestHiddenHeight,
+  calculateVisiblePortion,
+  calculateElevationAngle,
+  calculateAngularMeasurements
+} from '../math/horizon.js';
+import { getEffectiveRefraction } from '../math/bodies.js';
+import { renderCameraScene } from './cameraView.js';
+import { drawAngularReadout } from './angularOverlay.js';
+import { calculateContrastTransmittance, determineVisibilityLimit } from '../math/haze.js';
+import { sortByDepth } from '../data/fleet.js';
+import { getSilhouette } from '../data/silhouettes.js';
+import { drawTerrain } from './terrainView.js';
+
+// Surface models that a panel of the normal view can be drawn with
+const SURFACE_MODELS = {
+  GLOBE: 'globe',
+  FLAT: 'flat'
+};
+
+// Panel titles shown in comparison mode
+const PANEL_TITLES = {
+  [SURFACE_MODELS.GLOBE]: 'Globe (curved Earth)',
+  [SURFACE_MODELS.FLAT]: 'Flat plane'
+};
+
+// On the flat plane the ship keeps shrinking with perspective; this is the
+// fraction of the horizon distance at which it has halved in size, chosen so
+// that both panels show the ship at the same size when it reaches the horizon
+const FLAT_PERSPECTIVE_DISTANCE = 1 / 3;
+
+// Bearings spanning the width of a schematic panel, in degrees
+const SCHEMATIC_BEARING_SPAN = 60;
+
+// Smallest height of the wave band drawn along the horizon in a non-calm sea, in pixels
+const MIN_WAVE_BAND_HEIGHT = 1.5;
+
+// Terrain is drawn at its true angles, stretched vertically by this factor to stay legible
+const TERRAIN_EXAGGERATION = 4;
+
+// Height of the dock's tallest crane, in meters and in pixels above the waterline as drawn at the shore
+const DOCK_HEIGHT = 40;
+const DOCK_PIXEL_HEIGHT = 110;
 
 /**
  * Renders the complete normal view
@@ -15,53 +58,234 @@ import { EARTH_RADIUS } from '../math/constants.js';
  * @param {number} state.observerHeight - Height of observer in meters
  * @param {number} state.shipHeight - Height of ship in meters
  * @param {number} state.shipDistance - Distance of ship in kilometers
+ * @param {Object[]} state.fleet - Vessels to draw (see createVessel); the ship values above are those of the tracked one
+ * @param {number} state.trackedVesselId - Id of the vessel the sliders, readouts and telescope follow
  * @param {number} state.maxDistance - Maximum distance to show in kilometers
+ * @param {number} state.earthRadius - Radius of curvature of the selected body in kilometers
+ * @param {number} state.refractionFactor - Refraction factor (k value) at the observer height
+ * @param {boolean} state.comparisonEnabled - Whether to show the globe and flat plane side by side
+ * @param {boolean} state.cameraEnabled - Whether to project the scene through the physical camera
+ * @param {boolean} state.anglesEnabled - Whether to overlay the dip and ship angles
+ * @param {number} state.meteorologicalVisibility - Distance at which haze hides a dark object, in kilometers
+ * @param {number} state.crestHeight - Height of the wave crests above mean sea level in meters
+ * @param {number} state.waveTime - Time in seconds that the waves have been moving
+ * @param {Object} state.tide - Tide model (see createTideModel)
+ * @param {number} state.waterLevel - Height of the water above chart datum in meters
+ * @param {Object|null} state.terrain - Terrain profile {name, bearing, points} drawn behind the vessels
+ * @param {Object} state.observerMotion - Observer motion; fromDock.distance is how far the observer has sailed from the dock
+ * @param {Object} [terrain] - Terrain visibility {globe, flat} over each surface model (see analyseTerrain), null without a profile
  */
-function renderNormalView(ctx, state) {
+function renderNormalView(ctx, state, terrain = { globe: null, flat: null }) {
   const width = ctx.canvas.width;
   const height = ctx.canvas.height;
   
-  // Calculate horizon position (approximately 1/3 from the top of the canvas)
-  const horizonY = height / 3;
-  
-  // Clear canvas and draw sea and horizon
   ctx.clearRect(0, 0, width, height);
-  drawSeaAndHorizon(ctx, horizonY);
   
-  // Remove distance markers as they can be misleading
-  // drawDistanceMarkers(ctx, horizonY, state.maxDistance, 5);
+  if (!state.comparisonEnabled) {
+    renderPanel(ctx, state, { x: 0, width, height, model: SURFACE_MODELS.GLOBE, terrain: terrain.globe });
+    return;
+  }
+  
+  // Comparison mode: globe on the left, flat plane on the right
+  const panelWidth = width / 2;
+  renderPanel(ctx, state, { x: 0, width: panelWidth, height, model: SURFACE_MODELS.GLOBE, terrain: terrain.globe });
+  renderPanel(ctx, state, { x: panelWidth, width: panelWidth, height, model: SURFACE_MODELS.FLAT, terrain: terrain.flat });
+  
+  // Divider between the panels
+  ctx.save();
+  ctx.strokeStyle = '#FFFFFF';
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.moveTo(panelWidth, 0);
+  ctx.lineTo(panelWidth, height);
+  ctx.stroke();
+  ctx.restore();
+}
+
+/**
+ * Renders one panel of the normal view
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} state - Current state of the simulation
+ * @param {Object} panel - Panel layout
+ * @param {number} panel.x - Left edge of the panel on the canvas
+ * @param {number} panel.width - Width of the panel in pixels
+ * @param {number} panel.height - Height of the panel in pixels
+ * @param {string} panel.model - Surface model (one of SURFACE_MODELS)
+ * @param {Object|null} panel.terrain - Terrain visibility over this surface model (see analyseTerrain)
+ */
+function renderPanel(ctx, state, panel) {
+  const { width, height, model, terrain } = panel;
+  
+  // Draw in panel coordinates and keep everything inside the panel
+  ctx.save();
+  ctx.translate(panel.x, 0);
+  ctx.beginPath();
+  ctx.rect(0, 0, width, height);
+  ctx.clip();
+  
+  // Physical camera: project the scene from real 3D coordinates instead
+  if (state.cameraEnabled) {
+    renderCameraScene(ctx, state, { width, height, isFlat: model === SURFACE_MODELS.FLAT, terrain });
+    drawObserverInfo(ctx, state, panel);
+    ctx.restore();
+    return;
+  }
+  
+  // Calculate horizon position (approximately 1/3 from the top of the canvas)
+  const horizonY = height / 3;
   
   // Calculate horizon distance for observer (d0[h] in Mathematica)
-  const horizonDistance = calculateHorizonDistance(state.observerHeight);
+  const horizonDistance = calculateHorizonDistance(state.observerHeight, state.earthRadius, state.refractionFactor);
   
-  // Calculate maximum visible distance (d1[H] in Mathematica)
-  const maxVisibleDistance = calculateMaxVisibleDistance(
-    state.observerHeight,
-    state.shipHeight
+  // Haze washes out the horizon (which lies at infinity on a flat plane)
+  const horizonContrast = calculateContrastTransmittance(
+    model === SURFACE_MODELS.FLAT ? Infinity : horizonDistance,
+    state.meteorologicalVisibility
   );
   
+  // Draw sea and horizon
+  drawSeaAndHorizon(ctx, horizonY, width, height, horizonContrast);
+  const seaColor = mixColors('#0077BE', '#E0F6FF', 1 - horizonContrast);
+  
+  // Remove distance markers as they can be misleading
+  // drawDistanceMarkers(ctx, horizonY, state.maxDistance, 5);
+  
   // Define the starting position for the ship (when distance = 0)
   const shoreX = width * 0.2; // 20% from the left edge
   const shoreY = height * 0.7; // 70% down from the top (below horizon)
   
-  // Draw the dock and cranes at the shore position
-  drawDockWithCranes(ctx, shoreX, shoreY);
-  
   // Define the horizon position (where the ship reaches when distance = horizonDistance)
   const horizonX = width * 0.8; // 80% from the left edge
   
+  const layout = { width, shoreX, shoreY, horizonX, horizonY, horizonDistance, seaColor };
+  
+  // Draw the dock and cranes at the shore position, or receding once the observer has sailed from it
+  drawDock(ctx, state, layout, model === SURFACE_MODELS.FLAT);
+  
+  // Distant land lies behind all the vessels
+  if (terrain) {
+    drawSchematicTerrain(ctx, state, terrain, layout, model === SURFACE_MODELS.FLAT);
+  }
+  
+  if (model === SURFACE_MODELS.FLAT) {
+    sortByDepth(state.fleet).forEach(vessel => drawFlatVessel(ctx, state, vessel, layout));
+    drawObserverInfo(ctx, state, panel);
+    ctx.restore();
+    return;
+  }
+  
+  // Ray-traced mapping from apparent to true height on the tracked ship (mirages)
+  const scanlines = state.mirageEnabled ?
+    calculateMirageScanlines(
+      state.shipDistance,
+      state.observerHeight,
+      state.shipHeight,
+      getEffectiveRefraction(state.bodyModel, state.refractionModel),
+      state.earthRadius
+    ) :
+    null;
+  
+  // Wave crests along the horizon, drawn to the scale of the tracked ship at the horizon
+  let bandHeight = 0;
+  if (state.crestHeight > 0) {
+    const pixelsPerMeter = 0.25 * Math.sqrt(state.shipHeight / 50) * SHIP_BOUNDS.HEIGHT / state.shipHeight;
+    bandHeight = Math.max(MIN_WAVE_BAND_HEIGHT, state.crestHeight * pixelsPerMeter);
+  }
+  
+  // Farthest ships first; the crest band goes in front of those beyond the horizon
+  // and behind those before it, whose masts may reach above the horizon line
+  const vessels = sortByDepth(state.fleet);
+  const isBeyondHorizon = vessel => vessel.distance > horizonDistance;
+  
+  vessels.filter(isBeyondHorizon).forEach(vessel => {
+    const vesselScanlines = vessel.id === state.trackedVesselId ? scanlines : null;
+    drawGlobeVessel(ctx, state, vessel, layout, vesselScanlines, bandHeight);
+  });
+  
+  if (bandHeight > 0) {
+    drawWaveCrests(ctx, [{ x: 0, y: horizonY }, { x: width, y: horizonY }], bandHeight, state.waveTime, seaColor);
+  }
+  
+  vessels.filter(vessel => !isBeyondHorizon(vessel)).forEach(vessel => {
+    const vesselScanlines = vessel.id === state.trackedVesselId ? scanlines : null;
+    drawGlobeVessel(ctx, state, vessel, layout, vesselScanlines, bandHeight);
+  });
+  
+  // Draw observer information
+  drawObserverInfo(ctx, state, panel);
+  
+  ctx.restore();
+}
+
+/**
+ * Draws the terrain profile in a schematic panel
+ * Ridges keep their true elevation angles relative to the horizon (vertically
+ * exaggerated) and sit at the profile's bearing, on the same scale the
+ * vessels' bearings are set off with.
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} state - Current state of the simulation
+ * @param {Object} terrain - Terrain visibility (see analyseTerrain)
+ * @param {Object} layout - Positions of the shore and horizon in the panel, and the sea colour
+ * @param {boolean} isFlat - Whether the panel shows the flat plane
+ */
+function drawSchematicTerrain(ctx, state, terrain, layout, isFlat) {
+  const { width, horizonX, horizonY } = layout;
+  const earthRadius = isFlat ? Infinity : state.earthRadius;
+  const pixelsPerRadian = width / (SCHEMATIC_BEARING_SPAN * Math.PI / 180);
+  const centreX = horizonX + state.terrain.bearing / SCHEMATIC_BEARING_SPAN * width;
+  const dip = isFlat ? 0 : calculateHorizonDip(state.observerHeight, earthRadius, state.refractionFactor);
+  
+  const project = (distance, height, offset) => ({
+    x: centreX + offset / distance * pixelsPerRadian,
+    y: horizonY - (calculateElevationAngle(distance, state.observerHeight, height, earthRadius, state.refractionFactor) + dip) *
+      pixelsPerRadian * TERRAIN_EXAGGERATION
+  });
+  
+  drawTerrain(ctx, terrain, project, state.meteorologicalVisibility, true);
+}
+
+/**
+ * Draws one vessel in the schematic view of the globe
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} state - Current state of the simulation
+ * @param {Object} vessel - Vessel to draw (see createVessel)
+ * @param {Object} layout - Positions of the shore and horizon in the panel, and the sea colour
+ * @param {Object[]|null} scanlines - Mirage mapping for the vessel, or null for the closed-form sinking
+ * @param {number} bandHeight - Height of the wave band drawn along the horizon, in pixels
+ */
+function drawGlobeVessel(ctx, state, vessel, layout, scanlines, bandHeight) {
+  const { width, shoreX, shoreY, horizonX, horizonY, horizonDistance, seaColor } = layout;
+  
   // Calculate the ship's position and scale
   let shipX, shipY, shipScale, sinkAmount;
+  const silhouette = getSilhouette(vessel.type);
   
   // Base scale calculation - consistent for all distances
-  const baseScale = Math.sqrt(state.shipHeight / 50);
+  const baseScale = Math.sqrt(vessel.height / 50);
+  
+  // Vessels on other bearings are set off to the side
+  const bearingOffset = vessel.bearing / SCHEMATIC_BEARING_SPAN * width;
   
-  if (state.shipDistance <= horizonDistance) {
+  // Hidden fraction from the curve and the crests together
+  const totalSinking = calculateShipSinking(
+    vessel.distance,
+    state.observerHeight,
+    vessel.height,
+    state.earthRadius,
+    state.refractionFactor,
+    state.crestHeight
+  );
+  
+  // The ship fades into the sky behind it as haze takes away its contrast
+  ctx.save();
+  ctx.globalAlpha = calculateContrastTransmittance(vessel.distance, state.meteorologicalVisibility);
+  
+  if (vessel.distance <= horizonDistance) {
     // Before horizon: ship moves from shore to horizon as distance increases
-    const distanceRatio = state.shipDistance / horizonDistance;
+    const distanceRatio = vessel.distance / horizonDistance;
     
     // Calculate horizontal position - ship moves from shore to horizon
-    shipX = shoreX + (horizonX - shoreX) * distanceRatio;
+    shipX = shoreX + (horizonX - shoreX) * distanceRatio + bearingOffset;
     
     // Calculate vertical position - ship moves from shore level up to horizon level
     shipY = shoreY - (shoreY - horizonY) * distanceRatio;
@@ -70,49 +294,185 @@ function renderNormalView(ctx, state) {
     // This matches the Mathematica formula: (1 - 0.75*d/d0[h])*Sqrt[H/50]
     shipScale = (1 - 0.75 * distanceRatio) * baseScale;
     
-    // No sinking before horizon
-    sinkAmount = 0;
+    // No sinking before horizon in a calm sea; with waves the eye may look over a
+    // closer horizon of crests. The crests drawn in front of the ship hide the rest.
+    const crestHiddenHeight = calculateCrestHiddenHeight(
+      vessel.distance,
+      state.observerHeight,
+      state.earthRadius,
+      state.refractionFactor,
+      state.crestHeight
+    );
+    sinkAmount = Math.max(0, totalSinking - crestHiddenHeight / vessel.height);
     
     // Draw ship directly (no clipping needed before horizon)
-    drawShip(ctx, shipX, shipY, shipScale, sinkAmount);
+    drawShip(ctx, shipX, shipY, shipScale, sinkAmount, scanlines, silhouette);
+    if (!scanlines) {
+      ctx.globalAlpha = 1;
+      drawCrestsInFrontOfShip(ctx, shipX, shipY, shipScale, vessel, crestHiddenHeight, state.waveTime, seaColor);
+    }
     
     // Smoke rendering disabled
     // renderSmoke(ctx, shipX, shipY, shipScale, sinkAmount);
   } else {
     // Beyond horizon: ship stays at horizon X position but sinks below horizon
-    shipX = horizonX; // Fixed at horizon X position
+    shipX = horizonX + bearingOffset; // Fixed at horizon X position
     shipY = horizonY; // Position at horizon level
     
-    // Calculate how far beyond the horizon the ship is
-    const distanceBeyondHorizon = state.shipDistance - horizonDistance;
-    const totalPossibleDistanceBeyondHorizon = maxVisibleDistance - horizonDistance;
-    const beyondHorizonRatio = Math.min(1, distanceBeyondHorizon / totalPossibleDistanceBeyondHorizon);
-    
     // Scale remains constant beyond horizon at the reduced size it had when it reached the horizon
     // This matches the Mathematica formula: 0.25*Sqrt[H/50]
     shipScale = 0.25 * baseScale;
     
-    // Calculate the normalized sinking amount (0-1 range)
-    sinkAmount = beyondHorizonRatio;
+    // Calculate the normalized sinking amount (0-1 range) from the hidden height,
+    // less the part the crest band along the horizon covers
+    sinkAmount = Math.max(0, totalSinking - bandHeight / (SHIP_BOUNDS.HEIGHT * shipScale));
     
     // Create a clipping region that only shows content above the horizon
-    ctx.save();
     ctx.beginPath();
     ctx.rect(0, 0, width, horizonY);
     ctx.clip();
     
     // Draw ship (it will be automatically clipped at the horizon)
-    drawShip(ctx, shipX, shipY, shipScale, sinkAmount);
-    
-    // Restore the canvas state
-    ctx.restore();
+    drawShip(ctx, shipX, shipY, shipScale, sinkAmount, scanlines, silhouette);
     
     // We'll only render smoke in the telescope view to avoid duplication
     // renderSmoke(ctx, shipX, shipY, shipScale, sinkAmount);
   }
   
-  // Draw observer information
-  drawObserverInfo(ctx, state);
+  ctx.restore();
+  
+  drawVesselLabel(ctx, state, vessel, shipX, shipY - SHIP_BOUNDS.HEIGHT * shipScale * (1 - sinkAmount));
+}
+
+/**
+ * Draws one vessel in the schematic view of the flat plane
+ * The vessel approaches the vanishing point and shrinks with perspective,
+ * but nothing ever comes between it and the observer except the waves.
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} state - Current state of the simulation
+ * @param {Object} vessel - Vessel to draw (see createVessel)
+ * @param {Object} layout - Positions of the shore and horizon in the panel, and the sea colour
+ */
+function drawFlatVessel(ctx, state, vessel, layout) {
+  const { width, shoreX, shoreY, horizonX, horizonY, horizonDistance, seaColor } = layout;
+  
+  const perspective = FLAT_PERSPECTIVE_DISTANCE * horizonDistance /
+    (FLAT_PERSPECTIVE_DISTANCE * horizonDistance + vessel.distance);
+  const distanceRatio = 1 - perspective;
+  
+  const shipX = shoreX + (horizonX - shoreX) * distanceRatio + vessel.bearing / SCHEMATIC_BEARING_SPAN * width;
+  const shipY = shoreY - (shoreY - horizonY) * distanceRatio;
+  const shipScale = perspective * Math.sqrt(vessel.height / 50);
+  
+  ctx.save();
+  ctx.globalAlpha = calculateContrastTransmittance(vessel.distance, state.meteorologicalVisibility);
+  drawShip(ctx, shipX, shipY, shipScale, 0, null, getSilhouette(vessel.type));
+  ctx.restore();
+  
+  drawCrestsInFrontOfShip(ctx, shipX, shipY, shipScale, vessel, state.crestHeight, state.waveTime, seaColor);
+  drawVesselLabel(ctx, state, vessel, shipX, shipY - SHIP_BOUNDS.HEIGHT * shipScale);
+}
+
+/**
+ * Names a vessel above its masthead when there is more than one to tell apart
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} state - Current state of the simulation
+ * @param {Object} vessel - Vessel to label
+ * @param {number} x - X position of the vessel
+ * @param {number} y - Y position of the top of its visible part
+ */
+function drawVesselLabel(ctx, state, vessel, x, y) {
+  if (state.fleet.length < 2) {
+    return;
+  }
+  
+  ctx.save();
+  ctx.font = vessel.id === state.trackedVesselId ? 'bold 11px Arial' : '11px Arial';
+  ctx.fillStyle = '#FFFFFF';
+  ctx.textAlign = 'center';
+  ctx.fillText(vessel.name, x, y - 6);
+  ctx.restore();
+}
+
+/**
+ * Draws the wave crests just in front of a ship, hiding the bottom of its hull
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {number} x - X position of the ship
+ * @param {number} y - Y position of the ship's waterline
+ * @param {number} scale - Scale the ship is drawn at
+ * @param {Object} vessel - Vessel the crests are in front of
+ * @param {number} hiddenHeight - Height of the hull the crests hide, in meters (see calculateCrestHiddenHeight)
+ * @param {number} waveTime - Time in seconds that the waves have been moving
+ * @param {string} seaColor - Colour of the sea around the ship
+ */
+function drawCrestsInFrontOfShip(ctx, x, y, scale, vessel, hiddenHeight, waveTime, seaColor) {
+  if (hiddenHeight <= 0) {
+    return;
+  }
+  
+  const { minX, maxX } = getSilhouette(vessel.type).bounds;
+  const left = x + (minX - 10) * scale;
+  const right = x + (maxX + 10) * scale;
+  const bandHeight = hiddenHeight * scale * SHIP_BOUNDS.HEIGHT / vessel.height;
+  drawWaveCrests(ctx, [{ x: left, y }, { x: right, y }], bandHeight, waveTime, seaColor);
+}
+
+/**
+ * Draws the dock as far away as the observer has sailed from it
+ * Like a vessel it shrinks towards the horizon; on the globe it then sinks
+ * behind the horizon, on the flat plane it only keeps shrinking.
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} state - Current state of the simulation
+ * @param {Object} layout - Positions of the shore and horizon in the panel
+ * @param {boolean} isFlat - Whether the panel shows the flat plane
+ */
+function drawDock(ctx, state, layout, isFlat) {
+  const { width, shoreX, shoreY, horizonY, horizonDistance } = layout;
+  const distance = state.observerMotion.fromDock.distance;
+  
+  if (distance <= 0) {
+    drawDockWithCranes(ctx, shoreX, shoreY);
+    return;
+  }
+  
+  // Same progressions as the vessels (see drawGlobeVessel and drawFlatVessel)
+  let distanceRatio, scale;
+  let sinkAmount = 0;
+  if (isFlat) {
+    scale = FLAT_PERSPECTIVE_DISTANCE * horizonDistance / (FLAT_PERSPECTIVE_DISTANCE * horizonDistance + distance);
+    distanceRatio = 1 - scale;
+  } else if (distance <= horizonDistance) {
+    distanceRatio = distance / horizonDistance;
+    scale = 1 - 0.75 * distanceRatio;
+  } else {
+    distanceRatio = 1;
+    scale = 0.25;
+    sinkAmount = calculateShipSinking(
+      distance,
+      state.observerHeight,
+      DOCK_HEIGHT,
+      state.earthRadius,
+      state.refractionFactor,
+      state.crestHeight
+    );
+  }
+  
+  ctx.save();
+  ctx.globalAlpha = calculateContrastTransmittance(distance, state.meteorologicalVisibility);
+  
+  // Only what stands above the horizon can be seen
+  if (sinkAmount > 0) {
+    ctx.beginPath();
+    ctx.rect(0, 0, width, horizonY);
+    ctx.clip();
+  }
+  
+  // Shrink the dock towards the left edge, with its waterline moving up to the horizon
+  const waterlineY = shoreY - (shoreY - horizonY) * distanceRatio;
+  ctx.translate(0, waterlineY + sinkAmount * DOCK_PIXEL_HEIGHT * scale);
+  ctx.scale(scale, scale);
+  drawDockWithCranes(ctx, shoreX, 0);
+  ctx.restore();
 }
 
 /**
@@ -270,24 +630,43 @@ function drawCrane(ctx, x, y, height, armLength, color) {
  * Draws observer information
  * @param {CanvasRenderingContext2D} ctx - Canvas context
  * @param {Object} state - Current state of the simulation
+ * @param {Object} panel - Panel the information belongs to
+ * @param {number} panel.width - Width of the panel in pixels
+ * @param {number} panel.height - Height of the panel in pixels
+ * @param {string} panel.model - Surface model (one of SURFACE_MODELS)
+ * @param {Object|null} panel.terrain - Terrain visibility over this surface model (see analyseTerrain)
  */
-function drawObserverInfo(ctx, state) {
-  const width = ctx.canvas.width;
-  const height = ctx.canvas.height;
+function drawObserverInfo(ctx, state, panel) {
+  const { width, height, model, terrain } = panel;
+  const isFlat = model === SURFACE_MODELS.FLAT;
   
   // Set text properties
   ctx.font = '14px Arial';
   ctx.fillStyle = '#FFFFFF';
   ctx.textAlign = 'left';
   
-  // Calculate horizon distance
-  const horizonDistance = calculateHorizonDistance(state.observerHeight);
+  // Name the surface model when the panels are shown side by side
+  if (state.comparisonEnabled) {
+    ctx.font = 'bold 16px Arial';
+    ctx.fillText(PANEL_TITLES[model], 20, 30);
+    ctx.font = '14px Arial';
+  }
+  
+  // Heights below are above the water, which the tide raises and lowers
+  if (state.tide.id !== 'none') {
+    ctx.fillText(`Water Level: ${state.waterLevel.toFixed(2)} m above chart datum`, 20, height - 100);
+  }
   
   // Draw observer height
   ctx.fillText(`Observer Height: ${state.observerHeight.toFixed(1)} m`, 20, height - 80);
   
-  // Draw horizon distance
-  ctx.fillText(`Horizon Distance: ${horizonDistance.toFixed(1)} km`, 20, height - 60);
+  // Draw horizon distance (a flat plane has no horizon, only a vanishing point)
+  if (isFlat) {
+    ctx.fillText('Horizon Distance: none (flat)', 20, height - 60);
+  } else {
+    const horizonDistance = calculateHorizonDistance(state.observerHeight, state.earthRadius, state.refractionFactor);
+    ctx.fillText(`Horizon Distance: ${horizonDistance.toFixed(1)} km`, 20, height - 60);
+  }
   
   // Draw ship distance
   ctx.fillText(`Ship Distance: ${state.shipDistance.toFixed(1)} km`, 20, height - 40);
@@ -295,16 +674,23 @@ function drawObserverInfo(ctx, state) {
   // Draw ship height
   ctx.fillText(`Ship Height: ${state.shipHeight.toFixed(1)} m`, 20, height - 20);
   
-  // Calculate and draw visibility status
+  // Calculate and draw visibility status; on a flat plane only the waves hide anything
   const visiblePortion = calculateVisiblePortion(
     state.shipDistance,
     state.observerHeight,
     state.shipHeight,
-    EARTH_RADIUS
+    isFlat ? Infinity : state.earthRadius,
+    state.refractionFactor,
+    state.crestHeight
   );
   
+  // Beyond the meteorological visibility the ship has too little contrast to be seen
+  const lostInHaze = state.shipDistance >= state.meteorologicalVisibility;
+  
   let visibilityStatus;
-  if (visiblePortion >= 0.99) {
+  if (lostInHaze && visiblePortion > 0.01) {
+    visibilityStatus = "Lost in Haze";
+  } else if (visiblePortion >= 0.99) {
     visibilityStatus = "Fully Visible";
   } else if (visiblePortion <= 0.01) {
     visibilityStatus = "Not Visible";
@@ -314,6 +700,40 @@ function drawObserverInfo(ctx, state) {
   
   ctx.textAlign = 'right';
   ctx.fillText(`Visibility: ${visibilityStatus}`, width - 20, height - 20);
+  
+  // Name what limits the range: the curve of the Earth or the haze
+  const { limit, distance: limitDistance } = determineVisibilityLimit(
+    state.observerHeight,
+    state.shipHeight,
+    state.meteorologicalVisibility,
+    isFlat ? Infinity : state.earthRadius,
+    state.refractionFactor,
+    state.crestHeight
+  );
+  const limitText = {
+    geometry: `Limit: Geometry (${limitDistance.toFixed(1)} km)`,
+    haze: `Limit: Haze (${limitDistance.toFixed(1)} km)`,
+    none: 'Limit: None'
+  }[limit];
+  ctx.fillText(limitText, width - 20, height - 40);
+  
+  // Peaks of the terrain profile that rise above the sea and the land in front of them
+  if (terrain) {
+    ctx.fillText(`Terrain: ${terrain.visiblePeaks} of ${terrain.ridges.length} peaks visible`, width - 20, height - 60);
+  }
+  
+  // Angles a navigator would measure, for this panel's surface model
+  if (state.anglesEnabled) {
+    const measurements = calculateAngularMeasurements(
+      state.shipDistance,
+      state.observerHeight,
+      state.shipHeight,
+      isFlat ? Infinity : state.earthRadius,
+      state.refractionFactor,
+      state.crestHeight
+    );
+    drawAngularReadout(ctx, measurements, width - 20, 30);
+  }
 }
 
 // Export functions
@@ -3,23 +3,40 @@
  * Handles the rendering of the ship model for the Over The Horizon demonstration
  */
 
-// Constants for ship dimensions and colors
-const SHIP_COLORS = {
-  HULL: '#2C3E50',          // Darker blue-gray for hull
-  HULL_SHADOW: '#1A2530',   // Darker shadow
-  HULL_HIGHLIGHT: '#3D5A73', // Lighter highlight for hull
-  WATERLINE: '#000000',     // Black waterline
-  DECK: '#95A5A6',          // Lighter gray for deck
-  FUNNEL_BASE: '#34495E',   // Darker blue-gray for funnel base
-  FUNNEL_BAND: '#E74C3C',   // Brighter red for funnel band
-  FUNNEL_TOP: '#222222',    // Black funnel top
-  MAST: '#000000',          // Black mast
-  SUPERSTRUCTURE: '#ECF0F1', // Light color for superstructure
-  SUPERSTRUCTURE_WINDOWS: '#3498DB', // Blue for windows
-  BRIDGE: '#BDC3C7',        // Light gray for bridge
-  SMOKE: 'rgba(200, 200, 200, 0.5)' // Semi-transparent gray for smoke
+import { calculateVisiblePortion } from '../math/horizon.js';
+import { EARTH_RADIUS } from '../math/constants.js';
+import { createProfileFromRefractionModel, traceRayFan } from '../math/rayTracing.js';
+import { SILHOUETTE_HEIGHT, SHIP_COLORS, SILHOUETTES } from '../data/silhouettes.js';
+
+// Extent of every silhouette drawing in local (unscaled) coordinates
+const SHIP_BOUNDS = {
+  HEIGHT: SILHOUETTE_HEIGHT // Waterline to top of masts
 };
 
+// Silhouette drawn when none is given
+const DEFAULT_SILHOUETTE = SILHOUETTES['cargo-ship'];
+
+// Ray-tracing settings for mirage rendering (coarser than the solver defaults to stay interactive)
+const MIRAGE_RAY_COUNT = 241;
+const MIRAGE_STEP = 50;
+
+// Mirages are traced at distances rounded to this fraction of the distance, so a
+// moving ship reuses its traces; the most recent traces are kept, for every view and vessel
+const MIRAGE_DISTANCE_STEP = 0.005;
+const MIRAGE_CACHE_SIZE = 16;
+
+// Upper limit on the offscreen resolution, for ships seen very close through a narrow camera
+const MAX_MIRAGE_RESOLUTION = 8;
+
+// Offscreen canvas the undistorted ship is drawn into before being resampled line by line
+let mirageCanvas = null;
+
+// Recent mirage calculations by their inputs, least recently used first
+const mirageCache = new Map();
+
+// Path2D objects of the SVG path parts drawn so far
+const pathCache = new WeakMap();
+
 // Simple smoke effect variables
 let smokeOffset = 0;
 // Flag to track if smoke has been rendered in the current frame
@@ -32,8 +49,11 @@ let smokeRenderedThisFrame = false;
  * @param {number} y - Y position (waterline)
  * @param {number} scale - Scale factor for ship size
  * @param {number} [sinkAmount=0] - Amount by which the ship appears to sink (0 = fully visible, 1 = fully hidden)
+ * @param {Object[]|null} [scanlines=null] - Mapping from apparent to true height (see calculateMirageScanlines);
+ *   when given, it replaces the sinking effect and may stretch, compress or invert the ship
+ * @param {Object} [silhouette=DEFAULT_SILHOUETTE] - Shape to draw (see SILHOUETTES)
  */
-function drawShip(ctx, x, y, scale, sinkAmount = 0) {
+function drawShip(ctx, x, y, scale, sinkAmount = 0, scanlines = null, silhouette = DEFAULT_SILHOUETTE) {
   // Save current context state
   ctx.save();
   
@@ -41,14 +61,17 @@ function drawShip(ctx, x, y, scale, sinkAmount = 0) {
   ctx.translate(x, y);
   ctx.scale(scale, scale);
   
+  if (scanlines) {
+    drawDistortedShip(ctx, scale, scanlines, silhouette);
+    ctx.restore();
+    return;
+  }
+  
   // If sinking effect is needed, apply vertical offset and clipping
   if (sinkAmount > 0) {
-    // Ship height in local coordinates (from waterline to top of masts)
-    const shipHeight = 70;
-    
     // Calculate how much of the ship should be hidden
     // As sinkAmount increases from 0 to 1, more of the ship is hidden from bottom to top
-    const hiddenHeight = shipHeight * sinkAmount;
+    const hiddenHeight = SHIP_BOUNDS.HEIGHT * sinkAmount;
     
     // Apply a vertical offset to move the entire ship down (sinking effect)
     // But don't apply any scaling that would cause compression
@@ -56,236 +79,223 @@ function drawShip(ctx, x, y, scale, sinkAmount = 0) {
     ctx.translate(0, sinkOffset);
     
     // Create a clipping region that only shows the part of the ship above the water
+    const { minX, maxX, minY } = silhouette.bounds;
     ctx.beginPath();
     // This rectangle starts at the current water level and extends upward
-    ctx.rect(-100, -shipHeight - sinkOffset, 200, shipHeight);
+    ctx.rect(minX, minY - sinkOffset, maxX - minX, -minY);
     ctx.clip();
   }
   
-  // Draw ship components from bottom to top
-  drawHull(ctx);
-  drawSuperstructure(ctx);
-  drawFunnels(ctx);
-  drawSimpleSmoke(ctx); // Add smoke after funnels
-  drawMastsAndAntennas(ctx);
+  drawShipComponents(ctx, silhouette);
   
   // Restore context state
   ctx.restore();
 }
 
 /**
- * Draws the ship's hull
+ * Draws all parts of a silhouette in local coordinates (waterline at y = 0)
  * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} silhouette - Shape to draw (see SILHOUETTES)
  */
-function drawHull(ctx) {
-  // Main hull
-  ctx.fillStyle = SHIP_COLORS.HULL;
-  ctx.beginPath();
-  ctx.moveTo(-50, 0);        // Start at stern at waterline
-  ctx.lineTo(50, 0);         // To bow at waterline
-  ctx.lineTo(65, -5);        // Up to bow point (more pronounced)
-  ctx.lineTo(65, -10);       // Up to deck level at bow (keeping deck level)
-  ctx.lineTo(-40, -10);      // Back to deck at stern
-  ctx.lineTo(-55, -5);       // Up to stern point (more pronounced)
-  ctx.closePath();
-  ctx.fill();
-  
-  // Hull shadow/detail
-  ctx.fillStyle = SHIP_COLORS.HULL_SHADOW;
-  ctx.beginPath();
-  ctx.moveTo(-50, 0);
-  ctx.lineTo(50, 0);
-  ctx.lineTo(50, -3);
-  ctx.lineTo(-50, -3);
-  ctx.closePath();
-  ctx.fill();
-  
-  // Hull highlight (adds dimension)
-  ctx.fillStyle = SHIP_COLORS.HULL_HIGHLIGHT;
+function drawShipComponents(ctx, silhouette) {
+  // Nothing outside the bounds is drawn, which keeps imported drawings above their waterline
+  const { minX, maxX, minY, maxY } = silhouette.bounds;
+  ctx.save();
   ctx.beginPath();
-  ctx.moveTo(-40, -8);
-  ctx.lineTo(65, -8);       // Extended to the bow
-  ctx.lineTo(65, -10);      // Up to deck level at bow
-  ctx.lineTo(-40, -10);     // Back to deck at stern
-  ctx.closePath();
-  ctx.fill();
+  ctx.rect(minX, minY, maxX - minX, maxY - minY);
+  ctx.clip();
   
-  // Waterline (black)
-  ctx.fillStyle = SHIP_COLORS.WATERLINE;
-  ctx.beginPath();
-  ctx.moveTo(-50, 0);        // Start at stern at waterline
-  ctx.lineTo(50, 0);         // To bow at waterline
-  ctx.lineTo(50, 2);         // Down below waterline at bow
-  ctx.lineTo(-50, 2);        // Back below waterline at stern
-  ctx.closePath();
-  ctx.fill();
+  // Parts are listed from back to front
+  silhouette.parts.forEach(part => drawSilhouettePart(ctx, part));
+  drawSimpleSmoke(ctx, silhouette);
   
-  // Deck
-  ctx.fillStyle = SHIP_COLORS.DECK;
-  ctx.beginPath();
-  ctx.moveTo(-40, -10);      // Start at stern deck
-  ctx.lineTo(65, -10);       // To bow deck (extended to meet the bow point)
-  ctx.lineTo(65, -11);       // Down to deck edge at bow
-  ctx.lineTo(-40, -11);      // Back to deck edge at stern
-  ctx.closePath();
-  ctx.fill();
+  ctx.restore();
 }
 
 /**
- * Draws the ship's superstructure
+ * Draws one part of a silhouette
  * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} part - Polygon, rect, ellipse, line, circle or SVG path (see SILHOUETTES)
  */
-function drawSuperstructure(ctx) {
-  // Main superstructure block - moved forward
-  ctx.fillStyle = SHIP_COLORS.SUPERSTRUCTURE;
-  ctx.beginPath();
-  ctx.rect(-20, -25, 50, 14); // Moved 10 units forward (was -30)
-  ctx.fill();
+function drawSilhouettePart(ctx, part) {
+  if (part.type === 'path') {
+    drawPathPart(ctx, part);
+    return;
+  }
   
-  // Bridge (higher part of superstructure at the forward part)
-  ctx.fillStyle = SHIP_COLORS.BRIDGE;
   ctx.beginPath();
-  ctx.rect(15, -32, 15, 7); // Moved 10 units forward (was 5)
-  ctx.fill();
   
-  // Windows on main superstructure (more evenly spaced)
-  ctx.fillStyle = SHIP_COLORS.SUPERSTRUCTURE_WINDOWS;
-  for (let i = -15; i < 25; i += 6) { // Adjusted starting point (was -25)
-    ctx.beginPath();
-    ctx.rect(i, -22, 4, 3);
-    ctx.fill();
+  switch (part.type) {
+    case 'polygon':
+    case 'line':
+      part.points.forEach(([x, y], i) => {
+        if (i === 0) {
+          ctx.moveTo(x, y);
+        } else {
+          ctx.lineTo(x, y);
+        }
+      });
+      if (part.type === 'polygon') {
+        ctx.closePath();
+      }
+      break;
+    case 'rect':
+      ctx.rect(part.x, part.y, part.width, part.height);
+      break;
+    case 'ellipse':
+      ctx.ellipse(part.x, part.y, part.radiusX, part.radiusY, 0, 0, Math.PI * 2);
+      break;
+    case 'circle':
+      ctx.arc(part.x, part.y, part.radius, 0, Math.PI * 2);
+      break;
+    default:
+      console.error(`Unknown silhouette part "${part.type}"`);
+      return;
   }
   
-  // Window on bridge (side view) - moved to the front of the bridge
-  ctx.beginPath();
-  ctx.rect(26, -30, 3, 3); // Moved 10 units forward (was 16)
-  ctx.fill();
-  
-  // Bridge wing visible from side view (just a small protrusion)
-  ctx.fillStyle = SHIP_COLORS.BRIDGE;
-  ctx.beginPath();
-  ctx.rect(28, -30, 3, 3); // Moved 10 units forward (was 18)
-  ctx.fill();
+  if (part.fill) {
+    ctx.fillStyle = part.fill;
+    ctx.fill();
+  }
+  if (part.stroke) {
+    ctx.strokeStyle = part.stroke;
+    ctx.lineWidth = part.width ?? 1;
+    ctx.stroke();
+  }
 }
 
 /**
- * Draws the ship's funnels
+ * Draws an SVG path part in its own drawing units
  * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} part - Path part {d, matrix, fill, fillRule, stroke, width}
  */
-function drawFunnels(ctx) {
-  // Draw two funnels - moved forward
-  drawFunnel(ctx, 0, -25, 8, 15);  // Moved 10 units forward (was -10)
-  drawFunnel(ctx, 20, -25, 8, 15); // Moved 10 units forward (was 10)
+function drawPathPart(ctx, part) {
+  // Parsing path data is slow; every part keeps the same path for its lifetime
+  let path = pathCache.get(part);
+  if (!path) {
+    path = new Path2D(part.d);
+    pathCache.set(part, path);
+  }
+  
+  ctx.save();
+  ctx.transform(...part.matrix);
+  if (part.fill) {
+    ctx.fillStyle = part.fill;
+    ctx.fill(path, part.fillRule === 'evenodd' ? 'evenodd' : 'nonzero');
+  }
+  if (part.stroke) {
+    ctx.strokeStyle = part.stroke;
+    ctx.lineWidth = part.width ?? 1;
+    ctx.stroke(path);
+  }
+  ctx.restore();
 }
 
 /**
- * Draws a single funnel
- * @param {CanvasRenderingContext2D} ctx - Canvas context
- * @param {number} x - X position of funnel center
- * @param {number} y - Y position of funnel base
- * @param {number} width - Width of funnel
- * @param {number} height - Height of funnel
+ * Draws the ship resampled scanline by scanline through a mirage mapping
+ * Each pair of neighbouring scanlines copies a horizontal strip of the
+ * undistorted ship; strips whose true heights run backwards are drawn flipped.
+ * @param {CanvasRenderingContext2D} ctx - Canvas context, already in ship-local coordinates
+ * @param {number} scale - Scale factor the ship is drawn at (sets the offscreen resolution)
+ * @param {Object[]} scanlines - Mapping from apparent to true height, in fractions of the ship height
+ * @param {Object} silhouette - Shape to draw (see SILHOUETTES)
  */
-function drawFunnel(ctx, x, y, width, height) {
-  const halfWidth = width / 2;
-  
-  // Funnel base
-  ctx.fillStyle = SHIP_COLORS.FUNNEL_BASE;
-  ctx.beginPath();
-  ctx.moveTo(x - halfWidth, y);
-  ctx.lineTo(x + halfWidth, y);
-  ctx.lineTo(x + halfWidth * 0.8, y - height);
-  ctx.lineTo(x - halfWidth * 0.8, y - height);
-  ctx.closePath();
-  ctx.fill();
-  
-  // Funnel band (red)
-  const bandHeight = height * 0.15;
-  const bandY = y - height + bandHeight * 2;
-  const bandWidthFactor = 0.85;
-  
-  ctx.fillStyle = SHIP_COLORS.FUNNEL_BAND;
-  ctx.beginPath();
-  ctx.moveTo(x - halfWidth * bandWidthFactor, bandY + bandHeight);
-  ctx.lineTo(x + halfWidth * bandWidthFactor, bandY + bandHeight);
-  ctx.lineTo(x + halfWidth * 0.8, bandY);
-  ctx.lineTo(x - halfWidth * 0.8, bandY);
-  ctx.closePath();
-  ctx.fill();
-  
-  // Funnel top (black)
-  ctx.fillStyle = SHIP_COLORS.FUNNEL_TOP;
-  ctx.beginPath();
-  ctx.ellipse(x, y - height, halfWidth * 0.8, halfWidth * 0.3, 0, 0, Math.PI * 2);
-  ctx.fill();
+function drawDistortedShip(ctx, scale, scanlines, silhouette) {
+  // Render the undistorted ship offscreen at a resolution matching the target scale
+  const resolution = Math.min(MAX_MIRAGE_RESOLUTION, Math.max(2, Math.ceil(scale * 2)));
+  const source = renderShipToOffscreen(resolution, silhouette);
+  const { minX, maxX, minY, maxY } = silhouette.bounds;
+  const boundsWidth = maxX - minX;
+  const pixelHeight = 1 / resolution;
+  
+  for (let i = 0; i < scanlines.length - 1; i++) {
+    const lower = scanlines[i];
+    const upper = scanlines[i + 1];
+    
+    // Rays that end in the sea or pass entirely above the ship show nothing of it
+    if (lower.actual === null || upper.actual === null) {
+      continue;
+    }
+    
+    // Local y grows downwards, heights grow upwards
+    const sourceStart = -lower.actual * SHIP_BOUNDS.HEIGHT;
+    let sourceSpan = -(upper.actual - lower.actual) * SHIP_BOUNDS.HEIGHT;
+    const destinationStart = -lower.apparent * SHIP_BOUNDS.HEIGHT;
+    const destinationSpan = -(upper.apparent - lower.apparent) * SHIP_BOUNDS.HEIGHT;
+    
+    const sourceTop = Math.min(sourceStart, sourceStart + sourceSpan);
+    if (sourceTop > maxY || Math.max(sourceStart, sourceStart + sourceSpan) < minY) {
+      continue;
+    }
+    
+    // A strip thinner than a source pixel is stretched from a single row (towering)
+    if (Math.abs(sourceSpan) < pixelHeight) {
+      sourceSpan = sourceSpan < 0 ? -pixelHeight : pixelHeight;
+    }
+    
+    // Affine map from source y to destination y; a negative factor inverts the strip
+    const stretch = destinationSpan / sourceSpan;
+    const stripTop = Math.min(sourceStart, sourceStart + sourceSpan);
+    const stripHeight = Math.abs(sourceSpan);
+    
+    ctx.save();
+    ctx.translate(0, destinationStart - sourceStart * stretch);
+    ctx.scale(1, stretch);
+    ctx.drawImage(
+      source,
+      0, (stripTop - minY) * resolution, boundsWidth * resolution, stripHeight * resolution,
+      minX, stripTop, boundsWidth, stripHeight
+    );
+    ctx.restore();
+  }
 }
 
 /**
- * Draws the ship's masts and antennas
- * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * Draws the undistorted ship into the shared offscreen canvas
+ * @param {number} resolution - Pixels per local ship unit
+ * @param {Object} silhouette - Shape to draw (see SILHOUETTES)
+ * @returns {HTMLCanvasElement} - The offscreen canvas
  */
-function drawMastsAndAntennas(ctx) {
-  ctx.strokeStyle = SHIP_COLORS.MAST;
-  ctx.lineWidth = 1;
-  
-  // Forward mast - moved forward
-  ctx.beginPath();
-  ctx.moveTo(25, -32); // Moved 10 units forward (was 15)
-  ctx.lineTo(25, -60); // Moved 10 units forward (was 15)
-  ctx.stroke();
-  
-  // Antenna on forward mast
-  ctx.beginPath();
-  ctx.moveTo(25, -60); // Moved 10 units forward (was 15)
-  ctx.lineTo(35, -70); // Moved 10 units forward (was 25)
-  ctx.stroke();
+function renderShipToOffscreen(resolution, silhouette) {
+  if (!mirageCanvas) {
+    mirageCanvas = document.createElement('canvas');
+  }
   
-  // Radar on forward mast
-  ctx.beginPath();
-  ctx.arc(25, -55, 3, 0, Math.PI * 2); // Moved 10 units forward (was 15)
-  ctx.stroke();
+  const { minX, maxX, minY, maxY } = silhouette.bounds;
+  mirageCanvas.width = Math.ceil((maxX - minX) * resolution);
+  mirageCanvas.height = Math.ceil((maxY - minY) * resolution);
   
-  // Aft mast - moved forward
-  ctx.beginPath();
-  ctx.moveTo(-5, -32); // Moved 10 units forward (was -15)
-  ctx.lineTo(-5, -50); // Moved 10 units forward (was -15)
-  ctx.stroke();
+  const offscreenCtx = mirageCanvas.getContext('2d');
+  offscreenCtx.setTransform(resolution, 0, 0, resolution, -minX * resolution, -minY * resolution);
+  offscreenCtx.clearRect(minX, minY, maxX - minX, maxY - minY);
   
-  // Cross piece on aft mast
-  ctx.beginPath();
-  ctx.moveTo(-10, -45); // Moved 10 units forward (was -20)
-  ctx.lineTo(0, -45);   // Moved 10 units forward (was -10)
-  ctx.stroke();
+  // Nothing below the waterline belongs to the visible ship
+  offscreenCtx.save();
+  offscreenCtx.beginPath();
+  offscreenCtx.rect(minX, minY, maxX - minX, -minY);
+  offscreenCtx.clip();
+  drawShipComponents(offscreenCtx, silhouette);
+  offscreenCtx.restore();
   
-  // Small antenna on aft mast
-  ctx.beginPath();
-  ctx.moveTo(-5, -50);  // Moved 10 units forward (was -15)
-  ctx.lineTo(0, -55);   // Moved 10 units forward (was -10)
-  ctx.stroke();
+  return mirageCanvas;
 }
 
 /**
  * Draws a simple smoke effect from the funnels
  * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} [silhouette=DEFAULT_SILHOUETTE] - Shape whose funnels smoke (see SILHOUETTES)
  */
-function drawSimpleSmoke(ctx) {
-  // Draw smoke from first funnel
-  drawSmokeFromFunnel(ctx, 0, -25, -15);
-  
-  // Draw smoke from second funnel
-  drawSmokeFromFunnel(ctx, 20, -25, -15);
+function drawSimpleSmoke(ctx, silhouette = DEFAULT_SILHOUETTE) {
+  silhouette.smoke.forEach(funnelTop => drawSmokeFromFunnel(ctx, funnelTop.x, funnelTop.y));
 }
 
 /**
  * Draws smoke from a single funnel
  * @param {CanvasRenderingContext2D} ctx - Canvas context
  * @param {number} x - X position of funnel center
- * @param {number} y - Y position of funnel base
- * @param {number} height - Height of funnel
+ * @param {number} topY - Y position of funnel top
  */
-function drawSmokeFromFunnel(ctx, x, y, height) {
-  const topY = y + height; // Y position of funnel top
-  
+function drawSmokeFromFunnel(ctx, x, topY) {
   // Save context for smoke effect
   ctx.save();
   
@@ -381,22 +391,71 @@ function calculateShipScale(distance, horizonDistance, baseScale) {
 /**
  * Calculates how much of the ship should be hidden below horizon
  * @param {number} distance - Distance of ship from viewer in kilometers
- * @param {number} horizonDistance - Distance to the horizon in kilometers
- * @param {number} maxVisibleDistance - Maximum distance at which the ship is visible
+ * @param {number} observerHeight - Height of the observer in meters
+ * @param {number} shipHeight - Height of the ship in meters
+ * @param {number} [earthRadius=EARTH_RADIUS] - Radius of the Earth in kilometers
+ * @param {number|Object} [refractionFactor=1.0] - Atmospheric refraction factor (k value) or refraction model
+ * @param {number} [crestHeight=0] - Height of the wave crests above mean sea level in meters
  * @returns {number} - Amount of ship to hide (0 = fully visible, 1 = fully hidden)
  */
-function calculateShipSinking(distance, horizonDistance, maxVisibleDistance) {
-  if (distance <= horizonDistance) {
-    // Ship is before the horizon, fully visible
-    return 0;
-  } else {
-    // Ship is beyond the horizon, calculate sinking amount
-    const distanceBeyondHorizon = distance - horizonDistance;
-    const totalPossibleDistanceBeyondHorizon = maxVisibleDistance - horizonDistance;
+function calculateShipSinking(distance, observerHeight, shipHeight, earthRadius = EARTH_RADIUS, refractionFactor = 1.0, crestHeight = 0) {
+  // The hidden fraction is the complement of the geometrically visible portion
+  return 1 - calculateVisiblePortion(distance, observerHeight, shipHeight, earthRadius, refractionFactor, crestHeight);
+}
+
+/**
+ * Calculates the mapping from apparent to true height on the ship by ray tracing
+ * Scanlines are ordered from the lowest apparent elevation upwards. Both values are
+ * fractions of the ship height: `apparent` is measured up from the apparent waterline
+ * or horizon, `actual` is the height on the ship seen there (null for sea or open sky).
+ * @param {number} distance - Distance of ship from viewer in kilometers
+ * @param {number} observerHeight - Height of the observer in meters
+ * @param {number} shipHeight - Height of the ship in meters
+ * @param {number|Object} refraction - Refraction factor (k value) or refraction model
+ * @param {number} [earthRadius=EARTH_RADIUS] - Radius of the Earth in kilometers
+ * @returns {Object[]} - Scanlines as { apparent, actual }; empty when the ship is hidden
+ */
+function calculateMirageScanlines(distance, observerHeight, shipHeight, refraction, earthRadius = EARTH_RADIUS) {
+  // Keep the ship a little way from the observer so the fan stays well conditioned
+  const clampedDistance = Math.max(distance, 0.05);
+  const rayDistance = Math.exp(Math.round(Math.log(clampedDistance) / MIRAGE_DISTANCE_STEP) * MIRAGE_DISTANCE_STEP);
+  
+  // The ray fan is the expensive part; reuse it while nothing else has changed
+  const key = `${rayDistance}|${observerHeight}|${shipHeight}|${earthRadius}|${JSON.stringify(refraction)}`;
+  if (mirageCache.has(key)) {
+    const cached = mirageCache.get(key);
+    mirageCache.delete(key);
+    mirageCache.set(key, cached);
+    return cached;
+  }
+  const fan = traceRayFan(observerHeight, rayDistance, {
+    profile: createProfileFromRefractionModel(refraction, earthRadius),
+    earthRadius,
+    maxTargetHeight: shipHeight * 1.2,
+    rayCount: MIRAGE_RAY_COUNT,
+    step: MIRAGE_STEP
+  });
+  
+  let scanlines = [];
+  
+  if (fan.horizonElevation !== null) {
+    // Angles become fractions of the ship height at the ship's distance
+    const radiansPerShipHeight = shipHeight / (rayDistance * 1000);
     
-    // Return a value between 0 and 1 representing how much of the ship is hidden
-    return Math.min(1, distanceBeyondHorizon / totalPossibleDistanceBeyondHorizon);
+    scanlines = fan.angles.map((angle, i) => {
+      const height = fan.heights[i];
+      return {
+        apparent: (angle - fan.horizonElevation) / radiansPerShipHeight,
+        actual: height === null || height < 0 ? null : height / shipHeight
+      };
+    });
+  }
+  
+  mirageCache.set(key, scanlines);
+  if (mirageCache.size > MIRAGE_CACHE_SIZE) {
+    mirageCache.delete(mirageCache.keys().next().value);
   }
+  return scanlines;
 }
 
 // Export functions
@@ -404,7 +463,9 @@ export {
   drawShip,
   calculateShipScale,
   calculateShipSinking,
+  calculateMirageScanlines,
   SHIP_COLORS,
+  SHIP_BOUNDS,
   updateSmoke,
   renderSmoke
 };
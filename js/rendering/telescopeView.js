@@ -3,7 +3,13 @@
  * Handles rendering of the telescope view for the Over The Horizon demonstration
  */
 
-import { drawShip, renderSmoke } from './ship.js';
+import { drawShip, renderSmoke, SHIP_BOUNDS } from './ship.js';
+import { drawAngularScale, formatAngle } from './angularOverlay.js';
+import { isResolvable } from '../math/optics.js';
+import { ANGLE_UNITS } from '../math/constants.js';
+import { drawWaveCrests, mixColors } from './canvas.js';
+import { getSilhouette } from '../data/silhouettes.js';
+import { drawTerrain } from './terrainView.js';
 
 /**
  * Constants for telescope view
@@ -13,74 +19,136 @@ const TELESCOPE_CONSTANTS = {
   BORDER_WIDTH: 5,
   CROSSHAIR_COLOR: '#FF0000',
   CROSSHAIR_WIDTH: 1,
-  MAGNIFICATION: 4, // Default magnification factor
-  FIELD_OF_VIEW: 5, // Field of view in degrees
   SKY_COLOR: '#87CEEB',
   SEA_COLOR: '#1E90FF',
   HORIZON_COLOR: '#000000',
   HORIZON_WIDTH: 1,
+  // Apparent field of view across the eyepiece, in degrees, as wide as a wide-angle eyepiece shows
+  APPARENT_FIELD: 60,
 };
 
+// Offscreen canvas the ship is drawn into at the instrument's resolution
+let blurCanvas = null;
+
 /**
  * Draws the telescope view
+ * The eyepiece is centred on the horizon in the ship's direction and shows the
+ * magnified image: every angle is multiplied by the magnification into the
+ * apparent field of the eyepiece, and the field stop closes it down to the
+ * instrument's true field of view.
  * @param {CanvasRenderingContext2D} ctx - Canvas context for telescope view
- * @param {CanvasRenderingContext2D} mainCtx - Canvas context for main view (source)
- * @param {number} shipScale - Scale factor for the ship
- * @param {number} sinkAmount - Amount by which the ship appears to sink (0-1)
- * @param {number} horizonY - Y-coordinate of the horizon line
- * @param {number} visibilityFactor - Factor determining if ship is visible in telescope (0-1)
- * @param {number} [magnification=TELESCOPE_CONSTANTS.MAGNIFICATION] - Magnification factor
+ * @param {Object} optics - Optical instrument (see createOpticsModel)
+ * @param {Object} measurements - Angles of the ship from calculateAngularMeasurements
+ * @param {number} distance - Distance of the ship in kilometers
+ * @param {Object[]|null} [scanlines=null] - Mirage mapping from apparent to true height (see calculateMirageScanlines)
+ * @param {boolean} [showAngles=false] - Whether to print the ship's angles in the eyepiece
+ * @param {Object} [contrast] - Contrast left by haze (0-1) {ship, horizon}
+ * @param {number} [waveTime=0] - Time in seconds that the waves have been moving
+ * @param {Object} [silhouette] - Shape of the tracked target (see SILHOUETTES), the cargo ship by default
+ * @param {Object|null} [terrain=null] - Terrain in the field {visibility (see analyseTerrain), meteorologicalVisibility,
+ *   direction(distance, height, offset)} where direction gives {azimuth, elevation} in radians, the azimuth
+ *   measured from the centre of the eyepiece
  */
-function drawTelescopeView(ctx, mainCtx, shipScale, sinkAmount, horizonY, visibilityFactor, magnification = TELESCOPE_CONSTANTS.MAGNIFICATION) {
+function drawTelescopeView(ctx, optics, measurements, distance, scanlines = null, showAngles = false, contrast = { ship: 1, horizon: 1 }, waveTime = 0, silhouette = getSilhouette('cargo-ship'), terrain = null) {
   const width = ctx.canvas.width;
   const height = ctx.canvas.height;
   const centerX = width / 2;
+  const centerY = height / 2;
+  const eyepieceRadius = Math.min(width, height) / 2 - TELESCOPE_CONSTANTS.BORDER_WIDTH;
+  
+  // Magnified angles across the apparent field, out to the field stop at the edge of the true field
+  const { magnification, fieldOfView } = optics.params;
+  const pixelsPerRadian = magnification * (2 * eyepieceRadius) / (TELESCOPE_CONSTANTS.APPARENT_FIELD * Math.PI / 180);
+  const radius = Math.min(eyepieceRadius, (fieldOfView * Math.PI / 360) * pixelsPerRadian);
   
   // Clear telescope view
   ctx.clearRect(0, 0, width, height);
   
   // Draw sky and sea background with circular clipping
-  drawTelescopeBackground(ctx, width, height, horizonY);
-  
-  // Only draw ship if it's close enough to the horizon to be visible in telescope
-  if (visibilityFactor > 0) {
-    // Apply telescope magnification to ship scale
-    const magnifiedShipScale = shipScale * magnification;
-    
-    // Calculate vertical offset to make ship appear to rise into view
-    // When visibilityFactor is 0, ship is completely below view
-    // When visibilityFactor is 1, ship is at the horizon
-    // Use a very small offset factor to make the transition subtle
-    // This ensures the ship's appearance matches the normal view
-    const shipHeight = 70 * magnifiedShipScale; // Approximate ship height in pixels
-    const verticalOffset = (1 - visibilityFactor) * shipHeight * 0.2; // Reduced offset factor to 0.2
-    
-    // Render ship with vertical offset to simulate rising into view
-    renderShipInTelescopeView(ctx, centerX, horizonY + verticalOffset, magnifiedShipScale, sinkAmount);
+  drawTelescopeBackground(ctx, width, height, radius, centerY, contrast.horizon, measurements.crestAngle * pixelsPerRadian, waveTime);
+  
+  // Land in the field of view, behind the ship
+  if (terrain) {
+    const project = (terrainDistance, height, offset) => {
+      const { azimuth, elevation } = terrain.direction(terrainDistance, height, offset);
+      return { x: centerX + azimuth * pixelsPerRadian, y: centerY - (elevation + measurements.dip) * pixelsPerRadian };
+    };
+    ctx.save();
+    ctx.beginPath();
+    ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
+    ctx.clip();
+    drawTerrain(ctx, terrain.visibility, project, terrain.meteorologicalVisibility);
+    ctx.restore();
   }
   
+  // Place the waterline and size the ship from their angles relative to the horizon
+  const waterlineY = centerY - (measurements.baseElevation + measurements.dip) * pixelsPerRadian;
+  const lowestVisibleY = centerY - (measurements.lowestVisibleElevation + measurements.dip) * pixelsPerRadian;
+  const shipScale = (measurements.topElevation - measurements.baseElevation) * pixelsPerRadian / SHIP_BOUNDS.HEIGHT;
+  
+  // Ray-traced images are measured from where the sea ends at the ship's distance:
+  // its waterline this side of the horizon (where it shows above the horizon), the horizon beyond it
+  renderShipInTelescopeView(
+    ctx,
+    centerX,
+    scanlines ? Math.min(waterlineY, centerY) : waterlineY,
+    shipScale,
+    lowestVisibleY,
+    measurements.visiblePortion,
+    scanlines,
+    optics.resolution * pixelsPerRadian,
+    contrast.ship,
+    silhouette,
+    radius
+  );
+  
   // Draw crosshairs
-  drawCrosshairs(ctx, width, height);
+  drawCrosshairs(ctx, width, height, radius, pixelsPerRadian);
+  
+  // Instrument and whether it can make out the finest feature of the target (the masts of a ship)
+  const resolutionSeconds = optics.resolution / (ANGLE_UNITS.ARC_MINUTE / 60);
+  const detailResolved = isResolvable(optics, silhouette.detail.size, distance);
+  drawEyepieceText(ctx, width, 44, [
+    optics.name,
+    `Resolution ${resolutionSeconds.toFixed(1)}″ · ${silhouette.detail.name} ${detailResolved ? 'resolved' : 'not resolved'}`
+  ]);
+  
+  if (showAngles) {
+    const top = measurements.visibleAngularSize > 0 ? formatAngle(measurements.heightAboveHorizon) : 'hidden';
+    drawEyepieceText(ctx, width, height - 48, [
+      `Top above horizon: ${top}`,
+      `Dip: ${formatAngle(measurements.dip)}`
+    ]);
+  }
   
   // Draw telescope border
   drawTelescopeBorder(ctx, width, height);
 }
 
 /**
- * Draws the telescope background with sky and sea
+ * Draws the telescope background with sky and sea, dark outside the field stop
  * @param {CanvasRenderingContext2D} ctx - Canvas context
  * @param {number} width - Width of the canvas
  * @param {number} height - Height of the canvas
+ * @param {number} radius - Radius of the field stop
  * @param {number} horizonY - Y-coordinate of the horizon line
+ * @param {number} [horizonContrast=1] - Contrast of the horizon left by haze (0-1)
+ * @param {number} [crestHeight=0] - Height of the wave crests standing on the horizon, in pixels
+ * @param {number} [waveTime=0] - Time in seconds that the waves have been moving
  */
-function drawTelescopeBackground(ctx, width, height, horizonY) {
+function drawTelescopeBackground(ctx, width, height, radius, horizonY, horizonContrast = 1, crestHeight = 0, waveTime = 0) {
   const centerX = width / 2;
   const centerY = height / 2;
-  const radius = Math.min(width, height) / 2 - TELESCOPE_CONSTANTS.BORDER_WIDTH;
   
   // Save context
   ctx.save();
   
+  // Beyond the field stop the eyepiece is dark
+  ctx.fillStyle = TELESCOPE_CONSTANTS.BORDER_COLOR;
+  ctx.beginPath();
+  ctx.arc(centerX, centerY, Math.min(width, height) / 2, 0, Math.PI * 2);
+  ctx.fill();
+  
   // Create circular clipping path
   ctx.beginPath();
   ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
@@ -91,10 +159,15 @@ function drawTelescopeBackground(ctx, width, height, horizonY) {
   ctx.fillRect(0, 0, width, horizonY);
   
   // Draw sea (bottom half)
-  ctx.fillStyle = TELESCOPE_CONSTANTS.SEA_COLOR;
+  const seaColor = mixColors(TELESCOPE_CONSTANTS.SEA_COLOR, TELESCOPE_CONSTANTS.SKY_COLOR, 1 - horizonContrast);
+  ctx.fillStyle = seaColor;
   ctx.fillRect(0, horizonY, width, height - horizonY);
   
+  // Wave crests standing up along the horizon
+  drawWaveCrests(ctx, [{ x: centerX - radius, y: horizonY }, { x: centerX + radius, y: horizonY }], crestHeight, waveTime, seaColor);
+  
   // Draw horizon line
+  ctx.globalAlpha = horizonContrast;
   ctx.strokeStyle = TELESCOPE_CONSTANTS.HORIZON_COLOR;
   ctx.lineWidth = TELESCOPE_CONSTANTS.HORIZON_WIDTH;
   ctx.beginPath();
@@ -142,14 +215,17 @@ function drawCircularMask(ctx, width, height) {
 
 /**
  * Draws crosshairs in the telescope view
+ * The vertical hair is graduated in arc-minutes above and below the horizon,
+ * the horizontal hair in mils left and right of the line of sight.
  * @param {CanvasRenderingContext2D} ctx - Canvas context
  * @param {number} width - Width of the canvas
  * @param {number} height - Height of the canvas
+ * @param {number} radius - Radius of the field stop
+ * @param {number} pixelsPerRadian - Angular scale of the eyepiece
  */
-function drawCrosshairs(ctx, width, height) {
+function drawCrosshairs(ctx, width, height, radius, pixelsPerRadian) {
   const centerX = width / 2;
   const centerY = height / 2;
-  const radius = Math.min(width, height) / 2 - TELESCOPE_CONSTANTS.BORDER_WIDTH;
   
   // Set crosshair style
   ctx.strokeStyle = TELESCOPE_CONSTANTS.CROSSHAIR_COLOR;
@@ -172,33 +248,51 @@ function drawCrosshairs(ctx, width, height) {
   ctx.arc(centerX, centerY, 2, 0, Math.PI * 2);
   ctx.stroke();
   
-  // Draw tick marks
-  const tickLength = 5;
-  const tickInterval = radius / 4;
+  // Draw graduated marks, stopping short of the border
+  const extent = radius - 10;
   
-  for (let i = tickInterval; i <= radius; i += tickInterval) {
-    // Horizontal ticks
-    ctx.beginPath();
-    ctx.moveTo(centerX - i, centerY - tickLength);
-    ctx.lineTo(centerX - i, centerY + tickLength);
-    ctx.stroke();
-    
-    ctx.beginPath();
-    ctx.moveTo(centerX + i, centerY - tickLength);
-    ctx.lineTo(centerX + i, centerY + tickLength);
-    ctx.stroke();
-    
-    // Vertical ticks
-    ctx.beginPath();
-    ctx.moveTo(centerX - tickLength, centerY - i);
-    ctx.lineTo(centerX + tickLength, centerY - i);
-    ctx.stroke();
-    
-    ctx.beginPath();
-    ctx.moveTo(centerX - tickLength, centerY + i);
-    ctx.lineTo(centerX + tickLength, centerY + i);
-    ctx.stroke();
-  }
+  drawAngularScale(ctx, {
+    x: centerX,
+    y: centerY,
+    pixelsPerRadian,
+    extent,
+    unit: 'arc-minute',
+    vertical: true,
+    color: TELESCOPE_CONSTANTS.CROSSHAIR_COLOR
+  });
+  
+  drawAngularScale(ctx, {
+    x: centerX,
+    y: centerY,
+    pixelsPerRadian,
+    extent,
+    unit: 'mil',
+    vertical: false,
+    color: TELESCOPE_CONSTANTS.CROSSHAIR_COLOR
+  });
+}
+
+/**
+ * Prints centred lines of text on a dark backing in the eyepiece
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {number} width - Width of the canvas
+ * @param {number} y - Baseline of the first line
+ * @param {string[]} lines - Lines of text
+ */
+function drawEyepieceText(ctx, width, y, lines) {
+  ctx.save();
+  ctx.font = '11px Arial';
+  ctx.textAlign = 'center';
+  
+  // Dark backing so the text stays readable over the reticle
+  const boxWidth = Math.max(...lines.map(line => ctx.measureText(line).width)) + 10;
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+  ctx.fillRect((width - boxWidth) / 2, y - 12, boxWidth, lines.length * 14 + 4);
+  
+  ctx.fillStyle = '#FFFFFF';
+  lines.forEach((line, i) => ctx.fillText(line, width / 2, y + i * 14));
+  
+  ctx.restore();
 }
 
 /**
@@ -224,16 +318,48 @@ function drawTelescopeBorder(ctx, width, height) {
  * Renders a ship directly in the telescope view with proper masking for horizon
  * @param {CanvasRenderingContext2D} ctx - Canvas context for telescope view
  * @param {number} x - X position of ship in telescope view
- * @param {number} y - Y position of ship in telescope view (horizon line)
+ * @param {number} y - Y position of the ship's waterline (or, when scanlines are given, of where the sea ends at the ship's distance)
  * @param {number} scale - Scale factor for ship size
- * @param {number} sinkAmount - Amount by which the ship appears to sink (0-1)
+ * @param {number} lowestVisibleY - Y-coordinate below which the ship is hidden by the Earth or the waves
+ * @param {number} visiblePortion - Portion of the ship that is not hidden (0-1)
+ * @param {Object[]|null} [scanlines=null] - Mirage mapping from apparent to true height; replaces the horizon clipping when given
+ * @param {number} [resolutionPixels=0] - Smallest detail the instrument resolves, in pixels
+ * @param {number} [contrast=1] - Contrast of the ship left by haze (0-1)
+ * @param {Object} [silhouette] - Shape to draw (see SILHOUETTES), the cargo ship by default
+ * @param {number} [radius] - Radius of the field stop, the whole eyepiece by default
  */
-function renderShipInTelescopeView(ctx, x, y, scale, sinkAmount) {
+function renderShipInTelescopeView(ctx, x, y, scale, lowestVisibleY, visiblePortion, scanlines = null, resolutionPixels = 0, contrast = 1, silhouette = getSilhouette('cargo-ship'), radius = Math.min(ctx.canvas.width, ctx.canvas.height) / 2 - TELESCOPE_CONSTANTS.BORDER_WIDTH) {
   const width = ctx.canvas.width;
   const height = ctx.canvas.height;
   const centerX = width / 2;
   const centerY = height / 2;
-  const radius = Math.min(width, height) / 2 - TELESCOPE_CONSTANTS.BORDER_WIDTH;
+  
+  // With a mirage mapping the ship may still be seen where geometry alone would hide it
+  const shipVisible = scanlines ? scanlines.length > 0 : visiblePortion > 0;
+  if (!shipVisible) {
+    return;
+  }
+  
+  // Details finer than a pixel need no blurring
+  const blurFactor = Math.max(1, resolutionPixels);
+  
+  // Draw the ship at the resolution of the instrument, then enlarge it to the eyepiece
+  if (!blurCanvas) {
+    blurCanvas = document.createElement('canvas');
+  }
+  blurCanvas.width = Math.ceil(width / blurFactor);
+  blurCanvas.height = Math.ceil(height / blurFactor);
+  const blurCtx = blurCanvas.getContext('2d');
+  blurCtx.setTransform(1 / blurFactor, 0, 0, 1 / blurFactor, 0, 0);
+  
+  // Hull down: the bottom of the ship is behind the curve of the Earth or the wave crests
+  if (!scanlines && visiblePortion < 1) {
+    blurCtx.beginPath();
+    blurCtx.rect(0, 0, width, lowestVisibleY);
+    blurCtx.clip();
+  }
+  
+  drawShip(blurCtx, x, y, scale, 0, scanlines, silhouette);
   
   // Save context for the entire telescope view
   ctx.save();
@@ -243,28 +369,10 @@ function renderShipInTelescopeView(ctx, x, y, scale, sinkAmount) {
   ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
   ctx.clip();
   
-  // Draw ship with proper horizon clipping
-  if (sinkAmount < 1) {
-    // Save context for ship rendering
-    ctx.save();
-    
-    // Create a clipping region that only shows content above the horizon
-    ctx.beginPath();
-    ctx.rect(0, 0, width, y); // Only show content above the horizon line
-    ctx.clip();
-    
-    // Draw ship with the same sinking amount as in the normal view
-    // The ship will be properly clipped at the horizon line
-    drawShip(ctx, x, y, scale, sinkAmount);
-    
-    // Restore context to remove the horizon clipping
-    ctx.restore();
-  }
-  
-  // Render smoke (will be automatically clipped by the telescope circular boundary)
-  // The renderSmoke function internally checks sinkAmount and won't render if ship is fully sunk
-  // Smoke rendering disabled
-  // renderSmoke(ctx, x, y, scale, sinkAmount, true);
+  // The ship fades into the sky behind it as haze takes away its contrast
+  ctx.globalAlpha = contrast;
+  ctx.imageSmoothingEnabled = true;
+  ctx.drawImage(blurCanvas, 0, 0, blurCanvas.width * blurFactor, blurCanvas.height * blurFactor);
   
   // Restore the original context
   ctx.restore();
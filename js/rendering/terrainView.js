@@ -0,0 +1,231 @@
+/**
+ * terrainView.js
+ * Draws terrain profiles as ridges for the Over The Horizon demonstration
+ *
+ * Every view supplies its own projection from a point of the land to the
+ * screen, so the same ridges appear in the schematic, camera and telescope
+ * views. A profile only gives the land along its bearing, so each ridge is
+ * taken to stretch as far across the bearing as it runs along it, and every
+ * point of the profile is projected at its own distance. Ridges are drawn
+ * farthest first: a nearer ridge covers whatever lies behind it, and the
+ * curve of the sea hides the foot of ridges beyond the horizon.
+ */
+
+import { calculateTerrainVisibility } from '../math/terrain.js';
+import { calculateHeightAboveWater } from '../math/tide.js';
+import { calculateContrastTransmittance } from '../math/haze.js';
+import { mixColors } from './canvas.js';
+
+// Colours of the land, from the nearest ridge to the farthest
+const TERRAIN_COLORS = {
+  NEAR: '#3E5641',
+  FAR: '#6C7A89',
+  OUTLINE: 'rgba(255, 255, 255, 0.35)',
+  HIDDEN_LABEL: '#FFB3B3'
+};
+
+// Distance (in kilometers) at which ridges take on the far colour
+const FAR_RIDGE_DISTANCE = 100;
+
+// Vertical distance between stacked summit labels in pixels
+const LABEL_SPACING = 13;
+
+// Narrowest a ridge is drawn across the bearing, in kilometers on either side of it
+const MIN_RIDGE_HALF_WIDTH = 0.5;
+
+/**
+ * Works out what the observer sees of the terrain profile in the state
+ * The profile is measured from the dock; once the observer has sailed from it,
+ * the land lies nearer or farther along the bearing and is set off across it.
+ * @param {Object} state - Current state of the simulation
+ * @param {boolean} isFlat - Whether the surface is a flat plane
+ * @returns {Object|null} - Result of calculateTerrainVisibility with the offset (km) of the profile across
+ *   its bearing, or null without a profile
+ */
+function analyseTerrain(state, isFlat) {
+  if (!state.terrain || state.terrain.points.length === 0) {
+    return null;
+  }
+
+  const { distance: sailed, bearing: sailedBearing } = state.observerMotion.fromDock;
+  const sailedAngle = (sailedBearing - state.terrain.bearing) * Math.PI / 180;
+  const along = sailed * Math.cos(sailedAngle);
+  const across = sailed * Math.sin(sailedAngle);
+
+  // Elevations are above mean sea level; the tide moves the water under them.
+  // Land the observer has sailed past is behind them.
+  const points = state.terrain.points
+    .map(point => ({
+      distance: point.distance - along,
+      height: calculateHeightAboveWater(point.elevation, 'mean-sea-level', state.tide, state.tideTime)
+    }))
+    .filter(point => point.distance > 0);
+  if (points.length === 0) {
+    return null;
+  }
+
+  const visibility = calculateTerrainVisibility(
+    points,
+    state.observerHeight,
+    isFlat ? Infinity : state.earthRadius,
+    state.refractionFactor,
+    state.crestHeight
+  );
+  return { ...visibility, offset: -across };
+}
+
+/**
+ * Draws the ridges of a terrain profile
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} visibility - Result of analyseTerrain
+ * @param {Function} project - Maps (distance km, height m, offset km across the bearing) to a screen point {x, y}, or null
+ * @param {number} meteorologicalVisibility - Meteorological visibility in kilometers
+ * @param {boolean} [showLabels=false] - Whether to mark each summit with its height
+ */
+function drawTerrain(ctx, visibility, project, meteorologicalVisibility, showLabels = false) {
+  const width = ctx.canvas.width;
+  const offset = visibility.offset || 0;
+
+  [...visibility.ridges].sort((a, b) => b.distance - a.distance).forEach(ridge => {
+    // Where the profile runs at sea level in front of or behind the land, there is only sea to draw
+    const firstLand = ridge.points.findIndex(point => point.height > 0);
+    const lastLand = ridge.points.findLastIndex(point => point.height > 0);
+    if (firstLand === -1) {
+      return;
+    }
+    const points = ridge.points.slice(firstLand, lastLand + 1);
+    const halfWidth = Math.max(MIN_RIDGE_HALF_WIDTH, (points[points.length - 1].distance - points[0].distance) / 2);
+
+    // Every point of the profile at both ends of the ridge, and the sea below it
+    const ends = [offset - halfWidth, offset + halfWidth].map(side => ({
+      tops: points.map(point => project(point.distance, point.height, side)),
+      feet: points.map(point => project(point.distance, 0, side))
+    }));
+    if (ends.some(({ tops, feet }) => tops.includes(null) || feet.includes(null))) {
+      return;
+    }
+    const [left, right] = ends;
+
+    // The face towards the observer, the slopes behind it and the ends down to the sea,
+    // which together fill the outline of the ridge
+    const faces = [[left.feet[0], left.tops[0], right.tops[0], right.feet[0]]];
+    for (let i = 1; i < points.length; i++) {
+      faces.push([left.tops[i - 1], left.tops[i], right.tops[i], right.tops[i - 1]]);
+      ends.forEach(({ tops, feet }) => faces.push([feet[i - 1], tops[i - 1], tops[i], feet[i]]));
+    }
+
+    ctx.save();
+
+    // The sea surface hides the foot of the ridge beyond the horizon
+    if (ridge.summit.seaHiddenHeight > 0) {
+      const hiddenBelow = project(ridge.distance, ridge.summit.seaHiddenHeight, offset);
+      if (!hiddenBelow) {
+        ctx.restore();
+        return;
+      }
+      ctx.beginPath();
+      ctx.rect(-width, -ctx.canvas.height, 3 * width, hiddenBelow.y + ctx.canvas.height);
+      ctx.clip();
+    }
+
+    // Farther land is paler and fades into the sky with the haze
+    ctx.globalAlpha = calculateContrastTransmittance(ridge.distance, meteorologicalVisibility);
+    ctx.fillStyle = mixColors(TERRAIN_COLORS.NEAR, TERRAIN_COLORS.FAR, Math.min(1, ridge.distance / FAR_RIDGE_DISTANCE));
+    ctx.strokeStyle = TERRAIN_COLORS.OUTLINE;
+    ctx.lineWidth = 1;
+
+    ctx.beginPath();
+    faces.forEach(face => addPolygon(ctx, face));
+    ctx.fill();
+
+    // Outline the skyline at both ends and the crest across the summit
+    const summitIndex = points.indexOf(ridge.summit);
+    ctx.beginPath();
+    ends.forEach(({ tops }) => addPolyline(ctx, tops));
+    addPolyline(ctx, [left.tops[summitIndex], right.tops[summitIndex]]);
+    ctx.stroke();
+
+    ctx.restore();
+  });
+
+  if (showLabels) {
+    // Nearest summits are labelled first; labels that would overlap are moved up
+    const placed = [];
+    [...visibility.ridges].sort((a, b) => a.distance - b.distance)
+      .forEach(ridge => drawSummitLabel(ctx, ridge, project, offset, placed));
+  }
+}
+
+/**
+ * Adds a closed polygon to the current path, counterclockwise on the screen
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object[]} corners - Screen points {x, y}
+ */
+function addPolygon(ctx, corners) {
+  // Shoelace formula; with y pointing down a positive area runs clockwise
+  let area = 0;
+  corners.forEach((corner, i) => {
+    const next = corners[(i + 1) % corners.length];
+    area += corner.x * next.y - next.x * corner.y;
+  });
+  const ordered = area > 0 ? [...corners].reverse() : corners;
+
+  ctx.moveTo(ordered[0].x, ordered[0].y);
+  ordered.slice(1).forEach(corner => ctx.lineTo(corner.x, corner.y));
+  ctx.closePath();
+}
+
+/**
+ * Adds an open line through screen points to the current path
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object[]} points - Screen points {x, y}
+ */
+function addPolyline(ctx, points) {
+  points.forEach((point, i) => {
+    if (i === 0) {
+      ctx.moveTo(point.x, point.y);
+    } else {
+      ctx.lineTo(point.x, point.y);
+    }
+  });
+}
+
+/**
+ * Marks a summit with its height, and with how much of it is hidden when it cannot be seen
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} ridge - Ridge of the terrain visibility
+ * @param {Function} project - Projection used to draw the ridge
+ * @param {number} offset - Offset of the profile across its bearing in kilometers
+ * @param {Object[]} placed - Boxes {left, right, y} of the labels drawn so far, added to
+ */
+function drawSummitLabel(ctx, ridge, project, offset, placed) {
+  const { summit } = ridge;
+  const top = project(ridge.distance, summit.height, offset);
+  if (!top) {
+    return;
+  }
+
+  ctx.save();
+  ctx.font = '11px Arial';
+  ctx.textAlign = 'center';
+  ctx.fillStyle = summit.visible ? '#FFFFFF' : TERRAIN_COLORS.HIDDEN_LABEL;
+  const text = summit.visible ?
+    `${Math.round(summit.height)} m · ${summit.distance.toFixed(0)} km` :
+    `${Math.round(summit.height)} m · ${summit.distance.toFixed(0)} km (hidden)`;
+
+  const halfWidth = ctx.measureText(text).width / 2;
+  let y = top.y - 6;
+  while (placed.some(box => box.left < top.x + halfWidth && box.right > top.x - halfWidth &&
+    Math.abs(box.y - y) < LABEL_SPACING)) {
+    y -= LABEL_SPACING;
+  }
+  placed.push({ left: top.x - halfWidth, right: top.x + halfWidth, y });
+
+  ctx.fillText(text, top.x, y);
+  ctx.restore();
+}
+
+export {
+  analyseTerrain,
+  drawTerrain
+};
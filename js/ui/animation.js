@@ -3,8 +3,21 @@
  * Handles animation for the Over The Horizon demonstration
  */
 
+import { syncTideHeights, syncTrackedVessel, updateShipSliders, updateTideDisplay } from './controls.js';
+import { applyTimeline } from './timelineControls.js';
+import { updateHeadingSlider, updateObserverControls } from './kinematicsControls.js';
+import { getTimelineDuration, advancePlayhead } from '../data/timeline.js';
+import { OBSERVER_MOTIONS, knotsToKmh, advanceVessel, climbObserver, shouldTurnBack } from '../math/kinematics.js';
+import { calculateDestination, normalizeRelativeBearing, isValidPosition } from '../math/geodesy.js';
+
+// Hours of tide that pass per second of animation (one semidiurnal cycle in about 50 s)
+const TIDE_HOURS_PER_SECOND = 0.25;
+
+// The tide clock runs through one day, the span of its slider
+const TIDE_DAY = 24;
+
 /**
- * Animation controller for the ship's movement
+ * Animation controller for the ship's and observer's movement, the tide and the timeline
  */
 class AnimationController {
   /**
@@ -17,9 +30,8 @@ class AnimationController {
     this.onStateChange = onStateChange;
     this.animationId = null;
     this.lastTimestamp = 0;
-    this.animationSpeed = 5; // km per second
-    this.maxDistance = state.maxDistance || 50;
-    this.direction = 1; // 1 = moving away, -1 = moving towards
+    this.held = false; // Moved on only by step, as while a clip is exported
+    this.maxDistance = state.maxDistance || 50; // km the ship sails out to before turning back
   }
   
   /**
@@ -51,58 +63,351 @@ class AnimationController {
     const deltaTime = (timestamp - this.lastTimestamp) / 1000;
     this.lastTimestamp = timestamp;
     
-    // Update ship distance
-    this.state.shipDistance += this.animationSpeed * deltaTime * this.direction;
+    this.step(deltaTime);
     
-    // Check if we need to reverse direction
-    if (this.state.shipDistance >= this.maxDistance) {
-      this.state.shipDistance = this.maxDistance;
-      this.direction = -1;
-    } else if (this.state.shipDistance <= 0) {
-      this.state.shipDistance = 0;
-      this.direction = 1;
+    // Notify state change
+    this.onStateChange(this.state);
+    
+    // Continue animation if enabled
+    if (this.isRunning(this.state)) {
+      this.animationId = requestAnimationFrame(this.animate.bind(this));
+    } else {
+      this.animationId = null;
+    }
+  }
+  
+  /**
+   * Moves everything that is animated on by a time, without drawing
+   * @param {number} deltaTime - Time to move on by in seconds
+   */
+  step(deltaTime) {
+    // The ship and the observer move by the simulated clock
+    if (this.state.animationEnabled || isObserverMoving(this.state)) {
+      const seconds = deltaTime * this.state.clock.rate;
+      this.state.clock.elapsed += seconds;
+      
+      if (this.state.animationEnabled) {
+        this.moveShip(seconds);
+      }
+      if (isObserverMoving(this.state)) {
+        this.moveObserver(seconds);
+      }
+    }
+    if (this.state.tideAnimationEnabled) {
+      this.advanceTide(deltaTime);
+    }
+    if (this.state.timeline.playing) {
+      this.advanceTimeline(deltaTime);
+    }
+  }
+  
+  /**
+   * Sails the ship on its course at its speed
+   * The ship turns back once it is far out or has passed the observer.
+   * @param {number} seconds - Time on the simulated clock since the last frame
+   */
+  moveShip(seconds) {
+    const state = this.state;
+    const hours = seconds / 3600;
+    const vessel = state.fleet.find(candidate => candidate.id === state.trackedVesselId);
+    
+    const geographic = state.geographic.enabled && vessel && isValidPosition(vessel.position);
+    if (geographic) {
+      // Placed ships move over the globe; their distance and bearing follow from the position
+      vessel.position = calculateDestination(
+        vessel.position,
+        state.geographic.heading + state.shipHeading,
+        knotsToKmh(state.shipSpeed) * hours,
+        state.bodyModel
+      );
+    } else {
+      const { distance, bearing } = advanceVessel({
+        distance: state.shipDistance,
+        bearing: state.shipBearing,
+        speed: state.shipSpeed,
+        heading: state.shipHeading
+      }, hours);
+      state.shipDistance = distance;
+      state.shipBearing = bearing;
+    }
+    
+    if (shouldTurnBack({ distance: state.shipDistance, bearing: state.shipBearing, heading: state.shipHeading }, this.maxDistance)) {
+      state.shipHeading = normalizeRelativeBearing(state.shipHeading + 180);
+      updateHeadingSlider(state);
+      
+      // A ship that sailed past the observer comes back into view where it went out of it
+      if (!geographic && Math.abs(state.shipBearing) > 90) {
+        state.shipBearing = normalizeRelativeBearing(180 - state.shipBearing);
+      }
     }
     
     // Update UI
-    const shipDistanceSlider = document.getElementById('ship-distance-slider');
-    const shipDistanceValue = document.getElementById('ship-distance-value');
+    updateShipSliders(state);
+  }
+  
+  /**
+   * Climbs the observer's viewpoint or sails the observer's ship
+   * @param {number} seconds - Time on the simulated clock since the last frame
+   */
+  moveObserver(seconds) {
+    const state = this.state;
+    const { observerMotion } = state;
+    const motion = OBSERVER_MOTIONS[observerMotion.mode];
+    
+    if (motion.climbRate) {
+      const { height, direction } = climbObserver(state.observerElevation, observerMotion.direction, motion, seconds);
+      state.observerElevation = height;
+      observerMotion.direction = direction;
+      syncTideHeights(state);
+    }
+    if (motion.sails) {
+      this.sailObserver(seconds / 3600);
+    }
+    
+    updateObserverControls(state);
+  }
+  
+  /**
+   * Sails the observer's ship on its course, away from the dock
+   * Seen from the observer every target moves the opposite way; placed targets
+   * stay where they are while the observer's position moves over the globe.
+   * The observer turns back once far from the tracked ship or past it.
+   * @param {number} hours - Time on the simulated clock since the last frame in hours
+   */
+  sailObserver(hours) {
+    const state = this.state;
+    const { observerMotion } = state;
+    const { speed, heading } = observerMotion;
     
-    if (shipDistanceSlider) {
-      shipDistanceSlider.value = this.state.shipDistance;
+    observerMotion.fromDock = advanceVessel({ ...observerMotion.fromDock, speed, heading }, hours);
+    
+    if (state.geographic.enabled && isValidPosition(state.geographic.observer)) {
+      state.geographic.observer = calculateDestination(
+        state.geographic.observer,
+        state.geographic.heading + heading,
+        knotsToKmh(speed) * hours,
+        state.bodyModel
+      );
+    } else {
+      syncTrackedVessel(state);
+      state.fleet.forEach(vessel => {
+        const { distance, bearing } = advanceVessel({ distance: vessel.distance, bearing: vessel.bearing, speed, heading: heading + 180 }, hours);
+        vessel.distance = distance;
+        vessel.bearing = bearing;
+        
+        if (vessel.id === state.trackedVesselId) {
+          state.shipDistance = distance;
+          state.shipBearing = bearing;
+        }
+      });
+      updateShipSliders(state);
     }
     
-    if (shipDistanceValue) {
-      shipDistanceValue.textContent = `${this.state.shipDistance.toFixed(1)} km`;
+    if (shouldTurnBack({ distance: state.shipDistance, bearing: state.shipBearing, heading: heading + 180 }, this.maxDistance)) {
+      observerMotion.heading = normalizeRelativeBearing(heading + 180);
     }
+  }
+  
+  /**
+   * Runs the tide clock, which raises and lowers the water under the observer and ship
+   * @param {number} deltaTime - Time since the last frame in seconds
+   */
+  advanceTide(deltaTime) {
+    const tideTime = this.state.tideTime + TIDE_HOURS_PER_SECOND * deltaTime;
     
-    // Notify state change
-    this.onStateChange(this.state);
+    // At the end of the day a periodic tide is set back by whole periods, so the
+    // water carries on from where it was; any other tide curve starts the day again
+    const { period } = this.state.tide.params;
+    const cycle = period > 0 && period <= TIDE_DAY ? period * Math.floor(TIDE_DAY / period) : TIDE_DAY;
+    this.state.tideTime = tideTime >= TIDE_DAY ? tideTime - cycle : tideTime;
+    syncTideHeights(this.state);
     
-    // Continue animation if enabled
-    if (this.state.animationEnabled) {
+    // Update UI
+    const tideTimeSlider = document.getElementById('tide-time-slider');
+    if (tideTimeSlider) {
+      tideTimeSlider.value = this.state.tideTime;
+    }
+    updateTideDisplay(this.state);
+  }
+  
+  /**
+   * Moves the playhead of the timeline and applies the values it reaches
+   * A timeline played once stops at its end; the others loop or turn back.
+   * @param {number} deltaTime - Time since the last frame in seconds
+   */
+  advanceTimeline(deltaTime) {
+    const { timeline } = this.state;
+    const { time, direction, finished } = advancePlayhead(
+      timeline,
+      getTimelineDuration(timeline.script),
+      timeline.script.mode,
+      deltaTime
+    );
+    
+    timeline.time = time;
+    timeline.direction = direction;
+    if (finished) {
+      timeline.playing = false;
+    }
+    applyTimeline(this.state);
+  }
+  
+  /**
+   * Checks whether anything is being animated
+   * @param {Object} state - Current state
+   * @returns {boolean} - Whether the ship, the observer, the tide or the timeline is animated
+   */
+  isRunning(state) {
+    return state.animationEnabled || isObserverMoving(state) || state.tideAnimationEnabled || state.timeline.playing;
+  }
+  
+  /**
+   * Holds the animation, so that only step moves it on
+   */
+  hold() {
+    this.held = true;
+    this.stop();
+  }
+  
+  /**
+   * Lets the animation run by the real clock again
+   */
+  release() {
+    this.held = false;
+    this.updateState(this.state);
+  }
+  
+  /**
+   * Updates the animation state
+   * @param {Object} state - New state
+   */
+  updateState(state) {
+    this.state = state;
+    if (this.held) return;
+    
+    // Start or stop animation based on state
+    if (this.isRunning(state) && this.animationId === null) {
+      this.start();
+    } else if (!this.isRunning(state) && this.animationId !== null) {
+      this.stop();
+    }
+  }
+}
+
+/**
+ * Animation controller for the waves moving along the horizon
+ * Runs whenever the sea is not calm. While the ship, the observer, the tide or a
+ * timeline is animated their frames already redraw the views, so only the wave
+ * time is advanced here.
+ */
+class WaveAnimationController {
+  /**
+   * Creates a new wave animation controller
+   * @param {Object} state - The application state object
+   * @param {Function} onFrame - Callback function that redraws the views
+   */
+  constructor(state, onFrame) {
+    this.state = state;
+    this.onFrame = onFrame;
+    this.animationId = null;
+    this.lastTimestamp = 0;
+    this.held = false; // Moved on only by step, as while a clip is exported
+  }
+  
+  /**
+   * Starts the animation
+   */
+  start() {
+    if (this.animationId === null) {
+      this.lastTimestamp = performance.now();
+      this.animationId = requestAnimationFrame(this.animate.bind(this));
+    }
+  }
+  
+  /**
+   * Stops the animation
+   */
+  stop() {
+    if (this.animationId !== null) {
+      cancelAnimationFrame(this.animationId);
+      this.animationId = null;
+    }
+  }
+  
+  /**
+   * Animation frame callback
+   * @param {number} timestamp - Current timestamp
+   */
+  animate(timestamp) {
+    // Advance the waves by the time since the last frame
+    this.step((timestamp - this.lastTimestamp) / 1000);
+    this.lastTimestamp = timestamp;
+    
+    const { animationEnabled, tideAnimationEnabled, timeline } = this.state;
+    if (!animationEnabled && !isObserverMoving(this.state) && !tideAnimationEnabled && !timeline.playing) {
+      this.onFrame();
+    }
+    
+    // Continue while there are waves to move
+    if (this.state.crestHeight > 0) {
       this.animationId = requestAnimationFrame(this.animate.bind(this));
     } else {
       this.animationId = null;
     }
   }
   
+  /**
+   * Moves the waves on by a time, without drawing
+   * @param {number} deltaTime - Time to move on by in seconds
+   */
+  step(deltaTime) {
+    this.state.waveTime += deltaTime;
+  }
+  
+  /**
+   * Holds the animation, so that only step moves it on
+   */
+  hold() {
+    this.held = true;
+    this.stop();
+  }
+  
+  /**
+   * Lets the animation run by the real clock again
+   */
+  release() {
+    this.held = false;
+    this.updateState(this.state);
+  }
+  
   /**
    * Updates the animation state
    * @param {Object} state - New state
    */
   updateState(state) {
     this.state = state;
+    if (this.held) return;
     
-    // Start or stop animation based on state
-    if (state.animationEnabled && this.animationId === null) {
+    // Start or stop animation based on the sea state
+    if (state.crestHeight > 0 && this.animationId === null) {
       this.start();
-    } else if (!state.animationEnabled && this.animationId !== null) {
+    } else if (state.crestHeight <= 0 && this.animationId !== null) {
       this.stop();
     }
   }
 }
 
+/**
+ * Checks whether the observer climbs or sails
+ * @param {Object} state - Current state
+ * @returns {boolean} - Whether the observer has a motion other than the fixed viewpoint
+ */
+function isObserverMoving(state) {
+  return state.observerMotion.mode !== 'fixed';
+}
+
 // Export classes
 export {
-  AnimationController
+  AnimationController,
+  WaveAnimationController
 };
@@ -5,6 +5,50 @@
 
 import { DEFAULT_OBSERVER_HEIGHT, DEFAULT_SHIP_HEIGHT, DEFAULT_REFRACTION_FACTOR } from '../math/constants.js';
 import { calculateHorizonDistance, calculateMaxVisibleDistance } from '../math/horizon.js';
+import { createRefractionModel, resolveRefractionFactor } from '../math/refraction.js';
+import { createBodyModel, getEffectiveRefraction } from '../math/bodies.js';
+import { OPTICS_PRESETS, createOpticsModel } from '../math/optics.js';
+import { getDouglasDegree, getRepresentativeWaveHeight, calculateCrestHeight } from '../math/seaState.js';
+import { createTideModel, parseTideCurve, calculateHeightAboveWater } from '../math/tide.js';
+import { createVessel, describeVessel } from '../data/fleet.js';
+import { getSilhouette, registerSilhouette } from '../data/silhouettes.js';
+import { parseSvgSilhouette } from '../data/svgSilhouette.js';
+import { parseElevationProfile } from '../math/terrain.js';
+import {
+  calculateGeodesic,
+  calculateDestination,
+  isValidPosition,
+  normalizeBearing,
+  normalizeRelativeBearing
+} from '../math/geodesy.js';
+
+// Atmospheric condition sliders: element id prefix, display unit and decimals
+const ATMOSPHERE_SLIDERS = [
+  { id: 'air-temperature', unit: '°C', decimals: 0 },
+  { id: 'air-pressure', unit: 'hPa', decimals: 0 },
+  { id: 'lapse-rate', unit: '°C/100 m', decimals: 2 },
+  { id: 'inversion', unit: '°C/100 m', decimals: 1 },
+  { id: 'duct-height', unit: 'm', decimals: 0 },
+  { id: 'surface-excess', unit: '°C', decimals: 1 },
+  { id: 'layer-depth', unit: 'm', decimals: 1 }
+];
+
+// Camera sliders: element id prefix and the camera setting they control (all in degrees)
+const CAMERA_SLIDERS = [
+  { id: 'camera-fov', setting: 'fieldOfView', decimals: 1 },
+  { id: 'camera-pitch', setting: 'pitch', decimals: 2 },
+  { id: 'camera-heading', setting: 'heading', decimals: 0 }
+];
+
+// Telescope optics sliders: element id prefix, optics parameter, display unit and decimals
+const OPTICS_SLIDERS = [
+  { id: 'magnification', param: 'magnification', unit: 'x', decimals: 0 },
+  { id: 'telescope-fov', param: 'fieldOfView', unit: '°', decimals: 1 },
+  { id: 'aperture', param: 'aperture', unit: ' mm', decimals: 0 }
+];
+
+// Height of a target whose datum puts it under water; keeps the drawing scale finite
+const MIN_TARGET_HEIGHT = 0.1;
 
 /**
  * Sets up the UI controls
@@ -18,12 +62,13 @@ function setupControls(state, onStateChange) {
   const observerHeightValue = document.getElementById('observer-height-value');
   
   if (observerHeightSlider && observerHeightValue) {
-    observerHeightSlider.value = state.observerHeight || DEFAULT_OBSERVER_HEIGHT;
+    observerHeightSlider.value = state.observerElevation || DEFAULT_OBSERVER_HEIGHT;
     observerHeightValue.textContent = `${observerHeightSlider.value} m`;
     
     observerHeightSlider.addEventListener('input', () => {
-      state.observerHeight = parseFloat(observerHeightSlider.value);
-      observerHeightValue.textContent = `${state.observerHeight} m`;
+      state.observerElevation = parseFloat(observerHeightSlider.value);
+      observerHeightValue.textContent = `${state.observerElevation} m`;
+      syncTideHeights(state);
       
       // Update max distance and ship distance slider when observer height changes
       updateMaxDistance(state, shipDistanceSlider);
@@ -37,12 +82,13 @@ function setupControls(state, onStateChange) {
   const shipHeightValue = document.getElementById('ship-height-value');
   
   if (shipHeightSlider && shipHeightValue) {
-    shipHeightSlider.value = state.shipHeight || DEFAULT_SHIP_HEIGHT;
+    shipHeightSlider.value = state.shipElevation || DEFAULT_SHIP_HEIGHT;
     shipHeightValue.textContent = `${shipHeightSlider.value} m`;
     
     shipHeightSlider.addEventListener('input', () => {
-      state.shipHeight = parseFloat(shipHeightSlider.value);
-      shipHeightValue.textContent = `${state.shipHeight} m`;
+      state.shipElevation = parseFloat(shipHeightSlider.value);
+      shipHeightValue.textContent = `${state.shipElevation} m`;
+      syncTideHeights(state);
       
       // Update max distance and ship distance slider when ship height changes
       updateMaxDistance(state, shipDistanceSlider);
@@ -69,14 +115,145 @@ function setupControls(state, onStateChange) {
     });
   }
   
+  // Fleet: the selected vessel is the one the ship sliders edit and the telescope tracks
+  const fleetList = document.getElementById('fleet-list');
+  const bearingSlider = document.getElementById('vessel-bearing-slider');
+  const bearingValue = document.getElementById('vessel-bearing-value');
+  const vesselType = document.getElementById('vessel-type');
+  const addVesselButton = document.getElementById('add-vessel-button');
+  const removeVesselButton = document.getElementById('remove-vessel-button');
+  
+  if (fleetList) {
+    fleetList.addEventListener('change', () => {
+      trackVessel(state, parseInt(fleetList.value, 10));
+      updateMaxDistance(state, shipDistanceSlider);
+      onStateChange(state);
+    });
+  }
+  
+  if (bearingSlider && bearingValue) {
+    bearingSlider.addEventListener('input', () => {
+      state.shipBearing = parseFloat(bearingSlider.value);
+      bearingValue.textContent = `${state.shipBearing}°`;
+      onStateChange(state);
+    });
+  }
+  
+  // Start a new vessel next to the tracked one, a little to the side
+  const addVessel = type => {
+    const bearing = state.shipBearing + 5 <= 30 ? state.shipBearing + 5 : state.shipBearing - 5;
+    const vessel = createVessel(type, { distance: state.shipDistance, bearing });
+    if (state.geographic.enabled) {
+      placeVessel(state, vessel);
+    }
+    state.fleet.push(vessel);
+    trackVessel(state, vessel.id);
+    updateMaxDistance(state, shipDistanceSlider);
+    onStateChange(state);
+  };
+  
+  if (addVesselButton && vesselType) {
+    addVesselButton.addEventListener('click', () => addVessel(vesselType.value));
+  }
+  
+  if (removeVesselButton) {
+    removeVesselButton.addEventListener('click', () => {
+      // There is always at least one vessel to track
+      if (state.fleet.length < 2) return;
+      
+      state.fleet = state.fleet.filter(vessel => vessel.id !== state.trackedVesselId);
+      state.trackedVesselId = null;
+      trackVessel(state, state.fleet[0].id);
+      updateMaxDistance(state, shipDistanceSlider);
+      onStateChange(state);
+    });
+  }
+  
+  updateFleetList(state);
+  
+  // Imported SVG targets: the drawing is scaled to the declared height above its waterline
+  const svgFileInput = document.getElementById('svg-file-input');
+  const svgImportButton = document.getElementById('svg-import-button');
+  
+  [['svg-height', ' m'], ['svg-waterline', '%']].forEach(([id, unit]) => {
+    const slider = document.getElementById(`${id}-slider`);
+    const valueDisplay = document.getElementById(`${id}-value`);
+    if (slider && valueDisplay) {
+      slider.addEventListener('input', () => {
+        valueDisplay.textContent = `${slider.value}${unit}`;
+      });
+    }
+  });
+  
+  if (svgFileInput && svgImportButton && vesselType) {
+    svgImportButton.addEventListener('click', async () => {
+      const file = svgFileInput.files[0];
+      if (!file) return;
+      
+      const type = await importSvgTarget(file, vesselType);
+      if (type) {
+        addVessel(type);
+      }
+    });
+  }
+  
+  // Terrain profile along a bearing, loaded from a CSV or JSON file
+  const terrainFileInput = document.getElementById('terrain-file-input');
+  const terrainBearingSlider = document.getElementById('terrain-bearing-slider');
+  const terrainBearingValue = document.getElementById('terrain-bearing-value');
+  const terrainClearButton = document.getElementById('terrain-clear-button');
+  
+  if (terrainFileInput) {
+    terrainFileInput.addEventListener('change', async () => {
+      const file = terrainFileInput.files[0];
+      if (!file) return;
+      
+      const points = parseElevationProfile(await file.text());
+      if (points.length === 0) {
+        console.error(`No elevation profile found in "${file.name}"`);
+        return;
+      }
+      state.terrain = {
+        name: file.name,
+        bearing: terrainBearingSlider ? parseFloat(terrainBearingSlider.value) : 0,
+        points
+      };
+      updateTerrainName(state);
+      onStateChange(state);
+    });
+  }
+  
+  if (terrainBearingSlider && terrainBearingValue) {
+    terrainBearingSlider.addEventListener('input', () => {
+      terrainBearingValue.textContent = `${terrainBearingSlider.value}°`;
+      if (state.terrain) {
+        state.terrain.bearing = parseFloat(terrainBearingSlider.value);
+        onStateChange(state);
+      }
+    });
+  }
+  
+  if (terrainClearButton) {
+    terrainClearButton.addEventListener('click', () => {
+      state.terrain = null;
+      if (terrainFileInput) {
+        terrainFileInput.value = '';
+      }
+      updateTerrainName(state);
+      onStateChange(state);
+    });
+  }
+  
   // Refraction control
   const refractionControl = document.getElementById('refraction-control');
   
   if (refractionControl) {
-    refractionControl.value = state.refractionFactor || DEFAULT_REFRACTION_FACTOR;
+    if (!state.refractionModel) {
+      refractionControl.value = state.refractionFactor || DEFAULT_REFRACTION_FACTOR;
+    }
     
     refractionControl.addEventListener('change', () => {
-      state.refractionFactor = parseFloat(refractionControl.value);
+      readRefractionControls(state);
       
       // Update max distance and ship distance slider when refraction changes
       updateMaxDistance(state, shipDistanceSlider);
@@ -85,6 +262,216 @@ function setupControls(state, onStateChange) {
     });
   }
   
+  // Atmospheric condition sliders feeding the condition-based refraction models
+  ATMOSPHERE_SLIDERS.forEach(({ id, unit, decimals }) => {
+    const slider = document.getElementById(`${id}-slider`);
+    const valueDisplay = document.getElementById(`${id}-value`);
+    
+    if (slider && valueDisplay) {
+      slider.addEventListener('input', () => {
+        valueDisplay.textContent = `${parseFloat(slider.value).toFixed(decimals)} ${unit}`;
+        readRefractionControls(state);
+        updateMaxDistance(state, shipDistanceSlider);
+        onStateChange(state);
+      });
+    }
+  });
+  
+  readRefractionControls(state);
+  
+  // Haze toggle and meteorological visibility slider
+  const hazeToggle = document.getElementById('haze-toggle');
+  const visibilitySlider = document.getElementById('meteorological-visibility-slider');
+  const visibilityValue = document.getElementById('meteorological-visibility-value');
+  
+  if (hazeToggle) {
+    hazeToggle.checked = isFinite(state.meteorologicalVisibility);
+    
+    hazeToggle.addEventListener('change', () => {
+      readHazeControls(state);
+      onStateChange(state);
+    });
+  }
+  
+  if (visibilitySlider && visibilityValue) {
+    visibilitySlider.addEventListener('input', () => {
+      visibilityValue.textContent = `${visibilitySlider.value} km`;
+      readHazeControls(state);
+      onStateChange(state);
+    });
+  }
+  
+  readHazeControls(state);
+  
+  // Sea state: the Douglas degree and the wave height slider follow each other
+  const seaStateControl = document.getElementById('sea-state-control');
+  const waveHeightSlider = document.getElementById('wave-height-slider');
+  const waveHeightValue = document.getElementById('wave-height-value');
+  
+  if (seaStateControl && waveHeightSlider && waveHeightValue) {
+    seaStateControl.addEventListener('change', () => {
+      waveHeightSlider.value = getRepresentativeWaveHeight(parseInt(seaStateControl.value, 10));
+      waveHeightValue.textContent = `${parseFloat(waveHeightSlider.value).toFixed(2)} m`;
+      readSeaStateControls(state);
+      updateMaxDistance(state, shipDistanceSlider);
+      onStateChange(state);
+    });
+    
+    waveHeightSlider.addEventListener('input', () => {
+      waveHeightValue.textContent = `${parseFloat(waveHeightSlider.value).toFixed(2)} m`;
+      seaStateControl.value = getDouglasDegree(parseFloat(waveHeightSlider.value)).degree;
+      readSeaStateControls(state);
+      updateMaxDistance(state, shipDistanceSlider);
+      onStateChange(state);
+    });
+  }
+  
+  readSeaStateControls(state);
+  
+  // Tide model, height datums and tide time
+  const tideControl = document.getElementById('tide-control');
+  
+  ['tide-control', 'observer-datum', 'ship-datum'].forEach(id => {
+    const control = document.getElementById(id);
+    if (control) {
+      control.addEventListener('change', () => {
+        readTideControls(state);
+        updateMaxDistance(state, shipDistanceSlider);
+        onStateChange(state);
+      });
+    }
+  });
+  
+  const tideRangeSlider = document.getElementById('tide-range-slider');
+  const tideRangeValue = document.getElementById('tide-range-value');
+  
+  if (tideRangeSlider && tideRangeValue) {
+    tideRangeSlider.addEventListener('input', () => {
+      tideRangeValue.textContent = `${parseFloat(tideRangeSlider.value).toFixed(1)} m`;
+      readTideControls(state);
+      updateMaxDistance(state, shipDistanceSlider);
+      onStateChange(state);
+    });
+  }
+  
+  const tideCurveInput = document.getElementById('tide-curve-input');
+  
+  if (tideCurveInput) {
+    tideCurveInput.addEventListener('change', () => {
+      readTideControls(state);
+      updateMaxDistance(state, shipDistanceSlider);
+      onStateChange(state);
+    });
+  }
+  
+  const tideTimeSlider = document.getElementById('tide-time-slider');
+  
+  if (tideTimeSlider) {
+    tideTimeSlider.addEventListener('input', () => {
+      state.tideTime = parseFloat(tideTimeSlider.value);
+      syncTideHeights(state);
+      updateTideDisplay(state);
+      updateMaxDistance(state, shipDistanceSlider);
+      onStateChange(state);
+    });
+  }
+  
+  readTideControls(state);
+  
+  // Planet / body control
+  const bodyControl = document.getElementById('body-control');
+  
+  if (bodyControl) {
+    if (state.bodyModel) {
+      bodyControl.value = state.bodyModel.id;
+    }
+    
+    bodyControl.addEventListener('change', () => {
+      readBodyControls(state);
+      updateMaxDistance(state, shipDistanceSlider);
+      onStateChange(state);
+    });
+  }
+  
+  // Latitude and bearing sliders for the ellipsoid
+  ['latitude', 'bearing'].forEach(id => {
+    const slider = document.getElementById(`${id}-slider`);
+    const valueDisplay = document.getElementById(`${id}-value`);
+    
+    if (slider && valueDisplay) {
+      slider.addEventListener('input', () => {
+        valueDisplay.textContent = `${slider.value}°`;
+        readBodyControls(state);
+        updateMaxDistance(state, shipDistanceSlider);
+        onStateChange(state);
+      });
+    }
+  });
+  
+  readBodyControls(state);
+  
+  // Geographic mode: the observer and the targets are placed by latitude and longitude
+  const geographicToggle = document.getElementById('geographic-toggle');
+  
+  if (geographicToggle) {
+    geographicToggle.checked = state.geographic.enabled;
+    
+    geographicToggle.addEventListener('change', () => {
+      readGeographicControls(state);
+      updateMaxDistance(state, shipDistanceSlider);
+      onStateChange(state);
+    });
+  }
+  
+  ['observer-latitude-input', 'observer-longitude-input'].forEach(id => {
+    const input = document.getElementById(id);
+    if (input) {
+      input.addEventListener('change', () => {
+        readGeographicControls(state);
+        updateMaxDistance(state, shipDistanceSlider);
+        onStateChange(state);
+      });
+    }
+  });
+  
+  const headingSlider = document.getElementById('heading-slider');
+  const headingValue = document.getElementById('heading-value');
+  
+  if (headingSlider && headingValue) {
+    headingSlider.addEventListener('input', () => {
+      headingValue.textContent = `${headingSlider.value}°`;
+      readGeographicControls(state);
+      onStateChange(state);
+    });
+  }
+  
+  // The selected target's position
+  const targetLatitudeInput = document.getElementById('target-latitude-input');
+  const targetLongitudeInput = document.getElementById('target-longitude-input');
+  
+  [targetLatitudeInput, targetLongitudeInput].forEach(input => {
+    if (input) {
+      input.addEventListener('change', () => {
+        const vessel = state.fleet.find(candidate => candidate.id === state.trackedVesselId);
+        const position = {
+          latitude: parseFloat(targetLatitudeInput.value),
+          longitude: parseFloat(targetLongitudeInput.value)
+        };
+        if (!vessel || !isValidPosition(position)) {
+          console.error(`Invalid target position ${targetLatitudeInput.value}, ${targetLongitudeInput.value}`);
+          return;
+        }
+        
+        vessel.position = position;
+        syncGeographicPositions(state);
+        updateMaxDistance(state, shipDistanceSlider);
+        onStateChange(state);
+      });
+    }
+  });
+  
+  readGeographicControls(state);
+  
   // Telescope toggle
   const telescopeToggle = document.getElementById('telescope-toggle');
   
@@ -110,6 +497,156 @@ function setupControls(state, onStateChange) {
     }
   }
   
+  // Telescope instrument presets and optics sliders
+  const opticsControl = document.getElementById('optics-control');
+  
+  if (opticsControl) {
+    if (state.optics) {
+      opticsControl.value = state.optics.id;
+      setOpticsSliders(state.optics.params);
+    }
+    
+    opticsControl.addEventListener('change', () => {
+      // Choosing a preset moves the sliders to its values
+      const preset = OPTICS_PRESETS[opticsControl.value];
+      if (preset) {
+        setOpticsSliders(preset);
+      }
+      readOpticsControls(state);
+      onStateChange(state);
+    });
+  }
+  
+  OPTICS_SLIDERS.forEach(({ id, unit, decimals }) => {
+    const slider = document.getElementById(`${id}-slider`);
+    const valueDisplay = document.getElementById(`${id}-value`);
+    
+    if (slider && valueDisplay) {
+      slider.addEventListener('input', () => {
+        valueDisplay.textContent = `${parseFloat(slider.value).toFixed(decimals)}${unit}`;
+        
+        // Any adjustment turns the preset into a custom instrument
+        if (opticsControl) {
+          opticsControl.value = 'custom';
+        }
+        readOpticsControls(state);
+        onStateChange(state);
+      });
+    }
+  });
+  
+  readOpticsControls(state);
+  
+  // Mirage toggle
+  const mirageToggle = document.getElementById('mirage-toggle');
+  
+  if (mirageToggle) {
+    mirageToggle.checked = state.mirageEnabled || false;
+    
+    mirageToggle.addEventListener('change', () => {
+      state.mirageEnabled = mirageToggle.checked;
+      onStateChange(state);
+    });
+  }
+  
+  // Globe / flat plane comparison toggle
+  const comparisonToggle = document.getElementById('comparison-toggle');
+  
+  if (comparisonToggle) {
+    comparisonToggle.checked = state.comparisonEnabled || false;
+    
+    comparisonToggle.addEventListener('change', () => {
+      state.comparisonEnabled = comparisonToggle.checked;
+      onStateChange(state);
+    });
+  }
+  
+  // Plan chart toggle
+  const chartToggle = document.getElementById('chart-toggle');
+  
+  if (chartToggle) {
+    chartToggle.checked = state.chartEnabled || false;
+    
+    chartToggle.addEventListener('change', () => {
+      state.chartEnabled = chartToggle.checked;
+      
+      const chartView = document.getElementById('chart-view-container');
+      if (chartView) {
+        chartView.style.display = state.chartEnabled ? 'block' : 'none';
+      }
+      
+      onStateChange(state);
+    });
+    
+    const chartView = document.getElementById('chart-view-container');
+    if (chartView) {
+      chartView.style.display = state.chartEnabled ? 'block' : 'none';
+    }
+  }
+
+  // Cross-section diagram toggle and its vertical exaggeration
+  const crossSectionToggle = document.getElementById('cross-section-toggle');
+  const crossSectionExaggeration = document.getElementById('cross-section-exaggeration');
+  
+  if (crossSectionToggle) {
+    crossSectionToggle.checked = state.crossSectionEnabled || false;
+  
+    crossSectionToggle.addEventListener('change', () => {
+      readCrossSectionControls(state);
+      onStateChange(state);
+    });
+  }
+  
+  if (crossSectionExaggeration) {
+    crossSectionExaggeration.value = String(state.crossSectionExaggeration);
+  
+    crossSectionExaggeration.addEventListener('change', () => {
+      readCrossSectionControls(state);
+      onStateChange(state);
+    });
+  }
+  
+  readCrossSectionControls(state);
+  
+  // Angular readouts toggle
+  const anglesToggle = document.getElementById('angles-toggle');
+  
+  if (anglesToggle) {
+    anglesToggle.checked = state.anglesEnabled || false;
+    
+    anglesToggle.addEventListener('change', () => {
+      state.anglesEnabled = anglesToggle.checked;
+      onStateChange(state);
+    });
+  }
+  
+  // Physical camera toggle and settings
+  const cameraToggle = document.getElementById('camera-toggle');
+  
+  if (cameraToggle) {
+    cameraToggle.checked = state.cameraEnabled || false;
+    
+    cameraToggle.addEventListener('change', () => {
+      readCameraControls(state);
+      onStateChange(state);
+    });
+  }
+  
+  CAMERA_SLIDERS.forEach(({ id, decimals }) => {
+    const slider = document.getElementById(`${id}-slider`);
+    const valueDisplay = document.getElementById(`${id}-value`);
+    
+    if (slider && valueDisplay) {
+      slider.addEventListener('input', () => {
+        valueDisplay.textContent = `${parseFloat(slider.value).toFixed(decimals)}°`;
+        readCameraControls(state);
+        onStateChange(state);
+      });
+    }
+  });
+  
+  readCameraControls(state);
+  
   // Animation toggle
   const animationToggle = document.getElementById('animation-toggle');
   
@@ -122,6 +659,18 @@ function setupControls(state, onStateChange) {
     });
   }
   
+  // Tide animation toggle: runs the tide clock
+  const tideAnimationToggle = document.getElementById('tide-animation-toggle');
+  
+  if (tideAnimationToggle) {
+    tideAnimationToggle.checked = state.tideAnimationEnabled || false;
+    
+    tideAnimationToggle.addEventListener('change', () => {
+      state.tideAnimationEnabled = tideAnimationToggle.checked;
+      onStateChange(state);
+    });
+  }
+  
   // Reset button
   const resetButton = document.getElementById('reset-button');
   
@@ -132,13 +681,679 @@ function setupControls(state, onStateChange) {
     observerHeightSlider,
     shipHeightSlider,
     shipDistanceSlider,
+    fleetList,
     refractionControl,
+    hazeToggle,
+    seaStateControl,
+    tideControl,
+    bodyControl,
+    geographicToggle,
     telescopeToggle,
+    opticsControl,
+    mirageToggle,
+    comparisonToggle,
+    chartToggle,
+    crossSectionToggle,
+    anglesToggle,
+    cameraToggle,
     animationToggle,
+    tideAnimationToggle,
     resetButton
   };
 }
 
+/**
+ * Reads the refraction dropdown and atmospheric condition sliders into the state
+ * Sets state.refractionModel and the k value it gives at the observer height.
+ * @param {Object} state - Current state of the simulation
+ */
+function readRefractionControls(state) {
+  const refractionControl = document.getElementById('refraction-control');
+  if (!refractionControl) return;
+  
+  const selection = refractionControl.value;
+  const readSlider = (id) => parseFloat(document.getElementById(`${id}-slider`).value);
+  
+  if (selection === 'standard-atmosphere') {
+    state.refractionModel = createRefractionModel('standard-atmosphere', {
+      temperature: readSlider('air-temperature'),
+      pressure: readSlider('air-pressure'),
+      lapseRate: readSlider('lapse-rate') / 100 // °C per 100 m to K per m
+    });
+  } else if (selection === 'ducting') {
+    state.refractionModel = createRefractionModel('ducting', {
+      temperature: readSlider('air-temperature'),
+      pressure: readSlider('air-pressure'),
+      inversionGradient: readSlider('inversion') / 100,
+      ductHeight: readSlider('duct-height')
+    });
+  } else if (selection === 'surface-heating') {
+    state.refractionModel = createRefractionModel('surface-heating', {
+      temperature: readSlider('air-temperature'),
+      pressure: readSlider('air-pressure'),
+      surfaceExcess: readSlider('surface-excess'),
+      layerDepth: readSlider('layer-depth')
+    });
+  } else {
+    const k = parseFloat(selection);
+    state.refractionModel = k === 1 ?
+      createRefractionModel('none') :
+      createRefractionModel('constant', { k });
+  }
+  
+  // Show the condition sliders only for the models that use them
+  const atmosphereControls = document.getElementById('atmosphere-controls');
+  if (atmosphereControls) {
+    const usesConditions = ['standard-atmosphere', 'ducting', 'surface-heating'].includes(selection);
+    atmosphereControls.style.display = usesConditions ? 'block' : 'none';
+    
+    atmosphereControls.querySelectorAll('[data-refraction-model]').forEach(group => {
+      group.style.display = group.dataset.refractionModel === selection ? 'flex' : 'none';
+    });
+  }
+  
+  syncRefractionFactor(state);
+}
+
+/**
+ * Finds the refraction dropdown's option for a fixed k value
+ * A k that none of the presets has is shown by a custom option, added the
+ * first time one is needed and reused after that.
+ * @param {number|string} k - Refraction factor
+ * @returns {HTMLOptionElement|null} - Option, or null when k is not a positive number
+ */
+function addRefractionOption(k) {
+  const refractionControl = document.getElementById('refraction-control');
+  const factor = parseFloat(k);
+  if (!refractionControl || !(factor > 0)) return null;
+  
+  const options = Array.from(refractionControl.options);
+  const preset = options.find(candidate => !candidate.dataset.custom && parseFloat(candidate.value) === factor);
+  if (preset) return preset;
+  
+  let option = options.find(candidate => candidate.dataset.custom);
+  if (!option) {
+    option = new Option('', '');
+    option.dataset.custom = 'true';
+    refractionControl.appendChild(option);
+  }
+  option.value = String(factor);
+  option.textContent = `Custom (k=${Number(factor.toFixed(3))})`;
+  return option;
+}
+
+/**
+ * Sets a fixed k value through the refraction dropdown, so that the dropdown shows it
+ * @param {Object} state - Current state of the simulation
+ * @param {number} k - Refraction factor
+ */
+function selectRefractionFactor(state, k) {
+  const option = addRefractionOption(k);
+  if (!option) {
+    console.error(`Invalid refraction factor: ${k}`);
+    return;
+  }
+  
+  const refractionControl = document.getElementById('refraction-control');
+  if (refractionControl.value !== option.value) {
+    refractionControl.value = option.value;
+  }
+  readRefractionControls(state);
+}
+
+/**
+ * Reads the body dropdown and ellipsoid sliders into the state
+ * Sets state.bodyModel and the radius it gives along the line of sight.
+ * @param {Object} state - Current state of the simulation
+ */
+function readBodyControls(state) {
+  const bodyControl = document.getElementById('body-control');
+  if (!bodyControl) return;
+  
+  const selection = bodyControl.value;
+  
+  // In geographic mode the ellipsoid is curved as at the observer, towards the tracked target
+  const geographic = isGeographic(state);
+  state.bodyModel = createBodyModel(selection, geographic ?
+    {
+      latitude: state.geographic.observer.latitude,
+      bearing: normalizeBearing(state.geographic.heading + state.shipBearing)
+    } :
+    {
+      latitude: parseFloat(document.getElementById('latitude-slider').value),
+      bearing: parseFloat(document.getElementById('bearing-slider').value)
+    });
+  state.earthRadius = state.bodyModel.radius;
+  
+  // Latitude and bearing only matter on the ellipsoid, and only outside geographic mode
+  const ellipsoidControls = document.getElementById('ellipsoid-controls');
+  if (ellipsoidControls) {
+    ellipsoidControls.style.display = selection === 'wgs84' && !geographic ? 'block' : 'none';
+  }
+  
+  syncRefractionFactor(state);
+}
+
+/**
+ * Reads the geographic mode toggle, observer position and viewing direction into the state
+ * When the mode is turned on, targets without a position are given the one their
+ * current distance and bearing put them at, so that nothing moves.
+ * @param {Object} state - Current state of the simulation
+ */
+function readGeographicControls(state) {
+  const geographicToggle = document.getElementById('geographic-toggle');
+  if (!geographicToggle) return;
+  
+  const readNumber = id => parseFloat(document.getElementById(id).value);
+  state.geographic = {
+    enabled: geographicToggle.checked,
+    observer: {
+      latitude: readNumber('observer-latitude-input'),
+      longitude: readNumber('observer-longitude-input')
+    },
+    heading: readNumber('heading-slider')
+  };
+  
+  if (isGeographic(state)) {
+    syncTrackedVessel(state);
+    state.fleet.forEach(vessel => {
+      if (!isValidPosition(vessel.position)) {
+        placeVessel(state, vessel);
+      }
+    });
+  } else if (state.geographic.enabled) {
+    console.error('Invalid observer position; enter a latitude between -90° and 90° and a longitude');
+  }
+  
+  const geographicControls = document.getElementById('geographic-controls');
+  if (geographicControls) {
+    geographicControls.style.display = state.geographic.enabled ? 'block' : 'none';
+  }
+  const mapViewContainer = document.getElementById('map-view-container');
+  if (mapViewContainer) {
+    mapViewContainer.style.display = state.geographic.enabled ? 'block' : 'none';
+  }
+  syncGeographicPositions(state);
+  readBodyControls(state);
+}
+
+/**
+ * Tells whether targets are placed by their geographic positions
+ * @param {Object} state - Current state of the simulation
+ * @returns {boolean} - Whether geographic mode is on with a valid observer position
+ */
+function isGeographic(state) {
+  return Boolean(state.geographic && state.geographic.enabled && isValidPosition(state.geographic.observer));
+}
+
+/**
+ * Gives a vessel the geographic position its distance and bearing put it at
+ * @param {Object} state - Current state of the simulation
+ * @param {Object} vessel - Vessel of the fleet
+ */
+function placeVessel(state, vessel) {
+  if (!isGeographic(state)) return;
+  
+  const { observer, heading } = state.geographic;
+  vessel.position = calculateDestination(observer, normalizeBearing(heading + vessel.bearing), vessel.distance, state.bodyModel);
+}
+
+/**
+ * Moves the tracked vessel to the distance and bearing of the ship values
+ * The ship sliders and the timeline set those values; in geographic mode the
+ * vessel's position then follows them instead of putting them back.
+ * @param {Object} state - Current state of the simulation
+ */
+function placeTrackedVessel(state) {
+  const vessel = state.fleet.find(candidate => candidate.id === state.trackedVesselId);
+  if (!vessel || !isValidPosition(vessel.position)) return;
+  if (vessel.distance === state.shipDistance && vessel.bearing === state.shipBearing) return;
+  
+  vessel.distance = state.shipDistance;
+  vessel.bearing = state.shipBearing;
+  placeVessel(state, vessel);
+}
+
+/**
+ * Recomputes the distance and bearing of every placed target from the positions
+ * Distances are measured along the surface of the selected body, and bearings
+ * relative to the viewing direction. The tracked vessel's values are copied into
+ * the ship values of the state and shown by the ship sliders.
+ * @param {Object} state - Current state of the simulation
+ */
+function syncGeographicPositions(state) {
+  if (!isGeographic(state)) return;
+  
+  const { observer, heading } = state.geographic;
+  state.fleet.forEach(vessel => {
+    if (!isValidPosition(vessel.position)) return;
+    
+    const { distance, bearing } = calculateGeodesic(observer, vessel.position, state.bodyModel);
+    vessel.distance = distance;
+    // A target at the observer has no direction; it keeps the one it had
+    if (distance > 0) {
+      vessel.bearing = normalizeRelativeBearing(bearing - heading);
+    }
+    
+    if (vessel.id === state.trackedVesselId) {
+      state.shipDistance = vessel.distance;
+      state.shipBearing = vessel.bearing;
+    }
+  });
+  
+  // The ellipsoid's curvature follows the direction of the tracked target
+  if (state.bodyModel.id === 'wgs84') {
+    readBodyControls(state);
+  }
+  
+  updateShipSliders(state);
+  updateTargetPosition(state);
+}
+
+/**
+ * Shows the position of the tracked target, and its distance and true bearing
+ * Inputs the user is typing in are left alone.
+ * @param {Object} state - Current state of the simulation
+ */
+function updateTargetPosition(state) {
+  const vessel = state.fleet.find(candidate => candidate.id === state.trackedVesselId);
+  if (!vessel || !isValidPosition(vessel.position)) return;
+  
+  [['target-latitude-input', vessel.position.latitude], ['target-longitude-input', vessel.position.longitude]].forEach(([id, value]) => {
+    const input = document.getElementById(id);
+    const text = value.toFixed(4);
+    if (input && input !== document.activeElement && input.value !== text) {
+      input.value = text;
+    }
+  });
+  
+  const geodesicValue = document.getElementById('target-geodesic-value');
+  if (geodesicValue) {
+    const trueBearing = normalizeBearing(state.geographic.heading + vessel.bearing);
+    geodesicValue.textContent = `${vessel.distance.toFixed(2)} km, bearing ${trueBearing.toFixed(1)}°`;
+  }
+}
+
+/**
+ * Reads the haze toggle and meteorological visibility slider into the state
+ * Clear air is represented by an infinite visibility.
+ * @param {Object} state - Current state of the simulation
+ */
+function readHazeControls(state) {
+  const hazeToggle = document.getElementById('haze-toggle');
+  const visibilitySlider = document.getElementById('meteorological-visibility-slider');
+  if (!hazeToggle || !visibilitySlider) return;
+  
+  state.meteorologicalVisibility = hazeToggle.checked ? parseFloat(visibilitySlider.value) : Infinity;
+  
+  const hazeControls = document.getElementById('haze-controls');
+  if (hazeControls) {
+    hazeControls.style.display = hazeToggle.checked ? 'block' : 'none';
+  }
+}
+
+/**
+ * Reads the significant wave height slider into the state
+ * Sets state.significantWaveHeight and the crest height it gives.
+ * @param {Object} state - Current state of the simulation
+ */
+function readSeaStateControls(state) {
+  const waveHeightSlider = document.getElementById('wave-height-slider');
+  if (!waveHeightSlider) return;
+  
+  state.significantWaveHeight = parseFloat(waveHeightSlider.value);
+  state.crestHeight = calculateCrestHeight(state.significantWaveHeight);
+}
+
+/**
+ * Reads the tide model, height datums and tide time into the state
+ * Sets state.tide and state.datums, then the heights above the water they give.
+ * @param {Object} state - Current state of the simulation
+ */
+function readTideControls(state) {
+  const tideControl = document.getElementById('tide-control');
+  if (!tideControl) return;
+  
+  const tideRangeSlider = document.getElementById('tide-range-slider');
+  const tideCurveInput = document.getElementById('tide-curve-input');
+  
+  switch (tideControl.value) {
+    case 'sinusoidal':
+      state.tide = createTideModel('sinusoidal', {
+        range: tideRangeSlider ? parseFloat(tideRangeSlider.value) : undefined
+      });
+      break;
+    case 'manual':
+      state.tide = createTideModel('manual', {
+        points: tideCurveInput ? parseTideCurve(tideCurveInput.value) : []
+      });
+      break;
+    default:
+      state.tide = createTideModel('none');
+  }
+  
+  const observerDatum = document.getElementById('observer-datum');
+  const shipDatum = document.getElementById('ship-datum');
+  if (observerDatum && shipDatum) {
+    state.datums = { observer: observerDatum.value, ship: shipDatum.value };
+  }
+  
+  const tideTimeSlider = document.getElementById('tide-time-slider');
+  if (tideTimeSlider) {
+    state.tideTime = parseFloat(tideTimeSlider.value);
+  }
+  
+  syncTideHeights(state);
+  updateTideDisplay(state);
+  
+  // Only show the settings of the selected tide
+  const tideControls = document.getElementById('tide-controls');
+  if (tideControls) {
+    tideControls.style.display = state.tide.id === 'none' ? 'none' : 'block';
+  }
+  [['sinusoidal-tide-controls', 'sinusoidal'], ['manual-tide-controls', 'manual']].forEach(([id, tideId]) => {
+    const element = document.getElementById(id);
+    if (element) {
+      element.style.display = state.tide.id === tideId ? 'block' : 'none';
+    }
+  });
+}
+
+/**
+ * Recomputes the heights above the water from the heights above their datums
+ * Sets state.waterLevel, state.observerHeight and state.shipHeight for the
+ * current tide time, and the k value at the new observer height.
+ * @param {Object} state - Current state of the simulation
+ */
+function syncTideHeights(state) {
+  state.waterLevel = state.tide.getWaterLevel(state.tideTime);
+  state.observerHeight = calculateHeightAboveWater(state.observerElevation, state.datums.observer, state.tide, state.tideTime);
+  
+  const trackedVessel = state.fleet.find(vessel => vessel.id === state.trackedVesselId);
+  state.shipHeight = Math.max(
+    MIN_TARGET_HEIGHT,
+    calculateHeightAboveWater(state.shipElevation, getVesselDatum(state, trackedVessel), state.tide, state.tideTime)
+  );
+  
+  // The other vessels of the fleet float on the same water
+  state.fleet.forEach(vessel => {
+    vessel.height = Math.max(
+      MIN_TARGET_HEIGHT,
+      calculateHeightAboveWater(vessel.elevation, getVesselDatum(state, vessel), state.tide, state.tideTime)
+    );
+  });
+  
+  syncRefractionFactor(state);
+}
+
+/**
+ * Turns an SVG file into a target type, using the declared height, waterline and mounting
+ * The new type is added to the vessel type list and selected; importing a file
+ * of the same name again replaces it.
+ * @param {File} file - SVG file chosen by the user
+ * @param {HTMLSelectElement} vesselType - Vessel type list
+ * @returns {Promise<string|null>} - Id of the new type, or null when the file could not be used
+ */
+async function importSvgTarget(file, vesselType) {
+  const heightSlider = document.getElementById('svg-height-slider');
+  const waterlineSlider = document.getElementById('svg-waterline-slider');
+  const fixedToggle = document.getElementById('svg-fixed-toggle');
+  
+  const name = file.name.replace(/\.svg$/i, '');
+  const height = heightSlider ? parseFloat(heightSlider.value) : DEFAULT_SHIP_HEIGHT;
+  const silhouette = parseSvgSilhouette(await file.text(), {
+    name,
+    height,
+    waterline: waterlineSlider ? parseFloat(waterlineSlider.value) / 100 : 1,
+    fixed: fixedToggle ? fixedToggle.checked : false
+  });
+  if (!silhouette) {
+    return null;
+  }
+  
+  const id = `svg-${name}`;
+  registerSilhouette(id, silhouette);
+  
+  let option = Array.from(vesselType.options).find(candidate => candidate.value === id);
+  if (!option) {
+    option = new Option('', id);
+    vesselType.appendChild(option);
+  }
+  option.textContent = `${name} (${height} m)`;
+  vesselType.value = id;
+  
+  return id;
+}
+
+/**
+ * Gives the datum a vessel's elevation is measured from
+ * Ships float with the tide; lighthouses, turbines, rigs and land do not.
+ * @param {Object} state - Current state of the simulation
+ * @param {Object} [vessel] - Vessel of the fleet
+ * @returns {string} - Height datum (one of the keys of HEIGHT_DATUMS)
+ */
+function getVesselDatum(state, vessel) {
+  return vessel && getSilhouette(vessel.type).fixed ? 'mean-sea-level' : state.datums.ship;
+}
+
+/**
+ * Copies the ship values in the state back into the tracked vessel of the fleet
+ * The sliders and the animation change state.shipElevation, state.shipDistance and
+ * state.shipBearing directly; this keeps the fleet entry in step with them.
+ * @param {Object} state - Current state of the simulation
+ */
+function syncTrackedVessel(state) {
+  const vessel = state.fleet.find(candidate => candidate.id === state.trackedVesselId);
+  if (!vessel) return;
+  
+  vessel.elevation = state.shipElevation;
+  vessel.height = state.shipHeight;
+  vessel.distance = state.shipDistance;
+  vessel.bearing = state.shipBearing;
+}
+
+/**
+ * Makes another vessel of the fleet the tracked one
+ * Its values are loaded into the ship values of the state and the ship sliders.
+ * @param {Object} state - Current state of the simulation
+ * @param {number} id - Id of the vessel to track
+ */
+function trackVessel(state, id) {
+  const vessel = state.fleet.find(candidate => candidate.id === id);
+  if (!vessel) {
+    console.error(`No vessel with id ${id} in the fleet`);
+    return;
+  }
+  
+  syncTrackedVessel(state);
+  state.trackedVesselId = id;
+  state.shipElevation = vessel.elevation;
+  state.shipDistance = vessel.distance;
+  state.shipBearing = vessel.bearing;
+  syncTideHeights(state);
+  updateShipSliders(state);
+}
+
+/**
+ * Moves the ship sliders to the ship values of the state
+ * @param {Object} state - Current state of the simulation
+ */
+function updateShipSliders(state) {
+  [
+    ['ship-height', state.shipElevation, `${state.shipElevation} m`],
+    ['ship-distance', state.shipDistance, `${state.shipDistance.toFixed(1)} km`],
+    ['vessel-bearing', state.shipBearing, `${Math.round(state.shipBearing * 10) / 10}°`]
+  ].forEach(([prefix, value, text]) => {
+    const slider = document.getElementById(`${prefix}-slider`);
+    const valueDisplay = document.getElementById(`${prefix}-value`);
+    if (slider && valueDisplay && valueDisplay.textContent !== text) {
+      slider.value = value;
+      valueDisplay.textContent = text;
+    }
+  });
+}
+
+/**
+ * Shows the vessels of the fleet in the fleet list, with the tracked one selected
+ * The list is only rebuilt when vessels are added or removed, so that it can be
+ * refreshed on every frame without getting in the way of the user.
+ * @param {Object} state - Current state of the simulation
+ */
+function updateFleetList(state) {
+  const fleetList = document.getElementById('fleet-list');
+  if (!fleetList) return;
+  
+  const unchanged = fleetList.options.length === state.fleet.length &&
+    state.fleet.every((vessel, i) => fleetList.options[i].value === String(vessel.id));
+  
+  if (unchanged) {
+    state.fleet.forEach((vessel, i) => {
+      const text = describeVessel(vessel);
+      if (fleetList.options[i].textContent !== text) {
+        fleetList.options[i].textContent = text;
+      }
+    });
+  } else {
+    fleetList.innerHTML = '';
+    state.fleet.forEach(vessel => {
+      fleetList.appendChild(new Option(describeVessel(vessel), vessel.id));
+    });
+  }
+  
+  fleetList.value = String(state.trackedVesselId);
+  
+  const removeVesselButton = document.getElementById('remove-vessel-button');
+  if (removeVesselButton) {
+    removeVesselButton.disabled = state.fleet.length < 2;
+  }
+}
+
+/**
+ * Names the loaded terrain profile next to its file input
+ * @param {Object} state - Current state of the simulation
+ */
+function updateTerrainName(state) {
+  const terrainName = document.getElementById('terrain-name');
+  if (!terrainName) return;
+  
+  terrainName.textContent = state.terrain ?
+    `${state.terrain.name} (${state.terrain.points.length} points)` :
+    'No profile loaded';
+}
+
+/**
+ * Shows the tide time and the water level it gives
+ * @param {Object} state - Current state of the simulation
+ */
+function updateTideDisplay(state) {
+  const tideTimeValue = document.getElementById('tide-time-value');
+  if (!tideTimeValue) return;
+  
+  const hours = Math.floor(state.tideTime);
+  const minutes = Math.floor((state.tideTime - hours) * 60);
+  const clock = `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+  tideTimeValue.textContent = `${clock} (${state.waterLevel.toFixed(2)} m)`;
+}
+
+/**
+ * Moves the optics sliders to the given values
+ * @param {Object} params - Optics parameters {magnification, fieldOfView, aperture}
+ */
+function setOpticsSliders(params) {
+  OPTICS_SLIDERS.forEach(({ id, param, unit, decimals }) => {
+    const slider = document.getElementById(`${id}-slider`);
+    const valueDisplay = document.getElementById(`${id}-value`);
+    
+    if (slider && valueDisplay) {
+      slider.value = params[param];
+      valueDisplay.textContent = `${parseFloat(params[param]).toFixed(decimals)}${unit}`;
+    }
+  });
+}
+
+/**
+ * Reads the instrument dropdown and optics sliders into the state
+ * @param {Object} state - Current state of the simulation
+ */
+function readOpticsControls(state) {
+  const opticsControl = document.getElementById('optics-control');
+  if (!opticsControl) return;
+  
+  const params = {};
+  OPTICS_SLIDERS.forEach(({ id, param }) => {
+    const slider = document.getElementById(`${id}-slider`);
+    if (slider) {
+      params[param] = parseFloat(slider.value);
+    }
+  });
+  
+  state.optics = createOpticsModel(opticsControl.value, params);
+}
+
+/**
+ * Reads the camera toggle and sliders into the state
+ * The camera's eye height is the observer height.
+ * @param {Object} state - Current state of the simulation
+ */
+function readCameraControls(state) {
+  const cameraToggle = document.getElementById('camera-toggle');
+  if (!cameraToggle) return;
+  
+  state.cameraEnabled = cameraToggle.checked;
+  
+  CAMERA_SLIDERS.forEach(({ id, setting }) => {
+    const slider = document.getElementById(`${id}-slider`);
+    if (slider) {
+      state.camera[setting] = parseFloat(slider.value);
+    }
+  });
+  
+  // Field of view and viewing direction only matter with the camera on
+  const cameraControls = document.getElementById('camera-controls');
+  if (cameraControls) {
+    cameraControls.style.display = state.cameraEnabled ? 'block' : 'none';
+  }
+}
+
+/**
+ * Reads the cross-section toggle and vertical exaggeration into the state
+ * @param {Object} state - Current state of the simulation
+ */
+function readCrossSectionControls(state) {
+  const crossSectionToggle = document.getElementById('cross-section-toggle');
+  if (!crossSectionToggle) return;
+  
+  state.crossSectionEnabled = crossSectionToggle.checked;
+  
+  const exaggeration = document.getElementById('cross-section-exaggeration');
+  if (exaggeration) {
+    state.crossSectionExaggeration = parseFloat(exaggeration.value);
+  }
+  
+  // The panel and its exaggeration only show with the diagram on
+  const display = state.crossSectionEnabled ? 'block' : 'none';
+  ['cross-section-container', 'cross-section-controls'].forEach(id => {
+    const element = document.getElementById(id);
+    if (element) {
+      element.style.display = display;
+    }
+  });
+}
+
+/**
+ * Recomputes state.refractionFactor from the current refraction model
+ * Height-dependent models give a different k when the observer moves, and
+ * bodies without an atmosphere always give k = 1.
+ * @param {Object} state - Current state of the simulation
+ */
+function syncRefractionFactor(state) {
+  if (state.refractionModel) {
+    // Without an atmosphere light travels in straight lines
+    const refraction = getEffectiveRefraction(state.bodyModel, state.refractionModel);
+    state.refractionFactor = resolveRefractionFactor(refraction, state.observerHeight);
+  }
+}
+
 /**
  * Updates the maximum distance based on observer and ship height
  * @param {Object} state - Current state of the simulation
@@ -147,12 +1362,16 @@ function setupControls(state, onStateChange) {
 function updateMaxDistance(state, shipDistanceSlider) {
   if (!shipDistanceSlider) return;
   
+  // Observer height may have changed the k value of the refraction model
+  syncRefractionFactor(state);
+  
   // Calculate maximum visible distance
   const maxVisibleDistance = calculateMaxVisibleDistance(
     state.observerHeight,
     state.shipHeight,
-    undefined,
-    state.refractionFactor
+    state.earthRadius,
+    state.refractionFactor,
+    state.crestHeight
   );
   
   // Round up to the nearest 5 km for a cleaner UI
@@ -162,8 +1381,8 @@ function updateMaxDistance(state, shipDistanceSlider) {
   state.maxDistance = roundedMaxDistance;
   shipDistanceSlider.max = roundedMaxDistance;
   
-  // If current distance exceeds new max, adjust it
-  if (state.shipDistance > maxVisibleDistance) {
+  // If current distance exceeds new max, adjust it (geographic positions stay where they are)
+  if (state.shipDistance > maxVisibleDistance && !isGeographic(state)) {
     state.shipDistance = maxVisibleDistance;
     shipDistanceSlider.value = state.shipDistance;
     const shipDistanceValue = document.getElementById('ship-distance-value');
@@ -175,5 +1394,24 @@ function updateMaxDistance(state, shipDistanceSlider) {
 
 // Export functions
 export {
-  setupControls
+  setupControls,
+  readRefractionControls,
+  addRefractionOption,
+  selectRefractionFactor,
+  readBodyControls,
+  readGeographicControls,
+  readCameraControls,
+  readOpticsControls,
+  readHazeControls,
+  readSeaStateControls,
+  readTideControls,
+  syncTideHeights,
+  syncTrackedVessel,
+  placeTrackedVessel,
+  syncGeographicPositions,
+  trackVessel,
+  updateFleetList,
+  updateShipSliders,
+  updateTideDisplay,
+  syncRefractionFactor
 };
@@ -0,0 +1,388 @@
+/**
+ * exportControls.js
+ * Handles the export of clips of the Over The Horizon demonstration
+ *
+ * A clip is made frame by frame rather than in real time: the animation
+ * controllers are held, and for every frame they are stepped on by exactly one
+ * frame interval before the views are redrawn, so the clip comes out the same
+ * however fast the computer draws. The main view and the telescope view are
+ * composed side by side into each frame, with the caption of the timeline
+ * beneath them.
+ *
+ * WebM is recorded by the browser's MediaRecorder, which stamps frames with
+ * the time they arrive. The recorder is paused while each frame is drawn, and
+ * every frame is held until the recorded time reaches its place in the clip,
+ * so WebM still takes about as long as the clip lasts. GIF frames are encoded
+ * as fast as they are drawn (see gifEncoder.js).
+ */
+
+import { createGifEncoder } from '../rendering/gifEncoder.js';
+import { getTimelineDuration, getTimelineCaption } from '../data/timeline.js';
+import { applyTimeline, updateTimelineDisplay } from './timelineControls.js';
+
+// Formats clips can be exported in
+const EXPORT_FORMATS = {
+  'webm': { name: 'WebM video', extension: 'webm' },
+  'gif': { name: 'Animated GIF', extension: 'gif' }
+};
+
+// Heights of the exported frames in pixels; the width follows from the views
+const EXPORT_HEIGHTS = [360, 480, 600, 720];
+
+// Frames per second that clips can be exported at
+const EXPORT_FRAME_RATES = [10, 15, 24, 25, 30];
+
+// Longest clip in seconds, when no timeline sets the length
+const MAX_CLIP_LENGTH = 120;
+
+// Height of the caption band below the views, in pixels of the views
+const CAPTION_BAND_HEIGHT = 56;
+const CAPTION_FONT_SIZE = 16;
+
+/**
+ * Sets up the export format, resolution, frame rate and length controls and the export button
+ * @param {Object} state - Current state of the simulation
+ * @param {Object[]} controllers - Animation controllers, held and stepped while exporting
+ * @param {Function} onStateChange - Callback function when state changes
+ */
+function setupExportControls(state, controllers, onStateChange) {
+  const formatControl = document.getElementById('export-format');
+  const resolutionControl = document.getElementById('export-resolution');
+  const frameRateControl = document.getElementById('export-fps');
+  const lengthInput = document.getElementById('export-length-input');
+  const exportButton = document.getElementById('export-button');
+  if (!exportButton) return;
+
+  // The export running, if any, so that the button can cancel it
+  let running = null;
+
+  exportButton.addEventListener('click', async () => {
+    if (running) {
+      running.cancelled = true;
+      return;
+    }
+
+    const options = {
+      format: formatControl ? formatControl.value : 'webm',
+      height: resolutionControl ? parseInt(resolutionControl.value, 10) : 600,
+      fps: frameRateControl ? parseInt(frameRateControl.value, 10) : 15,
+      length: lengthInput ? parseFloat(lengthInput.value) : 10
+    };
+    if (!Object.hasOwn(EXPORT_FORMATS, options.format)) {
+      showExportError(`Invalid export format: ${options.format}`);
+      return;
+    }
+    if (!EXPORT_HEIGHTS.includes(options.height)) {
+      showExportError(`Invalid export resolution: ${options.height}`);
+      return;
+    }
+    if (!EXPORT_FRAME_RATES.includes(options.fps)) {
+      showExportError(`Invalid export frame rate: ${options.fps}`);
+      return;
+    }
+    if (!(options.length > 0 && options.length <= MAX_CLIP_LENGTH)) {
+      showExportError(`Invalid clip length: ${options.length} (up to ${MAX_CLIP_LENGTH} s)`);
+      return;
+    }
+
+    running = { cancelled: false };
+    exportButton.textContent = 'Cancel';
+    try {
+      const blob = await exportClip(state, controllers, onStateChange, options, running);
+      if (blob) {
+        downloadBlob(blob, `over-the-horizon.${EXPORT_FORMATS[options.format].extension}`);
+      }
+    } catch (error) {
+      showExportError(`Export failed: ${error.message}`);
+    } finally {
+      running = null;
+      exportButton.textContent = 'Export Clip';
+    }
+  });
+}
+
+/**
+ * Records a clip of the demonstration, stepping the animation one frame at a time
+ * A loaded timeline is played from its start to its end; otherwise the clip
+ * runs for the chosen length from the current moment. The demonstration is
+ * left where the clip ends.
+ * @param {Object} state - Current state of the simulation
+ * @param {Object[]} controllers - Animation controllers with hold, step and release
+ * @param {Function} onStateChange - Callback function that redraws the views
+ * @param {Object} options - Export {format, height, fps, length}: format key, pixels, frames per second, seconds
+ * @param {Object} progress - {cancelled}, set by the caller to stop the export
+ * @returns {Promise<Blob|null>} - Clip, or null when it was cancelled or could not be recorded
+ */
+async function exportClip(state, controllers, onStateChange, options, progress) {
+  const { format, height, fps } = options;
+  const { script } = state.timeline;
+
+  // A timeline also gets a frame at its very end
+  const length = script ? getTimelineDuration(script) : options.length;
+  const frameCount = Math.max(1, Math.round(length * fps) + (script ? 1 : 0));
+
+  const frame = measureFrame(state, height);
+  const canvas = document.createElement('canvas');
+  canvas.width = frame.width;
+  canvas.height = frame.height;
+  const ctx = canvas.getContext('2d');
+
+  // Nothing is touched until there is a recorder
+  const recorder = format === 'gif' ? createGifRecorder(ctx, fps) : createWebmRecorder(canvas, fps);
+  if (!recorder) return null;
+
+  controllers.forEach(controller => controller.hold());
+  try {
+    if (script) {
+      state.timeline = { ...state.timeline, time: 0, direction: 1, playing: true };
+      applyTimeline(state);
+    }
+
+    for (let i = 0; i < frameCount; i++) {
+      if (progress.cancelled) {
+        recorder.cancel();
+        updateExportStatus('Export cancelled');
+        return null;
+      }
+
+      // The first frame shows the demonstration as it is
+      if (i > 0) {
+        controllers.forEach(controller => controller.step(1 / fps));
+      }
+      onStateChange(state);
+      composeFrame(ctx, state, frame);
+      await recorder.addFrame(i);
+      updateExportStatus(`Frame ${i + 1} of ${frameCount}`);
+    }
+
+    const blob = await recorder.finish();
+    updateExportStatus(`Exported ${frameCount} frames (${(blob.size / 1e6).toFixed(1)} MB)`);
+    return blob;
+  } catch (error) {
+    recorder.cancel();
+    throw error;
+  } finally {
+    state.timeline.playing = false;
+    updateTimelineDisplay(state);
+    controllers.forEach(controller => controller.release());
+    onStateChange(state);
+  }
+}
+
+/**
+ * Lays out the views in an exported frame
+ * @param {Object} state - Current state of the simulation
+ * @param {number} height - Height of the frame in pixels
+ * @returns {Object} - Frame {width, height, scale, views, viewsHeight, captioned}, with views [{canvas, x, y}] in pixels of the views
+ */
+function measureFrame(state, height) {
+  const canvases = [document.getElementById('main-view')];
+  if (state.telescopeEnabled) {
+    canvases.push(document.getElementById('telescope-view'));
+  }
+
+  // Side by side, centred on each other's middle
+  const viewsHeight = Math.max(...canvases.map(canvas => canvas.height));
+  let x = 0;
+  const views = canvases.map(canvas => {
+    const view = { canvas, x, y: (viewsHeight - canvas.height) / 2 };
+    x += canvas.width;
+    return view;
+  });
+
+  const captioned = Boolean(state.timeline.script && state.timeline.script.captions.length > 0);
+  const scale = height / (viewsHeight + (captioned ? CAPTION_BAND_HEIGHT : 0));
+
+  // Video encoders want an even width
+  const width = 2 * Math.round(x * scale / 2);
+  return { width, height, scale, views, viewsHeight, captioned };
+}
+
+/**
+ * Draws the views, and the caption of the timeline, into an exported frame
+ * @param {CanvasRenderingContext2D} ctx - Context of the frame
+ * @param {Object} state - Current state of the simulation
+ * @param {Object} frame - Layout of the frame (see measureFrame)
+ */
+function composeFrame(ctx, state, frame) {
+  const { scale, views, viewsHeight, captioned } = frame;
+
+  ctx.save();
+  ctx.fillStyle = '#000000';
+  ctx.fillRect(0, 0, frame.width, frame.height);
+  ctx.scale(scale, scale);
+  views.forEach(({ canvas, x, y }) => ctx.drawImage(canvas, x, y));
+
+  if (captioned) {
+    const bandWidth = frame.width / scale;
+    ctx.fillStyle = '#ecf0f1';
+    ctx.fillRect(0, viewsHeight, bandWidth, CAPTION_BAND_HEIGHT);
+
+    ctx.fillStyle = '#2c3e50';
+    ctx.font = `${CAPTION_FONT_SIZE}px sans-serif`;
+    ctx.textBaseline = 'top';
+    const text = getTimelineCaption(state.timeline.script, state.timeline.time);
+    const lines = wrapCaption(ctx, text, bandWidth - 24);
+    lines.forEach((line, i) => {
+      ctx.fillText(line, 12, viewsHeight + 8 + i * (CAPTION_FONT_SIZE + 6), bandWidth - 24);
+    });
+  }
+  ctx.restore();
+}
+
+/**
+ * Breaks a caption into the two lines the caption band holds
+ * Whatever does not fit goes on the second line, which is then squeezed to fit.
+ * @param {CanvasRenderingContext2D} ctx - Context with the caption font set
+ * @param {string} text - Caption
+ * @param {number} maxWidth - Width of a line in pixels
+ * @returns {string[]} - At most two lines
+ */
+function wrapCaption(ctx, text, maxWidth) {
+  const words = text.split(/\s+/).filter(Boolean);
+  let first = '';
+  while (words.length > 0) {
+    const candidate = first ? `${first} ${words[0]}` : words[0];
+    if (first && ctx.measureText(candidate).width > maxWidth) break;
+    first = candidate;
+    words.shift();
+  }
+  return words.length > 0 ? [first, words.join(' ')] : [first];
+}
+
+/**
+ * Creates a recorder that encodes the frames as an animated GIF
+ * GIF delays are in hundredths of a second, so frames are shown for a
+ * whole number of them, adding up to the time of the clip.
+ * @param {CanvasRenderingContext2D} ctx - Context of the frame
+ * @param {number} fps - Frames per second
+ * @returns {Object} - Recorder with addFrame(index), finish() and cancel()
+ */
+function createGifRecorder(ctx, fps) {
+  const { width, height } = ctx.canvas;
+  const encoder = createGifEncoder(width, height);
+
+  return {
+    addFrame: async index => {
+      const delay = Math.round(100 * (index + 1) / fps) - Math.round(100 * index / fps);
+      encoder.addFrame(ctx.getImageData(0, 0, width, height).data, delay);
+
+      // Let the page show the progress between frames
+      await wait(0);
+    },
+    finish: async () => encoder.finish(),
+    cancel: () => {}
+  };
+}
+
+/**
+ * Creates a recorder that records the frames as WebM video with MediaRecorder
+ * MediaRecorder times frames by the clock, so it only records while a frame is
+ * on show: each one is held until the recorded time reaches the start of the
+ * next frame, and the recorder is paused while that frame is drawn.
+ * @param {HTMLCanvasElement} canvas - Canvas of the frame
+ * @param {number} fps - Frames per second
+ * @returns {Object|null} - Recorder with addFrame(index), finish() and cancel(), or null when the browser cannot record WebM
+ */
+function createWebmRecorder(canvas, fps) {
+  const mimeType = typeof MediaRecorder !== 'undefined' && canvas.captureStream
+    ? ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'].find(type => MediaRecorder.isTypeSupported(type))
+    : null;
+  if (!mimeType) {
+    showExportError('This browser cannot record WebM video; export an animated GIF instead');
+    return null;
+  }
+
+  // Frames are only captured when requested, each one as it is complete
+  const stream = canvas.captureStream(0);
+  const [track] = stream.getVideoTracks();
+  const recorder = new MediaRecorder(stream, { mimeType });
+  const chunks = [];
+  recorder.addEventListener('dataavailable', event => {
+    if (event.data.size > 0) {
+      chunks.push(event.data);
+    }
+  });
+  const stopped = new Promise(resolve => recorder.addEventListener('stop', resolve));
+  recorder.start();
+  recorder.pause();
+
+  // Milliseconds recorded so far, while not paused
+  const interval = 1000 / fps;
+  let recorded = 0;
+
+  const stop = async () => {
+    if (recorder.state === 'inactive') return;
+    recorder.stop();
+    await stopped;
+    track.stop();
+  };
+
+  return {
+    addFrame: async index => {
+      const resumed = performance.now();
+      recorder.resume();
+      track.requestFrame();
+      await wait(Math.max(0, (index + 1) * interval - recorded));
+      recorder.pause();
+      recorded += performance.now() - resumed;
+    },
+    finish: async () => {
+      await stop();
+      return new Blob(chunks, { type: 'video/webm' });
+    },
+    cancel: () => {
+      stop();
+    }
+  };
+}
+
+/**
+ * Waits for a time
+ * @param {number} milliseconds - Time to wait
+ * @returns {Promise} - Resolves once the time has passed
+ */
+function wait(milliseconds) {
+  return new Promise(resolve => setTimeout(resolve, milliseconds));
+}
+
+/**
+ * Shows how far the export has got
+ * @param {string} text - Progress or result of the export
+ */
+function updateExportStatus(text) {
+  const status = document.getElementById('export-status');
+  if (status) {
+    status.textContent = text;
+  }
+}
+
+/**
+ * Reports why an export could not be made
+ * @param {string} message - Error message
+ */
+function showExportError(message) {
+  console.error(message);
+  updateExportStatus(message);
+}
+
+/**
+ * Offers a file to download
+ * @param {Blob} blob - Contents of the file
+ * @param {string} fileName - Name to save it under
+ */
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+export {
+  setupExportControls
+};
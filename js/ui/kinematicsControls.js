@@ -0,0 +1,233 @@
+/**
+ * kinematicsControls.js
+ * Handles the speed, course, observer motion and clock controls for the Over The Horizon demonstration
+ *
+ * The animated ship steams at state.shipSpeed knots on the course
+ * state.shipHeading (see kinematics.js) while the simulated clock
+ * state.clock = { rate, elapsed } runs rate times faster than real time.
+ * The observer moves as state.observerMotion says:
+ *   { mode, direction, speed, heading, fromDock }
+ * where mode is one of OBSERVER_MOTIONS, direction 1 or -1 for climbing up
+ * or down, speed and heading those of the observer's ship and fromDock the
+ * {distance, bearing} it has sailed from the dock.
+ * The readouts give the elapsed time and when, on their present courses, the
+ * ship goes hull down and disappears.
+ */
+
+import { CLOCK_RATES, OBSERVER_MOTIONS, calculateHorizonTimes, calculateRelativeMotion } from '../math/kinematics.js';
+
+/**
+ * Sets up the speed and course sliders, clock speed dropdown, clock reset button and observer motion controls
+ * @param {Object} state - Current state of the simulation
+ * @param {Function} onStateChange - Callback function when state changes
+ */
+function setupKinematicsControls(state, onStateChange) {
+  const speedSlider = document.getElementById('ship-speed-slider');
+  const speedValue = document.getElementById('ship-speed-value');
+  const headingSlider = document.getElementById('ship-heading-slider');
+  const headingValue = document.getElementById('ship-heading-value');
+  const clockRate = document.getElementById('clock-rate');
+  const clockResetButton = document.getElementById('clock-reset-button');
+  const observerMotion = document.getElementById('observer-motion');
+  const observerSpeedSlider = document.getElementById('observer-speed-slider');
+  const observerSpeedValue = document.getElementById('observer-speed-value');
+  const observerHeadingSlider = document.getElementById('observer-heading-slider');
+
+  if (speedSlider && speedValue) {
+    speedSlider.addEventListener('input', () => {
+      state.shipSpeed = parseFloat(speedSlider.value);
+      speedValue.textContent = `${state.shipSpeed.toFixed(1)} kn`;
+      onStateChange(state);
+    });
+  }
+
+  if (headingSlider && headingValue) {
+    headingSlider.addEventListener('input', () => {
+      state.shipHeading = parseFloat(headingSlider.value);
+      headingValue.textContent = formatHeading(state.shipHeading);
+      onStateChange(state);
+    });
+  }
+
+  if (clockRate) {
+    clockRate.addEventListener('change', () => {
+      const rate = parseFloat(clockRate.value);
+      if (!CLOCK_RATES.includes(rate)) {
+        console.error(`Invalid clock speed: ${clockRate.value}`);
+        return;
+      }
+      state.clock.rate = rate;
+      onStateChange(state);
+    });
+  }
+
+  if (clockResetButton) {
+    clockResetButton.addEventListener('click', () => {
+      state.clock.elapsed = 0;
+      onStateChange(state);
+    });
+  }
+
+  if (observerMotion) {
+    observerMotion.addEventListener('change', () => {
+      if (!Object.hasOwn(OBSERVER_MOTIONS, observerMotion.value)) {
+        console.error(`Invalid observer motion: ${observerMotion.value}`);
+        return;
+      }
+      // A climb starts upwards
+      state.observerMotion.mode = observerMotion.value;
+      state.observerMotion.direction = 1;
+      updateObserverControls(state);
+      onStateChange(state);
+    });
+  }
+
+  if (observerSpeedSlider && observerSpeedValue) {
+    observerSpeedSlider.addEventListener('input', () => {
+      state.observerMotion.speed = parseFloat(observerSpeedSlider.value);
+      observerSpeedValue.textContent = `${state.observerMotion.speed.toFixed(1)} kn`;
+      onStateChange(state);
+    });
+  }
+
+  if (observerHeadingSlider) {
+    observerHeadingSlider.addEventListener('input', () => {
+      state.observerMotion.heading = parseFloat(observerHeadingSlider.value);
+      updateObserverControls(state);
+      onStateChange(state);
+    });
+  }
+
+  updateObserverControls(state);
+  updateKinematicsDisplay(state);
+}
+
+/**
+ * Shows the elapsed time of the clock and the predicted times to hull down and disappearance
+ * @param {Object} state - Current state of the simulation
+ */
+function updateKinematicsDisplay(state) {
+  const elapsedValue = document.getElementById('clock-elapsed-value');
+  if (elapsedValue) {
+    elapsedValue.textContent = formatDuration(state.clock.elapsed);
+  }
+
+  // Aboard a ship the observer's own motion counts as well
+  const shipMotion = { speed: state.shipSpeed, heading: state.shipHeading };
+  const { speed, heading } = OBSERVER_MOTIONS[state.observerMotion.mode].sails ?
+    calculateRelativeMotion(shipMotion, state.observerMotion) :
+    shipMotion;
+
+  const times = calculateHorizonTimes(
+    { distance: state.shipDistance, bearing: state.shipBearing, speed, heading },
+    state.observerHeight,
+    state.shipHeight,
+    state.earthRadius,
+    state.refractionFactor,
+    state.crestHeight
+  );
+  // A ship beyond a range that is closing on the observer shows when it comes back
+  [
+    ['hull-down-time-value', times.hullDown, times.hullUp, 'already hull down', 'hull rises'],
+    ['hidden-time-value', times.hidden, times.risen, 'already below the horizon', 'rises']
+  ].forEach(([id, hours, returnHours, reached, returning]) => {
+    const element = document.getElementById(id);
+    if (!element) return;
+
+    if (hours === 0 && Number.isFinite(returnHours)) {
+      element.textContent = `${returning} in ${formatDuration(returnHours * 3600)}`;
+    } else if (hours === 0) {
+      element.textContent = reached;
+    } else if (!Number.isFinite(hours)) {
+      element.textContent = 'not while stopped';
+    } else {
+      element.textContent = `in ${formatDuration(hours * 3600)}`;
+    }
+  });
+}
+
+/**
+ * Shows the observer's height, course and position as the animation moves them
+ * The ship's speed and course only show aboard a ship.
+ * @param {Object} state - Current state of the simulation
+ */
+function updateObserverControls(state) {
+  const { mode, heading } = state.observerMotion;
+
+  const observerHeightSlider = document.getElementById('observer-height-slider');
+  const observerHeightValue = document.getElementById('observer-height-value');
+  if (mode !== 'fixed' && observerHeightSlider && observerHeightValue) {
+    // The aircraft climbs above the slider's range; its height then shows in the text only
+    observerHeightSlider.value = Math.min(state.observerElevation, parseFloat(observerHeightSlider.max));
+    observerHeightValue.textContent = `${state.observerElevation.toFixed(1)} m`;
+  }
+
+  const observerHeadingSlider = document.getElementById('observer-heading-slider');
+  const observerHeadingValue = document.getElementById('observer-heading-value');
+  if (observerHeadingSlider) {
+    observerHeadingSlider.value = heading;
+  }
+  if (observerHeadingValue) {
+    observerHeadingValue.textContent = formatHeading(heading);
+  }
+
+  const observerVesselControls = document.getElementById('observer-vessel-controls');
+  if (observerVesselControls) {
+    observerVesselControls.style.display = OBSERVER_MOTIONS[mode].sails ? 'block' : 'none';
+  }
+
+  // Inputs the user is typing in are left alone
+  if (state.geographic.enabled) {
+    [['observer-latitude-input', state.geographic.observer.latitude], ['observer-longitude-input', state.geographic.observer.longitude]].forEach(([id, value]) => {
+      const input = document.getElementById(id);
+      const text = value.toFixed(4);
+      if (input && input !== document.activeElement && input.value !== text) {
+        input.value = text;
+      }
+    });
+  }
+}
+
+/**
+ * Shows the course as the moved slider does
+ * @param {Object} state - Current state of the simulation
+ */
+function updateHeadingSlider(state) {
+  const headingSlider = document.getElementById('ship-heading-slider');
+  const headingValue = document.getElementById('ship-heading-value');
+  if (headingSlider) {
+    headingSlider.value = state.shipHeading;
+  }
+  if (headingValue) {
+    headingValue.textContent = formatHeading(state.shipHeading);
+  }
+}
+
+/**
+ * Writes a course relative to the line of sight
+ * @param {number} heading - Course in degrees, positive to the right
+ * @returns {string} - Course such as "+15°", with 0° for straight away from the observer
+ */
+function formatHeading(heading) {
+  const rounded = Math.round(heading);
+  return rounded === 0 ? '0°' : `${rounded > 0 ? '+' : ''}${rounded}°`;
+}
+
+/**
+ * Writes a time as hours, minutes and seconds
+ * @param {number} seconds - Time in seconds
+ * @returns {string} - Time such as "01:05:09"
+ */
+function formatDuration(seconds) {
+  const total = Math.floor(seconds);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  return [hours, minutes, total % 60].map(part => String(part).padStart(2, '0')).join(':');
+}
+
+export {
+  setupKinematicsControls,
+  updateKinematicsDisplay,
+  updateObserverControls,
+  updateHeadingSlider
+};
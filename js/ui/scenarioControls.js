@@ -0,0 +1,354 @@
+/**
+ * scenarioControls.js
+ * Handles the scenario controls for the Over The Horizon demonstration
+ *
+ * Scenarios (see scenarios.js) are loaded by turning them into the settings
+ * a shared link holds (see urlState.js), so that they set the controls just as
+ * a user would; their timeline is then loaded paused at its start. Scenarios
+ * saved by the user are kept in the browser's local storage, and any scenario
+ * can be exported to and imported from a JSON file.
+ */
+
+import {
+  SCENARIO_FORMAT,
+  SCENARIO_VERSION,
+  BUILT_IN_SCENARIOS,
+  validateScenario,
+  parseScenario,
+  serializeScenario
+} from '../data/scenarios.js';
+import { VESSEL_PARAM, TRACKED_PARAM, encodeVessel, applySettings } from './urlState.js';
+import { addRefractionOption } from './controls.js';
+import { loadTimeline } from './timelineControls.js';
+
+// Local storage entry holding the list of saved scenarios
+const STORAGE_KEY = 'over-the-horizon-scenarios';
+
+// Settings of the refraction parameters and the factor from the parameter's unit to the slider's
+const REFRACTION_SETTINGS = {
+  temperature: { param: 'temperature', scale: 1 },
+  pressure: { param: 'pressure', scale: 1 },
+  lapseRate: { param: 'lapse-rate', scale: 100 }, // K per m to °C per 100 m
+  inversionGradient: { param: 'inversion', scale: 100 },
+  ductHeight: { param: 'duct-height', scale: 1 },
+  surfaceExcess: { param: 'surface-excess', scale: 1 },
+  layerDepth: { param: 'layer-depth', scale: 1 }
+};
+
+// Settings of the instrument parameters
+const TELESCOPE_SETTINGS = {
+  magnification: 'magnification',
+  fieldOfView: 'telescope-fov',
+  aperture: 'aperture'
+};
+
+/**
+ * Sets up the scenario dropdown, buttons and file input
+ * @param {Object} state - Current state of the simulation
+ * @param {Function} onStateChange - Callback function when state changes
+ */
+function setupScenarioControls(state, onStateChange) {
+  const scenarioControl = document.getElementById('scenario-control');
+  const nameInput = document.getElementById('scenario-name-input');
+  const loadButton = document.getElementById('scenario-load-button');
+  const deleteButton = document.getElementById('scenario-delete-button');
+  const saveButton = document.getElementById('scenario-save-button');
+  const exportButton = document.getElementById('scenario-export-button');
+  const fileInput = document.getElementById('scenario-file-input');
+  if (!scenarioControl) return;
+
+  const selectedScenario = () => findScenario(scenarioControl.value);
+
+  scenarioControl.addEventListener('change', () => updateScenarioDescription(scenarioControl));
+
+  if (loadButton) {
+    loadButton.addEventListener('click', () => {
+      const scenario = selectedScenario();
+      if (scenario) {
+        applyScenario(state, scenario);
+        updateScenarioStatus(`Loaded "${scenario.name}"`);
+        onStateChange(state);
+      }
+    });
+  }
+
+  if (deleteButton) {
+    deleteButton.addEventListener('click', () => {
+      const scenario = selectedScenario();
+      if (!scenario || !scenarioControl.value.startsWith('saved:')) return;
+
+      storeSavedScenarios(loadSavedScenarios().filter(saved => saved.name !== scenario.name));
+      updateScenarioList(scenarioControl);
+    });
+  }
+
+  // The current setup is saved or exported under the name typed in
+  const currentScenario = () => {
+    const name = nameInput ? nameInput.value.trim() : '';
+    if (!name) {
+      showScenarioError('Enter a name for the scenario');
+      return null;
+    }
+    const scenario = captureScenario(state, name);
+    if (!scenario) {
+      showScenarioError('The current setup cannot be saved as a scenario (imported SVG targets cannot be)');
+    }
+    return scenario;
+  };
+
+  if (saveButton) {
+    saveButton.addEventListener('click', () => {
+      const scenario = currentScenario();
+      if (scenario) {
+        saveScenario(scenario);
+        updateScenarioList(scenarioControl, `saved:${scenario.name}`);
+        updateScenarioStatus(`Saved "${scenario.name}"`);
+      }
+    });
+  }
+
+  if (exportButton) {
+    exportButton.addEventListener('click', () => {
+      const scenario = currentScenario();
+      if (scenario) {
+        downloadScenario(scenario);
+      }
+    });
+  }
+
+  // An imported scenario is saved, so that it stays in the list, and loaded
+  if (fileInput) {
+    fileInput.addEventListener('change', async () => {
+      const file = fileInput.files[0];
+      if (!file) return;
+
+      const scenario = parseScenario(await file.text());
+      fileInput.value = '';
+      if (!scenario) {
+        showScenarioError(`No scenario could be read from "${file.name}"`);
+        return;
+      }
+
+      saveScenario(scenario);
+      updateScenarioList(scenarioControl, `saved:${scenario.name}`);
+      applyScenario(state, scenario);
+      updateScenarioStatus(`Imported and loaded "${scenario.name}"`);
+      onStateChange(state);
+    });
+  }
+
+  updateScenarioList(scenarioControl);
+}
+
+/**
+ * Fills the scenario dropdown with the built-in and the saved scenarios
+ * @param {HTMLSelectElement} scenarioControl - Scenario dropdown
+ * @param {string} [selection] - Value of the option to select; the current one is kept otherwise
+ */
+function updateScenarioList(scenarioControl, selection = scenarioControl.value) {
+  const groups = [
+    ['Built-in', BUILT_IN_SCENARIOS.map((scenario, i) => [`built-in:${i}`, scenario.name])],
+    ['Saved', loadSavedScenarios().map(scenario => [`saved:${scenario.name}`, scenario.name])]
+  ];
+
+  scenarioControl.innerHTML = '';
+  groups.forEach(([label, options]) => {
+    if (options.length === 0) return;
+
+    const group = document.createElement('optgroup');
+    group.label = label;
+    options.forEach(([value, text]) => group.appendChild(new Option(text, value)));
+    scenarioControl.appendChild(group);
+  });
+
+  if (findScenario(selection)) {
+    scenarioControl.value = selection;
+  }
+  updateScenarioDescription(scenarioControl);
+}
+
+/**
+ * Shows the description of the selected scenario, and whether it can be deleted
+ * @param {HTMLSelectElement} scenarioControl - Scenario dropdown
+ */
+function updateScenarioDescription(scenarioControl) {
+  const scenario = findScenario(scenarioControl.value);
+
+  const description = document.getElementById('scenario-description');
+  if (description) {
+    description.textContent = scenario ? scenario.description : '';
+  }
+  const deleteButton = document.getElementById('scenario-delete-button');
+  if (deleteButton) {
+    deleteButton.disabled = !scenarioControl.value.startsWith('saved:');
+  }
+}
+
+/**
+ * Finds a scenario by the value of its option in the dropdown
+ * @param {string} value - 'built-in:<index>' or 'saved:<name>'
+ * @returns {Object|undefined} - Scenario
+ */
+function findScenario(value) {
+  const separator = value.indexOf(':');
+  const source = value.slice(0, separator);
+  const key = value.slice(separator + 1);
+  if (source === 'built-in') {
+    return BUILT_IN_SCENARIOS[parseInt(key, 10)];
+  }
+  if (source === 'saved') {
+    return loadSavedScenarios().find(scenario => scenario.name === key);
+  }
+  return undefined;
+}
+
+/**
+ * Sets the demonstration up as a scenario describes it
+ * @param {Object} state - Current state of the simulation
+ * @param {Object} scenario - Valid scenario (see validateScenario)
+ */
+function applyScenario(state, scenario) {
+  const settings = new URLSearchParams();
+  const set = (param, value) => settings.set(param, String(value));
+  const { observer, targets, tracked, refraction, telescope, animation, timeline } = scenario;
+
+  set('observer-datum', observer.datum);
+  set('observer-height', observer.height);
+
+  targets.forEach(target => settings.append(VESSEL_PARAM, encodeVessel(target)));
+  set(TRACKED_PARAM, tracked + 1);
+
+  // A fixed k is shown by its option of the refraction dropdown (a custom one when no preset
+  // has it); other models are set up by their sliders
+  const { model, ...params } = refraction;
+  if (model === 'none' || model === 'constant') {
+    const option = addRefractionOption(model === 'none' ? 1 : params.k);
+    if (option) {
+      set('refraction', option.value);
+    }
+  } else {
+    set('refraction', model);
+  }
+  Object.entries(params).forEach(([param, value]) => {
+    if (REFRACTION_SETTINGS[param]) {
+      set(REFRACTION_SETTINGS[param].param, value * REFRACTION_SETTINGS[param].scale);
+    }
+  });
+
+  set('telescope', telescope.enabled ? 1 : 0);
+  if (telescope.instrument === 'custom') {
+    Object.entries(TELESCOPE_SETTINGS).forEach(([param, setting]) => set(setting, telescope[param]));
+  }
+  set('optics', telescope.instrument);
+
+  set('animation', animation.ship ? 1 : 0);
+  set('tide-animation', animation.tide ? 1 : 0);
+
+  applySettings(state, settings);
+
+  // A scenario's timeline is its own, so it shows as a custom one
+  loadTimeline(state, timeline);
+  const timelineControl = document.getElementById('timeline-control');
+  if (timelineControl) {
+    timelineControl.value = timeline ? 'custom' : '';
+  }
+}
+
+/**
+ * Describes the current setup as a scenario
+ * @param {Object} state - Current state of the simulation
+ * @param {string} name - Name of the scenario
+ * @returns {Object|null} - Scenario, or null when the setup cannot be saved (such as an imported SVG target)
+ */
+function captureScenario(state, name) {
+  return validateScenario({
+    format: SCENARIO_FORMAT,
+    version: SCENARIO_VERSION,
+    name,
+    observer: { height: state.observerElevation, datum: state.datums.observer },
+    targets: state.fleet.map(({ type, elevation, distance, bearing, position }) => ({ type, elevation, distance, bearing, position })),
+    tracked: Math.max(state.fleet.findIndex(vessel => vessel.id === state.trackedVesselId), 0),
+    refraction: { model: state.refractionModel.id, ...state.refractionModel.params },
+    telescope: { enabled: state.telescopeEnabled, instrument: state.optics.id, ...state.optics.params },
+    animation: { ship: state.animationEnabled, tide: state.tideAnimationEnabled },
+    timeline: state.timeline.script
+  });
+}
+
+/**
+ * Shows the outcome of the last scenario action below the scenario controls
+ * @param {string} text - Message, or '' for none
+ */
+function updateScenarioStatus(text) {
+  const status = document.getElementById('scenario-status');
+  if (status) {
+    status.textContent = text;
+  }
+}
+
+/**
+ * Reports a scenario action that failed, in the page as well as the console
+ * @param {string} message - What went wrong
+ */
+function showScenarioError(message) {
+  console.error(message);
+  updateScenarioStatus(message);
+}
+
+/**
+ * Reads the scenarios saved in the browser
+ * @returns {Object[]} - Valid saved scenarios
+ */
+function loadSavedScenarios() {
+  let saved;
+  try {
+    saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || '[]');
+  } catch (error) {
+    console.error(`Saved scenarios could not be read: ${error.message}`);
+    return [];
+  }
+  return Array.isArray(saved) ? saved.map(validateScenario).filter(Boolean) : [];
+}
+
+/**
+ * Keeps a list of scenarios in the browser
+ * @param {Object[]} scenarios - Scenarios
+ */
+function storeSavedScenarios(scenarios) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(scenarios));
+  } catch (error) {
+    showScenarioError(`Scenarios could not be saved: ${error.message}`);
+  }
+}
+
+/**
+ * Saves a scenario in the browser, replacing one of the same name
+ * @param {Object} scenario - Scenario
+ */
+function saveScenario(scenario) {
+  storeSavedScenarios([...loadSavedScenarios().filter(saved => saved.name !== scenario.name), scenario]);
+}
+
+/**
+ * Offers a scenario as a JSON file to download
+ * @param {Object} scenario - Scenario
+ */
+function downloadScenario(scenario) {
+  const blob = new Blob([serializeScenario(scenario)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${scenario.name.replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '') || 'scenario'}.json`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+export {
+  setupScenarioControls,
+  applyScenario,
+  captureScenario
+};
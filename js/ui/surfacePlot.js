@@ -176,10 +176,11 @@ function createHorizonSurfacePlot(containerId, surfaceData, config = {}) {
    * Updates the current position marker on the plot
    * @param {number} observerHeight - Current observer height
    * @param {number} refractionFactor - Current refraction factor
+   * @param {number} [earthRadius=EARTH_RADIUS] - Radius of the selected body in kilometers
    */
-  function updateCurrentPositionMarker(observerHeight, refractionFactor) {
+  function updateCurrentPositionMarker(observerHeight, refractionFactor, earthRadius = EARTH_RADIUS) {
     // Calculate the horizon distance with high precision
-    const distance = calculateHorizonDistance(observerHeight, EARTH_RADIUS, refractionFactor);
+    const distance = calculateHorizonDistance(observerHeight, earthRadius, refractionFactor);
     
     // Ensure we use the exact same Z value for all elements to avoid rendering differences
     const exactZValue = distance;
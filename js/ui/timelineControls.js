@@ -0,0 +1,317 @@
+/**
+ * timelineControls.js
+ * Handles the keyframe timeline controls for the Over The Horizon demonstration
+ *
+ * The timeline being played is kept in state.timeline as
+ *   { script, time, direction, playing }
+ * where script is a validated timeline (see timeline.js) or null, time the
+ * position of the playhead in seconds and direction 1 or -1 (for ping-pong).
+ * The AnimationController advances the playhead; the controls here choose,
+ * edit, play, pause, scrub and step the timeline.
+ */
+
+import {
+  TIMELINE_PRESETS,
+  validateTimeline,
+  getTimelineDuration,
+  sampleTimeline,
+  getTimelineCaption
+} from '../data/timeline.js';
+import { createOpticsModel } from '../math/optics.js';
+import { calculateCrestHeight } from '../math/seaState.js';
+import {
+  selectRefractionFactor,
+  readHazeControls,
+  syncTideHeights,
+  updateTideDisplay
+} from './controls.js';
+
+// Time the step buttons move the playhead by, in seconds
+const TIMELINE_STEP = 0.1;
+
+// How the fields of TIMELINE_FIELDS are written into the state (a plain assignment
+// when there is no apply), and the slider and value text that show them; the
+// slider is set before apply, so that apply may read it back
+const FIELD_CONTROLS = {
+  'observerElevation': { slider: 'observer-height', format: value => `${value.toFixed(1)} m` },
+  'shipElevation': { slider: 'ship-height', format: value => `${value.toFixed(1)} m` },
+  'shipDistance': { slider: 'ship-distance', format: value => `${value.toFixed(1)} km` },
+  'shipBearing': { slider: 'vessel-bearing', format: value => `${value.toFixed(1)}°` },
+  'refractionFactor': {
+    // A fixed k replaces the refraction model, shown in the dropdown; syncTideHeights then sets state.refractionFactor
+    apply: selectRefractionFactor
+  },
+  'meteorologicalVisibility': {
+    // The haze is switched on, or the track would not be seen
+    apply: state => {
+      const hazeToggle = document.getElementById('haze-toggle');
+      if (hazeToggle) {
+        hazeToggle.checked = true;
+      }
+      readHazeControls(state);
+    },
+    slider: 'meteorological-visibility',
+    format: value => `${value.toFixed(0)} km`
+  },
+  'significantWaveHeight': {
+    apply: (state, value) => {
+      state.significantWaveHeight = value;
+      state.crestHeight = calculateCrestHeight(value);
+    },
+    slider: 'wave-height',
+    format: value => `${value.toFixed(2)} m`
+  },
+  'tideTime': { slider: 'tide-time' },
+  'optics.magnification': {
+    apply: (state, value) => applyOptics(state, 'magnification', value),
+    slider: 'magnification',
+    format: value => `${value.toFixed(0)}x`
+  },
+  'optics.fieldOfView': {
+    apply: (state, value) => applyOptics(state, 'fieldOfView', value),
+    slider: 'telescope-fov',
+    format: value => `${value.toFixed(1)}°`
+  },
+  'camera.fieldOfView': { slider: 'camera-fov', format: value => `${value.toFixed(1)}°` },
+  'camera.pitch': { slider: 'camera-pitch', format: value => `${value.toFixed(2)}°` },
+  'camera.heading': { slider: 'camera-heading', format: value => `${value.toFixed(0)}°` }
+};
+
+/**
+ * Sets up the timeline dropdown, playback mode, transport buttons, scrub slider and keyframe editor
+ * @param {Object} state - Current state of the simulation
+ * @param {Function} onStateChange - Callback function when state changes
+ */
+function setupTimelineControls(state, onStateChange) {
+  const timelineControl = document.getElementById('timeline-control');
+  const modeControl = document.getElementById('timeline-mode');
+  const playButton = document.getElementById('timeline-play-button');
+  const stepBackButton = document.getElementById('timeline-step-back-button');
+  const stepForwardButton = document.getElementById('timeline-step-forward-button');
+  const scrubSlider = document.getElementById('timeline-scrub-slider');
+  const keyframesInput = document.getElementById('timeline-keyframes-input');
+  if (!timelineControl) return;
+
+  timelineControl.addEventListener('change', () => {
+    if (timelineControl.value === 'custom') {
+      // The keyframes typed in the editor, if there are any yet
+      if (keyframesInput && keyframesInput.value.trim()) {
+        readKeyframesInput(state, keyframesInput);
+      }
+    } else {
+      loadTimeline(state, TIMELINE_PRESETS[timelineControl.value] || null);
+    }
+    onStateChange(state);
+  });
+
+  if (modeControl) {
+    modeControl.addEventListener('change', () => {
+      if (!state.timeline.script) return;
+
+      state.timeline.script.mode = modeControl.value;
+      state.timeline.direction = 1;
+      updateKeyframesInput(state);
+      onStateChange(state);
+    });
+  }
+
+  if (playButton) {
+    playButton.addEventListener('click', () => {
+      const { script } = state.timeline;
+      if (!script) return;
+
+      // Playing a finished timeline starts it again
+      if (!state.timeline.playing && script.mode === 'once' && state.timeline.time >= getTimelineDuration(script)) {
+        state.timeline.time = 0;
+      }
+      state.timeline.playing = !state.timeline.playing;
+      applyTimeline(state);
+      onStateChange(state);
+    });
+  }
+
+  const seek = time => {
+    if (!state.timeline.script) return;
+
+    state.timeline.time = Math.min(Math.max(time, 0), getTimelineDuration(state.timeline.script));
+    applyTimeline(state);
+    onStateChange(state);
+  };
+
+  if (scrubSlider) {
+    scrubSlider.addEventListener('input', () => seek(parseFloat(scrubSlider.value)));
+  }
+
+  // Stepping pauses the timeline, so that it can be gone through one moment at a time
+  [[stepBackButton, -TIMELINE_STEP], [stepForwardButton, TIMELINE_STEP]].forEach(([button, step]) => {
+    if (button) {
+      button.addEventListener('click', () => {
+        state.timeline.playing = false;
+        seek(state.timeline.time + step);
+      });
+    }
+  });
+
+  if (keyframesInput) {
+    keyframesInput.addEventListener('change', () => {
+      if (readKeyframesInput(state, keyframesInput)) {
+        timelineControl.value = 'custom';
+      }
+      onStateChange(state);
+    });
+  }
+
+  updateTimelineDisplay(state);
+}
+
+/**
+ * Reads the keyframe editor into the state
+ * @param {Object} state - Current state of the simulation
+ * @param {HTMLTextAreaElement} keyframesInput - Keyframe editor
+ * @returns {boolean} - Whether the editor holds a valid timeline
+ */
+function readKeyframesInput(state, keyframesInput) {
+  let data;
+  try {
+    data = JSON.parse(keyframesInput.value);
+  } catch (error) {
+    console.error(`Timeline is not valid JSON: ${error.message}`);
+    return false;
+  }
+
+  const script = validateTimeline(data);
+  if (!script) return false;
+
+  // Keep the playhead where it was, as far as the new timeline reaches
+  state.timeline = {
+    ...state.timeline,
+    script,
+    time: Math.min(state.timeline.time, getTimelineDuration(script))
+  };
+  applyTimeline(state);
+  return true;
+}
+
+/**
+ * Makes a timeline the one being played, paused at its start
+ * @param {Object} state - Current state of the simulation
+ * @param {Object|null} data - Timeline (see timeline.js), or null for none
+ * @returns {boolean} - Whether the timeline was valid
+ */
+function loadTimeline(state, data) {
+  const script = data ? validateTimeline(data) : null;
+  if (data && !script) return false;
+
+  state.timeline = { script, time: 0, direction: 1, playing: false };
+  updateKeyframesInput(state);
+  applyTimeline(state);
+  return true;
+}
+
+/**
+ * Changes one setting of the telescope, which makes it a custom instrument as the sliders do
+ * @param {Object} state - Current state of the simulation
+ * @param {string} param - Optics parameter (magnification or fieldOfView)
+ * @param {number} value - New value of the parameter
+ */
+function applyOptics(state, param, value) {
+  state.optics = createOpticsModel('custom', { ...state.optics.params, [param]: value });
+
+  const opticsControl = document.getElementById('optics-control');
+  if (opticsControl) {
+    opticsControl.value = 'custom';
+  }
+}
+
+/**
+ * Writes the values of the timeline at the playhead into the state and the controls
+ * @param {Object} state - Current state of the simulation
+ */
+function applyTimeline(state) {
+  const { script, time } = state.timeline;
+  if (script) {
+    Object.entries(sampleTimeline(script, time)).forEach(([field, value]) => {
+      const control = FIELD_CONTROLS[field];
+      const slider = control.slider && document.getElementById(`${control.slider}-slider`);
+      if (slider) {
+        slider.value = value;
+      }
+      const valueDisplay = control.format && document.getElementById(`${control.slider}-value`);
+      if (valueDisplay) {
+        valueDisplay.textContent = control.format(value);
+      }
+
+      if (control.apply) {
+        control.apply(state, value);
+      } else {
+        const path = field.split('.');
+        const owner = path.slice(0, -1).reduce((object, key) => object[key], state);
+        owner[path[path.length - 1]] = value;
+      }
+    });
+
+    syncTideHeights(state);
+    updateTideDisplay(state);
+  }
+
+  updateTimelineDisplay(state);
+}
+
+/**
+ * Shows the playhead, the play button and the caption of the timeline
+ * @param {Object} state - Current state of the simulation
+ */
+function updateTimelineDisplay(state) {
+  const { script, time, playing } = state.timeline;
+  const duration = script ? getTimelineDuration(script) : 0;
+
+  const timelineControls = document.getElementById('timeline-controls');
+  if (timelineControls) {
+    timelineControls.style.display = script ? 'block' : 'none';
+  }
+
+  const scrubSlider = document.getElementById('timeline-scrub-slider');
+  if (scrubSlider) {
+    scrubSlider.max = duration;
+    scrubSlider.value = time;
+  }
+  const timeValue = document.getElementById('timeline-time-value');
+  if (timeValue) {
+    timeValue.textContent = `${time.toFixed(1)} / ${duration.toFixed(1)} s`;
+  }
+  const playButton = document.getElementById('timeline-play-button');
+  if (playButton) {
+    playButton.textContent = playing ? 'Pause' : 'Play';
+  }
+
+  const caption = document.getElementById('timeline-caption');
+  if (caption) {
+    const text = script ? getTimelineCaption(script, time) : '';
+    caption.textContent = text;
+    caption.style.display = text ? 'block' : 'none';
+  }
+}
+
+/**
+ * Shows the timeline being played in the keyframe editor and the playback mode dropdown
+ * @param {Object} state - Current state of the simulation
+ */
+function updateKeyframesInput(state) {
+  const { script } = state.timeline;
+
+  const keyframesInput = document.getElementById('timeline-keyframes-input');
+  if (keyframesInput) {
+    keyframesInput.value = script ? JSON.stringify(script, null, 2) : '';
+  }
+  const modeControl = document.getElementById('timeline-mode');
+  if (modeControl && script) {
+    modeControl.value = script.mode;
+  }
+}
+
+export {
+  setupTimelineControls,
+  loadTimeline,
+  applyTimeline,
+  updateTimelineDisplay
+};
@@ -0,0 +1,354 @@
+/**
+ * urlState.js
+ * Keeps the settings of the Over The Horizon demonstration in the page URL
+ *
+ * Every control that has been moved from its default, and the fleet, is
+ * written to the query string, so that a link opens the demonstration set up
+ * the way it was shared. A link is restored by setting the controls and firing
+ * the events a user would, so the state is derived exactly as by hand. Numbers
+ * are clamped to the range of their slider and choices must be one of the
+ * options of their dropdown, except that any positive k is a refraction
+ * choice; anything else in the link is ignored.
+ *
+ * The same settings are how scenarios are applied (see scenarioControls.js).
+ * Imported SVG targets and terrain profiles come from files and are not part
+ * of the link, and neither are edited timelines: only the choice of a preset
+ * timeline and its playback are.
+ */
+
+import { SILHOUETTES } from '../data/silhouettes.js';
+import { createVessel } from '../data/fleet.js';
+import { isValidPosition } from '../math/geodesy.js';
+import { addRefractionOption, updateFleetList } from './controls.js';
+
+// Controls of the surroundings and the observer: query parameter and element id, and for
+// a dropdown that can show values beyond its options, how to add the option for one.
+// They are restored in this order, before the fleet.
+const SURROUNDINGS_CONTROLS = [
+  { param: 'body', id: 'body-control' },
+  { param: 'ellipsoid-latitude', id: 'latitude-slider' },
+  { param: 'ellipsoid-bearing', id: 'bearing-slider' },
+  { param: 'refraction', id: 'refraction-control', addOption: addRefractionOption },
+  { param: 'temperature', id: 'air-temperature-slider' },
+  { param: 'pressure', id: 'air-pressure-slider' },
+  { param: 'lapse-rate', id: 'lapse-rate-slider' },
+  { param: 'inversion', id: 'inversion-slider' },
+  { param: 'duct-height', id: 'duct-height-slider' },
+  { param: 'surface-excess', id: 'surface-excess-slider' },
+  { param: 'layer-depth', id: 'layer-depth-slider' },
+  { param: 'haze', id: 'haze-toggle' },
+  { param: 'visibility', id: 'meteorological-visibility-slider' },
+  // The Douglas degree follows the wave height
+  { param: 'wave-height', id: 'wave-height-slider' },
+  { param: 'tide', id: 'tide-control' },
+  { param: 'tide-range', id: 'tide-range-slider' },
+  { param: 'tide-curve', id: 'tide-curve-input' },
+  { param: 'observer-datum', id: 'observer-datum' },
+  { param: 'ship-datum', id: 'ship-datum' },
+  { param: 'tide-time', id: 'tide-time-slider' },
+  { param: 'observer-height', id: 'observer-height-slider' }
+];
+
+// Controls restored after the fleet, in this order
+const VIEW_CONTROLS = [
+  // The observer's position is entered before the mode is turned on, which places the targets
+  { param: 'observer-latitude', id: 'observer-latitude-input' },
+  { param: 'observer-longitude', id: 'observer-longitude-input' },
+  { param: 'heading', id: 'heading-slider' },
+  { param: 'geographic', id: 'geographic-toggle' },
+  { param: 'telescope', id: 'telescope-toggle' },
+  // A preset moves the optics sliders to its values, so it comes after them
+  { param: 'magnification', id: 'magnification-slider' },
+  { param: 'telescope-fov', id: 'telescope-fov-slider' },
+  { param: 'aperture', id: 'aperture-slider' },
+  { param: 'optics', id: 'optics-control' },
+  { param: 'mirage', id: 'mirage-toggle' },
+  { param: 'comparison', id: 'comparison-toggle' },
+  { param: 'chart', id: 'chart-toggle' },
+  { param: 'cross-section', id: 'cross-section-toggle' },
+  { param: 'exaggeration', id: 'cross-section-exaggeration' },
+  { param: 'angles', id: 'angles-toggle' },
+  { param: 'camera', id: 'camera-toggle' },
+  { param: 'camera-fov', id: 'camera-fov-slider' },
+  { param: 'camera-tilt', id: 'camera-pitch-slider' },
+  { param: 'camera-pan', id: 'camera-heading-slider' },
+  { param: 'observer-motion', id: 'observer-motion' },
+  { param: 'observer-speed', id: 'observer-speed-slider' },
+  { param: 'observer-course', id: 'observer-heading-slider' },
+  { param: 'ship-speed', id: 'ship-speed-slider' },
+  { param: 'ship-course', id: 'ship-heading-slider' },
+  { param: 'clock', id: 'clock-rate' },
+  { param: 'animation', id: 'animation-toggle' },
+  { param: 'tide-animation', id: 'tide-animation-toggle' },
+  // A timeline is loaded at its start, setting the fields it moves, before its playback is chosen
+  { param: 'timeline', id: 'timeline-control' },
+  { param: 'timeline-mode', id: 'timeline-mode' }
+];
+
+// One parameter per vessel: type_elevation_distance_bearing, then _latitude_longitude when placed
+const VESSEL_PARAM = 'vessel';
+
+// Position in the fleet (from 1) of the tracked vessel
+const TRACKED_PARAM = 'track';
+
+// Longest tide curve accepted from a link, in characters
+const MAX_TEXT_LENGTH = 2000;
+
+// Time in milliseconds the URL waits for the controls to settle; browsers limit how often it may change
+const URL_UPDATE_DELAY = 500;
+
+// Timer of the pending URL update
+let pendingUrlUpdate = null;
+
+/**
+ * Finds the value a control has when the page is loaded
+ * @param {HTMLElement} element - Input, dropdown or text area
+ * @returns {string|boolean} - Default value, or whether a checkbox is checked
+ */
+function getDefaultValue(element) {
+  if (element.type === 'checkbox') {
+    return element.defaultChecked;
+  }
+  if (element.tagName === 'SELECT') {
+    const options = Array.from(element.options);
+    const option = options.find(candidate => candidate.defaultSelected) || options[0];
+    return option ? option.value : '';
+  }
+  return element.defaultValue;
+}
+
+/**
+ * Writes the settings of the demonstration as query parameters
+ * @param {Object} state - Current state of the simulation
+ * @param {boolean} [includeDefaults=false] - Also write the controls that are at their defaults
+ * @returns {URLSearchParams} - Parameters of the controls that differ from their defaults and of the fleet
+ */
+function encodeSettings(state, includeDefaults = false) {
+  const params = new URLSearchParams();
+
+  const encodeControl = ({ param, id }) => {
+    const element = document.getElementById(id);
+    if (!element) return;
+
+    if (element.type === 'checkbox') {
+      if (includeDefaults || element.checked !== element.defaultChecked) {
+        params.set(param, element.checked ? '1' : '0');
+      }
+    } else if (includeDefaults || element.value !== getDefaultValue(element)) {
+      params.set(param, element.value);
+    }
+  };
+
+  SURROUNDINGS_CONTROLS.forEach(encodeControl);
+
+  // The fleet is left out while it is the single ship the page starts with
+  const vessels = state.fleet.map(encodeVessel);
+  if (includeDefaults || vessels.length > 1 || vessels[0] !== getDefaultVessel()) {
+    vessels.forEach(vessel => params.append(VESSEL_PARAM, vessel));
+    const tracked = state.fleet.findIndex(vessel => vessel.id === state.trackedVesselId);
+    if (tracked > 0) {
+      params.set(TRACKED_PARAM, String(tracked + 1));
+    }
+  }
+
+  VIEW_CONTROLS.forEach(encodeControl);
+
+  return params;
+}
+
+/**
+ * Writes one vessel of the fleet as a setting
+ * @param {Object} vessel - Vessel
+ * @returns {string} - type_elevation_distance_bearing, with _latitude_longitude when placed
+ */
+function encodeVessel(vessel) {
+  const round = (value, decimals) => String(Number(value.toFixed(decimals)));
+  const fields = [vessel.type, round(vessel.elevation, 2), round(vessel.distance, 2), round(vessel.bearing, 1)];
+  if (isValidPosition(vessel.position)) {
+    fields.push(round(vessel.position.latitude, 5), round(vessel.position.longitude, 5));
+  }
+  return fields.join('_');
+}
+
+/**
+ * Writes the ship the page starts with, as the ship sliders and the vessel type dropdown set it
+ * @returns {string} - Vessel setting of the default ship
+ */
+function getDefaultVessel() {
+  const defaultOf = id => {
+    const element = document.getElementById(id);
+    return element ? getDefaultValue(element) : '0';
+  };
+  return encodeVessel({
+    type: defaultOf('vessel-type'),
+    elevation: parseFloat(defaultOf('ship-height-slider')),
+    distance: parseFloat(defaultOf('ship-distance-slider')),
+    bearing: parseFloat(defaultOf('vessel-bearing-slider')),
+    position: null
+  });
+}
+
+/**
+ * Reads a vessel of the fleet from a setting
+ * The elevation, distance and bearing are clamped to the ranges of the ship sliders;
+ * a vessel placed by its position keeps the distance it gives.
+ * @param {string} text - Vessel setting (see encodeVessel)
+ * @returns {Object|null} - Vessel, or null when the parameter is not valid
+ */
+function decodeVessel(text) {
+  const [type, ...fields] = text.split('_');
+  const numbers = fields.map(Number);
+  if (!Object.hasOwn(SILHOUETTES, type) || ![3, 5].includes(numbers.length) || !numbers.every(Number.isFinite)) {
+    return null;
+  }
+
+  const [elevation, distance, bearing, latitude, longitude] = numbers;
+  const position = numbers.length === 5 ? { latitude, longitude } : null;
+  if (position && !isValidPosition(position)) {
+    return null;
+  }
+
+  // A vessel placed by its position gets its distance from it
+  return createVessel(type, {
+    elevation: clampToSlider(elevation, 'ship-height-slider'),
+    distance: position ? distance : clampToSlider(distance, 'ship-distance-slider'),
+    bearing: clampToSlider(bearing, 'vessel-bearing-slider'),
+    position
+  });
+}
+
+/**
+ * Limits a number to the range of a slider or number input
+ * @param {number} value - Value
+ * @param {string} id - Element id of the slider
+ * @returns {number} - Value between the min and max of the slider (unchanged when it has none)
+ */
+function clampToSlider(value, id) {
+  const slider = document.getElementById(id);
+  if (!slider) return value;
+
+  const min = parseFloat(slider.min);
+  const max = parseFloat(slider.max);
+  return Math.min(Math.max(value, isNaN(min) ? -Infinity : min), isNaN(max) ? Infinity : max);
+}
+
+/**
+ * Sets a control from a setting and fires the event a user would
+ * A number may choose a dropdown option written differently, such as 1 for "1.0".
+ * @param {Object} control - Entry of SURROUNDINGS_CONTROLS or VIEW_CONTROLS
+ * @param {string} value - Parameter value
+ */
+function restoreControl({ param, id, addOption }, value) {
+  const element = document.getElementById(id);
+  if (!element) return;
+
+  const ignore = () => console.error(`Ignoring setting ${param}="${value}"`);
+
+  if (element.type === 'checkbox') {
+    if (value !== '1' && value !== '0') return ignore();
+    element.checked = value === '1';
+  } else if (element.tagName === 'SELECT') {
+    const option = Array.from(element.options).find(candidate => candidate.value === value) ||
+      Array.from(element.options).find(candidate => Number.isFinite(parseFloat(value)) && parseFloat(candidate.value) === parseFloat(value)) ||
+      (addOption && addOption(value));
+    if (!option) return ignore();
+    element.value = option.value;
+  } else if (element.tagName === 'TEXTAREA') {
+    if (value.length > MAX_TEXT_LENGTH) return ignore();
+    element.value = value;
+  } else {
+    const number = parseFloat(value);
+    if (!Number.isFinite(number)) return ignore();
+    element.value = String(clampToSlider(number, id));
+  }
+
+  element.dispatchEvent(new Event(element.type === 'range' ? 'input' : 'change'));
+}
+
+/**
+ * Replaces the fleet with the vessels of the settings and tracks the chosen one
+ * @param {Object} state - Current state of the simulation
+ * @param {string[]} vesselParams - Vessel settings
+ * @param {string|null} trackedParam - Position in the fleet (from 1) of the tracked vessel
+ */
+function restoreFleet(state, vesselParams, trackedParam) {
+  const vessels = vesselParams.map(text => {
+    const vessel = decodeVessel(text);
+    if (!vessel) {
+      console.error(`Ignoring setting ${VESSEL_PARAM}="${text}"`);
+    }
+    return vessel;
+  });
+
+  const tracked = vessels[parseInt(trackedParam, 10) - 1] || vessels.find(Boolean);
+  if (!tracked) return;
+
+  // The fleet list selects the tracked vessel the way a click would
+  state.fleet = vessels.filter(Boolean);
+  state.trackedVesselId = null;
+  updateFleetList(state);
+
+  const fleetList = document.getElementById('fleet-list');
+  if (fleetList) {
+    fleetList.value = String(tracked.id);
+    fleetList.dispatchEvent(new Event('change'));
+  }
+}
+
+/**
+ * Sets the controls and the fleet from settings
+ * Only the settings given are changed; call once the controls and animations are set up.
+ * @param {Object} state - Current state of the simulation
+ * @param {URLSearchParams} params - Settings (see encodeSettings)
+ */
+function applySettings(state, params) {
+  const restore = control => {
+    if (params.has(control.param)) {
+      restoreControl(control, params.get(control.param));
+    }
+  };
+
+  SURROUNDINGS_CONTROLS.forEach(restore);
+  if (params.has(VESSEL_PARAM)) {
+    restoreFleet(state, params.getAll(VESSEL_PARAM), params.get(TRACKED_PARAM));
+  }
+  VIEW_CONTROLS.forEach(restore);
+}
+
+/**
+ * Sets up the demonstration from the query string of the page URL
+ * @param {Object} state - Current state of the simulation
+ */
+function restoreUrlState(state) {
+  applySettings(state, new URLSearchParams(window.location.search));
+}
+
+/**
+ * Brings the page URL up to date with the settings, once the controls settle
+ * The URL is replaced rather than added to the history, so Back still leaves the page.
+ * @param {Object} state - Current state of the simulation
+ */
+function updateUrlState(state) {
+  if (pendingUrlUpdate !== null) return;
+
+  pendingUrlUpdate = setTimeout(() => {
+    pendingUrlUpdate = null;
+
+    const query = encodeSettings(state).toString();
+    if (query !== window.location.search.slice(1)) {
+      const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+      window.history.replaceState(null, '', url);
+    }
+  }, URL_UPDATE_DELAY);
+}
+
+export {
+  VESSEL_PARAM,
+  TRACKED_PARAM,
+  getDefaultValue,
+  encodeVessel,
+  encodeSettings,
+  applySettings,
+  restoreUrlState,
+  updateUrlState
+};